@@ -0,0 +1,185 @@
+/**
+ * Headless entry point - runs the game engine under Node without a DOM
+ *
+ * The browser loads the engine as plain <script> tags that share one global scope.
+ * This loader evaluates the same files, in the same order, in Node's global context
+ * so regression tests and balance scripts can drive whole dungeon runs.
+ *
+ * Usage as a module:
+ *   const { createEngine } = require('./headless');
+ *   const engine = createEngine({ seed: 1234 });
+ *   engine.executeCommand({ type: 'move', direction: 'east' });
+ *   engine.runUntil(60000); // Returns early once the player has to choose the next action
+ *
+ * Replays exported with F8 in the browser play back the same way:
+ *   const { replayRun } = require('./headless');
+ *   const engine = replayRun(fs.readFileSync('replay.json', 'utf8'));
+ *
+ * Usage from the command line:
+ *   node headless.js [seed] [gameTimeMs]
+ *   node headless.js --replay replay.json
+ * The JSON summary is all that goes to stdout - engine logging goes to stderr - so it pipes
+ * straight into other tools: node headless.js 42 | jq .player
+ */
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const vm = require('vm');
+
+const SCRIPT_ROOT = path.join(__dirname, 'public', 'js');
+
+// Simulation scripts in index.html order (renderers, audio and game.js are browser-only)
+const ENGINE_SCRIPTS = [
+    'priorityQueue.js',
+    'core/rng.js',
+    'core/eventBus.js',
+    'core/entity.js',
+    'core/monster.js',
+    'core/swingAnimation.js',
+    'core/world.js',
+    'core/scheduler.js',
+    'utils/entityUtils.js',
+    'modules/mapGenerator.js',
+    'modules/dungeonGraph.js',
+    'modules/pathfinder.js',
+    'modules/equipmentSystem.js',
+    'modules/inventorySystem.js',
+    'modules/skillsSystem.js',
+    'modules/characterGenerator.js',
+    'modules/characterProgress.js',
+    'modules/spells.js',
+    'modules/saveSystem.js',
+    'modules/replaySystem.js',
+    'modules/statisticsSystem.js',
+    'systems/movementSystem.js',
+    'systems/combatSystem.js',
+    'systems/aiSystem.js',
+    'systems/noiseSystem.js',
+    'systems/projectileSystem.js',
+    'systems/effectSystem.js',
+    'systems/speedSystem.js',
+    'systems/fovSystem.js',
+    'core/gameEngine.js'
+];
+
+let GameEngineClass = null;
+
+/**
+ * Load the engine scripts once and return the GameEngine class
+ * @returns {Function} GameEngine class
+ */
+function loadEngine() {
+    if (GameEngineClass) return GameEngineClass;
+
+    for (const script of ENGINE_SCRIPTS) {
+        const filename = path.join(SCRIPT_ROOT, script);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    }
+
+    GameEngineClass = vm.runInThisContext('GameEngine');
+    return GameEngineClass;
+}
+
+/**
+ * Create a headless engine with a generated world and player, ready to step
+ * @param {Object} options - GameEngine options (seed, audioSystem, renderer, width, height)
+ * @returns {GameEngine} Started engine
+ */
+function createEngine(options = {}) {
+    const GameEngine = loadEngine();
+    const engine = new GameEngine(options);
+
+    engine.setupWorld();
+    engine.start();
+
+    return engine;
+}
+
+/**
+ * Play a recorded replay to its end
+ * @param {string|Object} replay - Replay JSON text or parsed replay
+ * @param {Object} options - GameEngine options (audioSystem, renderer, storage)
+ * @returns {GameEngine} Engine in the state the replay was exported in
+ */
+function replayRun(replay, options = {}) {
+    const GameEngine = loadEngine();
+    const engine = new GameEngine(options);
+
+    engine.startReplay(replay);
+    engine.start();
+    engine.runUntil(() => !engine.replaySystem.isReplaying(), Infinity);
+
+    return engine;
+}
+
+/**
+ * Summarize an engine's run for command line output
+ * @param {GameEngine} engine - Engine to summarize
+ * @returns {Object} Summary
+ */
+function summarize(engine) {
+    const health = engine.player.getComponent('health');
+    const level = engine.player.getComponent('level');
+
+    return {
+        seed: engine.rng.getSeed(),
+        gameTime: engine.scheduler.getCurrentTime(),
+        gameOver: engine.gameOver,
+        currentLevel: engine.currentLevel,
+        player: {
+            position: { x: engine.player.x, y: engine.player.y },
+            health: `${health.current}/${health.max}`,
+            level: level.value,
+            experience: level.experience
+        },
+        monstersLeft: engine.world.getEntitiesByType('monster').length,
+        statistics: engine.statisticsSystem.getSummary()
+    };
+}
+
+/**
+ * Send the engine's console logging to stderr, keeping stdout for the command line's output
+ */
+function redirectEngineLogs() {
+    const toStderr = (...args) => process.stderr.write(`${util.format(...args)}\n`);
+    console.log = toStderr;
+    console.info = toStderr;
+    console.debug = toStderr;
+}
+
+/**
+ * Write a summary to stdout as JSON
+ * @param {Object} summary - Summary to print
+ */
+function printSummary(summary) {
+    process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+}
+
+module.exports = { loadEngine, createEngine, replayRun, ENGINE_SCRIPTS };
+
+// Command line: play a replay, or simulate a run with auto-combat on, and print a summary
+// (nobody is at the keyboard, so the player waits whenever the engine asks for an action)
+if (require.main === module) {
+    redirectEngineLogs();
+
+    if (process.argv[2] === '--replay') {
+        const engine = replayRun(fs.readFileSync(process.argv[3], 'utf8'));
+        printSummary(summarize(engine));
+    } else {
+        const seed = process.argv[2] || null;
+        const gameTime = Number(process.argv[3]) || 60000;
+
+        const engine = createEngine({ seed });
+        engine.combatQueueEnabled = true;
+        
+        let steps = 0;
+        while (!engine.gameOver && engine.scheduler.getCurrentTime() < gameTime) {
+            if (engine.isAwaitingPlayerAction()) {
+                engine.executeCommand({ type: 'wait' });
+            }
+            steps += engine.runUntil(gameTime);
+        }
+
+        printSummary({ steps, ...summarize(engine) });
+    }
+}
@@ -10,6 +10,7 @@ class Entity {
         this.nextAction = 0;
         this.components = new Map();
         this.active = true;
+        this.world = null; // Set by World.addEntity so moves keep its spatial index in sync
     }
 
     /**
@@ -62,8 +63,14 @@ class Entity {
      * @param {number} y - Y coordinate
      */
     setPosition(x, y) {
+        const oldX = this.x;
+        const oldY = this.y;
         this.x = x;
         this.y = y;
+        
+        if (this.world && (oldX !== x || oldY !== y)) {
+            this.world.updateEntityPosition(this, oldX, oldY);
+        }
     }
 
     /**
@@ -0,0 +1,104 @@
+/**
+ * Event Bus for typed gameplay events
+ * Systems publish what happened; audio, logs, UI and statistics subscribe instead of being called directly.
+ * Every event type declares the payload fields it must carry, so a typo in a name or payload fails loudly.
+ */
+class EventBus {
+    constructor() {
+        // Event type -> required payload fields (values may be null, but the field must be present)
+        this.eventTypes = {
+            attackResolved: ['attacker', 'target', 'hit', 'damage', 'blocked', 'dodged', 'ranged', 'spell'],
+            entityDamaged: ['entity', 'amount', 'source'],
+            entityDied: ['entity', 'killer'],
+            experienceGained: ['entity', 'amount'],
+            levelUp: ['entity', 'level'],
+            skillUp: ['entity', 'skill', 'level'],
+            itemLooted: ['looter', 'source', 'gold', 'items'],
+            monsterNoticed: ['monster', 'target'],
+            areaEntered: ['direction', 'level', 'firstVisit']
+        };
+
+        this.handlers = new Map(); // Event type -> array of handlers, in subscription order
+    }
+
+    /**
+     * Subscribe to an event type
+     * @param {string} type - Event type
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Call to unsubscribe
+     */
+    on(type, handler) {
+        this.assertKnownType(type);
+
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+        }
+        this.handlers.get(type).push(handler);
+
+        return () => this.off(type, handler);
+    }
+
+    /**
+     * Unsubscribe a handler
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(type, handler) {
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    /**
+     * Publish an event to every subscriber
+     * @param {string} type - Event type
+     * @param {Object} payload - Event payload with every field the type declares
+     */
+    emit(type, payload) {
+        this.assertKnownType(type);
+
+        const missing = this.eventTypes[type].filter(field => !(field in payload));
+        if (missing.length > 0) {
+            throw new Error(`Event ${type} is missing payload fields: ${missing.join(', ')}`);
+        }
+
+        const handlers = this.handlers.get(type);
+        if (!handlers) return;
+
+        // Copy so handlers can unsubscribe while the event is being delivered
+        for (const handler of handlers.slice()) {
+            try {
+                handler(payload);
+            } catch (error) {
+                // A broken subscriber must not break the combat round that published the event
+                console.error(`Error in ${type} handler:`, error);
+            }
+        }
+    }
+
+    /**
+     * Remove every subscription
+     */
+    clear() {
+        this.handlers.clear();
+    }
+
+    /**
+     * Throw if an event type has not been declared
+     * @param {string} type - Event type
+     */
+    assertKnownType(type) {
+        if (!this.eventTypes[type]) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventBus;
+}
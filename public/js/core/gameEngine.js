@@ -0,0 +1,2047 @@
+/**
+ * Game Engine - the simulation core shared by the browser game and headless runs
+ * Builds the world, scheduler and all systems without touching the DOM, audio or animation frames.
+ * Options: { seed, audioSystem, renderer, storage, width, height } - audio, renderer and storage may be stubs or omitted.
+ */
+class GameEngine {
+    constructor(options = {}) {
+        const {
+            seed = null,
+            audioSystem = null,
+            renderer = null,
+            storage = null,
+            width = 80,
+            height = 24
+        } = options;
+        
+        this.width = width;
+        this.height = height;
+        this.world = null;
+        this.scheduler = null;
+        this.renderer = null;
+        this.player = null;
+        this.isRunning = false;
+        this.gameOver = false;
+        this.currentLevel = 1;
+        this.messages = [];
+        this.combatMessages = [];
+        this.moveMessages = [];
+        this.xpLootMessages = []; // Track XP and loot messages for Actions GUI
+        this.combatQueueEnabled = false;
+        this.turnCount = 0; // Turns processed since the run (or its replay recording) started
+        
+        // Player action queue - commands wait here until the player's turn comes up on the scheduler
+        this.playerActions = [];
+        this.maxQueuedActions = 3; // Key presses beyond this are dropped so held keys don't run ahead
+        this.restHealInterval = 6000; // Game time of resting per 2% heal
+        
+        // Seeded RNG shared by every generator and combat roll
+        this.rng = new RNG(seed);
+        
+        // Gameplay events - systems publish, audio/logs/statistics subscribe
+        this.eventBus = new EventBus();
+        
+        // Initialize modules
+        this.mapGenerator = new MapGenerator();
+        this.characterGenerator = new CharacterGenerator();
+        this.characterProgress = new CharacterProgress();
+        this.spells = new Spells(); // Spell and status effect data, spellbooks and casting
+        this.audioSystem = audioSystem; // Optional - a silent stub or null when headless
+        
+        // Initialize systems
+        this.movementSystem = new MovementSystem();
+        this.combatSystem = new CombatSystem();
+        this.aiSystem = new AISystem(); // Monster behaviors, picked by each monster's ai.type
+        this.noiseSystem = new NoiseSystem(); // Footsteps, doors, chests and fights that monsters can hear
+        this.projectileSystem = new ProjectileSystem();
+        this.effectSystem = new EffectSystem();
+        this.inventorySystem = new InventorySystem(); // New inventory system
+        this.skillsSystem = new SkillsSystem(); // New skills system
+        this.saveSystem = new SaveSystem();
+        this.replaySystem = new ReplaySystem();
+        this.statisticsSystem = new StatisticsSystem();
+        this.speedSystem = new SpeedSystem();
+        this.dungeonGraph = new DungeonGraph(); // Every area visited this run, with its own World
+        this.fovSystem = new FOVSystem(); // The one source of what the player can see
+        this.pathfinder = new Pathfinder();
+        
+        // Set up system dependencies
+        this.combatSystem.setCharacterProgress(this.characterProgress);
+        this.combatSystem.setMessageCallback((message, type, color) => {
+            this.addCombatMessage(message, type, color);
+        });
+        this.aiSystem.setMessageCallback((message, type) => {
+            this.addCombatMessage(message, type);
+        });
+        this.mapGenerator.setRng(this.rng);
+        this.characterGenerator.setRng(this.rng);
+        this.characterProgress.setRng(this.rng);
+        this.movementSystem.setRng(this.rng);
+        this.movementSystem.setPathfinder(this.pathfinder);
+        this.movementSystem.setFOVSystem(this.fovSystem);
+        this.combatSystem.setRng(this.rng);
+        this.aiSystem.setRng(this.rng);
+        this.aiSystem.setMovementSystem(this.movementSystem);
+        this.aiSystem.setCombatSystem(this.combatSystem);
+        this.aiSystem.setSpeedSystem(this.speedSystem);
+        this.noiseSystem.setAISystem(this.aiSystem);
+        this.noiseSystem.setEquipmentSystem(this.combatSystem.equipmentSystem);
+        this.noiseSystem.setSkillsSystem(this.skillsSystem);
+        this.projectileSystem.setRng(this.rng);
+        this.projectileSystem.setCombatSystem(this.combatSystem);
+        this.projectileSystem.setCharacterGenerator(this.characterGenerator);
+        this.saveSystem.setStorage(storage);
+        
+        // One speed pipeline for scheduling, attack recovery and the UI
+        this.speedSystem.setEffectSystem(this.effectSystem);
+        this.speedSystem.setEquipmentSystem(this.combatSystem.equipmentSystem);
+        this.speedSystem.setCharacterProgress(this.characterProgress);
+        this.combatSystem.setSpeedSystem(this.speedSystem);
+        
+        // Status effects hurt through combat, and shield effects soak up combat damage
+        this.effectSystem.setCombatSystem(this.combatSystem);
+        this.effectSystem.setMessageCallback((message, type, color) => {
+            this.addCombatMessage(message, type, color);
+        });
+        this.combatSystem.setEffectSystem(this.effectSystem);
+        
+        // Skill bonuses are read through the engine instead of a browser global
+        this.characterGenerator.setGame(this);
+        this.combatSystem.setGame(this);
+        
+        // Spells hurt through combat, leave status effects with the effect system and fly as projectiles
+        this.spells.setCombatSystem(this.combatSystem);
+        this.spells.setEffectSystem(this.effectSystem);
+        this.spells.setProjectileSystem(this.projectileSystem);
+        this.spells.setCharacterProgress(this.characterProgress);
+        this.spells.setMessageCallback((message, type, color) => {
+            this.addCombatMessage(message, type, color);
+        });
+        this.projectileSystem.setSpells(this.spells);
+        
+        // Publishers and subscribers share one event bus
+        this.combatSystem.setEventBus(this.eventBus);
+        this.aiSystem.setEventBus(this.eventBus);
+        this.skillsSystem.setEventBus(this.eventBus);
+        this.statisticsSystem.setEventBus(this.eventBus);
+        this.subscribeToEvents();
+        
+        if (renderer) {
+            this.setRenderer(renderer);
+        }
+    }
+
+    /**
+     * Set the renderer (ASCIIRenderer in the browser, any stub with renderWorld() headless)
+     * @param {Object} renderer - Renderer instance
+     */
+    setRenderer(renderer) {
+        this.renderer = renderer;
+        this.combatSystem.setRenderer(renderer);
+        if (typeof renderer.setSpeedSystem === 'function') {
+            renderer.setSpeedSystem(this.speedSystem);
+        }
+        if (typeof renderer.setFOVSystem === 'function') {
+            renderer.setFOVSystem(this.fovSystem);
+        }
+    }
+
+    /**
+     * Subscribe the engine's message logs, rest and travel interruption and audio to gameplay events
+     */
+    subscribeToEvents() {
+        const bus = this.eventBus;
+        
+        // Message logs
+        bus.on('experienceGained', ({ entity, amount }) => {
+            if (entity === this.player) this.addXpLootMessage(`+${amount} XP`, '#dda0dd');
+        });
+        bus.on('itemLooted', ({ looter, gold }) => {
+            if (looter === this.player && gold > 0) this.addXpLootMessage(`+${gold} gold`, '#ffd700');
+        });
+        bus.on('levelUp', ({ entity, level }) => {
+            if (entity !== this.player) return;
+            this.addCombatMessage(`Level up! You are now level ${level}!`, 'levelup');
+            for (const spellName of this.spells.learnSpellsForLevel(entity, level)) {
+                this.addCombatMessage(`You learn ${this.spells.getSpell(spellName).name}!`, 'levelup', '#DDA0DD');
+            }
+        });
+        bus.on('skillUp', ({ entity, skill, level }) => {
+            if (entity !== this.player) return;
+            const skillName = this.skillsSystem.getSkillDisplayName(skill);
+            this.addCombatMessage(`Your ${skillName} skill increased to ${level}!`, 'skillup', '#98FB98'); // Pastel green for skill ups
+        });
+        
+        // Getting hurt or noticed interrupts resting and travel - getting hurt breaks a spell being cast too
+        bus.on('entityDamaged', ({ entity }) => {
+            if (entity !== this.player) return;
+            this.interruptResting();
+            this.interruptTravel();
+            this.interruptCasting();
+        });
+        bus.on('monsterNoticed', ({ monster, target }) => {
+            if (target !== this.player) return;
+            const reason = `The ${EntityUtils.getMonsterType(monster)} has noticed you!`;
+            this.interruptResting(reason);
+            this.interruptTravel(reason);
+        });
+        
+        // The dead keep no status effects
+        bus.on('entityDied', ({ entity }) => {
+            this.effectSystem.removeAllEffects(entity);
+        });
+        
+        // Fights and opened chests make noise monsters nearby can hear
+        bus.on('attackResolved', ({ attacker }) => {
+            this.noiseSystem.makeNoise(this.world, attacker.x, attacker.y, this.noiseSystem.volumes.combat);
+        });
+        bus.on('itemLooted', ({ looter, source }) => {
+            if (source.type !== 'chest') return;
+            this.noiseSystem.makeNoise(this.world, looter.x, looter.y, this.noiseSystem.volumes.chest, looter);
+        });
+        
+        // Sound effects (the audio system is optional when headless)
+        bus.on('attackResolved', ({ hit }) => {
+            if (!this.audioSystem) return;
+            if (hit) {
+                this.audioSystem.playHitSound();
+            } else {
+                this.audioSystem.playMissSound();
+            }
+        });
+        bus.on('entityDied', () => {
+            if (this.audioSystem) this.audioSystem.playDeathSound();
+        });
+        bus.on('itemLooted', ({ source }) => {
+            if (!this.audioSystem) return;
+            if (source.type === 'chest') {
+                this.audioSystem.playTreasureSound();
+            } else {
+                this.audioSystem.playLootSound();
+            }
+        });
+        bus.on('skillUp', ({ entity }) => {
+            if (this.audioSystem && entity === this.player) this.audioSystem.playSkillupSound();
+        });
+        bus.on('areaEntered', () => {
+            if (this.audioSystem) this.audioSystem.playStairSound();
+        });
+    }
+
+    /**
+     * Create the world, scheduler, first level and player for a new run
+     */
+    setupWorld() {
+        this.scheduler = new Scheduler();
+        this.scheduler.setSpeedSystem(this.speedSystem);
+        this.dungeonGraph.reset();
+        
+        // Generate initial level at the origin of the dungeon graph
+        this.generateLevel(0, 0);
+        
+        // Create player
+        this.createPlayer();
+        
+        // Initialize player inventory system
+        this.inventorySystem.initializeEntity(this.player);
+        
+        // Initialize player skills system
+        this.skillsSystem.initializeEntity(this.player);
+        
+        // Look around the starting room before the first turn
+        this.updateMonsterVisibility();
+        
+        this.turnCount = 0;
+        if (!this.replaySystem.isReplaying()) {
+            this.startRecording();
+        }
+    }
+
+    /**
+     * Cancel the pending action of every entity that leaves the world, so dead or removed
+     * entities never take another turn (call again whenever the world or scheduler is replaced)
+     */
+    unscheduleRemovedEntities() {
+        this.world.setEntityRemovedCallback(entity => {
+            this.scheduler.removeEntity(entity.id);
+        });
+    }
+
+    /**
+     * Reset run state that setupWorld() does not rebuild, so a new run starts like a fresh engine
+     */
+    resetRunState() {
+        this.currentLevel = 1;
+        this.gameOver = false;
+        this.combatQueueEnabled = false;
+        this.playerActions = [];
+        this.messages = [];
+        this.combatMessages = [];
+        this.moveMessages = [];
+        this.xpLootMessages = [];
+        this.characterGenerator.spawnCounter = 0;
+        this.effectSystem.clearAllEffects();
+        this.statisticsSystem.reset();
+    }
+
+    /**
+     * Generate a new level in a fresh World and add it to the dungeon graph as the current area
+     * @param {number} areaX - Grid X of the area in the dungeon graph
+     * @param {number} areaY - Grid Y of the area in the dungeon graph
+     * @param {string|null} entryDirection - Direction the player travelled to get here (null for the first level)
+     */
+    generateLevel(areaX, areaY, entryDirection = null) {
+        this.world = new World(this.width, this.height);
+        this.world.setCurrentTime(this.scheduler.getCurrentTime());
+        this.unscheduleRemovedEntities();
+        
+        // Generate map - hallways toward visited neighbors must match theirs so every exit leads back
+        const exits = this.dungeonGraph.getExitConstraints(areaX, areaY);
+        const map = this.mapGenerator.generateDungeon(this.width, this.height, {
+            minRoomSize: 4,
+            maxRoomSize: 12,
+            maxRooms: 15,
+            roomPadding: 2,
+            requiredExits: exits.required,
+            blockedExits: exits.blocked,
+            entryDirection: entryDirection
+        });
+        
+        // Set world map
+        this.world.map = map;
+        
+        // Spawn monsters and items
+        this.spawnLevelContent();
+        
+        this.dungeonGraph.addArea(areaX, areaY, this.currentLevel, this.world, this.mapGenerator.getRooms());
+        console.log('Level generated!');
+    }
+
+    /**
+     * Spawn monsters and items for the current level
+     */
+    spawnLevelContent() {
+        const rooms = this.mapGenerator.getRooms();
+        
+        // Spawn monsters in rooms (except the first room)
+        for (let i = 1; i < rooms.length; i++) {
+            const room = rooms[i];
+            // On level 1, spawn single monsters. On higher levels, spawn groups
+            const maxMonsters = this.currentLevel === 1 ? 1 : 3;
+            const monsters = this.characterGenerator.spawnMonstersInRoom(room, this.currentLevel, maxMonsters);
+            
+            for (const monster of monsters) {
+                this.world.addEntity(monster);
+                this.scheduler.addEntity(monster, this.rng.next() * 1000);
+            }
+        }
+        
+        // Spawn one chest per level in a random room (not the first room)
+        if (rooms.length > 1) {
+            const chestRoomIndex = this.rng.int(1, rooms.length); // Skip first room
+            const chestRoom = rooms[chestRoomIndex];
+            
+            // Find a random position in the room
+            const chestX = chestRoom.x + this.rng.int(0, chestRoom.width);
+            const chestY = chestRoom.y + this.rng.int(0, chestRoom.height);
+            
+            const chestId = `chest_${this.currentLevel}_${this.characterGenerator.spawnCounter++}`;
+            const chest = this.characterGenerator.createChest(chestId, chestX, chestY);
+            
+            this.world.addEntity(chest);
+        }
+        
+        // Spawn items in some rooms
+        for (let i = 0; i < rooms.length; i++) {
+            if (this.rng.chance(0.3)) { // 30% chance per room
+                const room = rooms[i];
+                const items = this.characterGenerator.spawnItemsInRoom(room, 2);
+                
+                for (const item of items) {
+                    this.world.addEntity(item);
+                }
+            }
+        }
+    }
+
+    /**
+     * Create the player character
+     */
+    createPlayer() {
+        const rooms = this.mapGenerator.getRooms();
+        const startRoom = rooms[0]; // Use first room as starting position
+        
+        const startX = Math.floor(startRoom.x + startRoom.width / 2);
+        const startY = Math.floor(startRoom.y + startRoom.height / 2);
+        
+        this.player = this.characterGenerator.createPlayer('player', startX, startY);
+        this.spells.initializeCaster(this.player);
+        this.world.addEntity(this.player);
+        this.scheduler.addEntity(this.player, 0);
+        
+        console.log(`Player created at (${startX}, ${startY})`);
+    }
+
+    /**
+     * Start the simulation
+     */
+    start() {
+        this.isRunning = true;
+        this.gameOver = false;
+        this.scheduler.start();
+    }
+
+    /**
+     * Stop the simulation
+     */
+    stop() {
+        this.isRunning = false;
+        this.scheduler.stop();
+        console.log('Game stopped!');
+    }
+
+    /**
+     * Advance the simulation by one scheduler turn and render it
+     * @returns {boolean} False once the game is over
+     */
+    step() {
+        if (this.gameOver) return false;
+        
+        this.processTurn();
+        this.render();
+        
+        return !this.gameOver;
+    }
+
+    /**
+     * Run turns until a condition holds, the game ends, the player must act or the step limit is reached
+     * @param {number|Function} condition - Scheduler time to reach, or predicate called with the engine
+     * @param {number} maxSteps - Safety limit on processed turns
+     * @returns {number} Number of turns processed
+     */
+    runUntil(condition, maxSteps = 100000) {
+        const isDone = typeof condition === 'function'
+            ? condition
+            : () => this.scheduler.getCurrentTime() >= condition;
+        
+        // Time only moves once the player acts, so stop when a command is needed (a replay supplies its own)
+        const needsInput = () => !this.replaySystem.isReplaying() && this.isAwaitingPlayerAction();
+        
+        let steps = 0;
+        while (steps < maxSteps && !isDone(this) && !needsInput() && this.step()) {
+            steps++;
+        }
+        
+        return steps;
+    }
+
+    /**
+     * Process one game turn
+     */
+    processTurn() {
+        if (this.gameOver) return;
+        
+        // Feed recorded commands back; the turn a replay ends on is handed to the player
+        if (this.replaySystem.isReplaying() && this.applyReplayCommands()) return;
+        
+        // Time stands still until the player chooses an action - swings keep animating meanwhile
+        if (this.isAwaitingPlayerAction()) {
+            this.updateSwingAnimations();
+            return;
+        }
+        
+        // Update monster visibility based on player FOV first
+        this.updateMonsterVisibility();
+        
+        // Process scheduler
+        const entity = this.scheduler.getNextEntity();
+        if (entity) {
+            this.scheduler.setCurrentTime(entity.getNextActionTime());
+            this.world.setCurrentTime(entity.getNextActionTime());
+            
+            // Process entity action (a swing returns its recovery time)
+            const delay = this.processEntityAction(entity);
+            
+            // Schedule next action
+            this.scheduler.schedule(entity, delay);
+        }
+        
+        // Status effects tick and wear off as game time passes
+        this.effectSystem.processAllEffects(this.world);
+        
+        // Update swing animations
+        this.updateSwingAnimations();
+        
+        // Check win/lose conditions
+        this.checkGameState();
+        
+        this.turnCount++;
+    }
+
+    /**
+     * Process an entity's action
+     * @param {Entity} entity - Entity acting
+     * @returns {number|null} Delay until the entity's next action, or null for its normal speed
+     */
+    processEntityAction(entity) {
+        if (!entity.active) return null;
+        
+        // Check if entity can act (not stunned)
+        if (!this.effectSystem.canAct(entity)) {
+            console.log(`${entity.id} is stunned and cannot act`);
+            return null;
+        }
+        
+        // Process based on entity type
+        switch (entity.type) {
+            case 'player':
+                return this.performPlayerTurn(entity);
+            case 'monster':
+                // Monsters always attack when hostile, regardless of player combat queue
+                return this.aiSystem.processEntity(entity, this.world);
+            case 'projectile':
+                return this.projectileSystem.processEntity(entity, this.world);
+        }
+        return null;
+    }
+
+    /**
+     * Check if the scheduler is stopped waiting for the player to choose an action
+     * @returns {boolean} True if the player is next to act and has nothing to do
+     */
+    isAwaitingPlayerAction() {
+        if (!this.player || !this.player.active || this.gameOver) return false;
+
+        // Queued actions, resting, travel, casting and stuns all let time move on by themselves
+        if (this.playerActions.length > 0 || this.isPlayerResting() || this.isPlayerTraveling() ||
+            this.isPlayerCasting() || !this.effectSystem.canAct(this.player)) {
+            return false;
+        }
+
+        if (this.scheduler.peekNextEntity() !== this.player) return false;
+
+        // Auto-combat fights for the player while a monster is adjacent
+        return !(this.combatQueueEnabled && this.findAutoCombatTarget(this.player));
+    }
+
+    /**
+     * Take the player's turn: release a spell, perform the next queued action, or fight, travel, rest or wait automatically
+     * @param {Entity} player - Player entity
+     * @returns {number|null} Time the action costs, or null for the player's normal speed
+     */
+    performPlayerTurn(player) {
+        this.spells.regenerateMana(player, this.scheduler.getCurrentTime());
+
+        // A spell whose casting time has passed goes off before anything else
+        if (this.isPlayerCasting()) {
+            return this.finishCasting();
+        }
+
+        const command = this.playerActions.shift();
+        if (command) {
+            return this.performPlayerAction(command);
+        }
+
+        if (this.combatQueueEnabled) {
+            const target = this.findAutoCombatTarget(player);
+            if (target) {
+                // Idle until the weapon has recovered, then swing
+                const remaining = this.combatSystem.getAttackCooldownRemaining(player, this.world);
+                if (remaining > 0) return remaining;
+
+                this.playerAttackMonster(target);
+                return this.combatSystem.getAttackCooldownRemaining(player, this.world);
+            }
+        }
+
+        if (this.isPlayerTraveling()) {
+            return this.performTravelStep();
+        }
+
+        if (this.isPlayerResting()) {
+            return this.performRestTurn();
+        }
+
+        // Nothing to do (stunned) - the player simply waits
+        return null;
+    }
+
+    /**
+     * Perform a queued player action
+     * @param {Object} command - Command object from the action queue
+     * @returns {number} Time the action costs - failed actions (walking into a wall) cost nothing
+     */
+    performPlayerAction(command) {
+        switch (command.type) {
+            case 'move':
+                return this.movePlayer(command.direction) ? this.speedSystem.getMoveDelay(this.player) : 0;
+            case 'attack': {
+                // Hold the swing until the weapon has recovered
+                const remaining = this.combatSystem.getAttackCooldownRemaining(this.player, this.world);
+                if (remaining > 0) {
+                    this.playerActions.unshift(command);
+                    return remaining;
+                }
+
+                if (!this.playerAttackAdjacent()) return 0;
+                return this.combatSystem.getAttackCooldownRemaining(this.player, this.world);
+            }
+            case 'fire': {
+                // Hold the shot until the bow has recovered, like a swing
+                const remaining = this.combatSystem.getAttackCooldownRemaining(this.player, this.world);
+                if (remaining > 0) {
+                    this.playerActions.unshift(command);
+                    return remaining;
+                }
+
+                if (!this.playerFireAt(command.x, command.y)) return 0;
+                return this.combatSystem.getAttackCooldownRemaining(this.player, this.world);
+            }
+            case 'cast':
+                return this.playerStartCasting(command.spell, command.x, command.y);
+            case 'interact':
+                // Try to loot corpse first, then chest
+                return this.lootCorpse() || this.interactWithChest() ? this.speedSystem.getActionDelay(this.player) : 0;
+            case 'wait':
+                this.interruptResting();
+                return this.speedSystem.getActionDelay(this.player);
+            default:
+                console.warn(`Unknown player action: ${command.type}`);
+                return 0;
+        }
+    }
+
+    /**
+     * Recompute the player's field of view and update monster visibility from it
+     */
+    updateMonsterVisibility() {
+        if (!this.player || !this.world) return;
+        
+        this.fovSystem.computeFOV(this.world.map, this.player.x, this.player.y);
+        const monsters = this.world.getEntitiesByType('monster');
+        
+        for (const monster of monsters) {
+            if (!monster.active) continue;
+            
+            const visibilityComponent = monster.getComponent('visibility');
+            if (!visibilityComponent) continue;
+            
+            const wasVisible = visibilityComponent.isVisible;
+            visibilityComponent.isVisible = this.fovSystem.isVisible(this.world.map, monster.x, monster.y);
+            
+            // A monster coming into view gives up the rest of a slow off-screen turn
+            if (!wasVisible && visibilityComponent.isVisible && this.scheduler && this.scheduler.isScheduled(monster)) {
+                const soonest = this.scheduler.getCurrentTime() + this.speedSystem.getActionDelay(monster);
+                if (this.scheduler.getScheduledTime(monster) > soonest) {
+                    this.scheduler.reschedule(monster, soonest);
+                }
+            }
+        }
+    }
+
+    /**
+     * Update swing animations
+     */
+    updateSwingAnimations() {
+        const entitiesToRemove = [];
+        
+        for (const entity of this.world.getEntitiesByType('swing_animation')) {
+            const isComplete = entity.update();
+            if (isComplete) {
+                entitiesToRemove.push(entity.id);
+            }
+        }
+        
+        // Remove completed swing animations
+        for (const entityId of entitiesToRemove) {
+            this.world.removeEntity(entityId);
+        }
+    }
+
+    /**
+     * Check game state (win/lose conditions)
+     */
+    checkGameState() {
+        // Check if player is dead
+        if (this.player && this.player.getComponent('health').current <= 0) {
+            this.gameOver = true;
+            this.addMessage('You have died!', '#ff0000');
+            
+            // Play death sound effect
+            if (this.audioSystem) {
+                this.audioSystem.playDeathSound();
+            }
+            
+            console.log('Game Over!');
+        }
+        
+        // Check if all monsters are dead
+        const monsters = this.world.getEntitiesByType('monster');
+        if (monsters.length === 0 && !this.gameOver) {
+            this.addMessage('Level cleared! Look for hallway exits (>) to explore new areas', '#00ff00');
+        }
+    }
+
+    /**
+     * Render the current state through the injected renderer (no-op without one)
+     */
+    render() {
+        if (!this.renderer || typeof this.renderer.renderWorld !== 'function') return;
+        
+        this.renderer.renderWorld(this.world, this.player, {
+            combatMessages: this.combatMessages,
+            seed: this.rng.getSeed()
+        });
+    }
+
+    /**
+     * Check for nearby lootable corpses
+     */
+    checkForNearbyLoot() {
+        if (!this.player) return false;
+        
+        // Check current position and adjacent positions for corpses
+        const positions = [
+            {x: this.player.x, y: this.player.y},
+            {x: this.player.x + 1, y: this.player.y},
+            {x: this.player.x - 1, y: this.player.y},
+            {x: this.player.x, y: this.player.y + 1},
+            {x: this.player.x, y: this.player.y - 1}
+        ];
+        
+        for (const pos of positions) {
+            const entities = this.world.getEntitiesAt(pos.x, pos.y);
+            const corpse = entities.find(entity => entity.type === 'corpse' && entity.active);
+            if (corpse) {
+                const corpseComponent = corpse.getComponent('corpse');
+                if (corpseComponent && !corpseComponent.looted) {
+                    return true;
+                }
+            }
+        }
+        
+        return false;
+    }
+
+    /**
+     * Add a message to the game log
+     * @param {string} text - Message text
+     * @param {string} color - Message color
+     * @param {string} type - Message type
+     */
+    addMessage(text, color = '#ffffff', type = 'default') {
+        this.messages.push({
+            text: text,
+            color: color,
+            type: type,
+            timestamp: this.world.getCurrentTime()
+        });
+        
+        // Keep only last 100 messages
+        if (this.messages.length > 100) {
+            this.messages = this.messages.slice(-100);
+        }
+    }
+
+    /**
+     * Add a message to the combat log
+     * @param {string} text - Message text
+     * @param {string} type - Message type
+     */
+    addCombatMessage(text, type = 'combat', color = '#ffffff') {
+        this.combatMessages.push({
+            text: text,
+            type: type,
+            color: color,
+            timestamp: Date.now() // Use real time for fading
+        });
+        
+        // Keep only last 500 messages for extensive combat history
+        if (this.combatMessages.length > 500) {
+            this.combatMessages = this.combatMessages.slice(-500);
+        }
+    }
+
+    /**
+     * Add a message to the move log
+     * @param {string} text - Message text
+     * @param {string} type - Message type
+     */
+    addMoveMessage(text, type = 'movement') {
+        this.moveMessages.push({
+            text: text,
+            type: type,
+            timestamp: this.world.getCurrentTime()
+        });
+        
+        // Keep only last 100 messages
+        if (this.moveMessages.length > 100) {
+            this.moveMessages = this.moveMessages.slice(-100);
+        }
+    }
+
+    /**
+     * Add a message to the XP/Loot log
+     * @param {string} text - Message text
+     * @param {string} color - Message color
+     */
+    addXpLootMessage(text, color = '#ffffff') {
+        this.xpLootMessages.push({
+            text: text,
+            color: color,
+            timestamp: Date.now()
+        });
+        
+        // Keep only last 20 messages
+        if (this.xpLootMessages.length > 20) {
+            this.xpLootMessages = this.xpLootMessages.slice(-20);
+        }
+    }
+
+    /**
+     * Execute a player command and record it for replays
+     * Commands: move {direction}, attack, fire {x, y}, cast {spell, x, y}, interact, wait, rest {turns}, travel {x, y},
+     * explore, travelToExit, toggleQueue, sneak, moveItem {from, to}
+     * Move, attack, fire, cast, interact and wait are queued and cost scheduler time when performed; the rest apply at once
+     * @param {Object} command - Command object with a type and its arguments
+     * @returns {boolean} False if the command was ignored (a replay is playing)
+     */
+    executeCommand(command) {
+        if (this.replaySystem.isReplaying()) return false;
+        
+        this.replaySystem.record(command, this.turnCount, this.scheduler.getCurrentTime());
+        this.applyCommand(command);
+        return true;
+    }
+
+    /**
+     * Apply a player command to the simulation without recording it
+     * @param {Object} command - Command object with a type and its arguments
+     */
+    applyCommand(command) {
+        switch (command.type) {
+            case 'move':
+            case 'attack':
+            case 'fire':
+            case 'cast':
+            case 'interact':
+            case 'wait':
+                // Acting by hand takes over from travel
+                this.stopTravel();
+                this.queuePlayerAction(command);
+                break;
+            case 'rest':
+                this.stopTravel();
+                this.restPlayer(command.turns || null);
+                break;
+            case 'travel':
+                this.startTravel('path', command.x, command.y);
+                break;
+            case 'explore':
+                this.startTravel('explore');
+                break;
+            case 'travelToExit':
+                this.startTravel('exit');
+                break;
+            case 'toggleQueue':
+                this.toggleCombatQueue();
+                break;
+            case 'sneak':
+                this.toggleSneak();
+                break;
+            case 'moveItem':
+                if (this.player) {
+                    this.inventorySystem.moveItem(this.player, command.from, command.to);
+                }
+                break;
+            default:
+                console.warn(`Unknown command: ${command.type}`);
+        }
+    }
+
+    /**
+     * Queue an action for the player's next turn
+     * @param {Object} command - Command object
+     * @returns {boolean} False if the queue is full and the action was dropped
+     */
+    queuePlayerAction(command) {
+        if (!this.player || this.playerActions.length >= this.maxQueuedActions) return false;
+        
+        this.playerActions.push(command);
+        return true;
+    }
+
+    /**
+     * Start recording a replay of the run from its current state
+     * @param {Object} snapshot - Save snapshot to start from, or null when the run starts from its seed
+     */
+    startRecording(snapshot = null) {
+        this.replaySystem.startRecording({
+            seed: this.rng.getSeed(),
+            width: this.width,
+            height: this.height,
+            snapshot: snapshot
+        });
+    }
+
+    /**
+     * Export the run recorded so far as replay file text
+     * @returns {string|null} Replay JSON
+     */
+    exportReplay() {
+        return this.replaySystem.export(this.turnCount);
+    }
+
+    /**
+     * Replace the current run with a replay and start feeding its commands back
+     * @param {string|Object} data - Replay JSON text or parsed replay
+     */
+    startReplay(data) {
+        const replay = this.replaySystem.parse(data);
+        
+        if (this.isPlayerResting()) {
+            this.interruptResting();
+        }
+        
+        this.replaySystem.startPlayback(replay);
+        this.width = replay.width || this.width;
+        this.height = replay.height || this.height;
+        this.resetRunState();
+        this.rng.setSeed(replay.seed);
+        this.setupWorld();
+        
+        if (replay.snapshot) {
+            this.saveSystem.restoreSnapshot(this, this.saveSystem.migrate(replay.snapshot));
+        }
+        
+        this.turnCount = 0;
+        if (this.isRunning) {
+            this.scheduler.start();
+        }
+    }
+
+    /**
+     * Apply the replay commands due before this turn
+     * @returns {boolean} True if the replay just finished
+     */
+    applyReplayCommands() {
+        const commands = this.replaySystem.takeDueCommands(this.turnCount, this.scheduler.getCurrentTime());
+        for (const command of commands) {
+            this.applyCommand(command);
+        }
+        
+        // A recorded run never waits on the player between commands - if this one does, it drifted,
+        // so keep feeding commands rather than stall (and end it once there are none left)
+        let finished = this.replaySystem.isPlaybackFinished(this.turnCount);
+        while (!finished && this.isAwaitingPlayerAction()) {
+            const command = this.replaySystem.takeNextCommand();
+            if (!command) {
+                finished = true;
+                break;
+            }
+            this.applyCommand(command);
+        }
+        
+        if (finished) {
+            this.stopReplay();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Stop a replay and hand the run to the player, recording from here on
+     */
+    stopReplay() {
+        if (!this.replaySystem.isReplaying()) return;
+        
+        const desynced = this.replaySystem.isDesynced();
+        this.replaySystem.stopPlayback();
+        
+        this.turnCount = 0;
+        this.startRecording(this.saveSystem.createSnapshot(this));
+        
+        this.addCombatMessage(desynced ? 'Replay ended (out of sync with this version).' : 'Replay ended - you have control.', 'system', desynced ? '#FFA500' : '#00FF00');
+    }
+
+    /**
+     * Move player in a direction
+     * @param {string} direction - Direction to move
+     * @returns {boolean} True if the player moved
+     */
+    movePlayer(direction) {
+        if (!this.player) return false;
+        
+        const success = this.movementSystem.moveInDirection(this.player, direction, this.world);
+        
+        if (success) {
+            // Interrupt resting when player moves
+            this.interruptResting();
+            
+            this.addMoveMessage(`Moved ${direction}`, 'movement');
+            this.openDoorAt(this.player.x, this.player.y);
+            this.noiseSystem.makeFootsteps(this.world, this.player);
+            this.pickUpAmmo();
+            
+            // Check if player moved into a monster (attack)
+            this.checkPlayerAttack();
+            
+            // Check if player stepped on a hallway exit
+            this.checkHallwayExit();
+            
+            // See from the new position (in the new area if the player just left through a hallway)
+            this.updateMonsterVisibility();
+        } else {
+            this.addMoveMessage(`Cannot move ${direction}`, 'movement');
+        }
+        
+        return success;
+    }
+
+    /**
+     * Open a closed door the player walks into, so it no longer blocks sight
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    openDoorAt(x, y) {
+        const tile = this.world.map[y][x];
+        if (tile && tile.type === 'door' && !tile.open) {
+            tile.open = true;
+            tile.char = '/';
+            this.addMoveMessage('You open the door', 'movement');
+            this.noiseSystem.makeNoise(this.world, x, y, this.noiseSystem.volumes.door, this.player);
+        }
+    }
+
+    /**
+     * Check if player should attack a monster
+     */
+    checkPlayerAttack() {
+        if (!this.player || !this.combatQueueEnabled) return;
+        
+        const monsters = this.world.getEntitiesAt(this.player.x, this.player.y);
+        const monster = monsters.find(entity => entity.type === 'monster' && entity.active);
+        
+        if (monster) {
+            this.playerAttackMonster(monster);
+        }
+    }
+
+    /**
+     * Check if player stepped on a hallway exit
+     */
+    checkHallwayExit() {
+        if (!this.player || !this.world) return;
+        
+        const tile = this.world.map[this.player.y][this.player.x];
+        if (tile && tile.type === 'hallway_exit') {
+            console.log(`Player stepped on hallway exit at (${this.player.x}, ${this.player.y})`);
+            this.enterNewArea(tile.direction);
+        }
+    }
+
+    /**
+     * Go through a hallway to the neighboring area, generating it on the first visit
+     * @param {string} direction - Direction of the hallway
+     */
+    enterNewArea(direction) {
+        const player = this.player;
+        const fromArea = this.dungeonGraph.getCurrentArea();
+        const position = this.dungeonGraph.getNeighborPosition(fromArea, direction);
+        let area = this.dungeonGraph.getNeighbor(fromArea, direction);
+        const firstVisit = !area;
+        
+        // Take the player out of the old area (removal deactivates, so wake it again) and
+        // put everything left behind to sleep until the player comes back
+        this.world.removeEntity(player.id);
+        player.activate();
+        this.dungeonGraph.leaveArea(this.scheduler, this.effectSystem);
+        
+        this.addMessage(`Entering ${firstVisit ? 'new' : 'previous'} area via ${direction} hallway...`, '#ffff00', 'system');
+        
+        if (firstVisit) {
+            this.currentLevel = fromArea.depth + 1;
+            this.generateLevel(position.x, position.y, direction);
+            area = this.dungeonGraph.getCurrentArea();
+            this.addCombatMessage(`Discovered new area! Level ${this.currentLevel}`, 'system');
+        } else {
+            this.dungeonGraph.enterArea(area, this.scheduler, this.effectSystem);
+            this.world = area.world;
+            this.world.setCurrentTime(this.scheduler.getCurrentTime());
+            this.unscheduleRemovedEntities();
+            this.currentLevel = area.depth;
+            this.mapGenerator.rooms = area.rooms;
+            this.addCombatMessage(`Back in a visited area. Level ${this.currentLevel}`, 'system');
+        }
+        
+        this.world.addEntity(player);
+
+        // Leaving the old area cancelled the player's pending action along with its monsters
+        if (!this.scheduler.isScheduled(player)) {
+            this.scheduler.scheduleAt(player, player.getNextActionTime());
+        }
+        
+        // Arrive at the hallway on the opposite edge - the one leading back where the player came from
+        const entranceDirection = this.mapGenerator.hallwayDirections[direction].opposite;
+        const startRoom = area.rooms[0];
+        const arrival = this.mapGenerator.getEntrancePosition(this.world.map, entranceDirection) || {
+            x: Math.floor(startRoom.x + startRoom.width / 2),
+            y: Math.floor(startRoom.y + startRoom.height / 2)
+        };
+        
+        player.setPosition(arrival.x, arrival.y);
+        
+        // Heal player slightly on discovering an area (not on every trip back and forth)
+        const health = player.getComponent('health');
+        if (health && firstVisit) {
+            health.current = Math.min(health.max, health.current + 20);
+            this.addMessage(`Healed for 20 HP!`, '#00ff00', 'system');
+        }
+        
+        this.eventBus.emit('areaEntered', { direction, level: this.currentLevel, firstVisit });
+        
+        // Autosave at every area change
+        this.saveGame('auto');
+    }
+
+    /**
+     * Player attacks a monster
+     * @param {Entity} monster - Monster to attack
+     * @returns {boolean} True if the attack hit
+     */
+    playerAttackMonster(monster) {
+        // Use the combat system's attackTarget method which includes swing animations
+        // The combat system will handle the messaging, so we don't need to add messages here
+        return this.combatSystem.attackTarget(this.player, monster, this.world);
+    }
+
+    /**
+     * Player attacks adjacent monster
+     * @returns {boolean} True if the player swung
+     */
+    playerAttackAdjacent() {
+        if (!this.player) {
+            this.addCombatMessage('No player!', 'combat');
+            return false;
+        }
+        
+        // Interrupt resting when player attacks
+        this.interruptResting();
+        
+        // Check weapon recovery for manual attacks too (scheduler time, so pausing freezes it)
+        const remaining = this.combatSystem.getAttackCooldownRemaining(this.player, this.world);
+        if (remaining > 0) {
+            const remainingTime = Math.ceil(remaining / 1000);
+            this.addCombatMessage(`Weapon not ready! ${remainingTime}s remaining.`, 'combat');
+            return false;
+        }
+        
+        // Find adjacent monsters
+        const directions = [
+            { x: -1, y: -1 }, { x: 0, y: -1 }, { x: 1, y: -1 },
+            { x: -1, y: 0 },                   { x: 1, y: 0 },
+            { x: -1, y: 1 },  { x: 0, y: 1 },  { x: 1, y: 1 }
+        ];
+        
+        for (const dir of directions) {
+            const targetX = this.player.x + dir.x;
+            const targetY = this.player.y + dir.y;
+            if (!this.fovSystem.isVisible(this.world.map, targetX, targetY)) continue;
+            
+            const monsters = this.world.getEntitiesAt(targetX, targetY);
+            const monster = monsters.find(entity => entity.type === 'monster' && entity.active);
+            
+            if (monster) {
+                this.playerAttackMonster(monster);
+                return true;
+            }
+        }
+        
+        this.addCombatMessage('No monster to attack!', 'combat');
+        return false;
+    }
+
+    /**
+     * Shoot the equipped bow or crossbow at a tile. The arrow or bolt flies on the scheduler and hits
+     * the first creature in its way.
+     * @param {number} x - X coordinate aimed at
+     * @param {number} y - Y coordinate aimed at
+     * @returns {boolean} True if the player shot
+     */
+    playerFireAt(x, y) {
+        if (!this.player) return false;
+
+        const problem = this.combatSystem.getShotProblem(this.player);
+        if (problem) {
+            this.addCombatMessage(problem, 'combat');
+            return false;
+        }
+        if (x === this.player.x && y === this.player.y) {
+            this.addCombatMessage('You can\'t shoot yourself!', 'combat');
+            return false;
+        }
+
+        this.interruptResting();
+
+        const shot = this.combatSystem.prepareShot(this.player, this.world);
+        const ammo = this.inventorySystem.takeFromStack(this.player, 'ammo');
+        const projectileType = ammo.projectile || 'arrow';
+        this.addCombatMessage(`You shoot ${projectileType === 'arrow' ? 'an' : 'a'} ${projectileType}.`, 'combat', '#cccccc');
+
+        const projectile = this.projectileSystem.launch(this.player, projectileType, x, y, this.world, { ...shot, ammo });
+        this.scheduler.schedule(projectile, 0);
+        return true;
+    }
+
+    /**
+     * Get the monsters the player could shoot at: visible and within the launcher's range
+     * @returns {Array} Monsters, nearest first
+     */
+    getRangedTargets() {
+        if (!this.player) return [];
+
+        const shot = this.combatSystem.equipmentSystem.calculateRangedDamage(this.player);
+        const range = shot ? shot.range : 1.5;
+        return this.world.getEntitiesByType('monster')
+            .filter(monster => monster.active && this.fovSystem.isVisible(this.world.map, monster.x, monster.y) &&
+                this.player.distanceTo(monster) <= range)
+            .sort((a, b) => this.player.distanceTo(a) - this.player.distanceTo(b));
+    }
+
+    /**
+     * Pick up any arrows or bolts lying where the player stands
+     */
+    pickUpAmmo() {
+        for (const entity of this.world.getEntitiesAt(this.player.x, this.player.y)) {
+            const item = entity.getComponent('item');
+            if (entity.type !== 'item' || !entity.active || !item || !item.quantity) continue;
+            if (this.inventorySystem.getSlotForItem(item) !== 'ammo') continue;
+
+            if (this.inventorySystem.addStack(this.player, { ...item })) {
+                this.world.removeEntity(entity.id);
+                this.addXpLootMessage(`+${item.quantity} ${item.name.toLowerCase()}`, '#D2B48C');
+            }
+        }
+    }
+
+    /**
+     * Start casting a spell from the player's spellbook. Casting takes the spell's casting time on
+     * the scheduler; the spell is released on the player's next turn unless getting hurt breaks it.
+     * @param {string} spellName - Name of the spell
+     * @param {number} x - Target X coordinate (ignored by spells cast on yourself)
+     * @param {number} y - Target Y coordinate (ignored by spells cast on yourself)
+     * @returns {number} Casting time - a spell that can't be cast costs nothing
+     */
+    playerStartCasting(spellName, x, y) {
+        if (!this.player) return 0;
+
+        const spell = this.spells.getSpell(spellName);
+        const target = spell && spell.target === 'self' ? this.player : { x, y };
+        const problem = this.getCastProblem(spellName, target.x, target.y);
+        if (problem) {
+            this.addCombatMessage(problem, 'combat');
+            return 0;
+        }
+
+        this.interruptResting();
+        this.player.addComponent('casting', { spell: spellName, x: target.x, y: target.y });
+        this.addCombatMessage(`You begin casting ${spell.name}...`, 'spell', '#DDA0DD');
+        return this.speedSystem.getCastDelay(this.player, spell);
+    }
+
+    /**
+     * Release the spell the player has finished casting
+     * @returns {number} Time the release costs - a normal action, so a spell projectile is already
+     *     on its way when the player next gets to act
+     */
+    finishCasting() {
+        const casting = this.player.getComponent('casting');
+        this.player.removeComponent('casting');
+
+        // The target may have moved or died while the spell was being cast
+        const problem = this.getCastProblem(casting.spell, casting.x, casting.y);
+        if (problem) {
+            this.addCombatMessage(`Your spell fizzles. ${problem}`, 'combat', '#cccccc');
+            return 0;
+        }
+
+        const result = this.spells.castSpell(this.player, casting.spell, casting.x, casting.y, this.world);
+        if (!result) return 0;
+
+        this.addCombatMessage(`You cast ${result.spell.name}!`, 'spell', result.spell.color);
+        if (result.projectile) {
+            this.scheduler.schedule(result.projectile, 0);
+        }
+        return this.speedSystem.getActionDelay(this.player);
+    }
+
+    /**
+     * Check if the player is in the middle of casting a spell
+     * @returns {boolean} True while a spell is being cast
+     */
+    isPlayerCasting() {
+        return !!this.player && this.player.hasComponent('casting');
+    }
+
+    /**
+     * Break off the spell being cast, if any. No mana is spent.
+     */
+    interruptCasting() {
+        if (!this.isPlayerCasting()) return;
+
+        const spell = this.spells.getSpell(this.player.getComponent('casting').spell);
+        this.player.removeComponent('casting');
+        this.addCombatMessage(`Your ${spell.name} is interrupted!`, 'combat', '#FFA500');
+    }
+
+    /**
+     * Find out why the player can't cast a spell at a tile: the spell's own rules, plus the target
+     * must be in sight
+     * @param {string} spellName - Name of the spell
+     * @param {number} x - Target X coordinate
+     * @param {number} y - Target Y coordinate
+     * @returns {string|null} Reason to show, or null if the spell can be cast
+     */
+    getCastProblem(spellName, x, y) {
+        const problem = this.spells.getCastProblem(this.player, spellName, x, y, this.world);
+        if (problem) return problem;
+
+        const spell = this.spells.getSpell(spellName);
+        if (spell.target !== 'self' && !this.fovSystem.isVisible(this.world.map, x, y)) {
+            return 'You can\'t see there.';
+        }
+        return null;
+    }
+
+    /**
+     * Get the monsters the player could cast a spell at: visible and within the spell's range
+     * @param {string} spellName - Name of the spell
+     * @returns {Array} Monsters, nearest first
+     */
+    getSpellTargets(spellName) {
+        const spell = this.spells.getSpell(spellName);
+        if (!this.player || !spell) return [];
+
+        return this.world.getEntitiesByType('monster')
+            .filter(monster => monster.active && this.fovSystem.isVisible(this.world.map, monster.x, monster.y) &&
+                this.player.distanceTo(monster) <= spell.range)
+            .sort((a, b) => this.player.distanceTo(a) - this.player.distanceTo(b));
+    }
+
+    /**
+     * Find the monster auto-combat should attack
+     * @param {Entity} player - Player entity
+     * @returns {Monster|null} Closest adjacent monster, or null if none is in reach
+     */
+    findAutoCombatTarget(player) {
+        if (!player) return null;
+
+        let closestMonster = null;
+        let closestDistance = Infinity;
+
+        for (const monster of this.world.getEntitiesByType('monster')) {
+            if (!monster.active || !this.fovSystem.isVisible(this.world.map, monster.x, monster.y)) continue;
+            
+            const distance = player.distanceTo(monster);
+            if (distance <= 1.5) { // Adjacent or diagonal (same as monster combat)
+                if (distance < closestDistance) {
+                    closestDistance = distance;
+                    closestMonster = monster;
+                }
+            }
+        }
+
+        return closestMonster;
+    }
+
+    /**
+     * Loot nearby corpse (from current position or adjacent)
+     * @returns {boolean} True if successfully looted a corpse
+     */
+    lootCorpse() {
+        if (!this.player) return false;
+        
+        // Check for corpses at player's position first
+        let entitiesAtPosition = this.world.getEntitiesAt(this.player.x, this.player.y);
+        let corpse = entitiesAtPosition.find(entity => entity.type === 'corpse' && entity.active);
+        
+        // If no corpse at current position, check adjacent positions
+        if (!corpse) {
+            const directions = [
+                { x: -1, y: -1 }, { x: 0, y: -1 }, { x: 1, y: -1 },
+                { x: -1, y: 0 },                   { x: 1, y: 0 },
+                { x: -1, y: 1 },  { x: 0, y: 1 },  { x: 1, y: 1 }
+            ];
+            
+            for (const dir of directions) {
+                const checkX = this.player.x + dir.x;
+                const checkY = this.player.y + dir.y;
+                entitiesAtPosition = this.world.getEntitiesAt(checkX, checkY);
+                corpse = entitiesAtPosition.find(entity => entity.type === 'corpse' && entity.active);
+                if (corpse) break;
+            }
+        }
+        
+        if (corpse) {
+            // Try to loot the corpse
+            const looted = this.combatSystem.lootCorpse(corpse, this.player, this.world);
+            if (!looted) {
+                this.addMoveMessage('Nothing to loot here', 'movement');
+            }
+            return looted;
+        } else {
+            return false; // No corpse found
+        }
+    }
+
+    /**
+     * Inspect adjacent monster
+     */
+    inspectAdjacentMonster() {
+        if (!this.player) return;
+        
+        // Find adjacent monsters
+        const directions = [
+            { x: -1, y: -1 }, { x: 0, y: -1 }, { x: 1, y: -1 },
+            { x: -1, y: 0 },                   { x: 1, y: 0 },
+            { x: -1, y: 1 },  { x: 0, y: 1 },  { x: 1, y: 1 }
+        ];
+        
+        for (const dir of directions) {
+            const targetX = this.player.x + dir.x;
+            const targetY = this.player.y + dir.y;
+            const monsters = this.world.getEntitiesAt(targetX, targetY);
+            const monster = monsters.find(entity => entity.type === 'monster' && entity.active);
+            
+            if (monster) {
+                this.inspectMonster(monster);
+                return;
+            }
+        }
+        
+        this.addCombatMessage('No monster to inspect!', 'combat');
+    }
+
+    /**
+     * Inspect a specific monster
+     * @param {Entity} monster - Monster to inspect
+     */
+    inspectMonster(monster) {
+        this.addCombatMessage(this.describeMonster(monster).join(' - '), 'combat');
+    }
+
+    /**
+     * Describe a monster for look mode and inspection
+     * @param {Entity} monster - Monster to describe
+     * @returns {Array} Lines: name and level, HP, what it is doing, equipment, then effects
+     */
+    describeMonster(monster) {
+        const health = monster.getComponent('health');
+        const notice = monster.getComponent('notice');
+        const ai = monster.getComponent('ai') || {};
+        const equipment = monster.getComponent('equipment');
+        
+        const monsterType = EntityUtils.getMonsterType(monster);
+        const lines = [`${monsterType.charAt(0).toUpperCase()}${monsterType.slice(1)} - Level ${EntityUtils.getEntityLevel(monster)}`];
+        
+        if (health) {
+            lines.push(`HP: ${health.current}/${health.max}`);
+        }
+        
+        if (ai.asleep) {
+            lines.push('Asleep');
+        } else if (ai.fleeing) {
+            lines.push('Fleeing!');
+        } else if (notice && notice.hasNoticed) {
+            lines.push('HOSTILE!');
+        } else if (notice && notice.noticeTimer > 0) {
+            lines.push('Suspicious...');
+        } else {
+            lines.push('Unaware');
+        }
+        
+        if (equipment) {
+            const weapon = equipment.primary || equipment.weapon || equipment.range;
+            const armor = equipment.chest || equipment.armor;
+            if (weapon) lines.push(`Wielding ${weapon.name}`);
+            if (armor) lines.push(`Wearing ${armor.name}`);
+        }
+        
+        const effects = this.effectSystem.getActiveEffects(monster);
+        if (effects.length > 0) {
+            lines.push(`Effects: ${effects.map(effect => this.effectSystem.getEffectLabel(effect)).join(', ')}`);
+        }
+        
+        return lines;
+    }
+
+    /**
+     * Describe a map tile for look mode: the terrain, and while it is in sight whatever lies or
+     * stands there. Tiles seen before but out of sight only show what they are made of.
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Array} Lines of description (empty outside the map)
+     */
+    describeTile(x, y) {
+        const tile = this.world.map[y] && this.world.map[y][x];
+        if (!tile) return [];
+        
+        const visible = this.fovSystem.isVisible(this.world.map, x, y);
+        if (!visible && !this.fovSystem.isExplored(this.world.map, x, y)) {
+            return ['Unexplored'];
+        }
+        
+        const lines = [visible ? this.describeTerrain(tile) : `${this.describeTerrain(tile)} (remembered)`];
+        if (!visible) return lines;
+        
+        for (const entity of this.world.getEntitiesAt(x, y)) {
+            if (!entity.active) continue;
+            
+            if (entity === this.player) {
+                lines.push('You');
+            } else if (entity.type === 'monster') {
+                lines.push(...this.describeMonster(entity));
+            } else if (entity.type === 'chest') {
+                lines.push(entity.getComponent('chest').looted ? 'An empty chest' : 'A chest');
+            } else if (entity.type === 'corpse') {
+                const corpse = entity.getComponent('corpse');
+                const article = /^[aeiou]/.test(corpse.monsterType) ? 'An' : 'A';
+                lines.push(`${article} ${corpse.monsterType} corpse${corpse.looted ? ' (looted)' : ''}`);
+            } else if (entity.type === 'item') {
+                const item = entity.getComponent('item');
+                lines.push(item.quantity ? `${item.quantity} ${item.name.toLowerCase()}` : item.name || 'An item');
+            }
+        }
+        
+        return lines;
+    }
+
+    /**
+     * Name the terrain of a tile
+     * @param {Object} tile - Map tile
+     * @returns {string} Terrain name
+     */
+    describeTerrain(tile) {
+        switch (tile.type) {
+            case 'wall':
+                return 'Wall';
+            case 'door':
+                return tile.open ? 'Open door' : 'Closed door';
+            case 'hallway_exit':
+                return `Hallway exit (${tile.direction})`;
+            default:
+                return tile.hallway ? 'Hallway' : 'Floor';
+        }
+    }
+
+    /**
+     * Toggle combat queue on/off
+     */
+    toggleCombatQueue() {
+        this.combatQueueEnabled = !this.combatQueueEnabled;
+        // Combat queue status now shows in Actions GUI, no need for combat log messages
+    }
+
+    /**
+     * Start or stop sneaking - slower steps that make less noise
+     */
+    toggleSneak() {
+        if (!this.player) return;
+
+        const sneaking = this.noiseSystem.toggleSneak(this.player);
+        this.addMoveMessage(sneaking ? 'You start sneaking' : 'You stop sneaking', 'movement');
+    }
+
+    /**
+     * Start resting, or stop if already resting
+     * @param {number|null} turns - Rest this many turns, or null to rest until healed
+     */
+    restPlayer(turns = null) {
+        if (!this.player) return;
+        
+        // Check if already resting - if so, stop resting
+        if (this.isPlayerResting()) {
+            this.stopResting();
+            return;
+        }
+        
+        const health = this.player.getComponent('health');
+        if (!health) return;
+        
+        // Check if already at full health and mana (resting a set number of turns is still allowed)
+        if (turns === null && this.isPlayerRested()) {
+            this.addCombatMessage('You are already at full health', 'notice', '#00FF00'); // Neon green
+            return;
+        }
+        
+        const enemy = this.findVisibleEnemy();
+        if (enemy) {
+            this.addCombatMessage(`You cannot rest with ${EntityUtils.getEntityName(enemy)} in sight`, 'notice', '#00FF00');
+            return;
+        }
+        
+        // Resting is a player activity on scheduler time, so it pauses, saves and replays with the run
+        this.player.addComponent('rest', {
+            turnsLeft: turns, // null = until health and mana are full
+            healTimer: 0 // Game time rested since the last heal
+        });
+        this.player.restAnimationStart = Date.now(); // Wall clock - only drives the pulsing glyph
+        
+        this.addCombatMessage(turns === null ? 'You begin to rest...' : `You rest for ${turns} turns...`, 'notice', '#00FF00'); // Neon green
+        
+        // Play rest sound effect
+        if (this.audioSystem) {
+            this.audioSystem.playRestSound();
+        }
+    }
+
+    /**
+     * Check if the player is resting
+     * @returns {boolean} True while the player has a rest in progress
+     */
+    isPlayerResting() {
+        return !!this.player && this.player.hasComponent('rest');
+    }
+
+    /**
+     * Check if resting has nothing left to restore
+     * @returns {boolean} True when the player's health and mana are both full
+     */
+    isPlayerRested() {
+        const health = this.player.getComponent('health');
+        const mana = this.player.getComponent('mana');
+        return health.current >= health.max && (!mana || mana.current >= mana.max);
+    }
+
+    /**
+     * Take one resting turn: heal on game time and stop when healed, done or disturbed
+     * @returns {number|null} Time the turn costs, or null if the rest ended before it started
+     */
+    performRestTurn() {
+        const rest = this.player.getComponent('rest');
+        const health = this.player.getComponent('health');
+        
+        const enemy = this.findVisibleEnemy();
+        if (enemy) {
+            this.interruptResting(`You see ${EntityUtils.getEntityName(enemy)}!`);
+            return null;
+        }
+        
+        const delay = this.speedSystem.getActionDelay(this.player);
+        
+        // Heal 2% of max health for every interval of game time spent resting
+        rest.healTimer += delay;
+        while (rest.healTimer >= this.restHealInterval && health.current < health.max) {
+            rest.healTimer -= this.restHealInterval;
+            const healAmount = Math.max(1, Math.floor(health.max * 0.02));
+            health.current = Math.min(health.max, health.current + healAmount);
+            this.addCombatMessage(`You rest and recover ${healAmount} HP`, 'heal', '#98FB98'); // Pastel green
+        }
+        
+        if (rest.turnsLeft !== null) {
+            rest.turnsLeft--;
+        }
+        
+        if (rest.turnsLeft === null ? this.isPlayerRested() : rest.turnsLeft <= 0) {
+            this.stopResting();
+        }
+        
+        return delay;
+    }
+
+    /**
+     * Find a monster the player can see (resting is not possible with one in sight)
+     * @returns {Monster|null} First visible monster, or null if none
+     */
+    findVisibleEnemy() {
+        for (const monster of this.world.getEntitiesByType('monster')) {
+            const visibility = monster.getComponent('visibility');
+            if (monster.active && visibility && visibility.isVisible) {
+                return monster;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Stop resting
+     * @param {string} message - Message to log
+     * @param {string} type - Message type
+     */
+    stopResting(message = 'You finish resting', type = 'notice') {
+        if (!this.isPlayerResting()) return;
+        
+        this.player.removeComponent('rest');
+        this.player.restAnimationStart = null;
+        
+        // Stop rest sound
+        if (this.audioSystem) {
+            this.audioSystem.stopRestSound();
+        }
+        
+        this.addCombatMessage(message, type, '#00FF00'); // Neon green
+    }
+
+    /**
+     * Interrupt resting (called when player acts, is attacked, is noticed or sees an enemy)
+     * @param {string} reason - Optional reason appended to the message
+     */
+    interruptResting(reason = '') {
+        this.stopResting(reason ? `Your rest is interrupted! ${reason}` : 'Your rest is interrupted!');
+    }
+
+    /**
+     * Start traveling, or stop if already traveling the same way
+     * @param {string} mode - 'path' to walk to a tile, 'explore' for the nearest unexplored area, 'exit' for the nearest hallway exit
+     * @param {number|null} x - Destination X coordinate (path mode)
+     * @param {number|null} y - Destination Y coordinate (path mode)
+     */
+    startTravel(mode, x = null, y = null) {
+        if (!this.player) return;
+        
+        // Pressing explore or travel-to-exit again stops it; a new click picks a new destination
+        if (this.isPlayerTraveling()) {
+            if (mode !== 'path' && this.player.getComponent('travel').mode === mode) {
+                this.stopTravel('You stop traveling');
+                return;
+            }
+            this.stopTravel();
+        }
+        
+        if (mode === 'path' && !this.fovSystem.isExplored(this.world.map, x, y)) {
+            this.addCombatMessage('You don\'t know the way there', 'notice', '#00FF00');
+            return;
+        }
+        
+        const enemy = this.findVisibleEnemy();
+        if (enemy) {
+            this.addCombatMessage(`You cannot travel with ${EntityUtils.getEntityName(enemy)} in sight`, 'notice', '#00FF00');
+            return;
+        }
+        
+        // Check there is somewhere to go before committing to it
+        const route = this.findTravelStep({ mode, x, y });
+        if (!route.step) {
+            if (route.message) this.addCombatMessage(route.message, 'notice', '#00FF00');
+            return;
+        }
+        
+        // Like resting, travel is a player activity on scheduler time, so it saves and replays with the run
+        this.player.addComponent('travel', { mode, x, y });
+        
+        if (mode === 'explore') {
+            this.addCombatMessage('You explore...', 'notice', '#00FF00');
+        } else if (mode === 'exit') {
+            this.addCombatMessage('You head for the nearest hallway exit...', 'notice', '#00FF00');
+        }
+    }
+
+    /**
+     * Check if the player is traveling
+     * @returns {boolean} True while the player has travel in progress
+     */
+    isPlayerTraveling() {
+        return !!this.player && this.player.hasComponent('travel');
+    }
+
+    /**
+     * Take one step of travel, working the route out again from the current map
+     * @returns {number} Time the step costs - stopping costs nothing, so the player picks the next action at once
+     */
+    performTravelStep() {
+        const enemy = this.findVisibleEnemy();
+        if (enemy) {
+            this.interruptTravel(`You see ${EntityUtils.getEntityName(enemy)}!`);
+            return 0;
+        }
+        
+        const travel = this.player.getComponent('travel');
+        const route = this.findTravelStep(travel);
+        if (!route.step) {
+            this.stopTravel(route.message);
+            return 0;
+        }
+        
+        const world = this.world;
+        const direction = Object.keys(this.movementSystem.directions).find(name => {
+            const step = this.movementSystem.directions[name];
+            return this.player.x + step.x === route.step.x && this.player.y + step.y === route.step.y;
+        });
+        
+        if (!this.movePlayer(direction)) {
+            this.stopTravel('Something is in your way');
+            return 0;
+        }
+        
+        // Arrived, or left through a hallway (the route belonged to the old area)
+        if (this.world !== world || (travel.mode === 'path' && this.player.x === travel.x && this.player.y === travel.y)) {
+            this.stopTravel();
+        }
+        
+        return this.speedSystem.getMoveDelay(this.player);
+    }
+
+    /**
+     * Work out the next step of a journey over explored tiles
+     * @param {Object} travel - Travel state { mode, x, y }
+     * @returns {Object} { step, message } - the tile to step onto, or null with why travel has to stop
+     */
+    findTravelStep(travel) {
+        const player = this.player;
+        const world = this.world;
+        const options = { knownOnly: true, avoidExits: true };
+        
+        if (travel.mode === 'path') {
+            if (player.x === travel.x && player.y === travel.y) return { step: null, message: null };
+            
+            // Only step onto a hallway exit when it is the destination
+            options.avoidExits = world.map[travel.y][travel.x].type !== 'hallway_exit';
+            const path = this.pathfinder.findPath(world, player.x, player.y, travel.x, travel.y, { entity: player, ...options });
+            return path && path.length > 0 ?
+                { step: path[0], message: null } :
+                { step: null, message: 'You can\'t find a way there' };
+        }
+        
+        const exploring = travel.mode === 'explore';
+        const goals = exploring ? this.findExploreFrontier() : this.findKnownExits();
+        if (goals.length === 0) {
+            return { step: null, message: exploring ? 'Nothing left to explore here' : 'You don\'t know of any hallway exits here' };
+        }
+        
+        options.avoidExits = exploring;
+        const field = this.pathfinder.createDijkstraMap(world, goals, { entity: player, ...options });
+        if (field[player.y * world.width + player.x] === Infinity) {
+            return { step: null, message: exploring ? 'Nothing left to explore that you can reach' : 'You can\'t find a way to a hallway exit' };
+        }
+        
+        const canEnter = (x, y) => this.movementSystem.canMoveTo(player, x, y, world);
+        const step = this.pathfinder.getDownhillStep(world, field, player.x, player.y, canEnter);
+        return { step, message: step ? null : 'Something is in your way' };
+    }
+
+    /**
+     * Find the edge of the explored map: explored open tiles next to ones never seen
+     * @returns {Array} Frontier tiles as { x, y }
+     */
+    findExploreFrontier() {
+        const map = this.world.map;
+        const frontier = [];
+        
+        for (let y = 0; y < this.world.height; y++) {
+            for (let x = 0; x < this.world.width; x++) {
+                const tile = map[y][x];
+                if (!tile.explored || tile.type === 'hallway_exit' || !this.world.isPassable(x, y)) continue;
+                
+                const bordersUnknown = this.pathfinder.steps.some(step => {
+                    const neighbor = map[y + step.y] && map[y + step.y][x + step.x];
+                    return neighbor && !neighbor.explored;
+                });
+                if (bordersUnknown) {
+                    frontier.push({ x, y });
+                }
+            }
+        }
+        
+        return frontier;
+    }
+
+    /**
+     * Find the hallway exits the player has seen in the current area
+     * @returns {Array} Exit tiles as { x, y }
+     */
+    findKnownExits() {
+        const exits = [];
+        
+        this.world.map.forEach((row, y) => row.forEach((tile, x) => {
+            if (tile.type === 'hallway_exit' && tile.explored) {
+                exits.push({ x, y });
+            }
+        }));
+        
+        return exits;
+    }
+
+    /**
+     * Stop traveling
+     * @param {string|null} message - Message to log, or null to stop quietly
+     */
+    stopTravel(message = null) {
+        if (!this.isPlayerTraveling()) return;
+        
+        this.player.removeComponent('travel');
+        
+        if (message) {
+            this.addCombatMessage(message, 'notice', '#00FF00');
+        }
+    }
+
+    /**
+     * Interrupt travel (called when the player is attacked, is noticed or sees an enemy)
+     * @param {string} reason - Optional reason appended to the message
+     */
+    interruptTravel(reason = '') {
+        if (!this.isPlayerTraveling()) return;
+        
+        this.stopTravel(reason ? `You stop traveling! ${reason}` : 'You stop traveling!');
+    }
+
+    /**
+     * Interact with nearby chest
+     * @returns {boolean} True if a chest was opened
+     */
+    interactWithChest() {
+        if (!this.player) return false;
+        
+        // Interrupt resting when interacting
+        this.interruptResting();
+        
+        // Check for chests at player's position first
+        let entitiesAtPosition = this.world.getEntitiesAt(this.player.x, this.player.y);
+        let chest = entitiesAtPosition.find(entity => entity.type === 'chest' && entity.active);
+        
+        // If no chest at current position, check adjacent positions
+        if (!chest) {
+            const directions = [
+                { x: -1, y: -1 }, { x: 0, y: -1 }, { x: 1, y: -1 },
+                { x: -1, y: 0 },                   { x: 1, y: 0 },
+                { x: -1, y: 1 },  { x: 0, y: 1 },  { x: 1, y: 1 }
+            ];
+            
+            for (const dir of directions) {
+                const checkX = this.player.x + dir.x;
+                const checkY = this.player.y + dir.y;
+                entitiesAtPosition = this.world.getEntitiesAt(checkX, checkY);
+                chest = entitiesAtPosition.find(entity => entity.type === 'chest' && entity.active);
+                if (chest) break;
+            }
+        }
+        
+        if (chest) {
+            return this.openChest(chest);
+        }
+        
+        this.addMoveMessage('No chest nearby', 'movement');
+        return false;
+    }
+
+    /**
+     * Open a chest and give loot to player
+     * @param {Entity} chest - Chest entity
+     * @returns {boolean} True if the chest was opened
+     */
+    openChest(chest) {
+        const chestComponent = chest.getComponent('chest');
+        if (!chestComponent) {
+            this.addMoveMessage('This chest is broken', 'movement');
+            return false;
+        }
+        
+        if (chestComponent.looted) {
+            this.addMoveMessage('This chest is already empty', 'movement');
+            return false;
+        }
+        
+        // Give gold to player
+        const playerGold = this.player.getComponent('gold');
+        if (playerGold && chestComponent.loot.gold > 0) {
+            playerGold.amount += chestComponent.loot.gold;
+            this.addMessage(`Found ${chestComponent.loot.gold} gold!`, '#FFD700', 'chest');
+        }
+        
+        // Take any items; ammo joins the stack already carried
+        const items = [];
+        for (const itemId of chestComponent.loot.items || []) {
+            const item = this.combatSystem.equipmentSystem.createItem(itemId);
+            if (!item) continue;
+
+            const added = item.quantity
+                ? this.inventorySystem.addStack(this.player, item)
+                : this.inventorySystem.addItem(this.player, item);
+            if (added) {
+                items.push(item);
+                this.addMessage(`Found ${item.quantity ? `${item.quantity} ` : ''}${item.name}!`, '#D2B48C', 'chest');
+            } else {
+                this.addMessage(`No room for the ${item.name}`, '#ff6b6b', 'chest');
+            }
+        }
+        
+        // Mark chest as looted and update appearance
+        chestComponent.looted = true;
+        const appearance = chest.getComponent('appearance');
+        if (appearance) {
+            appearance.char = '[ ]'; // Empty brackets where v was
+            appearance.color = '#B8860B'; // Dark gold color
+        }
+        
+        this.addMessage('Chest opened!', '#FFD700', 'chest');
+        
+        this.eventBus.emit('itemLooted', {
+            looter: this.player,
+            source: chest,
+            gold: playerGold ? chestComponent.loot.gold : 0,
+            items
+        });
+        
+        return true;
+    }
+
+    /**
+     * Save the run to a storage slot
+     * @param {string} slot - Slot name ('auto', '1', '2', '3')
+     * @returns {boolean} True if saved
+     */
+    saveGame(slot = 'auto') {
+        return this.saveSystem.save(this, slot);
+    }
+
+    /**
+     * Load a run from a storage slot, replacing the current one
+     * @param {string} slot - Slot name ('auto', '1', '2', '3')
+     * @returns {boolean} True if loaded
+     */
+    loadGame(slot = 'auto') {
+        if (this.isPlayerResting()) {
+            this.interruptResting();
+        }
+        
+        if (!this.saveSystem.load(this, slot)) return false;
+        
+        // A rest saved in progress carries on - bring back its sound and glyph
+        if (this.isPlayerResting()) {
+            this.player.restAnimationStart = Date.now();
+            if (this.audioSystem) {
+                this.audioSystem.playRestSound();
+            }
+        }
+        
+        // A loaded run replays from the loaded state rather than from its seed
+        this.turnCount = 0;
+        this.startRecording(this.saveSystem.createSnapshot(this));
+        return true;
+    }
+
+    /**
+     * Get game state
+     * @returns {Object} Game state
+     */
+    getGameState() {
+        return {
+            isRunning: this.isRunning,
+            gameOver: this.gameOver,
+            seed: this.rng.getSeed(),
+            currentLevel: this.currentLevel,
+            statistics: this.statisticsSystem.getSummary(),
+            player: this.player ? this.player.toJSON() : null,
+            world: {
+                width: this.world.width,
+                height: this.world.height,
+                currentTime: this.world.getCurrentTime()
+            }
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameEngine;
+}
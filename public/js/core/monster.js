@@ -50,6 +50,30 @@ class Monster extends Entity {
         return notice ? notice.noticeTimer > 0 : false;
     }
 
+    /**
+     * Serialize monster to JSON
+     * @returns {Object} Serialized monster
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            monsterType: this.monsterType
+        };
+    }
+
+    /**
+     * Create monster from JSON
+     * @param {Object} data - Serialized monster data
+     * @returns {Monster} New monster instance
+     */
+    static fromJSON(data) {
+        const monster = new Monster(data.id, data.x, data.y, data.monsterType);
+        monster.nextAction = data.nextAction;
+        monster.active = data.active;
+        monster.components = new Map(Object.entries(data.components));
+        return monster;
+    }
+
     /**
      * Get monster display name
      * @returns {string} Display name
@@ -0,0 +1,135 @@
+/**
+ * Seeded Random Number Generator for reproducible runs
+ * Uses the mulberry32 algorithm so the same seed always yields the same dungeon, spawns and rolls
+ */
+class RNG {
+    constructor(seed = null) {
+        this.seed = 0;
+        this.state = 0;
+        this.setSeed(seed === null ? RNG.generateSeed() : seed);
+    }
+
+    /**
+     * Reset the generator to a new seed
+     * @param {number|string} seed - Numeric seed or any string (hashed to a number)
+     */
+    setSeed(seed) {
+        this.seed = RNG.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the seed this generator was started with
+     * @returns {number} Run seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get the internal state (for saving a run mid-way)
+     * @returns {number} Current generator state
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restore the internal state
+     * @param {number} state - Generator state from getState()
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Get the next random float
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random integer between min and max (exclusive)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value (exclusive)
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min)) + min;
+    }
+
+    /**
+     * Roll against a probability
+     * @param {number} probability - Chance of success between 0 and 1
+     * @returns {boolean} True if the roll succeeded
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} Random element or undefined if empty
+     */
+    pick(array) {
+        if (!array || array.length === 0) return undefined;
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} The same array, shuffled
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Generate a fresh seed for a new run
+     * @returns {number} Random 32-bit seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Convert a seed value to an unsigned 32-bit integer
+     * Numeric strings are used as-is, other strings are hashed (FNV-1a)
+     * @param {number|string} seed - Seed value
+     * @returns {number} Normalized seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RNG;
+}
@@ -1,27 +1,96 @@
 /**
  * Scheduler class managing turn-based game flow using priority queue
+ * Each entity has at most one pending action; scheduling it again moves that action.
  */
 class Scheduler {
     constructor() {
         this.queue = new PriorityQueue();
+        this.handles = new Map(); // Entity ID -> queue handle of its pending action
+        this.speedSystem = null; // Will be injected for effective action delays
         this.currentTime = 0;
         this.isRunning = false;
         this.gameOver = false;
     }
 
+    /**
+     * Set speed system
+     * @param {SpeedSystem} speedSystem - Speed system instance
+     */
+    setSpeedSystem(speedSystem) {
+        this.speedSystem = speedSystem;
+    }
+
+    /**
+     * Get an entity's normal action delay, through the speed pipeline when one is injected
+     * @param {Entity} entity - Entity acting
+     * @returns {number} Delay in milliseconds
+     */
+    getActionDelay(entity) {
+        return this.speedSystem ? this.speedSystem.getActionDelay(entity) : entity.getActionDelay();
+    }
+
     /**
      * Schedule an entity's next action
      * @param {Entity} entity - Entity to schedule
-     * @param {number} delay - Delay in milliseconds (optional, uses entity's default if not provided)
+     * @param {number} delay - Delay in milliseconds (optional, uses entity's effective speed if not provided)
      */
     schedule(entity, delay = null) {
         if (!entity || !entity.active) return;
 
-        const actionDelay = delay !== null ? delay : entity.getActionDelay();
-        const nextActionTime = this.currentTime + actionDelay;
-        
-        entity.setNextActionTime(nextActionTime);
-        this.queue.push(entity, nextActionTime);
+        const actionDelay = delay !== null ? delay : this.getActionDelay(entity);
+        this.scheduleAt(entity, this.currentTime + actionDelay);
+    }
+
+    /**
+     * Schedule an entity's next action at an absolute time, replacing any pending action
+     * @param {Entity} entity - Entity to schedule
+     * @param {number} time - Game time of the action
+     */
+    scheduleAt(entity, time) {
+        if (!entity || !entity.active) return;
+
+        entity.setNextActionTime(time);
+
+        const handle = this.handles.get(entity.id);
+        if (handle && handle.item === entity && this.queue.update(handle, time)) {
+            return;
+        }
+
+        // Not queued yet (or the ID now belongs to a different entity) - drop any stale entry first
+        this.removeEntity(entity.id);
+        this.handles.set(entity.id, this.queue.push(entity, time));
+    }
+
+    /**
+     * Move an already scheduled entity's pending action to a new time (stun, slow, haste)
+     * @param {Entity} entity - Scheduled entity
+     * @param {number} time - New game time of the action
+     * @returns {boolean} False if the entity has no pending action
+     */
+    reschedule(entity, time) {
+        if (!this.isScheduled(entity)) return false;
+
+        this.scheduleAt(entity, time);
+        return true;
+    }
+
+    /**
+     * Check if an entity has a pending action
+     * @param {Entity} entity - Entity to check
+     * @returns {boolean} True if scheduled
+     */
+    isScheduled(entity) {
+        const handle = entity ? this.handles.get(entity.id) : null;
+        return !!handle && handle.item === entity && this.queue.contains(handle);
+    }
+
+    /**
+     * Get the time of an entity's pending action
+     * @param {Entity} entity - Entity to check
+     * @returns {number|null} Scheduled time or null if not scheduled
+     */
+    getScheduledTime(entity) {
+        return this.isScheduled(entity) ? this.handles.get(entity.id).priority : null;
     }
 
     /**
@@ -29,17 +98,32 @@ class Scheduler {
      * @returns {Entity|null} Next entity to act or null if none
      */
     getNextEntity() {
-        if (this.queue.isEmpty()) return null;
+        const entity = this.peekNextEntity();
+        if (!entity) return null;
         
-        const entity = this.queue.pop();
-        if (!entity || !entity.active) {
-            return this.getNextEntity(); // Skip inactive entities
-        }
+        this.queue.pop();
+        this.handles.delete(entity.id);
         
         this.currentTime = entity.getNextActionTime();
         return entity;
     }
 
+    /**
+     * Look at the next entity that will act without taking its turn
+     * @returns {Entity|null} Next entity to act or null if none
+     */
+    peekNextEntity() {
+        while (!this.queue.isEmpty()) {
+            const entity = this.queue.peek();
+            if (entity && entity.active) return entity;
+            
+            // Deactivated without being removed - it must not take a turn
+            this.queue.pop();
+            if (entity) this.handles.delete(entity.id);
+        }
+        return null;
+    }
+
     /**
      * Process one turn of the game
      * @param {World} world - Game world
@@ -59,11 +143,11 @@ class Scheduler {
         // Update world time
         world.setCurrentTime(this.currentTime);
 
-        // Process entity action based on type
-        this.processEntityAction(entity, world, systems);
+        // Process entity action based on type (a swing returns its recovery time)
+        const delay = this.processEntityAction(entity, world, systems);
 
         // Schedule entity's next action
-        this.schedule(entity);
+        this.schedule(entity, delay);
 
         return true;
     }
@@ -73,35 +157,35 @@ class Scheduler {
      * @param {Entity} entity - Entity acting
      * @param {World} world - Game world
      * @param {Object} systems - Game systems
+     * @returns {number|null} Delay until the entity's next action, or null for its normal speed
      */
     processEntityAction(entity, world, systems) {
         switch (entity.type) {
             case 'player':
-                this.processPlayerAction(entity, world, systems);
-                break;
+                return this.processPlayerAction(entity, world, systems);
             case 'monster':
-                this.processMonsterAction(entity, world, systems);
-                break;
+                return this.processMonsterAction(entity, world, systems);
             case 'projectile':
                 this.processProjectileAction(entity, world, systems);
                 break;
             default:
                 console.warn(`Unknown entity type: ${entity.type}`);
         }
+        return null;
     }
 
     /**
-     * Process player action (handled by input system)
+     * Process player action (performs the next action from the player's action queue)
      * @param {Entity} entity - Player entity
      * @param {World} world - Game world
-     * @param {Object} systems - Game systems
+     * @param {Object} systems - Game systems - playerActions performs the queued action and returns its cost
+     * @returns {number|null} Time the action costs, or null for the player's normal speed
      */
     processPlayerAction(entity, world, systems) {
-        // Player actions are handled by input system
-        // This is just a placeholder for the turn structure
-        if (systems.movement) {
-            systems.movement.processEntity(entity, world);
+        if (systems.playerActions) {
+            return systems.playerActions(entity, world);
         }
+        return null;
     }
 
     /**
@@ -109,15 +193,17 @@ class Scheduler {
      * @param {Entity} entity - Monster entity
      * @param {World} world - Game world
      * @param {Object} systems - Game systems
+     * @returns {number|null} Attack recovery time if the monster swung, otherwise null
      */
     processMonsterAction(entity, world, systems) {
         if (systems.movement) {
             systems.movement.processEntity(entity, world);
         }
         
-        if (systems.combat) {
-            systems.combat.processEntity(entity, world);
+        if (systems.combat && systems.combat.processEntity(entity, world)) {
+            return systems.combat.getAttackCooldownRemaining(entity, world);
         }
+        return null;
     }
 
     /**
@@ -142,12 +228,16 @@ class Scheduler {
     }
 
     /**
-     * Remove an entity from the scheduler
+     * Remove an entity from the scheduler, cancelling its pending action
      * @param {string} entityId - ID of entity to remove
+     * @returns {boolean} True if the entity had a pending action
      */
     removeEntity(entityId) {
-        // Entities are removed when they become inactive
-        // The queue will skip inactive entities automatically
+        const handle = this.handles.get(entityId);
+        if (!handle) return false;
+        
+        this.handles.delete(entityId);
+        return this.queue.remove(handle);
     }
 
     /**
@@ -210,10 +300,47 @@ class Scheduler {
      */
     clear() {
         this.queue.clear();
+        this.handles.clear();
         this.currentTime = 0;
         this.gameOver = false;
     }
 
+    /**
+     * Serialize the queue and time for saving
+     * @returns {Object} Serialized scheduler state with entity IDs instead of references
+     */
+    toJSON() {
+        return {
+            currentTime: this.currentTime,
+            queue: this.queue.entries()
+                .filter(entry => entry.item && entry.item.active)
+                .map(entry => ({ id: entry.item.id, time: entry.priority }))
+        };
+    }
+
+    /**
+     * Restore the queue and time from saved data
+     * @param {Object} data - Data from toJSON()
+     * @param {World} world - World holding the restored entities
+     */
+    restoreFromJSON(data, world) {
+        this.queue.clear();
+        this.handles.clear();
+        this.currentTime = data.currentTime || 0;
+        this.gameOver = false;
+
+        for (const entry of data.queue || []) {
+            const entity = world.getEntity(entry.id);
+            if (!entity) continue; // Entity no longer exists
+
+            // Older saves could hold stale duplicates - the earliest entry is the live one
+            const scheduledTime = this.getScheduledTime(entity);
+            if (scheduledTime !== null && scheduledTime <= entry.time) continue;
+
+            this.scheduleAt(entity, entry.time);
+        }
+    }
+
     /**
      * Get the number of scheduled entities
      * @returns {number} Number of entities in queue
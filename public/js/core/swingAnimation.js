@@ -98,8 +98,7 @@ class SwingAnimation extends Entity {
         this.currentFrame++;
         
         // No movement - animation stays over target
-        this.x = this.endX;
-        this.y = this.endY;
+        this.setPosition(this.endX, this.endY);
         
         // Check if animation duration is complete
         const isComplete = this.currentFrame >= this.duration;
@@ -145,4 +144,47 @@ class SwingAnimation extends Entity {
         }
         return 'sword'; // Default weapon type
     }
+
+    /**
+     * Serialize swing animation to JSON (attacker and target are stored by ID)
+     * @returns {Object} Serialized swing animation
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            attackerId: this.attacker ? this.attacker.id : null,
+            targetId: this.target ? this.target.id : null,
+            targetType: this.target ? this.target.type : null,
+            weaponType: this.weaponType,
+            startX: this.startX,
+            startY: this.startY,
+            endX: this.endX,
+            endY: this.endY,
+            currentFrame: this.currentFrame
+        };
+    }
+
+    /**
+     * Create swing animation from JSON
+     * @param {Object} data - Serialized swing animation data
+     * @param {Function} resolveEntity - Looks up an entity by ID (attacker/target may be gone)
+     * @returns {SwingAnimation} New swing animation instance
+     */
+    static fromJSON(data, resolveEntity = () => null) {
+        // Fall back to position-only stand-ins when the attacker or target no longer exists
+        const attacker = resolveEntity(data.attackerId) || { id: data.attackerId, x: data.startX, y: data.startY };
+        const target = resolveEntity(data.targetId) ||
+            { id: data.targetId, type: data.targetType, x: data.endX, y: data.endY };
+
+        const animation = new SwingAnimation(data.id, attacker, target, data.weaponType);
+        animation.x = data.x;
+        animation.y = data.y;
+        animation.endX = data.endX;
+        animation.endY = data.endY;
+        animation.currentFrame = data.currentFrame;
+        animation.nextAction = data.nextAction;
+        animation.active = data.active;
+        animation.components = new Map(Object.entries(data.components));
+        return animation;
+    }
 }
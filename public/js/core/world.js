@@ -10,10 +10,26 @@ class World {
         this.player = null;
         this.currentTime = 0;
         
+        // Spatial index: cell key -> Set of entities on that tile, kept in sync by
+        // addEntity/removeEntity and Entity.setPosition (via entity.world)
+        this.cells = new Map();
+        // Type index: entity type -> Map of id -> entity, in insertion order like this.entities
+        this.typeIndex = new Map();
+        
+        this.entityRemovedCallback = null; // Will be injected so the scheduler drops removed entities
+        
         // Initialize empty map
         this.initializeMap();
     }
 
+    /**
+     * Set the function called with each entity that leaves the world
+     * @param {Function} callback - Function to call with (entity)
+     */
+    setEntityRemovedCallback(callback) {
+        this.entityRemovedCallback = callback;
+    }
+
     /**
      * Initialize empty map grid
      */
@@ -32,7 +48,15 @@ class World {
      * @param {Entity} entity - Entity to add
      */
     addEntity(entity) {
+        // Re-adding an entity (or a new one with the same ID) replaces its index entries
+        const existing = this.entities.get(entity.id);
+        if (existing) {
+            this.unindexEntity(existing);
+        }
+        
         this.entities.set(entity.id, entity);
+        this.indexEntity(entity);
+        entity.world = this;
         
         // Set as player if it's the player entity
         if (entity.type === 'player') {
@@ -50,16 +74,101 @@ class World {
         if (entity) {
             entity.deactivate();
             this.entities.delete(entityId);
+            this.unindexEntity(entity);
+            entity.world = null;
             
             // Clear player reference if removing player
             if (entity === this.player) {
                 this.player = null;
             }
+            
+            if (this.entityRemovedCallback) {
+                this.entityRemovedCallback(entity);
+            }
             return true;
         }
         return false;
     }
 
+    /**
+     * Get the spatial index key for a tile
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {number|string} Cell key
+     */
+    getCellKey(x, y) {
+        // Numeric keys for tiles on the map; anything off-map gets a string key so it can't alias a real tile
+        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
+            return y * this.width + x;
+        }
+        return `${x},${y}`;
+    }
+
+    /**
+     * Add an entity to the spatial and type indexes
+     * @param {Entity} entity - Entity to index
+     */
+    indexEntity(entity) {
+        const key = this.getCellKey(entity.x, entity.y);
+        if (!this.cells.has(key)) {
+            this.cells.set(key, new Set());
+        }
+        this.cells.get(key).add(entity);
+        
+        if (!this.typeIndex.has(entity.type)) {
+            this.typeIndex.set(entity.type, new Map());
+        }
+        this.typeIndex.get(entity.type).set(entity.id, entity);
+    }
+
+    /**
+     * Remove an entity from the spatial and type indexes
+     * @param {Entity} entity - Entity to unindex
+     */
+    unindexEntity(entity) {
+        this.removeFromCell(entity, entity.x, entity.y);
+        
+        const byType = this.typeIndex.get(entity.type);
+        if (byType && byType.get(entity.id) === entity) {
+            byType.delete(entity.id);
+        }
+    }
+
+    /**
+     * Remove an entity from one cell bucket
+     * @param {Entity} entity - Entity to remove
+     * @param {number} x - X coordinate of the cell
+     * @param {number} y - Y coordinate of the cell
+     */
+    removeFromCell(entity, x, y) {
+        const key = this.getCellKey(x, y);
+        const cell = this.cells.get(key);
+        if (!cell) return;
+        
+        cell.delete(entity);
+        if (cell.size === 0) {
+            this.cells.delete(key);
+        }
+    }
+
+    /**
+     * Move an entity between cell buckets (called by Entity.setPosition)
+     * @param {Entity} entity - Entity that moved
+     * @param {number} oldX - Previous X coordinate
+     * @param {number} oldY - Previous Y coordinate
+     */
+    updateEntityPosition(entity, oldX, oldY) {
+        if (this.entities.get(entity.id) !== entity) return;
+        
+        this.removeFromCell(entity, oldX, oldY);
+        
+        const key = this.getCellKey(entity.x, entity.y);
+        if (!this.cells.has(key)) {
+            this.cells.set(key, new Set());
+        }
+        this.cells.get(key).add(entity);
+    }
+
     /**
      * Get an entity by ID
      * @param {string} entityId - Entity ID
@@ -84,9 +193,12 @@ class World {
      * @returns {Array} Array of entities at position
      */
     getEntitiesAt(x, y) {
+        const cell = this.cells.get(this.getCellKey(x, y));
+        if (!cell) return [];
+        
         const entities = [];
-        for (const entity of this.entities.values()) {
-            if (entity.x === x && entity.y === y && entity.active) {
+        for (const entity of cell) {
+            if (entity.active) {
                 entities.push(entity);
             }
         }
@@ -99,9 +211,12 @@ class World {
      * @returns {Array} Array of entities of the specified type
      */
     getEntitiesByType(type) {
+        const byType = this.typeIndex.get(type);
+        if (!byType) return [];
+        
         const entities = [];
-        for (const entity of this.entities.values()) {
-            if (entity.type === type && entity.active) {
+        for (const entity of byType.values()) {
+            if (entity.active) {
                 entities.push(entity);
             }
         }
@@ -121,6 +236,24 @@ class World {
         return this.map[y][x].passable;
     }
 
+    /**
+     * Check if a single step between neighboring tiles is allowed. Diagonal steps may not cut
+     * corners: both tiles beside the diagonal must be passable too, for players and monsters alike.
+     * @param {number} fromX - X coordinate stepped from
+     * @param {number} fromY - Y coordinate stepped from
+     * @param {number} toX - X coordinate stepped onto
+     * @param {number} toY - Y coordinate stepped onto
+     * @returns {boolean} True if the step is allowed
+     */
+    canStep(fromX, fromY, toX, toY) {
+        if (!this.isPassable(toX, toY)) return false;
+
+        if (fromX !== toX && fromY !== toY) {
+            return this.isPassable(fromX, toY) && this.isPassable(toX, fromY);
+        }
+        return true;
+    }
+
     /**
      * Check if a position is occupied by an entity
      * @param {number} x - X coordinate
@@ -129,11 +262,15 @@ class World {
      * @returns {boolean} True if position is occupied
      */
     isOccupied(x, y, excludeId = null) {
-        const entities = this.getEntitiesAt(x, y);
-        if (excludeId) {
-            return entities.some(entity => entity.id !== excludeId);
+        const cell = this.cells.get(this.getCellKey(x, y));
+        if (!cell) return false;
+        
+        for (const entity of cell) {
+            if (entity.active && entity.id !== excludeId) {
+                return true;
+            }
         }
-        return entities.length > 0;
+        return false;
     }
 
     /**
@@ -199,47 +336,23 @@ class World {
         return activeEntities.sort((a, b) => a.nextAction - b.nextAction);
     }
 
-    /**
-     * Find path between two points using simple pathfinding
-     * @param {number} startX - Start X coordinate
-     * @param {number} startY - Start Y coordinate
-     * @param {number} endX - End X coordinate
-     * @param {number} endY - End Y coordinate
-     * @returns {Array} Array of path positions
-     */
-    findPath(startX, startY, endX, endY) {
-        // Simple pathfinding - just move towards target
-        const path = [];
-        let currentX = startX;
-        let currentY = startY;
-
-        while (currentX !== endX || currentY !== endY) {
-            const dx = endX - currentX;
-            const dy = endY - currentY;
-            
-            if (Math.abs(dx) > Math.abs(dy)) {
-                currentX += dx > 0 ? 1 : -1;
-            } else {
-                currentY += dy > 0 ? 1 : -1;
-            }
-            
-            path.push({ x: currentX, y: currentY });
-            
-            // Prevent infinite loops
-            if (path.length > this.width + this.height) {
-                break;
-            }
-        }
-        
-        return path;
-    }
-
     /**
      * Clear all entities from the world
      */
     clearEntities() {
+        const removed = Array.from(this.entities.values());
+        
+        for (const entity of removed) {
+            entity.world = null;
+        }
         this.entities.clear();
+        this.cells.clear();
+        this.typeIndex.clear();
         this.player = null;
+        
+        if (this.entityRemovedCallback) {
+            removed.forEach(entity => this.entityRemovedCallback(entity));
+        }
     }
 
     /**
@@ -261,13 +374,22 @@ class World {
         const entities = [];
         const centerX = centerEntity.x;
         const centerY = centerEntity.y;
+        const reach = Math.floor(radius);
         
-        for (const entity of this.entities.values()) {
-            if (entity.id === centerEntity.id) continue; // Skip the center entity itself
-            
-            const distance = Math.sqrt((entity.x - centerX) ** 2 + (entity.y - centerY) ** 2);
-            if (distance <= radius) {
-                entities.push(entity);
+        // Only visit the cells in the bounding square instead of every entity
+        for (let y = centerY - reach; y <= centerY + reach; y++) {
+            for (let x = centerX - reach; x <= centerX + reach; x++) {
+                const cell = this.cells.get(this.getCellKey(x, y));
+                if (!cell) continue;
+                
+                for (const entity of cell) {
+                    if (entity.id === centerEntity.id) continue; // Skip the center entity itself
+                    
+                    const distance = Math.sqrt((entity.x - centerX) ** 2 + (entity.y - centerY) ** 2);
+                    if (distance <= radius) {
+                        entities.push(entity);
+                    }
+                }
             }
         }
         
@@ -1,81 +1,79 @@
 /**
- * Main Game class that integrates all modules and systems
+ * Main Game class - the browser shell around GameEngine (DOM, input, audio and the animation loop)
  */
-class Game {
+class Game extends GameEngine {
     constructor() {
-        this.world = null;
-        this.scheduler = null;
-        this.renderer = null;
-        this.player = null;
-        this.isRunning = false;
-        this.gameOver = false;
-        this.currentLevel = 1;
-        this.messages = [];
-        this.combatMessages = [];
-        this.moveMessages = [];
-        this.xpLootMessages = []; // Track XP and loot messages for Actions GUI
-        this.combatQueueEnabled = false;
+        super({
+            seed: Game.getSeedFromUrl(), // ?seed= reproduces a run
+            audioSystem: new AudioSystem(),
+            storage: window.localStorage
+        });
+        
         this.inventoryOpen = false;
         this.gamePaused = false; // New flag for game pause
-        
-        // Initialize modules
-        this.mapGenerator = new MapGenerator();
-        this.characterGenerator = new CharacterGenerator();
-        this.characterProgress = new CharacterProgress();
-        this.audioSystem = new AudioSystem();
-        
-        // Initialize systems
-        this.movementSystem = new MovementSystem();
-        this.combatSystem = new CombatSystem();
-        this.projectileSystem = new ProjectileSystem();
-        this.effectSystem = new EffectSystem();
-        this.inventorySystem = new InventorySystem(); // New inventory system
         this.inventoryRenderer = new InventoryRenderer(); // New inventory renderer
-        this.skillsSystem = new SkillsSystem(); // New skills system
         
-        // Set up system dependencies
-        this.combatSystem.setCharacterProgress(this.characterProgress);
-        this.combatSystem.setMessageCallback((message, type, color) => {
-            this.addCombatMessage(message, type, color);
-        });
-        // Spell functionality removed for now
+        
+        // Keys map to named commands; the bindings are kept between visits
+        this.keyBindings = new KeyBindings();
+        this.keyBindings.setStorage(window.localStorage);
+        this.keyBindings.load();
+        this.keyBindingsRenderer = new KeyBindingsRenderer();
+        this.keyBindingsOpen = false;
+        this.cursor = null; // { mode: 'look', 'fire' or 'cast', x, y, spell } while a map cursor is up
         
         // Initialize input handling
         this.setupInputHandling();
     }
 
+    /**
+     * Read the run seed from the ?seed= URL parameter
+     * @returns {string|null} Seed from the URL or null for a random run
+     */
+    static getSeedFromUrl() {
+        if (typeof window === 'undefined' || !window.location) return null;
+        
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed && seed.trim() !== '' ? seed : null;
+    }
+
     /**
      * Initialize the game
      */
     init() {
-        console.log('Initializing game...');
+        console.log(`Initializing game with seed ${this.rng.getSeed()}...`);
         
-        // Create world
-        this.world = new World(80, 24);
-        this.scheduler = new Scheduler();
+        // Create world, scheduler, first level and player
+        this.setupWorld();
         
         // Initialize renderer at original dimensions
-        this.renderer = new ASCIIRenderer();
+        const renderer = new ASCIIRenderer();
         const gameContainer = document.getElementById('game-container');
-        this.renderer.init(gameContainer, 80, 24);
-        
-        // Set up renderer dependency for combat system
-        this.combatSystem.setRenderer(this.renderer);
+        renderer.init(gameContainer, this.width, this.height);
+        this.setRenderer(renderer);
+        
+        // Clicking a known tile travels there - or shoots or casts at it while aiming
+        renderer.setTileClickHandler((x, y) => {
+            if (!this.isRunning || this.gameOver || this.gamePaused || this.replaySystem.isReplaying()) return;
+            if (this.cursor && this.cursor.mode !== 'look') {
+                this.moveCursor(x, y);
+                this.confirmCursor();
+                return;
+            }
+            this.cursor = null;
+            this.executeCommand({ type: 'travel', x: x, y: y });
+        });
+        renderer.setTileHoverHandler((x, y) => {
+            if (this.cursor) this.moveCursor(x, y);
+        });
         
         // Initialize inventory renderer
         this.inventoryRenderer.init();
         
-        // Generate initial level
-        this.generateLevel();
-        
-        // Create player
-        this.createPlayer();
-        
-        // Initialize player inventory system
-        this.inventorySystem.initializeEntity(this.player);
-        
-        // Initialize player skills system
-        this.skillsSystem.initializeEntity(this.player);
+        // Initialize the key rebinding screen and show the current keys in the controls panel
+        this.keyBindingsRenderer.init(this.keyBindings);
+        this.keyBindingsRenderer.setCloseHandler(() => this.closeKeyBindings());
+        renderer.setKeyBindings(this.keyBindings);
         
         // Initialize audio system and start random music
         this.audioSystem.init();
@@ -83,8 +81,13 @@ class Game {
         
         // Add welcome messages
         this.addMessage('Welcome to Tiny RPG!', '#ffffff', 'system');
-        this.addMessage('Press Q to toggle combat queue', '#ffff00', 'system');
-        this.addMessage('Use WASD to move, Q to engage combat, X to attack, R to rest, I for inventory, C for chests, Space to loot, M to mute', '#ffff00', 'system');
+        const keys = this.keyBindings;
+        this.addMessage(`Press ${keys.describe('toggleQueue', 1)} to toggle combat queue`, '#ffff00', 'system');
+        this.addMessage(`Use ${keys.describeGroup(['move.north', 'move.west', 'move.south', 'move.east'])} to move ` +
+            `(${keys.describeGroup(['move.northwest', 'move.northeast', 'move.southwest', 'move.southeast'])} for diagonals), ` +
+            `${keys.describe('toggleQueue', 1)} to engage combat, ${keys.describe('attack', 1)} to attack, ${keys.describe('rest', 1)} to rest, ` +
+            `${keys.describe('sneak', 1)} to sneak, ${keys.describe('fire', 1)} to aim and fire, ${keys.describe('castSpell', 1)} to cast a spell, ${keys.describe('look', 1)} to look around, ${keys.describe('explore', 1)} to explore, click to travel, ${keys.describe('inventory', 1)} for inventory, ` +
+            `${keys.describe('loot', 1)} to loot, ${keys.describe('mute', 1)} to mute, ${keys.describe('keyBindings', 1)} to change keys`, '#ffff00', 'system');
         
         // Add some example action messages
         this.addMessage('You enter the dungeon...', '#ffff00', 'action');
@@ -94,101 +97,11 @@ class Game {
         this.start();
     }
 
-    /**
-     * Generate a new level
-     */
-    generateLevel() {
-        // Clear existing entities
-        this.world.clearEntities();
-        
-        // Generate map
-        const map = this.mapGenerator.generateDungeon(80, 24, {
-            minRoomSize: 4,
-            maxRoomSize: 12,
-            maxRooms: 15,
-            roomPadding: 2
-        });
-        
-        // Set world map
-        this.world.map = map;
-        
-        // Spawn monsters and items
-        this.spawnLevelContent();
-        
-        console.log('Level generated!');
-    }
-
-    /**
-     * Spawn monsters and items for the current level
-     */
-    spawnLevelContent() {
-        const rooms = this.mapGenerator.getRooms();
-        
-        // Spawn monsters in rooms (except the first room)
-        for (let i = 1; i < rooms.length; i++) {
-            const room = rooms[i];
-            // On level 1, spawn single monsters. On higher levels, spawn groups
-            const maxMonsters = this.currentLevel === 1 ? 1 : 3;
-            const monsters = this.characterGenerator.spawnMonstersInRoom(room, this.currentLevel, maxMonsters);
-            
-            for (const monster of monsters) {
-                this.world.addEntity(monster);
-                this.scheduler.addEntity(monster, Math.random() * 1000);
-            }
-        }
-        
-        // Spawn one chest per level in a random room (not the first room)
-        if (rooms.length > 1) {
-            const chestRoomIndex = Math.floor(Math.random() * (rooms.length - 1)) + 1; // Skip first room
-            const chestRoom = rooms[chestRoomIndex];
-            
-            // Find a random position in the room
-            const chestX = chestRoom.x + Math.floor(Math.random() * chestRoom.width);
-            const chestY = chestRoom.y + Math.floor(Math.random() * chestRoom.height);
-            
-            const chestId = `chest_${this.currentLevel}_${Date.now()}`;
-            const chest = this.characterGenerator.createChest(chestId, chestX, chestY);
-            
-            this.world.addEntity(chest);
-        }
-        
-        // Spawn items in some rooms
-        for (let i = 0; i < rooms.length; i++) {
-            if (Math.random() < 0.3) { // 30% chance per room
-                const room = rooms[i];
-                const items = this.characterGenerator.spawnItemsInRoom(room, 2);
-                
-                for (const item of items) {
-                    this.world.addEntity(item);
-                }
-            }
-        }
-    }
-
-    /**
-     * Create the player character
-     */
-    createPlayer() {
-        const rooms = this.mapGenerator.getRooms();
-        const startRoom = rooms[0]; // Use first room as starting position
-        
-        const startX = Math.floor(startRoom.x + startRoom.width / 2);
-        const startY = Math.floor(startRoom.y + startRoom.height / 2);
-        
-        this.player = this.characterGenerator.createPlayer('player', startX, startY);
-        this.world.addEntity(this.player);
-        this.scheduler.addEntity(this.player, 0);
-        
-        console.log(`Player created at (${startX}, ${startY})`);
-    }
-
     /**
      * Start the game
      */
     start() {
-        this.isRunning = true;
-        this.gameOver = false;
-        this.scheduler.start();
+        super.start();
         
         // Start game loop
         this.gameLoop();
@@ -196,15 +109,6 @@ class Game {
         console.log('Game started!');
     }
 
-    /**
-     * Stop the game
-     */
-    stop() {
-        this.isRunning = false;
-        this.scheduler.stop();
-        console.log('Game stopped!');
-    }
-
     /**
      * Main game loop
      */
@@ -213,7 +117,7 @@ class Game {
         
         // Check if game is paused (inventory open)
         if (!this.gamePaused) {
-            // Process one turn
+            // Process one turn (holds while waiting for the player's next action)
             this.processTurn();
         }
         
@@ -224,144 +128,6 @@ class Game {
         requestAnimationFrame(() => this.gameLoop());
     }
 
-    /**
-     * Process one game turn
-     */
-    processTurn() {
-        if (this.gameOver) return;
-        
-        // Update monster visibility based on player FOV first
-        this.updateMonsterVisibility();
-        
-        // Process scheduler
-        const entity = this.scheduler.getNextEntity();
-        if (entity) {
-            this.scheduler.setCurrentTime(entity.getNextActionTime());
-            this.world.setCurrentTime(entity.getNextActionTime());
-            
-            // Process entity action
-            this.processEntityAction(entity);
-            
-            // Schedule next action
-            this.scheduler.schedule(entity);
-        }
-        
-        // Process effects
-        this.effectSystem.processAllEffects(this.world);
-        
-        // Update swing animations
-        this.updateSwingAnimations();
-        
-        // Check win/lose conditions
-        this.checkGameState();
-    }
-
-    /**
-     * Process an entity's action
-     * @param {Entity} entity - Entity acting
-     */
-    processEntityAction(entity) {
-        if (!entity.active) return;
-        
-        // Check if entity can act (not stunned)
-        if (!this.effectSystem.canAct(entity)) {
-            console.log(`${entity.id} is stunned and cannot act`);
-            return;
-        }
-        
-        // Process based on entity type
-        switch (entity.type) {
-            case 'player':
-                // Player actions are handled by input
-                // But also process automatic combat when queue is enabled
-                if (this.combatQueueEnabled) {
-                    this.processPlayerCombat(entity);
-                }
-                break;
-            case 'monster':
-                this.movementSystem.processEntity(entity, this.world);
-                // Monsters always attack when hostile, regardless of player combat queue
-                this.combatSystem.processEntity(entity, this.world);
-                break;
-            case 'projectile':
-                this.projectileSystem.processEntity(entity, this.world);
-                break;
-        }
-    }
-
-    /**
-     * Update monster visibility based on player's field of view
-     */
-    updateMonsterVisibility() {
-        if (!this.player || !this.world) return;
-        
-        const playerFOVRadius = 8; // Same as the renderer's FOV radius
-        const monsters = this.world.getEntitiesByType('monster');
-        
-        for (const monster of monsters) {
-            if (!monster.active) continue;
-            
-            const visibilityComponent = monster.getComponent('visibility');
-            if (!visibilityComponent) continue;
-            
-            const distance = monster.distanceTo(this.player);
-            const wasVisible = visibilityComponent.isVisible;
-            visibilityComponent.isVisible = distance <= playerFOVRadius;
-            
-            // If monster just became invisible, reset its notice state
-            if (wasVisible && !visibilityComponent.isVisible) {
-                const noticeComponent = monster.getComponent('notice');
-                if (noticeComponent) {
-                    noticeComponent.hasNoticed = false;
-                    noticeComponent.noticeTimer = 0;
-                }
-            }
-        }
-    }
-
-    /**
-     * Update swing animations
-     */
-    updateSwingAnimations() {
-        const entitiesToRemove = [];
-        
-        for (const entity of this.world.getAllEntities().values()) {
-            if (entity.type === 'swing_animation' && entity.active) {
-                const isComplete = entity.update();
-                if (isComplete) {
-                    entitiesToRemove.push(entity.id);
-                }
-            }
-        }
-        
-        // Remove completed swing animations
-        for (const entityId of entitiesToRemove) {
-            this.world.removeEntity(entityId);
-        }
-    }
-
-    /**
-     * Check game state (win/lose conditions)
-     */
-    checkGameState() {
-        // Check if player is dead
-        if (this.player && this.player.getComponent('health').current <= 0) {
-            this.gameOver = true;
-            this.addMessage('You have died!', '#ff0000');
-            
-            // Play death sound effect
-            this.audioSystem.playDeathSound();
-            
-            console.log('Game Over!');
-        }
-        
-        // Check if all monsters are dead
-        const monsters = this.world.getEntitiesByType('monster');
-        if (monsters.length === 0 && !this.gameOver) {
-            this.addMessage('Level cleared! Look for hallway exits (>) to explore new areas', '#00ff00');
-        }
-    }
-
     /**
      * Render the game
      */
@@ -371,10 +137,11 @@ class Game {
         // Render world
         this.renderer.renderWorld(this.world, this.player, {
             showFOV: true,
-            fovRadius: 8,
             showAll: false,
             showInventory: this.inventoryOpen,
-            combatMessages: this.combatMessages // Pass all combat messages for virtual scrolling
+            combatMessages: this.combatMessages, // Pass all combat messages for virtual scrolling
+            seed: this.rng.getSeed(),
+            cursor: this.getCursorView()
         });
         
         // Render UI
@@ -568,6 +335,33 @@ class Game {
         const combatStatus = this.combatQueueEnabled ? '<span style="color: #00ff00">ON</span>' : '<span style="color: #ff0000">OFF</span>';
         actionsHTML += `<div>Combat: ${combatStatus}</div>`;
         
+        // Sneak mode status
+        const sneaking = this.player && this.noiseSystem.isSneaking(this.player);
+        const sneakStatus = sneaking ? '<span style="color: #00ff00">ON</span>' : '<span style="color: #ff0000">OFF</span>';
+        actionsHTML += `<div>Sneak: ${sneakStatus}</div>`;
+        
+        // Ammo left for the equipped bow or crossbow
+        const equipment = this.player && this.player.getComponent('equipment');
+        if (equipment && equipment.range) {
+            const ammo = equipment.ammo;
+            actionsHTML += `<div>${ammo ? `${ammo.name}: ${ammo.quantity}` : 'No ammo'}</div>`;
+        }
+        
+        // Spell being cast, or the spell hotkeys - greyed out while there isn't enough mana
+        if (this.isPlayerCasting()) {
+            const spell = this.spells.getSpell(this.player.getComponent('casting').spell);
+            actionsHTML += `<div style="color: ${spell.color}">Casting ${spell.name}...</div>`;
+        } else if (this.player) {
+            const mana = this.player.getComponent('mana');
+            ['cast1', 'cast2', 'cast3', 'cast4'].forEach(command => {
+                const spellName = this.getSpellInSlot(command);
+                if (!spellName) return;
+                const spell = this.spells.getSpell(spellName);
+                const color = mana && mana.current >= spell.manaCost ? spell.color : '#666666';
+                actionsHTML += `<div style="color: ${color}">${this.keyBindings.describe(command, 1)} ${spell.name} (${spell.manaCost})</div>`;
+            });
+        }
+        
         // XP/Loot chat history
         actionsHTML += `<div style="flex: 1; overflow-y: auto; max-height: 80px; border: 1px solid #555; padding: 2px; margin-top: 5px;">`;
         
@@ -583,116 +377,12 @@ class Game {
         actionsElement.innerHTML = actionsHTML;
     }
 
-    /**
-     * Check for nearby lootable corpses
-     */
-    checkForNearbyLoot() {
-        if (!this.player) return false;
-        
-        // Check current position and adjacent positions for corpses
-        const positions = [
-            {x: this.player.x, y: this.player.y},
-            {x: this.player.x + 1, y: this.player.y},
-            {x: this.player.x - 1, y: this.player.y},
-            {x: this.player.x, y: this.player.y + 1},
-            {x: this.player.x, y: this.player.y - 1}
-        ];
-        
-        for (const pos of positions) {
-            const entities = this.world.getEntitiesAt(pos.x, pos.y);
-            const corpse = entities.find(entity => entity.type === 'corpse' && entity.active);
-            if (corpse) {
-                const corpseComponent = corpse.getComponent('corpse');
-                if (corpseComponent && !corpseComponent.looted) {
-                    return true;
-                }
-            }
-        }
-        
-        return false;
-    }
-
-    /**
-     * Add a message to the game log
-     * @param {string} text - Message text
-     * @param {string} color - Message color
-     * @param {string} type - Message type
-     */
-    addMessage(text, color = '#ffffff', type = 'default') {
-        this.messages.push({
-            text: text,
-            color: color,
-            type: type,
-            timestamp: this.world.getCurrentTime()
-        });
-        
-        // Keep only last 100 messages
-        if (this.messages.length > 100) {
-            this.messages = this.messages.slice(-100);
-        }
-    }
-
-    /**
-     * Add a message to the combat log
-     * @param {string} text - Message text
-     * @param {string} type - Message type
-     */
-    addCombatMessage(text, type = 'combat', color = '#ffffff') {
-        this.combatMessages.push({
-            text: text,
-            type: type,
-            color: color,
-            timestamp: Date.now() // Use real time for fading
-        });
-        
-        // Keep only last 500 messages for extensive combat history
-        if (this.combatMessages.length > 500) {
-            this.combatMessages = this.combatMessages.slice(-500);
-        }
-    }
-
-    /**
-     * Add a message to the move log
-     * @param {string} text - Message text
-     * @param {string} type - Message type
-     */
-    addMoveMessage(text, type = 'movement') {
-        this.moveMessages.push({
-            text: text,
-            type: type,
-            timestamp: this.world.getCurrentTime()
-        });
-        
-        // Keep only last 100 messages
-        if (this.moveMessages.length > 100) {
-            this.moveMessages = this.moveMessages.slice(-100);
-        }
-    }
-
-    /**
-     * Add a message to the XP/Loot log
-     * @param {string} text - Message text
-     * @param {string} color - Message color
-     */
-    addXpLootMessage(text, color = '#ffffff') {
-        this.xpLootMessages.push({
-            text: text,
-            color: color,
-            timestamp: Date.now()
-        });
-        
-        // Keep only last 20 messages
-        if (this.xpLootMessages.length > 20) {
-            this.xpLootMessages = this.xpLootMessages.slice(-20);
-        }
-    }
-
     /**
      * Setup input handling
      */
     setupInputHandling() {
         document.addEventListener('keydown', (event) => {
-            if (!this.isRunning || this.gameOver) return;
+            if (!this.isRunning) return;
             
             this.handleInput(event);
         });
@@ -704,7 +394,7 @@ class Game {
     }
 
     /**
-     * Handle keyboard input
+     * Handle keyboard input - keys are looked up in the key bindings and handled as named commands
      * @param {KeyboardEvent} event - Keyboard event
      */
     handleInput(event) {
@@ -713,477 +403,490 @@ class Game {
         // Handle user interaction for audio
         this.audioSystem.handleUserInteraction();
         
-        const key = event.key.toLowerCase();
+        // The rebinding screen gets every key first while it is open
+        if (this.keyBindingsOpen) {
+            if (!this.keyBindingsRenderer.handleKey(event)) {
+                const command = this.keyBindings.getCommand(event);
+                if (command === 'cancel' || command === 'keyBindings') {
+                    this.closeKeyBindings();
+                }
+            }
+            event.preventDefault();
+            return;
+        }
+        
+        // Unbound keys are left to the browser
+        const command = this.keyBindings.getCommand(event);
+        if (!command) return;
+        event.preventDefault();
+        
+        // While a replay plays, the keyboard only hands control back
+        if (this.replaySystem.isReplaying()) {
+            if (command === 'cancel') {
+                this.stopReplay();
+            }
+            return;
+        }
+        
+        // After death only loading a save is allowed
+        if (this.gameOver && command !== 'load') return;
         
         // Handle inventory toggle first
-        if (key === 'i' || key === 'c') {
+        if (command === 'inventory') {
             this.toggleInventory();
-            event.preventDefault();
             return;
         }
         
-        // If inventory is open, only allow closing it (handled by inventory renderer)
+        // If inventory is open, only allow closing it
         if (this.inventoryOpen) {
-            event.preventDefault();
+            if (command === 'cancel') {
+                this.closeInventory();
+            }
             return;
         }
         
-        // Movement keys - WASD only (no diagonal movement)
-        if (key === 'w' || key === 'arrowup') {
-            this.movePlayer('north');
-        } else if (key === 's' || key === 'arrowdown') {
-            this.movePlayer('south');
-        } else if (key === 'a' || key === 'arrowleft') {
-            this.movePlayer('west');
-        } else if (key === 'd' || key === 'arrowright') {
-            this.movePlayer('east');
-        } else if (key === ' ') {
-            // Try to loot corpse first, then chest
-            const lootedCorpse = this.lootCorpse();
-            if (!lootedCorpse) {
-                this.interactWithChest();
-            }
-        } else if (key === 'q') {
-            this.toggleCombatQueue();
-        } else if (key === 'r') {
-            this.restPlayer();
-        } else if (key === 'x') {
-            this.playerAttackAdjacent();
-        } else if (key === 'm') {
-            // Toggle mute
-            const isMuted = this.audioSystem.toggleMute();
-            this.addMessage(isMuted ? 'Audio muted' : 'Audio unmuted', '#ffffff', 'system');
-        } else if (key === 'f7') {
-            // Bug report
-            this.reportBug();
+        // While looking or aiming, keys steer the cursor instead of the player
+        if (this.cursor) {
+            this.handleCursorCommand(command);
+            return;
         }
         
-        event.preventDefault();
+        this.performBoundCommand(command);
     }
 
     /**
-     * Move player in a direction
-     * @param {string} direction - Direction to move
+     * Carry out a bound command. Gameplay goes through executeCommand so it is recorded for replays.
+     * @param {string} command - Command name from the key bindings
      */
-    movePlayer(direction) {
-        if (!this.player) return;
-        
-        const success = this.movementSystem.moveInDirection(this.player, direction, this.world);
-        
-        if (success) {
-            // Interrupt resting when player moves
-            this.interruptResting();
-            
-            this.addMoveMessage(`Moved ${direction}`, 'movement');
-            
-            // Check if player moved into a monster (attack)
-            this.checkPlayerAttack();
-            
-            // Check if player stepped on a hallway exit
-            this.checkHallwayExit();
-        } else {
-            this.addMoveMessage(`Cannot move ${direction}`, 'movement');
+    performBoundCommand(command) {
+        if (command.startsWith('move.')) {
+            this.executeCommand({ type: 'move', direction: command.slice('move.'.length) });
+            return;
         }
-    }
-
-    /**
-     * Check if player should attack a monster
-     */
-    checkPlayerAttack() {
-        if (!this.player || !this.combatQueueEnabled) return;
-        
-        const monsters = this.world.getEntitiesAt(this.player.x, this.player.y);
-        const monster = monsters.find(entity => entity.type === 'monster' && entity.active);
         
-        if (monster) {
-            this.playerAttackMonster(monster);
+        switch (command) {
+            case 'wait':
+            case 'attack':
+            case 'toggleQueue':
+            case 'sneak':
+            case 'explore':
+            case 'travelToExit':
+            case 'rest':
+                this.executeCommand({ type: command });
+                break;
+            case 'loot':
+                // Try to loot corpse first, then chest
+                this.executeCommand({ type: 'interact' });
+                break;
+            case 'restTurns':
+                // Pressed while resting it stops the rest like the plain rest key
+                if (this.isPlayerResting()) {
+                    this.executeCommand({ type: 'rest' });
+                } else {
+                    this.promptRestTurns();
+                }
+                break;
+            case 'mute': {
+                const isMuted = this.audioSystem.toggleMute();
+                this.addMessage(isMuted ? 'Audio muted' : 'Audio unmuted', '#ffffff', 'system');
+                break;
+            }
+            case 'save':
+                this.promptSaveGame();
+                break;
+            case 'load':
+                this.promptLoadGame();
+                break;
+            case 'downloadReplay':
+                this.downloadReplay();
+                break;
+            case 'playReplay':
+                this.promptLoadReplay();
+                break;
+            case 'reportBug':
+                this.reportBug();
+                break;
+            case 'keyBindings':
+                this.openKeyBindings();
+                break;
+            case 'fire':
+                this.startTargeting();
+                break;
+            case 'look':
+                this.openCursor('look', this.player.x, this.player.y);
+                break;
+            case 'castSpell':
+                this.promptCastSpell();
+                break;
+            case 'cast1':
+            case 'cast2':
+            case 'cast3':
+            case 'cast4':
+                this.startCasting(this.getSpellInSlot(command));
+                break;
         }
     }
 
     /**
-     * Check if player stepped on a hallway exit
+     * Put up the map cursor
+     * @param {string} mode - 'look' (describe tiles, confirm travels), 'fire' (confirm shoots) or 'cast' (confirm casts)
+     * @param {number} x - X coordinate to start at
+     * @param {number} y - Y coordinate to start at
+     * @param {string} spell - Spell being aimed in 'cast' mode
      */
-    checkHallwayExit() {
-        if (!this.player || !this.world) return;
-        
-        const tile = this.world.map[this.player.y][this.player.x];
-        if (tile && tile.type === 'hallway_exit') {
-            console.log(`Player stepped on hallway exit at (${this.player.x}, ${this.player.y})`);
-            this.enterNewArea(tile.direction);
+    openCursor(mode, x, y, spell = null) {
+        this.cursor = { mode, x, y, spell };
+        
+        const keys = this.keyBindings;
+        let title;
+        let confirm;
+        if (mode === 'fire') {
+            title = 'Aiming';
+            confirm = `${keys.describe('fire', 1)}/${keys.describe('confirm', 1)} to fire`;
+        } else if (mode === 'cast') {
+            title = `Casting ${this.spells.getSpell(spell).name}`;
+            confirm = `${keys.describe('confirm', 1)} to cast`;
+        } else {
+            title = 'Looking';
+            confirm = `${keys.describe('confirm', 1)} to travel there, ${keys.describe('fire', 1)} to aim`;
         }
+        this.addCombatMessage(`${title} - move the cursor, ${keys.describe('nextTarget', 1)} for the next monster, ` +
+            `${confirm}, ${keys.describe('cancel', 1)} to stop`, 'system', '#ffff00');
     }
 
     /**
-     * Enter a new area through a hallway
-     * @param {string} direction - Direction of the hallway
+     * Start aiming the equipped bow or crossbow
+     * @param {Object} from - { x, y } to aim at first; the nearest monster in range by default
      */
-    enterNewArea(direction) {
-        this.currentLevel++;
-        this.addMessage(`Entering new area via ${direction} hallway...`, '#ffff00', 'system');
-        this.addCombatMessage(`Discovered new area! Level ${this.currentLevel}`, 'system');
-        
-        // Play stair sound effect
-        if (this.audioSystem) {
-            this.audioSystem.playStairSound();
+    startTargeting(from = null) {
+        const problem = this.combatSystem.getShotProblem(this.player);
+        if (problem) {
+            this.addCombatMessage(problem, 'combat');
+            return;
         }
         
-        // Store player reference before clearing entities
-        const playerBackup = this.player;
-        
-        // Generate new level (this clears all entities including player)
-        this.generateLevel();
-        
-        // Restore player to the world
-        this.world.player = playerBackup;
-        this.world.addEntity(playerBackup);
-        
-        // Move player to new starting position
-        const rooms = this.mapGenerator.getRooms();
-        const startRoom = rooms[0];
-        const startX = Math.floor(startRoom.x + startRoom.width / 2);
-        const startY = Math.floor(startRoom.y + startRoom.height / 2);
-        
-        this.player.setPosition(startX, startY);
-        
-        // Heal player slightly
-        const health = this.player.getComponent('health');
-        if (health) {
-            health.current = Math.min(health.max, health.current + 20);
-            this.addMessage(`Healed for 20 HP!`, '#00ff00', 'system');
-        }
+        const target = from || this.getRangedTargets()[0] || this.player;
+        this.openCursor('fire', target.x, target.y);
     }
 
     /**
-     * Player attacks a monster
-     * @param {Entity} monster - Monster to attack
+     * Get the spell in a numbered spellbook slot
+     * @param {string} command - 'cast1' to 'cast4'
+     * @returns {string|null} Spell name, or null if the slot is empty
      */
-    playerAttackMonster(monster) {
-        // Use the combat system's attackTarget method which includes swing animations
-        // The combat system will handle the messaging, so we don't need to add messages here
-        this.combatSystem.attackTarget(this.player, monster, this.world);
+    getSpellInSlot(command) {
+        const slot = parseInt(command.slice('cast'.length), 10);
+        return this.spells.getKnownSpells(this.player)[slot - 1] || null;
     }
 
     /**
-     * Player attacks adjacent monster
+     * Start casting a spell: spells cast on yourself go off right away, the others put up the cursor
+     * @param {string|null} spellName - Name of the spell
+     * @param {Object} from - { x, y } to aim at first; the nearest monster in range by default
      */
-    playerAttackAdjacent() {
-        if (!this.player) {
-            this.addCombatMessage('No player!', 'combat');
+    startCasting(spellName, from = null) {
+        if (!spellName) {
+            this.addCombatMessage('No spell in that slot.', 'combat');
             return;
         }
         
-        // Interrupt resting when player attacks
-        this.interruptResting();
-        
-        // Check weapon speed cooldown for manual attacks too
-        const now = Date.now();
-        const lastAttack = this.player.getComponent('lastAttack') || { time: 0 };
-        
-        // Calculate attack speed based on weapon
-        const equipment = this.player.getComponent('equipment');
-        let attackSpeed = 6400; // Base 6.4 seconds (20% faster)
-        
-        // Check both legacy and new weapon slots
-        const weapon = equipment ? (equipment.weapon || equipment.primary) : null;
-        if (weapon && weapon.speed) {
-            attackSpeed = 6400 / weapon.speed; // Weapon speed affects cooldown
-        }
-        
-        if (now - lastAttack.time < attackSpeed) {
-            const remainingTime = Math.ceil((attackSpeed - (now - lastAttack.time)) / 1000);
-            this.addCombatMessage(`Weapon not ready! ${remainingTime}s remaining.`, 'combat');
+        const problem = this.spells.getCasterProblem(this.player, spellName);
+        if (problem) {
+            this.addCombatMessage(problem, 'combat');
             return;
         }
         
-        // Find adjacent monsters
-        const directions = [
-            { x: -1, y: -1 }, { x: 0, y: -1 }, { x: 1, y: -1 },
-            { x: -1, y: 0 },                   { x: 1, y: 0 },
-            { x: -1, y: 1 },  { x: 0, y: 1 },  { x: 1, y: 1 }
-        ];
-        
-        for (const dir of directions) {
-            const targetX = this.player.x + dir.x;
-            const targetY = this.player.y + dir.y;
-            const monsters = this.world.getEntitiesAt(targetX, targetY);
-            const monster = monsters.find(entity => entity.type === 'monster' && entity.active);
-            
-            if (monster) {
-                this.playerAttackMonster(monster);
-                return;
-            }
+        if (this.spells.getSpell(spellName).target === 'self') {
+            this.cursor = null;
+            this.executeCommand({ type: 'cast', spell: spellName });
+            return;
         }
         
-        this.addCombatMessage('No monster to attack!', 'combat');
+        const target = from || this.getSpellTargets(spellName)[0] || this.player;
+        this.openCursor('cast', target.x, target.y, spellName);
     }
 
     /**
-     * Process automatic player combat when combat queue is enabled
-     * @param {Entity} player - Player entity
+     * Ask which learned spell to cast and start casting it (Z)
+     * @param {Object} from - { x, y } to aim at first, when switching spells with the cursor up
      */
-    processPlayerCombat(player) {
-        if (!player) return;
-
-        // Check weapon speed cooldown
-        const now = Date.now();
-        const lastAttack = player.getComponent('lastAttack') || { time: 0 };
-        
-        // Calculate attack speed based on weapon
-        const equipment = player.getComponent('equipment');
-        let attackSpeed = 6400; // Base 6.4 seconds (20% faster)
-        
-        // Check both legacy and new weapon slots
-        const weapon = equipment ? (equipment.weapon || equipment.primary) : null;
-        if (weapon && weapon.speed) {
-            attackSpeed = 6400 / weapon.speed; // Weapon speed affects cooldown
+    promptCastSpell(from = null) {
+        const known = this.spells.getKnownSpells(this.player);
+        if (known.length === 0) {
+            this.addCombatMessage('You don\'t know any spells.', 'combat');
+            return;
         }
         
-        if (now - lastAttack.time < attackSpeed) {
-            return; // Still on cooldown
+        const mana = this.player.getComponent('mana');
+        const spellLines = known.map((spellName, index) => {
+            const spell = this.spells.getSpell(spellName);
+            return `${index + 1}: ${spell.name} (${spell.manaCost} MP) - ${spell.description}`;
+        });
+        
+        const answer = window.prompt(`Cast which spell? (${mana.current}/${mana.max} MP)\n\n${spellLines.join('\n')}\n\n(Leave empty to cancel)`);
+        if (answer === null || answer.trim() === '') return;
+        
+        const spellName = known[parseInt(answer, 10) - 1];
+        if (!spellName) {
+            this.addCombatMessage(`Unknown spell "${answer.trim()}".`, 'system', '#FFA500');
+            return;
         }
+        this.startCasting(spellName, from);
+    }
 
-        // Find the closest monster within attack range
-        const monsters = this.world.getEntitiesByType('monster').filter(entity => 
-            entity.active
-        );
-
-        // If no monsters, no need to continue combat
-        if (monsters.length === 0) {
+    /**
+     * Handle a bound command while the map cursor is up
+     * @param {string} command - Command name from the key bindings
+     */
+    handleCursorCommand(command) {
+        if (command.startsWith('move.')) {
+            const delta = this.movementSystem.directions[command.slice('move.'.length)];
+            this.moveCursor(this.cursor.x + delta.x, this.cursor.y + delta.y);
             return;
         }
-
-        let closestMonster = null;
-        let closestDistance = Infinity;
-
-        for (const monster of monsters) {
-            const distance = player.distanceTo(monster);
-            if (distance <= 1.5) { // Adjacent or diagonal (same as monster combat)
-                if (distance < closestDistance) {
-                    closestDistance = distance;
-                    closestMonster = monster;
+        
+        switch (command) {
+            case 'nextTarget':
+                this.cycleCursorTarget();
+                break;
+            case 'confirm':
+                this.confirmCursor();
+                break;
+            case 'fire':
+                // Fire from look mode starts aiming where the cursor is
+                if (this.cursor.mode === 'fire') {
+                    this.confirmCursor();
+                } else {
+                    this.startTargeting({ x: this.cursor.x, y: this.cursor.y });
                 }
+                break;
+            case 'castSpell':
+                this.promptCastSpell({ x: this.cursor.x, y: this.cursor.y });
+                break;
+            case 'cast1':
+            case 'cast2':
+            case 'cast3':
+            case 'cast4': {
+                // The key of the spell being aimed casts it, like fire while aiming
+                const spellName = this.getSpellInSlot(command);
+                if (this.cursor.mode === 'cast' && this.cursor.spell === spellName) {
+                    this.confirmCursor();
+                } else {
+                    this.startCasting(spellName, { x: this.cursor.x, y: this.cursor.y });
+                }
+                break;
             }
+            case 'look':
+            case 'cancel':
+                this.cursor = null;
+                break;
         }
+    }
 
-        // Attack the closest monster if found
-        if (closestMonster) {
-            this.playerAttackMonster(closestMonster);
-        }
+    /**
+     * Move the map cursor, keeping it on the map
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    moveCursor(x, y) {
+        this.cursor.x = Math.max(0, Math.min(this.world.width - 1, x));
+        this.cursor.y = Math.max(0, Math.min(this.world.height - 1, y));
     }
 
     /**
-     * Loot nearby corpse (from current position or adjacent)
-     * @returns {boolean} True if successfully looted a corpse
+     * Put the cursor on the next monster, nearest first, wrapping around. Aiming a shot or a spell
+     * only cycles through monsters in range; looking goes through every monster in sight.
      */
-    lootCorpse() {
-        if (!this.player) return false;
-        
-        // Check for corpses at player's position first
-        let entitiesAtPosition = this.world.getEntitiesAt(this.player.x, this.player.y);
-        let corpse = entitiesAtPosition.find(entity => entity.type === 'corpse' && entity.active);
-        
-        // If no corpse at current position, check adjacent positions
-        if (!corpse) {
-            const directions = [
-                { x: -1, y: -1 }, { x: 0, y: -1 }, { x: 1, y: -1 },
-                { x: -1, y: 0 },                   { x: 1, y: 0 },
-                { x: -1, y: 1 },  { x: 0, y: 1 },  { x: 1, y: 1 }
-            ];
-            
-            for (const dir of directions) {
-                const checkX = this.player.x + dir.x;
-                const checkY = this.player.y + dir.y;
-                entitiesAtPosition = this.world.getEntitiesAt(checkX, checkY);
-                corpse = entitiesAtPosition.find(entity => entity.type === 'corpse' && entity.active);
-                if (corpse) break;
-            }
-        }
-        
-        if (corpse) {
-            // Try to loot the corpse
-            const looted = this.combatSystem.lootCorpse(corpse, this.player, this.world);
-            if (!looted) {
-                this.addMoveMessage('Nothing to loot here', 'movement');
-            }
-            return looted;
+    cycleCursorTarget() {
+        let targets;
+        if (this.cursor.mode === 'fire') {
+            targets = this.getRangedTargets();
+        } else if (this.cursor.mode === 'cast') {
+            targets = this.getSpellTargets(this.cursor.spell);
         } else {
-            return false; // No corpse found
+            targets = this.getVisibleMonsters();
         }
+        if (targets.length === 0) return;
+        
+        const current = targets.findIndex(monster => monster.x === this.cursor.x && monster.y === this.cursor.y);
+        const next = targets[(current + 1) % targets.length];
+        this.moveCursor(next.x, next.y);
     }
 
     /**
-     * Inspect adjacent monster
+     * Get the monsters the player can see
+     * @returns {Array} Monsters, nearest first
      */
-    inspectAdjacentMonster() {
-        if (!this.player) return;
-        
-        // Find adjacent monsters
-        const directions = [
-            { x: -1, y: -1 }, { x: 0, y: -1 }, { x: 1, y: -1 },
-            { x: -1, y: 0 },                   { x: 1, y: 0 },
-            { x: -1, y: 1 },  { x: 0, y: 1 },  { x: 1, y: 1 }
-        ];
-        
-        for (const dir of directions) {
-            const targetX = this.player.x + dir.x;
-            const targetY = this.player.y + dir.y;
-            const monsters = this.world.getEntitiesAt(targetX, targetY);
-            const monster = monsters.find(entity => entity.type === 'monster' && entity.active);
-            
-            if (monster) {
-                this.inspectMonster(monster);
-                return;
-            }
-        }
-        
-        this.addCombatMessage('No monster to inspect!', 'combat');
+    getVisibleMonsters() {
+        return this.world.getEntitiesByType('monster')
+            .filter(monster => monster.active && this.fovSystem.isVisible(this.world.map, monster.x, monster.y))
+            .sort((a, b) => this.player.distanceTo(a) - this.player.distanceTo(b));
     }
 
     /**
-     * Inspect a specific monster
-     * @param {Entity} monster - Monster to inspect
+     * Act on the cursor's tile - shoot or cast at it while aiming, travel to it while looking - and close the cursor
      */
-    inspectMonster(monster) {
-        const health = monster.getComponent('health');
-        const level = monster.getComponent('level');
-        const notice = monster.getComponent('notice');
-        
-        // Get monster type from ID or use default
-        let monsterType = 'Monster';
-        if (monster.id.includes('goblin')) monsterType = 'Goblin';
-        else if (monster.id.includes('orc')) monsterType = 'Orc';
-        else if (monster.id.includes('troll')) monsterType = 'Troll';
-        else if (monster.id.includes('skeleton')) monsterType = 'Skeleton';
-        else if (monster.id.includes('dragon')) monsterType = 'Dragon';
-        
-        let info = `${monsterType} (${monster.id.slice(-4)})`;
-        
-        if (health) {
-            info += ` - HP: ${health.current}/${health.max}`;
-        }
-        
-        if (level) {
-            info += ` - Level: ${level.value}`;
+    confirmCursor() {
+        const { mode, x, y, spell } = this.cursor;
+        if (x === this.player.x && y === this.player.y) {
+            const messages = {
+                fire: 'Pick something to shoot at first.',
+                cast: 'Pick a target for the spell first.',
+                look: 'You are already here.'
+            };
+            this.addCombatMessage(messages[mode], 'combat');
+            return;
         }
         
-        if (notice) {
-            if (notice.hasNoticed) {
-                info += ' - HOSTILE!';
-            } else if (notice.noticeTimer > 0) {
-                info += ' - Suspicious...';
-            } else {
-                info += ' - Unaware';
-            }
+        this.cursor = null;
+        if (mode === 'fire') {
+            this.executeCommand({ type: 'fire', x: x, y: y });
+        } else if (mode === 'cast') {
+            this.executeCommand({ type: 'cast', spell: spell, x: x, y: y });
+        } else {
+            this.executeCommand({ type: 'travel', x: x, y: y });
         }
-        
-        this.addCombatMessage(info, 'combat');
     }
 
     /**
-     * Toggle combat queue on/off
+     * Get the map cursor for the renderer: where it is, the line a shot or projectile spell would
+     * fly along while aiming, and a description of the tile under it
+     * @returns {Object|null} { x, y, path, lines } or null when no cursor is up
      */
-    toggleCombatQueue() {
-        this.combatQueueEnabled = !this.combatQueueEnabled;
-        // Combat queue status now shows in Actions GUI, no need for combat log messages
+    getCursorView() {
+        if (!this.cursor || !this.player || this.gameOver) return null;
+        
+        const { mode, x, y } = this.cursor;
+        let path = [];
+        if (mode === 'fire') {
+            const shot = this.combatSystem.equipmentSystem.calculateRangedDamage(this.player);
+            path = this.projectileSystem.getPath(this.world, this.player.x, this.player.y, x, y, shot ? shot.range : 0);
+        } else if (mode === 'cast') {
+            const spell = this.spells.getSpell(this.cursor.spell);
+            if (spell.type === 'projectile') {
+                path = this.projectileSystem.getPath(this.world, this.player.x, this.player.y, x, y, spell.range);
+            }
+        }
+        return { x, y, path, lines: this.describeTile(x, y) };
     }
 
     /**
-     * Rest player (heal over time)
+     * Ask how many turns to rest and start resting (Shift+R)
      */
-    restPlayer() {
-        if (!this.player) return;
-        
-        const health = this.player.getComponent('health');
-        if (!health) return;
+    promptRestTurns() {
+        const answer = window.prompt('Rest how many turns?', '10');
+        if (answer === null) return;
         
-        // Check if already at full health
-        if (health.current >= health.max) {
-            this.addCombatMessage('You are already at full health', 'notice', '#00FF00'); // Neon green
+        const turns = parseInt(answer, 10);
+        if (!(turns > 0)) {
+            this.addCombatMessage('Enter a number of turns to rest.', 'system', '#FFA500');
             return;
         }
         
-        // Check if already resting - if so, stop resting
-        if (this.player.isResting) {
-            this.stopResting();
-            return;
-        }
-        
-        // Start resting
-        this.player.isResting = true;
-        this.player.restStartTime = Date.now();
-        this.player.restAnimationStart = Date.now();
-        
-        this.addCombatMessage('You begin to rest...', 'notice', '#00FF00'); // Neon green
-        
-        // Play rest sound effect
-        this.audioSystem.playRestSound();
-        
-        // Start rest healing process
-        this.startRestHealing();
+        this.executeCommand({ type: 'rest', turns: turns });
     }
 
     /**
-     * Start the rest healing process
+     * Ask for a slot and save the run (F5)
      */
-    startRestHealing() {
-        if (!this.player || !this.player.isResting) return;
-        
-        const health = this.player.getComponent('health');
-        if (!health || health.current >= health.max) {
-            this.stopResting();
-            return;
-        }
-        
-        // Heal 2% of max health every 30 seconds
-        const healAmount = Math.floor(health.max * 0.02);
-        health.current = Math.min(health.max, health.current + healAmount);
+    promptSaveGame() {
+        const slot = this.promptForSlot('Save game to which slot?', ['1', '2', '3']);
+        if (slot === null) return;
         
-        this.addCombatMessage(`You rest and recover ${healAmount} HP`, 'heal', '#98FB98'); // Pastel green
-        
-        // Continue resting if not at full health
-        if (health.current < health.max) {
-            setTimeout(() => {
-                this.startRestHealing();
-            }, 6000); // 6 seconds
+        if (this.saveGame(slot)) {
+            this.addCombatMessage(`Game saved to slot ${slot}.`, 'system', '#00FF00');
         } else {
-            this.stopResting();
+            this.addCombatMessage('Save failed!', 'system', '#FF0000');
         }
     }
 
     /**
-     * Stop resting
+     * Ask for a slot and load it, replacing the current run (F9)
      */
-    stopResting() {
-        if (!this.player) return;
-        
-        this.player.isResting = false;
-        this.player.restStartTime = null;
-        this.player.restAnimationStart = null;
+    promptLoadGame() {
+        const slot = this.promptForSlot('Load which save? (auto = last area change)', ['auto', '1', '2', '3']);
+        if (slot === null) return;
         
-        // Stop rest sound
-        if (this.audioSystem) {
-            this.audioSystem.stopRestSound();
+        if (this.loadGame(slot)) {
+            this.addCombatMessage(`Loaded save slot ${slot}.`, 'system', '#00FF00');
+        } else {
+            this.addCombatMessage(`Could not load slot ${slot}.`, 'system', '#FF0000');
         }
-        
-        this.addCombatMessage('You finish resting', 'notice', '#00FF00'); // Neon green
     }
 
     /**
-     * Interrupt resting (called when player moves, attacks, or is attacked)
+     * Show the save slots in a prompt and return the chosen one
+     * @param {string} title - Prompt title
+     * @param {Array} allowedSlots - Slots the player may pick
+     * @returns {string|null} Chosen slot or null if cancelled
      */
-    interruptResting() {
-        if (!this.player || !this.player.isResting) return;
+    promptForSlot(title, allowedSlots) {
+        const slotLines = this.saveSystem.listSlots()
+            .filter(info => allowedSlots.includes(info.slot))
+            .map(info => info.empty
+                ? `${info.slot}: (empty)`
+                : `${info.slot}: Area ${info.currentLevel}, Level ${info.playerLevel} - ${new Date(info.savedAt).toLocaleString()}`);
+        
+        const answer = prompt(`${title}\n\n${slotLines.join('\n')}\n\n(Leave empty to cancel)`);
+        if (answer === null || answer.trim() === '') return null;
+        
+        const slot = answer.trim().toLowerCase();
+        if (!allowedSlots.includes(slot)) {
+            this.addCombatMessage(`Unknown save slot "${slot}".`, 'system', '#FFA500');
+            return null;
+        }
+        return slot;
+    }
+
+    /**
+     * Download the replay of the run so far as a file (F8)
+     */
+    downloadReplay() {
+        const replay = this.exportReplay();
+        if (!replay) {
+            this.addCombatMessage('Nothing recorded yet.', 'system', '#FFA500');
+            return;
+        }
         
-        this.player.isResting = false;
-        this.player.restStartTime = null;
-        this.player.restAnimationStart = null;
+        const blob = new Blob([replay], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `replay_${this.rng.getSeed()}_${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
         
-        // Stop rest sound
-        if (this.audioSystem) {
-            this.audioSystem.stopRestSound();
-        }
+        this.addCombatMessage('Replay saved.', 'system', '#00FF00');
+    }
+
+    /**
+     * Pick a replay file and play it, replacing the current run (Shift+F8)
+     */
+    promptLoadReplay() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    this.startReplay(reader.result);
+                    this.addCombatMessage('Playing replay... (Esc to take control)', 'system', '#00FF00');
+                } catch (error) {
+                    console.error('Failed to start replay:', error);
+                    this.addCombatMessage(`Could not play replay: ${error.message}`, 'system', '#FF0000');
+                }
+            };
+            reader.readAsText(file);
+        });
         
-        this.addCombatMessage('Your rest is interrupted!', 'notice', '#00FF00'); // Neon green
+        input.click();
     }
 
     /**
@@ -1209,6 +912,7 @@ class Game {
         } : 'no player';
         
         const gameState = {
+            seed: this.rng.getSeed(),
             currentLevel: this.currentLevel,
             combatQueueEnabled: this.combatQueueEnabled,
             inventoryOpen: this.inventoryOpen,
@@ -1221,6 +925,7 @@ class Game {
             description: bugDescription.trim(),
             player: playerInfo,
             gameState: gameState,
+            replay: this.replaySystem.getRecording(this.turnCount), // Reproduces the run up to the report
             userAgent: navigator.userAgent,
             url: window.location.href
         };
@@ -1307,100 +1012,6 @@ class Game {
         }
     }
 
-    /**
-     * Interact with nearby chest
-     */
-    interactWithChest() {
-        if (!this.player) return;
-        
-        // Interrupt resting when interacting
-        this.interruptResting();
-        
-        // Check for chests at player's position first
-        let entitiesAtPosition = this.world.getEntitiesAt(this.player.x, this.player.y);
-        let chest = entitiesAtPosition.find(entity => entity.type === 'chest' && entity.active);
-        
-        // If no chest at current position, check adjacent positions
-        if (!chest) {
-            const directions = [
-                { x: -1, y: -1 }, { x: 0, y: -1 }, { x: 1, y: -1 },
-                { x: -1, y: 0 },                   { x: 1, y: 0 },
-                { x: -1, y: 1 },  { x: 0, y: 1 },  { x: 1, y: 1 }
-            ];
-            
-            for (const dir of directions) {
-                const checkX = this.player.x + dir.x;
-                const checkY = this.player.y + dir.y;
-                entitiesAtPosition = this.world.getEntitiesAt(checkX, checkY);
-                chest = entitiesAtPosition.find(entity => entity.type === 'chest' && entity.active);
-                if (chest) break;
-            }
-        }
-        
-        if (chest) {
-            this.openChest(chest);
-        } else {
-            this.addMoveMessage('No chest nearby', 'movement');
-        }
-    }
-
-    /**
-     * Open a chest and give loot to player
-     * @param {Entity} chest - Chest entity
-     */
-    openChest(chest) {
-        const chestComponent = chest.getComponent('chest');
-        if (!chestComponent) {
-            this.addMoveMessage('This chest is broken', 'movement');
-            return;
-        }
-        
-        if (chestComponent.looted) {
-            this.addMoveMessage('This chest is already empty', 'movement');
-            return;
-        }
-        
-        // Give gold to player
-        const playerGold = this.player.getComponent('gold');
-        if (playerGold && chestComponent.loot.gold > 0) {
-            playerGold.amount += chestComponent.loot.gold;
-            this.addXpLootMessage(`+${chestComponent.loot.gold} gold`, '#FFD700');
-            this.addMessage(`Found ${chestComponent.loot.gold} gold!`, '#FFD700', 'chest');
-        }
-        
-        // Mark chest as looted and update appearance
-        chestComponent.looted = true;
-        const appearance = chest.getComponent('appearance');
-        if (appearance) {
-            appearance.char = '[ ]'; // Empty brackets where v was
-            appearance.color = '#B8860B'; // Dark gold color
-        }
-        
-        this.addMessage('Chest opened!', '#FFD700', 'chest');
-        
-        // Play treasure sound effect
-        this.audioSystem.playTreasureSound();
-    }
-
-
-    /**
-     * Get game state
-     * @returns {Object} Game state
-     */
-    getGameState() {
-        return {
-            isRunning: this.isRunning,
-            gameOver: this.gameOver,
-            currentLevel: this.currentLevel,
-            player: this.player ? this.player.toJSON() : null,
-            world: {
-                width: this.world.width,
-                height: this.world.height,
-                currentTime: this.world.getCurrentTime()
-            }
-        };
-    }
-
     /**
      * Toggle inventory display
      */
@@ -1432,6 +1043,24 @@ class Game {
         this.addMoveMessage('Inventory closed', 'movement');
     }
 
+    /**
+     * Open the key rebinding screen (pauses the game like the inventory)
+     */
+    openKeyBindings() {
+        this.keyBindingsOpen = true;
+        this.gamePaused = true;
+        this.keyBindingsRenderer.show();
+    }
+
+    /**
+     * Close the key rebinding screen
+     */
+    closeKeyBindings() {
+        this.keyBindingsOpen = false;
+        this.gamePaused = false;
+        this.keyBindingsRenderer.hide();
+    }
+
     /**
      * Update inventory display
      */
@@ -1463,9 +1092,8 @@ class Game {
      */
     reset() {
         this.stop();
-        this.currentLevel = 1;
-        this.gameOver = false;
-        this.messages = [];
+        this.resetRunState();
+        this.rng.setSeed(this.rng.getSeed()); // Restart the same run
         this.init();
     }
 }
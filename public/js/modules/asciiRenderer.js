@@ -10,6 +10,62 @@ class ASCIIRenderer {
         this.buffer = [];
         this.entities = new Map();
         this.initialized = false;
+        this.speedSystem = null; // Will be injected for effective monster speeds
+        this.fovSystem = null; // Will be injected for what the player can see
+        this.tileClickHandler = null; // Will be injected by the game to travel to clicked tiles
+        this.tileHoverHandler = null; // Will be injected by the game to move the aiming cursor
+        this.keyBindings = null; // Will be injected to list the current keys under Controls
+    }
+
+    /**
+     * Set speed system
+     * @param {SpeedSystem} speedSystem - Speed system instance
+     */
+    setSpeedSystem(speedSystem) {
+        this.speedSystem = speedSystem;
+    }
+
+    /**
+     * Set FOV system
+     * @param {FOVSystem} fovSystem - FOV system instance
+     */
+    setFOVSystem(fovSystem) {
+        this.fovSystem = fovSystem;
+    }
+
+    /**
+     * Set key bindings
+     * @param {KeyBindings} keyBindings - Key bindings instance
+     */
+    setKeyBindings(keyBindings) {
+        this.keyBindings = keyBindings;
+    }
+
+    /**
+     * Set the handler called when a map tile is clicked
+     * @param {Function} handler - (x, y) => void
+     */
+    setTileClickHandler(handler) {
+        this.tileClickHandler = handler;
+    }
+
+    /**
+     * Set the handler called when the mouse moves onto a map tile
+     * @param {Function} handler - (x, y) => void
+     */
+    setTileHoverHandler(handler) {
+        this.tileHoverHandler = handler;
+    }
+
+    /**
+     * Check if the player can see a tile (everything counts as visible without an FOV system)
+     * @param {World} world - Game world
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if visible
+     */
+    isTileVisible(world, x, y) {
+        return !this.fovSystem || this.fovSystem.isVisible(world.map, x, y);
     }
 
     /**
@@ -147,6 +203,26 @@ class ASCIIRenderer {
             this.hoveredMonster = null;
             this.hoveredEntity = null;
         });
+        
+        this.display.addEventListener('click', (event) => {
+            if (this.tileClickHandler) {
+                const { x, y } = this.getTileAtEvent(event);
+                this.tileClickHandler(x, y);
+            }
+        });
+    }
+    
+    /**
+     * Get the map tile under the mouse
+     * @param {MouseEvent} event - Mouse event
+     * @returns {Object} { x, y } tile coordinates
+     */
+    getTileAtEvent(event) {
+        const rect = this.display.getBoundingClientRect();
+        return {
+            x: Math.floor((event.clientX - rect.left) / this.getCharWidth()),
+            y: Math.floor((event.clientY - rect.top) / this.getCharHeight())
+        };
     }
     
     /**
@@ -156,21 +232,21 @@ class ASCIIRenderer {
     handleMouseMove(event) {
         if (!this.display || !window.game) return;
         
-        const rect = this.display.getBoundingClientRect();
-        const x = Math.floor((event.clientX - rect.left) / this.getCharWidth());
-        const y = Math.floor((event.clientY - rect.top) / this.getCharHeight());
+        const { x, y } = this.getTileAtEvent(event);
+        if (this.tileHoverHandler) {
+            this.tileHoverHandler(x, y);
+        }
         
         // Find entity at mouse position
         this.hoveredEntity = null;
         this.hoveredMonster = null;
         
-        for (const entity of window.game.world.getAllEntities().values()) {
-            if (entity.active && Math.floor(entity.x) === x && Math.floor(entity.y) === y) {
-                this.hoveredEntity = entity;
-                if (entity.type === 'monster') {
-                    this.hoveredMonster = entity;
-                }
-                break;
+        // Only what the player can see is hoverable
+        const entity = this.isTileVisible(window.game.world, x, y) ? window.game.world.getEntitiesAt(x, y)[0] : null;
+        if (entity) {
+            this.hoveredEntity = entity;
+            if (entity.type === 'monster') {
+                this.hoveredMonster = entity;
             }
         }
     }
@@ -457,7 +533,7 @@ class ASCIIRenderer {
 
         // Draw instructions
         this.drawText(2, this.height - 3, 'Press I to close inventory', '#888888', 'transparent');
-        this.drawText(2, this.height - 2, 'Use WASD to move when closed', '#888888', 'transparent');
+        this.drawText(2, this.height - 2, 'Use your movement keys to move when closed', '#888888', 'transparent');
     }
 
 
@@ -471,7 +547,8 @@ class ASCIIRenderer {
         for (let y = 0; y < this.height; y++) {
             for (let x = 0; x < this.width; x++) {
                 const cell = this.buffer[y][x];
-                if (cell.color && cell.color !== '#ffffff') {
+                const hasBackground = cell.backgroundColor && cell.backgroundColor !== 'transparent' && cell.backgroundColor !== '#000000';
+                if ((cell.color && cell.color !== '#ffffff') || hasBackground) {
                     if (cell.backgroundColor === 'transparent') {
                         output += `<span style="color: ${cell.color}">${cell.char}</span>`;
                     } else {
@@ -502,21 +579,25 @@ class ASCIIRenderer {
 
         const {
             showFOV = true,
-            fovRadius = 8,
             showAll = false,
             showInventory = false,
-            combatMessages = []
+            combatMessages = [],
+            seed = null,
+            cursor = null
         } = options;
 
         // Clear the entire buffer first
         this.clearBuffer();
 
         // Render the entire game area (full height since GUI is now separate)
-        this.renderMap(world, player, showFOV, fovRadius, showAll, 0, 0, this.width, this.height);
-        this.renderEntities(world, player, showFOV, fovRadius, showAll, 0, 0, this.width, this.height);
+        this.renderMap(world, player, showFOV, showAll, 0, 0, this.width, this.height);
+        this.renderEntities(world, player, showFOV, showAll, 0, 0, this.width, this.height);
+        if (cursor) {
+            this.renderCursor(cursor);
+        }
 
         // Update the separate HTML GUI
-        this.updateHTMLGUI(world, player, combatMessages);
+        this.updateHTMLGUI(world, player, combatMessages, seed, cursor);
 
         // Note: Inventory is now handled by the new inventory overlay system
         // The old ASCII inventory rendering is no longer used
@@ -525,10 +606,30 @@ class ASCIIRenderer {
         this.present();
     }
 
+    /**
+     * Highlight the map cursor and, while aiming, the line a shot would fly along
+     * @param {Object} cursor - { x, y, path } - path is the tiles the projectile would cross
+     */
+    renderCursor(cursor) {
+        for (const tile of cursor.path || []) {
+            if (this.buffer[tile.y] && this.buffer[tile.y][tile.x]) {
+                this.buffer[tile.y][tile.x].backgroundColor = '#3a3a00';
+            }
+        }
+        if (this.buffer[cursor.y] && this.buffer[cursor.y][cursor.x]) {
+            this.buffer[cursor.y][cursor.x].backgroundColor = '#8a6d00';
+        }
+    }
+
     /**
      * Update HTML GUI elements
+     * @param {World} world - Game world
+     * @param {Entity} player - Player entity
+     * @param {Array} combatMessages - Combat messages for the log
+     * @param {number|null} seed - Run seed shown in the stats panel
+     * @param {Object|null} cursor - Map cursor; its description replaces the enemy list while it is up
      */
-    updateHTMLGUI(world, player, combatMessages) {
+    updateHTMLGUI(world, player, combatMessages, seed = null, cursor = null) {
         // Update combat messages
         const combatMessagesEl = document.getElementById('combat-messages');
         
@@ -667,7 +768,11 @@ class ASCIIRenderer {
 
         // Update enemies nearby
         const enemiesEl = document.getElementById('enemies-list');
-        if (enemiesEl) {
+        if (enemiesEl && cursor && cursor.lines) {
+            enemiesEl.innerHTML = cursor.lines.map((line, index) =>
+                `<div style="color: ${index === 0 ? '#ffff00' : '#ffffff'}">${line}</div>`
+            ).join('');
+        } else if (enemiesEl) {
             const nearbyEnemies = this.getNearbyEnemies(world, player);
             if (nearbyEnemies.length > 0) {
                 enemiesEl.innerHTML = nearbyEnemies.map(enemy => {
@@ -690,7 +795,15 @@ class ASCIIRenderer {
                         currentColor = '#ff0000'; // Red
                     }
                     
-                    return `<div><span style="color: ${nameColor}">${enemy.name}</span> Lv:${enemy.level} HP:<span style="color: ${currentColor}">${enemy.health}</span><span style="color: #ffffff">/${enemy.maxHealth}</span></div>`;
+                    // Slowed monsters show their speed in blue, hasted ones in gold
+                    let speedColor = '#ffffff';
+                    if (enemy.speed < enemy.baseSpeed) {
+                        speedColor = '#00BFFF';
+                    } else if (enemy.speed > enemy.baseSpeed) {
+                        speedColor = '#FFD700';
+                    }
+                    
+                    return `<div><span style="color: ${nameColor}">${enemy.name}</span> Lv:${enemy.level} HP:<span style="color: ${currentColor}">${enemy.health}</span><span style="color: #ffffff">/${enemy.maxHealth}</span> Spd:<span style="color: ${speedColor}">${enemy.speed.toFixed(1)}</span></div>`;
                 }).join('');
             } else {
                 enemiesEl.innerHTML = '<div>None</div>';
@@ -701,6 +814,7 @@ class ASCIIRenderer {
         const statsEl = document.getElementById('stats-content');
         if (statsEl && player) {
             const health = player.getComponent('health');
+            const mana = player.getComponent('mana');
             const level = player.getComponent('level');
             const stats = player.getComponent('stats');
             
@@ -724,6 +838,9 @@ class ASCIIRenderer {
                 
                 statsHTML += `<div>HP: <span style="color: ${currentColor}">${health.current}</span><span style="color: #ffffff">/${health.max}</span></div>`;
             }
+            if (mana) {
+                statsHTML += `<div>MP: <span style="color: #6495ED">${mana.current}</span><span style="color: #ffffff">/${mana.max}</span></div>`;
+            }
             if (level) {
                 statsHTML += `<div>Level: ${level.value}</div>`;
                 statsHTML += `<div>XP: ${level.experience}/${level.experienceToNext}</div>`;
@@ -735,19 +852,29 @@ class ASCIIRenderer {
                 statsHTML += `<div>CON: ${stats.constitution}</div>`;
                 statsHTML += `<div>AGI: ${stats.agility}</div>`;
             }
+            if (seed !== null) {
+                statsHTML += `<div style="color: #888888">Seed: ${seed}</div>`;
+            }
             statsEl.innerHTML = statsHTML;
         }
 
-        // Update controls
+        // Update controls from the current key bindings
         const controlsEl = document.getElementById('controls-content');
-        if (controlsEl) {
+        if (controlsEl && this.keyBindings) {
+            const keys = this.keyBindings;
             controlsEl.innerHTML = `
-                <div>WASD = Move Character</div>
-                <div>Q = Engage Combat Mode</div>
-                <div>C/I = Character Sheet (Pause)</div>
-                <div>R = Rest</div>
-                <div>Space = Loot/Interact</div>
-                <div>F7 = Report Bug</div>
+                <div>${keys.describeGroup(['move.north', 'move.west', 'move.south', 'move.east'])} = Move, ${keys.describeGroup(['move.northwest', 'move.northeast', 'move.southwest', 'move.southeast'])} = Diagonal</div>
+                <div>${keys.describe('toggleQueue', 2)} = Engage Combat Mode</div>
+                <div>${keys.describe('inventory', 2)} = Character Sheet (Pause)</div>
+                <div>${keys.describe('rest', 1)} = Rest (${keys.describe('restTurns', 1)}: N turns), ${keys.describe('wait', 1)} = Wait</div>
+                <div>${keys.describe('sneak', 1)} = Sneak (slower, quieter)</div>
+                <div>${keys.describe('fire', 1)} = Aim/Fire (${keys.describe('nextTarget', 1)}: Next target), ${keys.describe('look', 1)} = Look</div>
+                <div>${keys.describe('castSpell', 1)} = Cast (${keys.describeGroup(['cast1', 'cast2', 'cast3', 'cast4'])}: Spells 1-4)</div>
+                <div>Click = Travel, ${keys.describe('explore', 1)} = Explore, ${keys.describe('travelToExit', 1)} = Exit</div>
+                <div>${keys.describe('loot', 1)} = Loot/Interact</div>
+                <div>${keys.describe('save', 1)}/${keys.describe('load', 1)} = Save/Load</div>
+                <div>${keys.describe('downloadReplay', 1)} = Replay (${keys.describe('playReplay', 1)}: Play)</div>
+                <div>${keys.describe('reportBug', 1)} = Report Bug, ${keys.describe('keyBindings', 1)} = Keys</div>
             `;
         }
     }
@@ -810,7 +937,7 @@ class ASCIIRenderer {
         const nearbyEnemies = this.getNearbyEnemies(world, player);
         for (let i = 0; i < Math.min(nearbyEnemies.length, guiHeight - 4); i++) {
             const enemy = nearbyEnemies[i];
-            let text = `${enemy.name} Lv:${enemy.level} HP:${enemy.health}/${enemy.maxHealth}`;
+            let text = `${enemy.name} Lv:${enemy.level} HP:${enemy.health}/${enemy.maxHealth} Spd:${enemy.speed.toFixed(1)}`;
             if (text.length > maxTextWidth) {
                 text = text.substring(0, maxTextWidth);
             }
@@ -946,7 +1073,7 @@ class ASCIIRenderer {
     }
 
     /**
-     * Get nearby enemies for display
+     * Get nearby enemies the player can see, for display
      */
     getNearbyEnemies(world, player) {
         const enemies = [];
@@ -955,17 +1082,21 @@ class ASCIIRenderer {
         const nearbyEntities = world.getEntitiesInRadius(player, 10); // Within 10 tiles
         
         for (const entity of nearbyEntities) {
-            if (EntityUtils.isMonster(entity)) {
+            if (EntityUtils.isMonster(entity) && this.isTileVisible(world, entity.x, entity.y)) {
                 const healthInfo = EntityUtils.getEntityHealth(entity);
                 const level = EntityUtils.getEntityLevel(entity);
                 const monsterName = EntityUtils.getMonsterType(entity); // Get name without article
+                const speedComponent = entity.getComponent('speed');
+                const baseSpeed = speedComponent ? speedComponent.value : 1;
                 
                 enemies.push({
                     id: entity.id, // Include the entity ID for color generation
                     name: monsterName,
                     level: level,
                     health: healthInfo.current,
-                    maxHealth: healthInfo.max
+                    maxHealth: healthInfo.max,
+                    baseSpeed: baseSpeed,
+                    speed: this.speedSystem ? this.speedSystem.getSpeed(entity) : baseSpeed // After equipment, effects and encumbrance
                 });
             }
         }
@@ -1015,25 +1146,21 @@ class ASCIIRenderer {
      * @param {World} world - Game world
      * @param {Entity} player - Player entity
      * @param {boolean} showFOV - Whether to show field of view
-     * @param {number} fovRadius - Field of view radius
      * @param {boolean} showAll - Whether to show everything
      * @param {number} startX - Start X coordinate
      * @param {number} startY - Start Y coordinate
      * @param {number} width - Width of render area
      * @param {number} height - Height of render area
      */
-    renderMap(world, player, showFOV, fovRadius, showAll, startX = 0, startY = 0, width = this.width, height = this.height) {
+    renderMap(world, player, showFOV, showAll, startX = 0, startY = 0, width = this.width, height = this.height) {
         const map = world.map;
-        const playerX = player ? player.x : 0;
-        const playerY = player ? player.y : 0;
 
         for (let y = 0; y < map.length; y++) {
             for (let x = 0; x < map[y].length; x++) {
                 const tile = map[y][x];
-                const distance = Math.sqrt((x - playerX) ** 2 + (y - playerY) ** 2);
                 
                 // Check if tile should be visible
-                const isVisible = showAll || !showFOV || distance <= fovRadius;
+                const isVisible = showAll || !showFOV || this.isTileVisible(world, x, y);
                 
                 if (isVisible) {
                     let char = tile.char;
@@ -1081,23 +1208,18 @@ class ASCIIRenderer {
      * @param {World} world - Game world
      * @param {Entity} player - Player entity
      * @param {boolean} showFOV - Whether to show field of view
-     * @param {number} fovRadius - Field of view radius
      * @param {boolean} showAll - Whether to show everything
      * @param {number} startX - Start X coordinate
      * @param {number} startY - Start Y coordinate
      * @param {number} width - Width of render area
      * @param {number} height - Height of render area
      */
-    renderEntities(world, player, showFOV, fovRadius, showAll, startX = 0, startY = 0, width = this.width, height = this.height) {
-        const playerX = player ? player.x : 0;
-        const playerY = player ? player.y : 0;
-
+    renderEntities(world, player, showFOV, showAll, startX = 0, startY = 0, width = this.width, height = this.height) {
         // First, render all entities except the player and swing animations
         for (const entity of world.getAllEntities().values()) {
             if (!entity.active || entity.type === 'player' || entity.type === 'swing_animation') continue;
 
-            const distance = Math.sqrt((entity.x - playerX) ** 2 + (entity.y - playerY) ** 2);
-            const isVisible = showAll || !showFOV || distance <= fovRadius;
+            const isVisible = showAll || !showFOV || this.isTileVisible(world, entity.x, entity.y);
 
             if (isVisible) {
                 let char = '?';
@@ -1158,8 +1280,7 @@ class ASCIIRenderer {
 
         // Then, render the player last to ensure it's always visible
         if (player && player.active) {
-            const distance = Math.sqrt((player.x - playerX) ** 2 + (player.y - playerY) ** 2);
-            const isVisible = showAll || !showFOV || distance <= fovRadius;
+            const isVisible = showAll || !showFOV || this.isTileVisible(world, player.x, player.y);
 
             if (isVisible) {
                 let char = '@';
@@ -1173,7 +1294,7 @@ class ASCIIRenderer {
                 }
 
                 // Check for rest animation
-                if (player.isResting && player.restAnimationStart) {
+                if (player.hasComponent('rest') && player.restAnimationStart) {
                     const now = Date.now();
                     const elapsed = now - player.restAnimationStart;
                     const pulseCycle = 2000; // 2 second pulse cycle
@@ -1214,7 +1335,7 @@ class ASCIIRenderer {
         }
 
         // Finally, render swing animations on top of everything else
-        this.renderSwingAnimations(world, player, showFOV, fovRadius, showAll);
+        this.renderSwingAnimations(world, player, showFOV, showAll);
     }
 
     /**
@@ -1222,18 +1343,11 @@ class ASCIIRenderer {
      * @param {World} world - Game world
      * @param {Entity} player - Player entity
      * @param {boolean} showFOV - Whether to show field of view
-     * @param {number} fovRadius - Field of view radius
      * @param {boolean} showAll - Whether to show everything
      */
-    renderSwingAnimations(world, player, showFOV, fovRadius, showAll) {
-        const playerX = player ? player.x : 0;
-        const playerY = player ? player.y : 0;
-
-        for (const entity of world.getAllEntities().values()) {
-            if (!entity.active || entity.type !== 'swing_animation') continue;
-            
-            const distance = Math.sqrt((entity.x - playerX) ** 2 + (entity.y - playerY) ** 2);
-            const isVisible = showAll || !showFOV || distance <= fovRadius;
+    renderSwingAnimations(world, player, showFOV, showAll) {
+        for (const entity of world.getEntitiesByType('swing_animation')) {
+            const isVisible = showAll || !showFOV || this.isTileVisible(world, entity.x, entity.y);
 
             if (isVisible) {
                 const char = entity.getCurrentChar();
@@ -1396,6 +1510,7 @@ class ASCIIRenderer {
         // Extract monster type from ID (e.g., "monster_1234567890_0" -> "goblin")
         if (entityId.includes('goblin')) return 'goblin';
         if (entityId.includes('orc')) return 'orc';
+        if (entityId.includes('kobold')) return 'kobold';
         if (entityId.includes('troll')) return 'troll';
         if (entityId.includes('skeleton')) return 'skeleton';
         if (entityId.includes('dragon')) return 'dragon';
@@ -1420,6 +1535,7 @@ class ASCIIRenderer {
         const colors = {
             goblin: '#00ff00',
             orc: '#8B4513',
+            kobold: '#DAA520',
             troll: '#696969',
             skeleton: '#C0C0C0',
             dragon: '#FF0000'
@@ -5,6 +5,25 @@ class CharacterGenerator {
     constructor() {
         this.characterTemplates = this.initializeTemplates();
         this.equipmentSystem = new EquipmentSystem();
+        this.rng = new RNG(); // Replaced by the game's seeded RNG
+        this.spawnCounter = 0; // Keeps spawned IDs unique and reproducible
+    }
+
+    /**
+     * Set the random number generator used for spawns and loot
+     * @param {RNG} rng - Seeded RNG instance
+     */
+    setRng(rng) {
+        this.rng = rng;
+        this.equipmentSystem.setRng(rng);
+    }
+
+    /**
+     * Set the game engine used when equipping generated gear
+     * @param {GameEngine} game - Game engine instance
+     */
+    setGame(game) {
+        this.equipmentSystem.setGame(game);
     }
 
     /**
@@ -48,6 +67,7 @@ class CharacterGenerator {
                             type: 'sword',
                             damage: 2,
                             speed: 2.72,
+                            weight: 4,
                             value: 10
                         },
                         secondary: null,
@@ -76,7 +96,7 @@ class CharacterGenerator {
                         armor: null,
                         accessory: null
                     },
-                    ai: { type: 'aggressive', range: 8 },
+                    ai: { type: 'coward', range: 8, callRange: 10 }, // Shrieks for help, then keeps its distance
                     notice: { 
                         hasNoticed: false, 
                         noticeTimer: 0, 
@@ -109,7 +129,7 @@ class CharacterGenerator {
                         armor: null,
                         accessory: null
                     },
-                    ai: { type: 'aggressive', range: 6 },
+                    ai: { type: 'pack', range: 6, packRange: 8, fleeAt: 0.25 }, // Hunts in packs, runs when badly hurt
                     notice: { 
                         hasNoticed: false, 
                         noticeTimer: 0, 
@@ -122,6 +142,39 @@ class CharacterGenerator {
                     loot: { gold: { min: 3, max: 10 }, items: [] }
                 }
             },
+            kobold: {
+                type: 'monster',
+                char: 'k',
+                color: '#DAA520',
+                components: {
+                    health: { max: 8, current: 8 }, // 16% of player HP (50)
+                    speed: { value: 1 },
+                    level: { value: 2 },
+                    stats: {
+                        strength: 8,
+                        dexterity: 16,
+                        intelligence: 8,
+                        constitution: 10,
+                        agility: 10  // Nimble, but frail
+                    },
+                    equipment: {
+                        weapon: null,
+                        armor: null,
+                        accessory: null
+                    },
+                    ai: { type: 'ranged', range: 8, attackRange: 5, keepDistance: 3 }, // Shoots from a distance, backs off when approached
+                    notice: { 
+                        hasNoticed: false, 
+                        noticeTimer: 0, 
+                        noticeDelay: 10, 
+                        alertRange: 6 
+                    },
+                    visibility: { 
+                        isVisible: false 
+                    },
+                    loot: { gold: { min: 2, max: 6 }, items: [] }
+                }
+            },
             troll: {
                 type: 'monster',
                 char: 'T',
@@ -142,7 +195,7 @@ class CharacterGenerator {
                         armor: null,
                         accessory: null
                     },
-                    ai: { type: 'aggressive', range: 10 },
+                    ai: { type: 'sleeper', range: 10, asleep: true, wakeRange: 3, wakeChance: 0.25 },
                     notice: { 
                         hasNoticed: false, 
                         noticeTimer: 0, 
@@ -175,7 +228,8 @@ class CharacterGenerator {
                         armor: null,
                         accessory: null
                     },
-                    ai: { type: 'aggressive', range: 5 },
+                    ai: { type: 'patrol', range: 5, patrolRadius: 10 },
+                    immunities: { effects: ['poison'] }, // Nothing left to poison
                     notice: { 
                         hasNoticed: false, 
                         noticeTimer: 0, 
@@ -208,7 +262,8 @@ class CharacterGenerator {
                         armor: null,
                         accessory: null
                     },
-                    ai: { type: 'aggressive', range: 15 },
+                    ai: { type: 'guard', range: 15, guardRadius: 6 }, // Stays by its hoard
+                    immunities: { effects: ['burn'] }, // Breathes fire
                     notice: { 
                         hasNoticed: false, 
                         noticeTimer: 0, 
@@ -348,9 +403,7 @@ class CharacterGenerator {
         const monsterTypes = Object.keys(this.characterTemplates).filter(type => type !== 'player');
         const levelAppropriateMonsters = this.getLevelAppropriateMonsters(level);
         
-        const monsterType = levelAppropriateMonsters[
-            Math.floor(Math.random() * levelAppropriateMonsters.length)
-        ];
+        const monsterType = this.rng.pick(levelAppropriateMonsters);
         
         return this.createMonster(id, monsterType, x, y);
     }
@@ -365,6 +418,7 @@ class CharacterGenerator {
             goblin: 1,
             skeleton: 1,
             orc: 2,
+            kobold: 2,
             troll: 3,
             dragon: 5
         };
@@ -394,6 +448,13 @@ class CharacterGenerator {
                 damage: 5,
                 range: 10
             },
+            bolt: {
+                char: '-',
+                color: '#A9A9A9',
+                speed: 20,
+                damage: 6,
+                range: 10
+            },
             firebolt: {
                 char: '*',
                 color: '#FF4500',
@@ -407,6 +468,13 @@ class CharacterGenerator {
                 speed: 10,
                 damage: 6,
                 range: 6
+            },
+            magicMissile: {
+                char: 'o',
+                color: '#FF69B4',
+                speed: 15,
+                damage: 4,
+                range: 6
             }
         };
 
@@ -496,21 +564,19 @@ class CharacterGenerator {
      */
     spawnMonstersInRoom(room, level = 1, maxMonsters = 3) {
         const monsters = [];
-        const numMonsters = Math.floor(Math.random() * maxMonsters) + 1;
+        const numMonsters = this.rng.int(1, maxMonsters + 1);
         
         for (let i = 0; i < numMonsters; i++) {
-            const x = room.x + Math.floor(Math.random() * room.width);
-            const y = room.y + Math.floor(Math.random() * room.height);
+            const x = room.x + this.rng.int(0, room.width);
+            const y = room.y + this.rng.int(0, room.height);
             
             // Get monster type first, then create monster with proper ID
             const monsterTypes = Object.keys(this.characterTemplates).filter(type => type !== 'player');
             const levelAppropriateMonsters = this.getLevelAppropriateMonsters(level);
-            const monsterType = levelAppropriateMonsters[
-                Math.floor(Math.random() * levelAppropriateMonsters.length)
-            ];
+            const monsterType = this.rng.pick(levelAppropriateMonsters);
             
             // Generate ID with monster type before creating monster
-            const id = `${monsterType}_monster_${Date.now()}_${i}`;
+            const id = `${monsterType}_monster_${this.spawnCounter++}_${i}`;
             const monster = this.createMonster(id, monsterType, x, y);
             
             if (monster) {
@@ -533,6 +599,7 @@ class CharacterGenerator {
             switch (appearance.char) {
                 case 'g': return 'goblin';
                 case 'o': return 'orc';
+                case 'k': return 'kobold';
                 case 'T': return 'troll';
                 case 's': return 'skeleton';
                 case 'D': return 'dragon';
@@ -559,15 +626,15 @@ class CharacterGenerator {
      */
     spawnItemsInRoom(room, maxItems = 2) {
         const items = [];
-        const numItems = Math.floor(Math.random() * maxItems);
+        const numItems = this.rng.int(0, maxItems);
         
         for (let i = 0; i < numItems; i++) {
-            const x = room.x + Math.floor(Math.random() * room.width);
-            const y = room.y + Math.floor(Math.random() * room.height);
-            const id = `item_${Date.now()}_${i}`;
+            const x = room.x + this.rng.int(0, room.width);
+            const y = room.y + this.rng.int(0, room.height);
+            const id = `item_${this.spawnCounter++}_${i}`;
             
             const itemTypes = ['healthPotion', 'manaPotion', 'sword', 'shield'];
-            const itemType = itemTypes[Math.floor(Math.random() * itemTypes.length)];
+            const itemType = this.rng.pick(itemTypes);
             
             const item = this.createItem(id, itemType, x, y);
             items.push(item);
@@ -631,13 +698,14 @@ class CharacterGenerator {
             color: '#FFD700' // Gold color
         });
         
-        // Add chest component to track looted state
+        // Add chest component to track looted state; about half hold a launcher or some ammo
+        const gold = this.rng.int(25, 75); // 25-75 gold
+        const items = this.rng.chance(0.5)
+            ? [this.rng.pick(['shortBow', 'longBow', 'lightCrossbow', 'heavyCrossbow', 'arrows', 'bolts'])]
+            : [];
         chest.addComponent('chest', {
             looted: false,
-            loot: {
-                gold: Math.floor(Math.random() * 50) + 25, // 25-75 gold
-                items: []
-            }
+            loot: { gold, items }
         });
         
         return chest;
@@ -5,6 +5,15 @@ class CharacterProgress {
     constructor() {
         this.experienceTable = this.initializeExperienceTable();
         this.statBonuses = this.initializeStatBonuses();
+        this.rng = new RNG(); // Replaced by the game's seeded RNG
+    }
+
+    /**
+     * Set the random number generator used for level-up rolls
+     * @param {RNG} rng - Seeded RNG instance
+     */
+    setRng(rng) {
+        this.rng = rng;
     }
 
     /**
@@ -171,11 +180,11 @@ class CharacterProgress {
         if (!statsComponent) return;
 
         // Random stat increases (1-3 points total)
-        const totalPoints = Math.floor(Math.random() * 3) + 1;
+        const totalPoints = this.rng.int(1, 4);
         const stats = ['strength', 'dexterity', 'intelligence', 'constitution'];
         
         for (let i = 0; i < totalPoints; i++) {
-            const stat = stats[Math.floor(Math.random() * stats.length)];
+            const stat = this.rng.pick(stats);
             statsComponent[stat] = (statsComponent[stat] || 10) + 1;
         }
     }
@@ -208,7 +217,7 @@ class CharacterProgress {
         const totalDamage = Math.floor((baseDamage + strengthBonus) * weaponMultiplier);
         
         // Add damage variance (EverQuest style) - 60% to 140% of base damage
-        const variance = 0.6 + (Math.random() * 0.8);
+        const variance = 0.6 + (this.rng.next() * 0.8);
         const finalDamage = Math.floor(totalDamage * variance);
         
         return Math.max(1, finalDamage);
@@ -0,0 +1,198 @@
+/**
+ * Dungeon Graph for keeping every visited area of a run
+ * Areas sit on a grid keyed by position: the North exit of (x, y) leads to (x, y - 1),
+ * whose South exit leads back. Each area keeps its own World, so corpses, looted chests
+ * and surviving monsters are still there when the player returns.
+ */
+class DungeonGraph {
+    constructor() {
+        this.directions = {
+            North: { dx: 0, dy: -1, opposite: 'South' },
+            South: { dx: 0, dy: 1, opposite: 'North' },
+            East: { dx: 1, dy: 0, opposite: 'West' },
+            West: { dx: -1, dy: 0, opposite: 'East' }
+        };
+
+        this.areas = new Map(); // Area key -> { key, x, y, depth, world, rooms, pending, pendingEffects }
+        this.currentKey = null;
+    }
+
+    /**
+     * Forget every area for a new run
+     */
+    reset() {
+        this.areas.clear();
+        this.currentKey = null;
+    }
+
+    /**
+     * Get the key of the area at a grid position
+     * @param {number} x - Area grid X
+     * @param {number} y - Area grid Y
+     * @returns {string} Area key
+     */
+    getAreaKey(x, y) {
+        return `${x},${y}`;
+    }
+
+    /**
+     * Register an area and make it the current one
+     * @param {number} x - Area grid X
+     * @param {number} y - Area grid Y
+     * @param {number} depth - Difficulty level of the area (steps from the start when discovered)
+     * @param {World} world - World holding the area's map and entities
+     * @param {Array} rooms - Rooms the area's map was generated with
+     * @returns {Object} Area record
+     */
+    addArea(x, y, depth, world, rooms) {
+        const area = {
+            key: this.getAreaKey(x, y),
+            x: x,
+            y: y,
+            depth: depth,
+            world: world,
+            rooms: rooms,
+            pending: {}, // Entity ID -> time left on its pending action while the area is unvisited
+            pendingEffects: {} // Entity ID -> its status effects, timed from when the area was left
+        };
+
+        this.areas.set(area.key, area);
+        this.currentKey = area.key;
+        return area;
+    }
+
+    /**
+     * Get the area the player is in
+     * @returns {Object|null} Area record
+     */
+    getCurrentArea() {
+        return this.areas.get(this.currentKey) || null;
+    }
+
+    /**
+     * Get every known area
+     * @returns {Array} Area records in discovery order
+     */
+    getAreas() {
+        return Array.from(this.areas.values());
+    }
+
+    /**
+     * Get the grid position an exit of an area leads to
+     * @param {Object} area - Area record
+     * @param {string} direction - Exit direction ('North', 'South', 'East', 'West')
+     * @returns {Object} { x, y } grid position
+     */
+    getNeighborPosition(area, direction) {
+        const step = this.directions[direction] || this.directions.North;
+        return { x: area.x + step.dx, y: area.y + step.dy };
+    }
+
+    /**
+     * Get the already visited area an exit leads to
+     * @param {Object} area - Area record
+     * @param {string} direction - Exit direction
+     * @returns {Object|null} Neighboring area or null if it has not been generated yet
+     */
+    getNeighbor(area, direction) {
+        const position = this.getNeighborPosition(area, direction);
+        return this.areas.get(this.getAreaKey(position.x, position.y)) || null;
+    }
+
+    /**
+     * Work out which exits a new area at a position must have, and which it must not, so every
+     * hallway into an already visited neighbor has a matching hallway back
+     * @param {number} x - Area grid X
+     * @param {number} y - Area grid Y
+     * @returns {Object} { required, blocked } - arrays of direction names
+     */
+    getExitConstraints(x, y) {
+        const required = [];
+        const blocked = [];
+
+        for (const [direction, step] of Object.entries(this.directions)) {
+            const neighbor = this.areas.get(this.getAreaKey(x + step.dx, y + step.dy));
+            if (!neighbor) continue;
+
+            if (this.hasExit(neighbor.world.map, step.opposite)) {
+                required.push(direction);
+            } else {
+                blocked.push(direction);
+            }
+        }
+
+        return { required, blocked };
+    }
+
+    /**
+     * Check if a map has a hallway exit in a direction
+     * @param {Array} map - 2D map array
+     * @param {string} direction - Exit direction
+     * @returns {boolean} True if the map has such an exit
+     */
+    hasExit(map, direction) {
+        return map.some(row => row.some(tile => tile.type === 'hallway_exit' && tile.direction === direction));
+    }
+
+    /**
+     * Put the current area to sleep: its entities keep the time left on their pending actions
+     * and status effects but leave the turn queue and the effect clock until the player comes back
+     * @param {Scheduler} scheduler - Turn scheduler
+     * @param {EffectSystem} effectSystem - Effect system whose timers stop with the area
+     */
+    leaveArea(scheduler, effectSystem) {
+        const area = this.getCurrentArea();
+        if (!area) return;
+
+        const now = scheduler.getCurrentTime();
+        area.pending = {};
+        area.pendingEffects = {};
+
+        for (const entity of area.world.getAllEntities().values()) {
+            const effects = effectSystem.suspendEffects(entity, now);
+            if (effects.length > 0) {
+                area.pendingEffects[entity.id] = effects;
+            }
+
+            const time = scheduler.getScheduledTime(entity);
+            if (time === null) continue;
+
+            area.pending[entity.id] = Math.max(0, time - now);
+            scheduler.removeEntity(entity.id);
+        }
+    }
+
+    /**
+     * Make a visited area current again and put its sleeping entities back in the turn queue,
+     * their status effects picking up where they left off
+     * @param {Object} area - Area record
+     * @param {Scheduler} scheduler - Turn scheduler
+     * @param {EffectSystem} effectSystem - Effect system to restart the area's effect timers in
+     */
+    enterArea(area, scheduler, effectSystem) {
+        const now = scheduler.getCurrentTime();
+
+        for (const [id, delay] of Object.entries(area.pending)) {
+            const entity = area.world.getEntity(id);
+            if (entity && entity.active) {
+                scheduler.scheduleAt(entity, now + delay);
+            }
+        }
+
+        for (const [id, effects] of Object.entries(area.pendingEffects || {})) {
+            const entity = area.world.getEntity(id);
+            if (entity && entity.active) {
+                effectSystem.resumeEffects(entity, effects, now);
+            }
+        }
+
+        area.pending = {};
+        area.pendingEffects = {};
+        this.currentKey = area.key;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DungeonGraph;
+}
@@ -5,6 +5,25 @@
 class EquipmentSystem {
     constructor() {
         this.itemTemplates = this.initializeItemTemplates();
+        this.rng = new RNG(); // Replaced by the game's seeded RNG
+        this.game = null; // Will be injected for skill bonuses and the inventory system
+        this.spawnCounter = 0; // Only used standalone - the game's shared spawn counter is used once injected
+    }
+
+    /**
+     * Set the random number generator used for item stat variance
+     * @param {RNG} rng - Seeded RNG instance
+     */
+    setRng(rng) {
+        this.rng = rng;
+    }
+
+    /**
+     * Set the game engine that provides skills and inventory systems
+     * @param {GameEngine} game - Game engine instance
+     */
+    setGame(game) {
+        this.game = game;
     }
 
     /**
@@ -21,6 +40,7 @@ class EquipmentSystem {
                             damage: 3,
                             speed: 1.6, // 5 second swing speed (8000/1.6 = 5000ms)
                             durability: 50,
+                            weight: 5,
                             value: 10,
                             description: 'A worn iron sword with some rust'
                         },
@@ -30,6 +50,7 @@ class EquipmentSystem {
                             damage: 3, // Lower damage for balance
                             speed: 2.67, // 3 second swing speed (8000/2.67 = 3000ms)
                             durability: 100,
+                            weight: 6,
                             value: 25,
                             description: 'A well-made but heavy iron sword'
                         },
@@ -39,6 +60,7 @@ class EquipmentSystem {
                     damage: 7,
                     speed: 1.0,
                     durability: 150,
+                    weight: 5,
                     value: 50,
                     description: 'A sharp steel blade'
                 },
@@ -48,6 +70,7 @@ class EquipmentSystem {
                             damage: 4, // Lower damage for balance
                             speed: 1.33, // 6 second swing speed
                             durability: 80,
+                            weight: 7,
                             value: 30,
                             description: 'A crude but effective axe'
                         },
@@ -57,6 +80,7 @@ class EquipmentSystem {
                             damage: 6, // Lower damage for balance
                             speed: 1.0, // 8 second swing speed
                             durability: 120,
+                            weight: 10,
                             value: 40,
                             description: 'A heavy wooden club'
                         },
@@ -66,10 +90,87 @@ class EquipmentSystem {
                             damage: 8, // Lower damage for balance
                             speed: 1.6, // 5 second swing speed
                             durability: 200,
+                            weight: 3,
                             value: 100,
                             description: 'A sharp dragon claw'
                         }
             },
+            // Ranged weapons - each launcher shoots one kind of ammo
+            ranged: {
+                shortBow: {
+                    name: 'Short Bow',
+                    type: 'bow',
+                    damage: 3,
+                    speed: 2.0, // 3.2 second recovery
+                    range: 8,
+                    ammoType: 'arrows',
+                    durability: 60,
+                    weight: 2,
+                    value: 20,
+                    description: 'A light hunting bow'
+                },
+                longBow: {
+                    name: 'Long Bow',
+                    type: 'bow',
+                    damage: 4,
+                    speed: 1.6, // 4 second recovery
+                    range: 11,
+                    ammoType: 'arrows',
+                    durability: 80,
+                    weight: 3,
+                    value: 45,
+                    description: 'A tall yew bow that shoots far'
+                },
+                lightCrossbow: {
+                    name: 'Light Crossbow',
+                    type: 'crossbow',
+                    damage: 5,
+                    speed: 1.33, // 4.8 second recovery
+                    range: 9,
+                    ammoType: 'bolts',
+                    durability: 100,
+                    weight: 6,
+                    value: 40,
+                    description: 'Slow to wind, but strength doesn\'t matter'
+                },
+                heavyCrossbow: {
+                    name: 'Heavy Crossbow',
+                    type: 'crossbow',
+                    damage: 8,
+                    speed: 1.0, // 6.4 second recovery
+                    range: 10,
+                    ammoType: 'bolts',
+                    durability: 150,
+                    weight: 10,
+                    value: 80,
+                    description: 'A steel crossbow that punches through armor'
+                }
+            },
+            // Ammo comes in stacks; spent shots can be picked up again unless they broke
+            ammo: {
+                arrows: {
+                    name: 'Arrows',
+                    type: 'arrows',
+                    damage: 1,
+                    quantity: 20,
+                    recoverChance: 0.6,
+                    projectile: 'arrow',
+                    weight: 1,
+                    value: 5,
+                    description: 'A bundle of fletched arrows'
+                },
+                bolts: {
+                    name: 'Bolts',
+                    type: 'bolts',
+                    damage: 2,
+                    quantity: 15,
+                    recoverChance: 0.75,
+                    projectile: 'bolt',
+                    weight: 1,
+                    value: 8,
+                    description: 'Short, heavy crossbow bolts'
+                }
+            },
             // Armor
             armor: {
                 leatherArmor: {
@@ -77,6 +178,7 @@ class EquipmentSystem {
                     type: 'armor',
                     defense: 1,
                     durability: 60,
+                    weight: 5,
                     value: 15,
                     description: 'Basic leather protection'
                 },
@@ -85,6 +187,7 @@ class EquipmentSystem {
                     type: 'armor',
                     defense: 4,
                     durability: 100,
+                    weight: 15,
                     value: 35,
                     description: 'Interlocked metal rings'
                 },
@@ -93,6 +196,7 @@ class EquipmentSystem {
                     type: 'armor',
                     defense: 6,
                     durability: 150,
+                    weight: 30,
                     value: 75,
                     description: 'Heavy metal plates'
                 },
@@ -101,6 +205,7 @@ class EquipmentSystem {
                     type: 'armor',
                     defense: 8,
                     durability: 300,
+                    weight: 12,
                     value: 200,
                     description: 'Tough dragon scales'
                 }
@@ -124,17 +229,17 @@ class EquipmentSystem {
         const item = JSON.parse(JSON.stringify(template));
         
         // Add randomized stats (server-side in production)
-        if (item.type === 'weapon') {
+        if (item.type === 'weapon' || item.ammoType) {
             // Randomize damage slightly (±10%)
-            const damageVariance = 0.9 + (Math.random() * 0.2);
+            const damageVariance = 0.9 + (this.rng.next() * 0.2);
             item.damage = Math.floor(item.damage * damageVariance);
             
             // Randomize speed slightly (±5%)
-            const speedVariance = 0.95 + (Math.random() * 0.1);
+            const speedVariance = 0.95 + (this.rng.next() * 0.1);
             item.speed = Math.round(item.speed * speedVariance * 100) / 100;
         } else if (item.type === 'armor') {
             // Randomize defense slightly (±10%) but ensure minimum of 1
-            const defenseVariance = 0.9 + (Math.random() * 0.2);
+            const defenseVariance = 0.9 + (this.rng.next() * 0.2);
             item.defense = Math.max(1, Math.floor(item.defense * defenseVariance));
         }
 
@@ -160,11 +265,12 @@ class EquipmentSystem {
     }
 
     /**
-     * Generate unique item ID (server-side in production)
+     * Generate unique item ID from the run's spawn counter, so the same seed gives the same IDs
      * @returns {string} Unique item ID
      */
     generateItemId() {
-        return 'item_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        const counter = this.game ? this.game.characterGenerator : this;
+        return `item_${counter.spawnCounter++}`;
     }
 
     /**
@@ -199,8 +305,8 @@ class EquipmentSystem {
             hitChance += Math.floor((weapon.damage || 0) * 0.5); // Better weapons are easier to hit with
             
             // Apply skill bonuses
-            if (window.game && window.game.skillsSystem) {
-                const skillBonuses = window.game.skillsSystem.getSkillBonuses(entity, weapon);
+            if (this.game && this.game.skillsSystem) {
+                const skillBonuses = this.game.skillsSystem.getSkillBonuses(entity, weapon);
                 baseDamage += skillBonuses.damage;
                 hitChance += skillBonuses.hitChance;
             }
@@ -216,6 +322,44 @@ class EquipmentSystem {
         };
     }
 
+    /**
+     * Calculate a shot from the equipped bow or crossbow. Bows add STR to damage, crossbows don't;
+     * DEX, the pierce skill and the accuracy skill make shots land.
+     * @param {Entity} entity - Shooting entity
+     * @returns {Object|null} { damage, hitChance, swingSpeed, range } or null without a launcher
+     */
+    calculateRangedDamage(entity) {
+        const stats = entity.getComponent('stats');
+        const equipment = entity.getComponent('equipment');
+        const launcher = equipment ? equipment.range : null;
+        if (!launcher) return null;
+
+        const ammo = equipment.ammo && equipment.ammo.type === launcher.ammoType ? equipment.ammo : null;
+        const strength = stats ? stats.strength : 10;
+        const dexterity = stats ? stats.dexterity : 10;
+
+        let damage = 1 + (launcher.damage || 0) + (ammo ? ammo.damage || 0 : 0);
+        if (launcher.type === 'bow') {
+            damage += Math.floor((strength - 10) * 0.5);
+        }
+
+        let hitChance = 50 + (dexterity - 10) * 2;
+        const swingSpeed = (launcher.speed || 1.0) * (1 + (dexterity - 10) * 0.02);
+
+        if (this.game && this.game.skillsSystem) {
+            const skillBonuses = this.game.skillsSystem.getRangedSkillBonuses(entity, launcher);
+            damage += skillBonuses.damage;
+            hitChance += skillBonuses.hitChance;
+        }
+
+        return {
+            damage: Math.max(1, Math.floor(damage)),
+            hitChance: Math.max(10, Math.min(95, hitChance)),
+            swingSpeed: Math.max(0.3, Math.min(2.5, swingSpeed)),
+            range: launcher.range || 8
+        };
+    }
+
     /**
      * Calculate defense based on armor
      * @param {Entity} entity - Defending entity
@@ -249,14 +393,27 @@ class EquipmentSystem {
         }
 
         // Apply skill bonuses
-        if (window.game && window.game.skillsSystem) {
-            const skillBonuses = window.game.skillsSystem.getSkillBonuses(entity, null);
+        if (this.game && this.game.skillsSystem) {
+            const skillBonuses = this.game.skillsSystem.getSkillBonuses(entity, null);
             defense += skillBonuses.defense;
         }
 
         return Math.max(0, defense);
     }
 
+    /**
+     * Get the total weight of the armor an entity wears
+     * @param {Entity} entity - Entity to inspect
+     * @returns {number} Armor weight
+     */
+    getArmorWeight(entity) {
+        const equipment = entity.getComponent('equipment');
+        if (!equipment) return 0;
+
+        const armorSlots = ['armor', 'helm', 'shoulder', 'chest', 'arms', 'legs', 'wrist1', 'wrist2', 'hands', 'feet'];
+        return armorSlots.reduce((total, slot) => total + (equipment[slot] && equipment[slot].weight ? equipment[slot].weight : 0), 0);
+    }
+
     /**
      * Equip an item to an entity
      * @param {Entity} entity - Entity to equip item
@@ -292,8 +449,8 @@ class EquipmentSystem {
         }
 
         // Use inventory system if available
-        if (window.game && window.game.inventorySystem) {
-            return window.game.inventorySystem.equipItem(entity, item, slot);
+        if (this.game && this.game.inventorySystem) {
+            return this.game.inventorySystem.equipItem(entity, item, slot);
         }
 
         // Fallback to legacy system
@@ -321,8 +478,8 @@ class EquipmentSystem {
         if (!equipment) return null;
 
         // Use inventory system if available
-        if (window.game && window.game.inventorySystem) {
-            return window.game.inventorySystem.unequipItem(entity, slot);
+        if (this.game && this.game.inventorySystem) {
+            return this.game.inventorySystem.unequipItem(entity, slot);
         }
 
         // Fallback to legacy system
@@ -110,6 +110,14 @@ class InventoryRenderer {
                         <span class="stat-label">Attack Speed:</span>
                         <span class="stat-value" id="char-speed">1.0</span>
                     </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Move Speed:</span>
+                        <span class="stat-value" id="char-move-speed">1.0</span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Load:</span>
+                        <span class="stat-value" id="char-load">0/0</span>
+                    </div>
                 </div>
                 
                 <div class="stat-group">
@@ -157,6 +165,10 @@ class InventoryRenderer {
                             <span class="skill-name">Block</span>
                             <span class="skill-level">0</span>
                         </div>
+                        <div class="skill-item">
+                            <span class="skill-name">Stealth</span>
+                            <span class="skill-level">0</span>
+                        </div>
                     </div>
                 </div>
                 
@@ -171,8 +183,17 @@ class InventoryRenderer {
                             <span class="skill-name">Defense</span>
                             <span class="skill-level">0</span>
                         </div>
+                        <div class="skill-item">
+                            <span class="skill-name">Accuracy</span>
+                            <span class="skill-level">0</span>
+                        </div>
                     </div>
                 </div>
+                
+                <div class="stat-group">
+                    <h3>SPELLBOOK</h3>
+                    <div class="skill-list" id="spellbook-list"></div>
+                </div>
             </div>
         `;
         
@@ -400,13 +421,6 @@ class InventoryRenderer {
      * Setup event listeners for the inventory
      */
     setupEventListeners() {
-        // Close inventory on escape
-        document.addEventListener('keydown', (event) => {
-            if (event.key === 'Escape' && this.isVisible) {
-                this.hide();
-            }
-        });
-
         // Equipment slot interactions
         const equipmentSlots = this.inventoryOverlay.querySelectorAll('.equipment-slot');
         equipmentSlots.forEach(slot => {
@@ -487,13 +501,10 @@ class InventoryRenderer {
      * @param {string} toSlot - Destination slot
      */
     moveItem(fromSlot, toSlot) {
-        // This will be implemented to work with the game's inventory system
+        // Goes through the game's command layer so equipment changes are recorded for replays
         if (window.game && window.game.player) {
-            const inventorySystem = window.game.inventorySystem;
-            if (inventorySystem) {
-                inventorySystem.moveItem(window.game.player, fromSlot, toSlot);
-                this.updateDisplay(window.game.player);
-            }
+            window.game.executeCommand({ type: 'moveItem', from: fromSlot, to: toSlot });
+            this.updateDisplay(window.game.player);
         }
     }
 
@@ -575,6 +586,7 @@ class InventoryRenderer {
         const level = player.getComponent('level');
         const stats = player.getComponent('stats');
         const gold = player.getComponent('gold');
+        const mana = player.getComponent('mana');
         const equipment = player.getComponent('equipment');
         
         // Update vital statistics
@@ -591,6 +603,13 @@ class InventoryRenderer {
             }
         }
         
+        if (mana) {
+            const manaElement = document.getElementById('char-mana');
+            if (manaElement) {
+                manaElement.innerHTML = `<span style="color: #6495ED">${mana.current}</span>/<span style="color: #ffffff">${mana.max}</span>`;
+            }
+        }
+        
         if (level) {
             const levelElement = document.getElementById('char-level');
             const xpElement = document.getElementById('char-xp');
@@ -644,6 +663,9 @@ class InventoryRenderer {
         
         // Update skills display
         this.updateSkillsDisplay(player);
+        
+        // Update learned spells
+        this.updateSpellbookDisplay(player);
     }
 
     /**
@@ -696,14 +718,29 @@ class InventoryRenderer {
             }
         }
         
+        // Speeds come from the game's speed pipeline so haste, slow and encumbrance show up
+        const speedSystem = window.game ? window.game.speedSystem : null;
+        if (speedSystem) {
+            combatStats.speed = speedSystem.getSwingSpeed(player);
+        }
+        
         // Update combat stat displays
         const damageElement = document.getElementById('char-damage');
         const defenseElement = document.getElementById('char-defense');
         const speedElement = document.getElementById('char-speed');
+        const moveSpeedElement = document.getElementById('char-move-speed');
+        const loadElement = document.getElementById('char-load');
         
         if (damageElement) damageElement.textContent = combatStats.damage;
         if (defenseElement) defenseElement.textContent = combatStats.defense;
         if (speedElement) speedElement.textContent = combatStats.speed.toFixed(1);
+        if (speedSystem && moveSpeedElement) moveSpeedElement.textContent = speedSystem.getSpeed(player).toFixed(1);
+        if (speedSystem && loadElement) {
+            const weight = speedSystem.getCarriedWeight(player);
+            const capacity = speedSystem.getCarryCapacity(player);
+            loadElement.textContent = `${weight}/${capacity}`;
+            loadElement.style.color = weight > capacity ? '#FFA500' : ''; // Orange when overloaded
+        }
     }
 
     /**
@@ -727,7 +764,7 @@ class InventoryRenderer {
                     // Populate the occupied container
                     occupiedContainer.innerHTML = `
                         ${itemIcon}
-                        <div class="item-name">${item.name || 'Unknown'}</div>
+                        <div class="item-name">${this.getItemLabel(item)}</div>
                     `;
                     occupiedContainer.style.display = 'flex';
                     slotContainer.classList.add('has-item');
@@ -762,7 +799,7 @@ class InventoryRenderer {
             if (slotElement) {
                 if (item) {
                     slotElement.innerHTML = `
-                        <div class="item-name">${item.name || 'Unknown'}</div>
+                        <div class="item-name">${this.getItemLabel(item)}</div>
                         <div class="item-type">${item.type || 'Unknown'}</div>
                     `;
                     slotElement.classList.add('has-item');
@@ -801,7 +838,7 @@ class InventoryRenderer {
         });
         
         // Update defensive skills
-        const defensiveSkills = ['dodge', 'block'];
+        const defensiveSkills = ['dodge', 'block', 'stealth'];
         defensiveSkills.forEach((skillName, index) => {
             const skillElement = document.querySelector(`#defensive-skills .skill-item:nth-child(${index + 1}) .skill-level`);
             if (skillElement && skills[skillName]) {
@@ -811,7 +848,7 @@ class InventoryRenderer {
         });
         
         // Update combat skills
-        const combatSkills = ['offense', 'defense'];
+        const combatSkills = ['offense', 'defense', 'accuracy'];
         combatSkills.forEach((skillName, index) => {
             const skillElement = document.querySelector(`#combat-skills .skill-item:nth-child(${index + 1}) .skill-level`);
             if (skillElement && skills[skillName]) {
@@ -821,6 +858,24 @@ class InventoryRenderer {
         });
     }
 
+    /**
+     * List the spells the player has learned with their mana cost
+     * @param {Entity} player - Player entity
+     */
+    updateSpellbookDisplay(player) {
+        const listElement = document.getElementById('spellbook-list');
+        if (!listElement || !window.game || !window.game.spells) return;
+        
+        const spells = window.game.spells;
+        listElement.innerHTML = spells.getKnownSpells(player).map(spellName => {
+            const spell = spells.getSpell(spellName);
+            return `<div class="skill-item" title="${spell.description}">
+                        <span class="skill-name" style="color: ${spell.color}">${spell.name}</span>
+                        <span class="skill-level">${spell.manaCost} MP</span>
+                    </div>`;
+        }).join('');
+    }
+
     /**
      * Get item icon HTML
      * @param {Object} item - Item to get icon for
@@ -847,6 +902,16 @@ class InventoryRenderer {
         return '';
     }
 
+    /**
+     * Get the name shown for an item - stacks (ammo) show how many are left
+     * @param {Object} item - Item
+     * @returns {string} Label
+     */
+    getItemLabel(item) {
+        const name = item.name || 'Unknown';
+        return item.quantity !== undefined ? `${name} (${item.quantity})` : name;
+    }
+
     /**
      * Create tooltip text for an item
      * @param {Object} item - Item to create tooltip for
@@ -879,6 +944,14 @@ class InventoryRenderer {
             tooltip += `Speed: ${item.speed}\n`;
         }
         
+        if (item.range) {
+            tooltip += `Range: ${item.range} (${item.ammoType})\n`;
+        }
+        
+        if (item.quantity) {
+            tooltip += `Quantity: ${item.quantity}\n`;
+        }
+        
         if (item.value) {
             tooltip += `Value: ${item.value} gold\n`;
         }
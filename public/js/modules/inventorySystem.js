@@ -151,6 +151,51 @@ class InventorySystem {
         return false; // Inventory full
     }
 
+    /**
+     * Add a stackable item such as ammo, merging it into a matching stack that is equipped or in the
+     * pack. A new stack goes to the ammo slot if that is empty, otherwise into the pack.
+     * @param {Entity} entity - Entity to add item to
+     * @param {Object} item - Item with a quantity
+     * @returns {boolean} Success
+     */
+    addStack(entity, item) {
+        const equipment = entity.getComponent('equipment');
+        const inventory = entity.getComponent('inventory');
+        const matches = other => other && other.type === item.type && other.name === item.name;
+
+        const stack = [equipment ? equipment.ammo : null, ...(inventory ? inventory.items : [])].find(matches);
+        if (stack) {
+            stack.quantity = (stack.quantity || 1) + (item.quantity || 1);
+            return true;
+        }
+
+        if (equipment && !equipment.ammo && this.getSlotForItem(item) === 'ammo') {
+            equipment.ammo = item;
+            return true;
+        }
+
+        return this.addItem(entity, item);
+    }
+
+    /**
+     * Take one item off a stack in an equipment slot, emptying the slot when the stack runs out
+     * @param {Entity} entity - Entity to take from
+     * @param {string} slot - Equipment slot holding the stack
+     * @returns {Object|null} Single item (quantity 1), or null if the slot is empty
+     */
+    takeFromStack(entity, slot) {
+        const equipment = entity.getComponent('equipment');
+        const stack = equipment ? equipment[slot] : null;
+        if (!stack) return null;
+
+        stack.quantity = (stack.quantity || 1) - 1;
+        if (stack.quantity <= 0) {
+            equipment[slot] = null;
+        }
+
+        return { ...stack, quantity: 1 };
+    }
+
     /**
      * Remove item from inventory
      * @param {Entity} entity - Entity to remove item from
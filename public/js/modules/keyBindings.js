@@ -0,0 +1,407 @@
+/**
+ * Key Bindings for mapping keys to named commands
+ * Every key press becomes a key name ('w', 'shift+r', 'arrowup', 'space', 'f5') that is looked up
+ * here, so input handling only deals with command names like 'move.north' or 'rest'. Bindings start
+ * from a preset, can be changed key by key on the rebinding screen and are kept in storage.
+ */
+class KeyBindings {
+    constructor() {
+        this.storageKey = 'tinyrpg_keybindings';
+        this.storage = null; // Will be injected (localStorage in the browser)
+
+        // Commands in the order the rebinding screen lists them
+        this.commands = [
+            { name: 'move.north', label: 'Move north' },
+            { name: 'move.south', label: 'Move south' },
+            { name: 'move.west', label: 'Move west' },
+            { name: 'move.east', label: 'Move east' },
+            { name: 'move.northwest', label: 'Move northwest' },
+            { name: 'move.northeast', label: 'Move northeast' },
+            { name: 'move.southwest', label: 'Move southwest' },
+            { name: 'move.southeast', label: 'Move southeast' },
+            { name: 'wait', label: 'Wait' },
+            { name: 'attack', label: 'Attack' },
+            { name: 'fire', label: 'Fire / aim' },
+            { name: 'nextTarget', label: 'Next target' },
+            { name: 'confirm', label: 'Confirm target' },
+            { name: 'look', label: 'Look around' },
+            { name: 'castSpell', label: 'Cast a spell' },
+            { name: 'cast1', label: 'Cast spell 1' },
+            { name: 'cast2', label: 'Cast spell 2' },
+            { name: 'cast3', label: 'Cast spell 3' },
+            { name: 'cast4', label: 'Cast spell 4' },
+            { name: 'loot', label: 'Loot / interact' },
+            { name: 'rest', label: 'Rest until healed' },
+            { name: 'restTurns', label: 'Rest N turns' },
+            { name: 'toggleQueue', label: 'Toggle combat queue' },
+            { name: 'sneak', label: 'Toggle sneaking' },
+            { name: 'explore', label: 'Auto-explore' },
+            { name: 'travelToExit', label: 'Travel to exit' },
+            { name: 'inventory', label: 'Character sheet' },
+            { name: 'cancel', label: 'Close / cancel' },
+            { name: 'mute', label: 'Mute audio' },
+            { name: 'save', label: 'Save game' },
+            { name: 'load', label: 'Load game' },
+            { name: 'downloadReplay', label: 'Download replay' },
+            { name: 'playReplay', label: 'Play replay' },
+            { name: 'reportBug', label: 'Report bug' },
+            { name: 'keyBindings', label: 'Key bindings' }
+        ];
+
+        // Bindings every preset shares - presets add the movement keys and may override these
+        this.commonBindings = {
+            'wait': ['.'],
+            'attack': ['x'],
+            'fire': ['f'],
+            'nextTarget': ['tab'],
+            'confirm': ['enter'],
+            'look': [';'],
+            'castSpell': ['z'],
+            'cast1': ['!'], // Shift+1 to Shift+4 on a US layout
+            'cast2': ['@'],
+            'cast3': ['#'],
+            'cast4': ['$'],
+            'loot': ['space'],
+            'rest': ['r'],
+            'restTurns': ['shift+r'],
+            'toggleQueue': ['q'],
+            'sneak': ['shift+s'],
+            'explore': ['o'],
+            'travelToExit': ['>'],
+            'inventory': ['i', 'c'],
+            'cancel': ['escape'],
+            'mute': ['m'],
+            'save': ['f5'],
+            'load': ['f9'],
+            'downloadReplay': ['f8'],
+            'playReplay': ['shift+f8'],
+            'reportBug': ['f7'],
+            'keyBindings': ['f2']
+        };
+
+        this.presets = {
+            standard: {
+                label: 'All',
+                bindings: {
+                    'move.north': ['w', 'arrowup', 'k', '8'],
+                    'move.south': ['s', 'arrowdown', 'j', '2'],
+                    'move.west': ['a', 'arrowleft', 'h', '4'],
+                    'move.east': ['d', 'arrowright', 'l', '6'],
+                    'move.northwest': ['y', '7', 'home'],
+                    'move.northeast': ['u', '9', 'pageup'],
+                    'move.southwest': ['b', '1', 'end'],
+                    'move.southeast': ['n', '3', 'pagedown'],
+                    'wait': ['.', '5', 'clear']
+                }
+            },
+            wasd: {
+                label: 'WASD',
+                bindings: {
+                    'move.north': ['w'],
+                    'move.south': ['s'],
+                    'move.west': ['a'],
+                    'move.east': ['d'],
+                    'move.northwest': ['q'],
+                    'move.northeast': ['e'],
+                    'move.southwest': ['z'],
+                    'move.southeast': ['c'],
+                    'toggleQueue': ['tab'], // Q and C are diagonals here
+                    'nextTarget': ['t'],
+                    'castSpell': ['v'], // Z is a diagonal here
+                    'inventory': ['i']
+                }
+            },
+            arrows: {
+                label: 'Arrows',
+                bindings: {
+                    'move.north': ['arrowup'],
+                    'move.south': ['arrowdown'],
+                    'move.west': ['arrowleft'],
+                    'move.east': ['arrowright'],
+                    'move.northwest': ['home'],
+                    'move.northeast': ['pageup'],
+                    'move.southwest': ['end'],
+                    'move.southeast': ['pagedown']
+                }
+            },
+            numpad: {
+                label: 'Numpad',
+                bindings: {
+                    'move.north': ['8'],
+                    'move.south': ['2'],
+                    'move.west': ['4'],
+                    'move.east': ['6'],
+                    'move.northwest': ['7'],
+                    'move.northeast': ['9'],
+                    'move.southwest': ['1'],
+                    'move.southeast': ['3'],
+                    'wait': ['5', '.']
+                }
+            },
+            vi: {
+                label: 'Vi-keys',
+                bindings: {
+                    'move.north': ['k'],
+                    'move.south': ['j'],
+                    'move.west': ['h'],
+                    'move.east': ['l'],
+                    'move.northwest': ['y'],
+                    'move.northeast': ['u'],
+                    'move.southwest': ['b'],
+                    'move.southeast': ['n']
+                }
+            }
+        };
+
+        // Display names for keys whose key name isn't readable as is
+        this.keyLabels = {
+            'space': 'Space', 'escape': 'Esc', 'tab': 'Tab', 'enter': 'Enter', 'clear': 'Clear',
+            'arrowup': 'Up', 'arrowdown': 'Down', 'arrowleft': 'Left', 'arrowright': 'Right',
+            'home': 'Home', 'end': 'End', 'pageup': 'PgUp', 'pagedown': 'PgDn'
+        };
+
+        this.preset = 'standard';
+        this.bindings = this.createPresetBindings(this.preset);
+    }
+
+    /**
+     * Set the storage backend
+     * @param {Storage} storage - Object with getItem/setItem/removeItem (localStorage or a stub)
+     */
+    setStorage(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Build the full bindings of a preset
+     * @param {string} name - Preset name
+     * @returns {Object} Command name -> array of key names
+     */
+    createPresetBindings(name) {
+        const preset = this.presets[name] || this.presets.standard;
+        const bindings = {};
+
+        for (const command of this.commands) {
+            const keys = preset.bindings[command.name] || this.commonBindings[command.name] || [];
+            bindings[command.name] = keys.slice();
+        }
+
+        return bindings;
+    }
+
+    /**
+     * Replace every binding with a preset's and store the result
+     * @param {string} name - Preset name
+     * @returns {boolean} False if there is no such preset
+     */
+    applyPreset(name) {
+        if (!this.presets[name]) return false;
+
+        this.preset = name;
+        this.bindings = this.createPresetBindings(name);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Turn a key press into a key name. Letters and named keys carry a 'shift+' prefix when Shift
+     * is held; other characters ('>', '?') already include it. Ctrl, Alt and Meta combinations are
+     * left to the browser.
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {string|null} Key name, or null for presses that are never bound
+     */
+    getKeyName(event) {
+        if (event.ctrlKey || event.altKey || event.metaKey) return null;
+        if (['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'NumLock'].includes(event.key)) return null;
+
+        const key = event.key === ' ' ? 'space' : event.key.toLowerCase();
+        const shiftable = key.length > 1 || /^[a-z]$/.test(key);
+
+        return event.shiftKey && shiftable ? `shift+${key}` : key;
+    }
+
+    /**
+     * Get the command a key press is bound to
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {string|null} Command name, or null if the key is unbound
+     */
+    getCommand(event) {
+        const key = this.getKeyName(event);
+        return key ? this.getCommandForKey(key) : null;
+    }
+
+    /**
+     * Get the command a key is bound to
+     * @param {string} key - Key name
+     * @returns {string|null} Command name, or null if the key is unbound
+     */
+    getCommandForKey(key) {
+        for (const command of this.commands) {
+            if (this.bindings[command.name].includes(key)) {
+                return command.name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the keys bound to a command
+     * @param {string} command - Command name
+     * @returns {Array} Key names
+     */
+    getKeys(command) {
+        return this.bindings[command] || [];
+    }
+
+    /**
+     * Find the command a key would be taken from if it were bound to another command
+     * @param {string} command - Command the key is meant for
+     * @param {string} key - Key name
+     * @returns {string|null} The other command, or null if the key is free (or already bound to this one)
+     */
+    findConflict(command, key) {
+        const owner = this.getCommandForKey(key);
+        return owner && owner !== command ? owner : null;
+    }
+
+    /**
+     * Find keys bound to more than one command (only possible in stored bindings edited elsewhere)
+     * @returns {Array} Key names
+     */
+    findConflicts() {
+        const seen = new Set();
+        const conflicts = new Set();
+
+        for (const keys of Object.values(this.bindings)) {
+            for (const key of keys) {
+                if (seen.has(key)) conflicts.add(key);
+                seen.add(key);
+            }
+        }
+
+        return Array.from(conflicts);
+    }
+
+    /**
+     * Bind a key to a command, taking it from any command it was bound to, and store the result
+     * @param {string} command - Command name
+     * @param {string} key - Key name
+     * @returns {string|null} Command the key was taken from, or null
+     */
+    bind(command, key) {
+        if (!this.bindings[command]) return null;
+
+        const previous = this.findConflict(command, key);
+        for (const keys of Object.values(this.bindings)) {
+            const index = keys.indexOf(key);
+            if (index !== -1) keys.splice(index, 1);
+        }
+
+        this.bindings[command].push(key);
+        this.save();
+        return previous;
+    }
+
+    /**
+     * Remove a key from a command and store the result
+     * @param {string} command - Command name
+     * @param {string} key - Key name
+     */
+    unbind(command, key) {
+        const keys = this.bindings[command];
+        if (!keys || !keys.includes(key)) return;
+
+        keys.splice(keys.indexOf(key), 1);
+        this.save();
+    }
+
+    /**
+     * Get a readable name for a key
+     * @param {string} key - Key name
+     * @returns {string} Display label ('Shift+R', 'Up', 'F5')
+     */
+    getKeyLabel(key) {
+        if (key.startsWith('shift+')) {
+            return `Shift+${this.getKeyLabel(key.slice(6))}`;
+        }
+        return this.keyLabels[key] || key.toUpperCase();
+    }
+
+    /**
+     * Describe the keys bound to a command
+     * @param {string} command - Command name
+     * @param {number} limit - Most keys to list
+     * @returns {string} Labels joined with '/', or '-' when unbound
+     */
+    describe(command, limit = Infinity) {
+        const keys = this.getKeys(command).slice(0, limit);
+        return keys.length > 0 ? keys.map(key => this.getKeyLabel(key)).join('/') : '-';
+    }
+
+    /**
+     * Describe a group of commands by their first keys ('WASD', 'YUBN'), for short help texts
+     * @param {Array} commands - Command names
+     * @returns {string} First key labels, run together when they are all single characters
+     */
+    describeGroup(commands) {
+        const labels = commands.map(command => this.describe(command, 1));
+        return labels.every(label => label.length === 1) ? labels.join('') : labels.join('/');
+    }
+
+    /**
+     * Load stored bindings. Commands missing from storage (added since it was written) get their
+     * preset keys, unless another command already took those keys.
+     * @returns {boolean} True if stored bindings were found
+     */
+    load() {
+        if (!this.storage) return false;
+
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.storageKey));
+            if (!stored || typeof stored.bindings !== 'object') return false;
+
+            this.preset = this.presets[stored.preset] ? stored.preset : 'standard';
+            const defaults = this.createPresetBindings(this.preset);
+            const bindings = {};
+
+            for (const command of this.commands) {
+                const keys = stored.bindings[command.name];
+                if (Array.isArray(keys)) {
+                    bindings[command.name] = keys.filter(key => typeof key === 'string');
+                }
+            }
+            for (const command of this.commands) {
+                if (bindings[command.name]) continue;
+                const taken = Object.values(bindings).flat();
+                bindings[command.name] = defaults[command.name].filter(key => !taken.includes(key));
+            }
+
+            this.bindings = bindings;
+            return true;
+        } catch (error) {
+            console.error('Failed to load key bindings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Store the current bindings
+     * @returns {boolean} True if stored
+     */
+    save() {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ preset: this.preset, bindings: this.bindings }));
+            return true;
+        } catch (error) {
+            console.error('Failed to save key bindings:', error);
+            return false;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyBindings;
+}
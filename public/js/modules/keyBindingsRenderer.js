@@ -0,0 +1,207 @@
+/**
+ * Key Bindings Renderer for the full-screen rebinding overlay
+ * Lists every command with its keys. Clicking "+" waits for the next key press and binds it;
+ * a key that already belongs to another command has to be pressed twice to move it over.
+ */
+class KeyBindingsRenderer {
+    constructor() {
+        this.overlay = null;
+        this.isVisible = false;
+        this.keyBindings = null; // Will be injected
+        this.closeHandler = null; // Will be injected by the game to unpause on close
+        this.capturing = null; // Command waiting for a key, or null
+        this.pendingKey = null; // Key that conflicts with another command, waiting to be pressed again
+        this.status = '';
+    }
+
+    /**
+     * Initialize the rebinding overlay
+     * @param {KeyBindings} keyBindings - Key bindings to edit
+     */
+    init(keyBindings) {
+        this.keyBindings = keyBindings;
+        this.createOverlay();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set the handler called when the overlay is closed with its close button
+     * @param {Function} handler - () => void
+     */
+    setCloseHandler(handler) {
+        this.closeHandler = handler;
+    }
+
+    /**
+     * Create the overlay HTML structure
+     */
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'keybindings-overlay';
+        this.overlay.className = 'keybindings-overlay';
+
+        this.overlay.innerHTML = `
+            <div class="keybindings-panel">
+                <div class="section-header">
+                    <h2>KEY BINDINGS</h2>
+                </div>
+                <div class="keybindings-presets"></div>
+                <div class="keybindings-list"></div>
+                <div class="keybindings-status"></div>
+                <div class="keybindings-footer">
+                    <button data-action="reset">Reset to preset</button>
+                    <button data-action="close">Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(this.overlay);
+    }
+
+    /**
+     * Set up click handling for every button on the overlay
+     */
+    setupEventListeners() {
+        this.overlay.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (!button) return;
+
+            const { action, command, key, preset } = button.dataset;
+            switch (action) {
+                case 'add':
+                    this.startCapture(command);
+                    break;
+                case 'remove':
+                    this.keyBindings.unbind(command, key);
+                    this.status = `Removed ${this.keyBindings.getKeyLabel(key)} from ${this.getCommandLabel(command)}`;
+                    break;
+                case 'preset':
+                    this.keyBindings.applyPreset(preset);
+                    this.status = `Loaded the ${this.keyBindings.presets[preset].label} preset`;
+                    break;
+                case 'reset':
+                    this.keyBindings.applyPreset(this.keyBindings.preset);
+                    this.status = 'Bindings reset';
+                    break;
+                case 'close':
+                    if (this.closeHandler) this.closeHandler();
+                    return;
+            }
+
+            this.render();
+        });
+    }
+
+    /**
+     * Wait for the next key press to bind to a command
+     * @param {string} command - Command name
+     */
+    startCapture(command) {
+        this.capturing = command;
+        this.pendingKey = null;
+        this.status = `Press a key for ${this.getCommandLabel(command)} (Esc cancels)`;
+    }
+
+    /**
+     * Handle a key press while the overlay is open
+     * @param {KeyboardEvent} event - Keyboard event
+     * @returns {boolean} True if the overlay used the key (otherwise the game may close it)
+     */
+    handleKey(event) {
+        if (!this.capturing) return false;
+
+        // Escape always cancels, so it can't be captured by accident
+        if (event.key === 'Escape') {
+            this.capturing = null;
+            this.pendingKey = null;
+            this.status = 'Cancelled';
+            this.render();
+            return true;
+        }
+
+        const key = this.keyBindings.getKeyName(event);
+        if (!key) return true;
+
+        const conflict = this.keyBindings.findConflict(this.capturing, key);
+        if (conflict && this.pendingKey !== key) {
+            this.pendingKey = key;
+            this.status = `${this.keyBindings.getKeyLabel(key)} is bound to ${this.getCommandLabel(conflict)} - press it again to move it, Esc to cancel`;
+            this.render();
+            return true;
+        }
+
+        this.keyBindings.bind(this.capturing, key);
+        this.status = `Bound ${this.keyBindings.getKeyLabel(key)} to ${this.getCommandLabel(this.capturing)}` +
+            (conflict ? ` (removed from ${this.getCommandLabel(conflict)})` : '');
+        this.capturing = null;
+        this.pendingKey = null;
+        this.render();
+        return true;
+    }
+
+    /**
+     * Get a command's display label
+     * @param {string} name - Command name
+     * @returns {string} Label
+     */
+    getCommandLabel(name) {
+        const command = this.keyBindings.commands.find(entry => entry.name === name);
+        return command ? command.label : name;
+    }
+
+    /**
+     * Redraw the presets, the binding list and the status line
+     */
+    render() {
+        const bindings = this.keyBindings;
+        const conflicts = bindings.findConflicts();
+
+        this.overlay.querySelector('.keybindings-presets').innerHTML = 'Presets: ' +
+            Object.entries(bindings.presets).map(([name, preset]) =>
+                `<button data-action="preset" data-preset="${name}" class="${name === bindings.preset ? 'active' : ''}">${preset.label}</button>`
+            ).join('');
+
+        this.overlay.querySelector('.keybindings-list').innerHTML = bindings.commands.map(command => {
+            const keys = bindings.getKeys(command.name).map(key =>
+                `<span class="keybinding-key${conflicts.includes(key) ? ' conflict' : ''}">${bindings.getKeyLabel(key)}` +
+                `<button data-action="remove" data-command="${command.name}" data-key="${key}" title="Remove">x</button></span>`
+            ).join('');
+
+            return `<div class="keybinding-row${command.name === this.capturing ? ' capturing' : ''}">` +
+                `<span class="keybinding-label">${command.label}</span>` +
+                `<span class="keybinding-keys">${keys}</span>` +
+                `<button data-action="add" data-command="${command.name}" title="Add a key">+</button></div>`;
+        }).join('');
+
+        const status = conflicts.length > 0 && !this.status ?
+            `Keys bound twice: ${conflicts.map(key => bindings.getKeyLabel(key)).join(', ')}` : this.status;
+        this.overlay.querySelector('.keybindings-status').textContent = status;
+    }
+
+    /**
+     * Show the overlay
+     */
+    show() {
+        this.isVisible = true;
+        this.capturing = null;
+        this.pendingKey = null;
+        this.status = '';
+        this.render();
+        this.overlay.style.display = 'flex';
+    }
+
+    /**
+     * Hide the overlay
+     */
+    hide() {
+        this.isVisible = false;
+        this.capturing = null;
+        this.pendingKey = null;
+        this.overlay.style.display = 'none';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeyBindingsRenderer;
+}
@@ -5,13 +5,31 @@ class MapGenerator {
     constructor() {
         this.rooms = [];
         this.corridors = [];
+        this.rng = new RNG(); // Replaced by the game's seeded RNG
+        
+        // Hallway directions point out of the map; dx/dy step toward the edge the exit sits on
+        this.hallwayDirections = {
+            North: { dx: 0, dy: -1, opposite: 'South' },
+            South: { dx: 0, dy: 1, opposite: 'North' },
+            East: { dx: 1, dy: 0, opposite: 'West' },
+            West: { dx: -1, dy: 0, opposite: 'East' }
+        };
+    }
+
+    /**
+     * Set the random number generator used for map generation
+     * @param {RNG} rng - Seeded RNG instance
+     */
+    setRng(rng) {
+        this.rng = rng;
     }
 
     /**
      * Generate a dungeon map
      * @param {number} width - Map width
      * @param {number} height - Map height
-     * @param {Object} options - Generation options
+     * @param {Object} options - Generation options (requiredExits/blockedExits name hallway directions the map must or must not have;
+     *                           entryDirection is the way the player travelled here, so the entrance is dug on the opposite edge)
      * @returns {Array} 2D array representing the map
      */
     generateDungeon(width, height, options = {}) {
@@ -19,7 +37,10 @@ class MapGenerator {
             minRoomSize = 4,
             maxRoomSize = 12,
             maxRooms = 15,
-            roomPadding = 2
+            roomPadding = 2,
+            requiredExits = [],
+            blockedExits = [],
+            entryDirection = null
         } = options;
 
         this.rooms = [];
@@ -37,8 +58,10 @@ class MapGenerator {
         // Add doors
         this.addDoors(map);
 
-        // Add hallways to new areas
-        this.addHallways(map);
+        // Add hallways to new areas, starting with the entrance the player arrives through
+        const entranceDirection = entryDirection ? this.hallwayDirections[entryDirection].opposite : null;
+        const hallways = entranceDirection ? [entranceDirection, ...requiredExits.filter(name => name !== entranceDirection)] : requiredExits;
+        this.addHallways(map, hallways, blockedExits, entranceDirection);
 
         return map;
     }
@@ -268,7 +291,7 @@ class MapGenerator {
         for (let y = room.y; y < room.y + room.height; y++) {
             for (let x = room.x; x < room.x + room.width; x++) {
                 if (this.isWall(map, x, y) && this.isAdjacentToFloor(map, x, y)) {
-                    if (Math.random() < doorChance) {
+                    if (this.rng.chance(doorChance)) {
                         map[y][x] = {
                             type: 'door',
                             char: '+',
@@ -354,7 +377,7 @@ class MapGenerator {
      * @returns {number} Random integer
      */
     randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min)) + min;
+        return this.rng.int(min, max);
     }
 
     /**
@@ -374,10 +397,11 @@ class MapGenerator {
         const map = this.initializeMap(width, height);
         for (let y = 1; y < height - 1; y++) {
             for (let x = 1; x < width - 1; x++) {
+                const isWall = this.rng.chance(wallChance);
                 map[y][x] = {
-                    type: Math.random() < wallChance ? 'wall' : 'floor',
-                    char: Math.random() < wallChance ? '#' : '.',
-                    passable: Math.random() >= wallChance,
+                    type: isWall ? 'wall' : 'floor',
+                    char: isWall ? '#' : '.',
+                    passable: !isWall,
                     explored: false
                 };
             }
@@ -457,11 +481,14 @@ class MapGenerator {
     /**
      * Add hallways leading to new areas
      * @param {Array} map - 2D map array
+     * @param {Array} requiredExits - Directions that must get a hallway (they lead back to visited areas)
+     * @param {Array} blockedExits - Directions that must not get one (the visited area beyond has no way back)
+     * @param {string|null} entranceDirection - Required direction the player arrives through; its hallway leads into the first room
      */
-    addHallways(map) {
+    addHallways(map, requiredExits = [], blockedExits = [], entranceDirection = null) {
         const width = map[0].length;
         const height = map.length;
-        const numHallways = Math.floor(Math.random() * 3) + 1; // 1-3 hallways
+        const numHallways = this.randomInt(1, 4); // 1-3 hallways
         
         console.log(`Generating ${numHallways} hallways for map ${width}x${height}`);
         
@@ -470,15 +497,35 @@ class MapGenerator {
             { name: 'South', dx: 0, dy: 1, edge: height - 1 },
             { name: 'East', dx: 1, dy: 0, edge: width - 1 },
             { name: 'West', dx: -1, dy: 0, edge: 0 }
-        ];
+        ].filter(dir => !blockedExits.includes(dir.name));
         
-        // Shuffle directions to get random selection
-        const shuffledDirections = directions.sort(() => Math.random() - 0.5);
+        // Shuffle directions to get random selection, then put the required ones first
+        const shuffledDirections = this.rng.shuffle(directions);
+        const orderedDirections = [
+            ...requiredExits.map(name => shuffledDirections.find(dir => dir.name === name)).filter(Boolean),
+            ...shuffledDirections.filter(dir => !requiredExits.includes(dir.name))
+        ];
+        // Try at least one hallway beyond the required ones, so an area is never a dead end by chance
+        const hallwayCount = Math.min(Math.max(numHallways, requiredExits.length + 1), orderedDirections.length);
         
-        for (let i = 0; i < Math.min(numHallways, directions.length); i++) {
-            const dir = shuffledDirections[i];
+        for (let i = 0; i < hallwayCount; i++) {
+            const dir = orderedDirections[i];
             console.log(`Creating hallway: ${dir.name}`);
-            this.createHallway(map, dir, width, height);
+            const targetRoom = dir.name === entranceDirection ? this.rooms[0] : null;
+            const created = this.createHallway(map, dir, width, height, targetRoom);
+            
+            // A required hallway is the only way back to a visited area, so it may not fail
+            if (!created && requiredExits.includes(dir.name)) {
+                this.createFallbackHallway(map, dir, width, height);
+            }
+        }
+        
+        // If every onward hallway failed, force one - otherwise the only way out is back
+        const onwardDirections = orderedDirections.filter(dir => !requiredExits.includes(dir.name));
+        const hasOnwardExit = map.some(row => row.some(tile =>
+            tile.type === 'hallway_exit' && !requiredExits.includes(tile.direction)));
+        if (requiredExits.length > 0 && onwardDirections.length > 0 && !hasOnwardExit) {
+            this.createFallbackHallway(map, onwardDirections[0], width, height);
         }
         
         // Count and report hallway exits
@@ -493,9 +540,9 @@ class MapGenerator {
         }
         
         // If no hallways were created, force create at least one
-        if (exitCount === 0) {
+        if (exitCount === 0 && orderedDirections.length > 0) {
             console.log('No hallways created, forcing creation of at least one...');
-            const fallbackDir = shuffledDirections[0];
+            const fallbackDir = orderedDirections[0];
             this.createFallbackHallway(map, fallbackDir, width, height);
             
             // Recount exits
@@ -520,109 +567,99 @@ class MapGenerator {
     }
 
     /**
-     * Create a single hallway in a direction
+     * Create a single hallway in a direction, running from the map edge inward to the nearest floor
      * @param {Array} map - 2D map array
      * @param {Object} direction - Direction object with name, dx, dy, edge
      * @param {number} width - Map width
      * @param {number} height - Map height
+     * @param {Object|null} targetRoom - Room to line the hallway up with (the first room for an entrance)
+     * @returns {boolean} True if the hallway exit was placed
      */
-    createHallway(map, direction, width, height) {
+    createHallway(map, direction, width, height, targetRoom = null) {
         const { name, dx, dy, edge } = direction;
         
-        // Find a suitable starting position that's accessible from the map interior
-        let startX, startY;
+        // The exit sits on the edge the hallway leads out of; the hallway is dug inward from it
+        let exitX, exitY, length;
         let attempts = 0;
         let found = false;
         
-        // Try to find a position that connects to existing floor tiles
         do {
             if (dx === 0) { // North or South
-                startX = Math.floor(Math.random() * (width - 4)) + 2;
-                startY = edge;
+                exitX = targetRoom ? this.randomInt(targetRoom.x, targetRoom.x + targetRoom.width) : this.randomInt(2, width - 2);
+                exitY = edge;
             } else { // East or West
-                startX = edge;
-                startY = Math.floor(Math.random() * (height - 4)) + 2;
-            }
-            
-            // Check if this position is adjacent to a floor tile (accessible)
-            let hasAdjacentFloor = false;
-            for (let dy = -1; dy <= 1; dy++) {
-                for (let dx = -1; dx <= 1; dx++) {
-                    if (dx === 0 && dy === 0) continue;
-                    const nx = startX + dx;
-                    const ny = startY + dy;
-                    if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-                        if (map[ny][nx].type === 'floor' || map[ny][nx].type === 'door') {
-                            hasAdjacentFloor = true;
-                            break;
-                        }
-                    }
-                }
-                if (hasAdjacentFloor) break;
+                exitX = edge;
+                exitY = targetRoom ? this.randomInt(targetRoom.y, targetRoom.y + targetRoom.height) : this.randomInt(2, height - 2);
             }
             
-            // Check if we can create a hallway from this position
-            const hallwayLength = 3 + Math.floor(Math.random() * 3); // 3-5 tiles long
-            let canCreate = true;
-            
-            for (let i = 0; i < hallwayLength; i++) {
-                const x = startX + (dx * i);
-                const y = startY + (dy * i);
-                if (x < 0 || x >= width || y < 0 || y >= height) {
-                    canCreate = false;
+            // Walk inward until the hallway meets a floor or door tile
+            length = 1;
+            while (true) {
+                const x = exitX - dx * length;
+                const y = exitY - dy * length;
+                if (x < 0 || x >= width || y < 0 || y >= height) break;
+                
+                if (map[y][x].type === 'floor' || map[y][x].type === 'door') {
+                    found = true;
                     break;
                 }
-            }
-            
-            if (canCreate && hasAdjacentFloor) {
-                found = true;
+                length++;
             }
             attempts++;
         } while (!found && attempts < 200);
         
         if (!found) {
             console.log(`Failed to find suitable position for ${name} hallway after ${attempts} attempts`);
-            return;
-        }
-        
-        console.log(`Creating ${name} hallway starting at (${startX}, ${startY})`);
-        
-        // Create the hallway
-        const hallwayLength = 3 + Math.floor(Math.random() * 3); // 3-5 tiles long
-        
-        for (let i = 0; i < hallwayLength; i++) {
-            const x = startX + (dx * i);
-            const y = startY + (dy * i);
-            
-            if (x >= 0 && x < width && y >= 0 && y < height) {
-                map[y][x] = {
-                    type: 'floor',
-                    char: '.',
-                    passable: true,
-                    explored: false,
-                    hallway: true,
-                    direction: name
-                };
-            }
+            return false;
         }
         
-        // Mark the end of the hallway as a special tile
-        const endX = startX + (dx * hallwayLength);
-        const endY = startY + (dy * hallwayLength);
+        console.log(`Creating ${name} hallway from (${exitX}, ${exitY}), ${length} tiles long`);
         
-        if (endX >= 0 && endX < width && endY >= 0 && endY < height) {
-            map[endY][endX] = {
-                type: 'hallway_exit',
-                char: '>',
+        // Dig the hallway between the exit and the floor it reaches
+        for (let i = 1; i < length; i++) {
+            map[exitY - dy * i][exitX - dx * i] = {
+                type: 'floor',
+                char: '.',
                 passable: true,
                 explored: false,
                 hallway: true,
                 direction: name
             };
-            console.log(`Created hallway exit at (${endX}, ${endY}) for ${name} direction`);
-        } else {
-            console.log(`Failed to create hallway exit at (${endX}, ${endY}) - out of bounds`);
         }
+        
+        // Mark the edge end of the hallway as a special tile
+        map[exitY][exitX] = {
+            type: 'hallway_exit',
+            char: '>',
+            passable: true,
+            explored: false,
+            hallway: true,
+            direction: name
+        };
+        console.log(`Created hallway exit at (${exitX}, ${exitY}) for ${name} direction`);
+        return true;
+    }
+
+    /**
+     * Get the tile just inside a map's hallway exit, where a player coming through it arrives
+     * @param {Array} map - 2D map array
+     * @param {string} direction - Direction of the hallway exit ('North', 'South', 'East', 'West')
+     * @returns {Object|null} { x, y } arrival tile, or null if the map has no exit that way (or no way in from it)
+     */
+    getEntrancePosition(map, direction) {
+        const step = this.hallwayDirections[direction];
+        if (!step) return null;
+        
+        for (let y = 0; y < map.length; y++) {
+            for (let x = 0; x < map[y].length; x++) {
+                const tile = map[y][x];
+                if (tile.type === 'hallway_exit' && tile.direction === direction) {
+                    const inside = map[y - step.dy] && map[y - step.dy][x - step.dx];
+                    return inside && inside.passable ? { x: x - step.dx, y: y - step.dy } : null;
+                }
+            }
+        }
+        return null;
     }
 
     /**
@@ -631,6 +668,7 @@ class MapGenerator {
      * @param {Object} direction - Direction object with name, dx, dy, edge
      * @param {number} width - Map width
      * @param {number} height - Map height
+     * @returns {boolean} True if the hallway exit was placed
      */
     createFallbackHallway(map, direction, width, height) {
         const { name, dx, dy, edge } = direction;
@@ -668,7 +706,7 @@ class MapGenerator {
         
         if (!found) {
             console.log(`Failed to create fallback hallway - no suitable floor tiles found`);
-            return;
+            return false;
         }
         
         console.log(`Creating fallback ${name} hallway starting at (${startX}, ${startY})`);
@@ -706,8 +744,10 @@ class MapGenerator {
                 direction: name
             };
             console.log(`Created fallback hallway exit at (${endX}, ${endY}) for ${name} direction`);
+            return true;
         } else {
             console.log(`Failed to create fallback hallway exit at (${endX}, ${endY}) - out of bounds`);
+            return false;
         }
     }
 
@@ -0,0 +1,285 @@
+/**
+ * Pathfinder for routes and distance fields over the map
+ * A* finds a single route between two tiles. Dijkstra maps hold the cost from every tile to a set
+ * of goals, so any number of monsters can approach (or flee from) the player by stepping downhill
+ * on one shared field. Closed doors, hazards and occupied tiles cost extra instead of blocking.
+ *
+ * Every search takes the same route options: { knownOnly, avoidExits }. Monsters use the defaults;
+ * the player's travel keeps to explored tiles and walks around hallway exits it isn't heading for.
+ * Steps follow the same corner rule as movement (World.canStep), so routes never cut a wall corner.
+ */
+class Pathfinder {
+    constructor() {
+        // Eight-way steps, cardinals first so ties prefer straight moves
+        this.steps = [
+            { x: 0, y: -1 }, { x: 0, y: 1 }, { x: 1, y: 0 }, { x: -1, y: 0 },
+            { x: 1, y: -1 }, { x: -1, y: -1 }, { x: 1, y: 1 }, { x: -1, y: 1 }
+        ];
+
+        this.diagonalCost = 1.001; // A diagonal takes one move like any other; the extra bit keeps paths straight on ties
+        this.doorCost = 1; // Extra for a closed door - opening it takes a moment
+        this.occupiedCost = 8; // Extra for a tile another creature or object stands on - walk around if it's cheap to
+        this.hazardCosts = { water: 2, lava: 20 }; // Extra for tiles that hurt or slow
+        this.fleeFactor = -1.2; // Flee fields: approach costs scaled past -1 and rescanned, so fleeing avoids dead ends
+    }
+
+    /**
+     * Get the cost of stepping onto a tile, ignoring who stands there
+     * @param {World} world - Game world
+     * @param {number} fromX - X coordinate stepped from
+     * @param {number} fromY - Y coordinate stepped from
+     * @param {number} x - X coordinate stepped onto
+     * @param {number} y - Y coordinate stepped onto
+     * @param {Object} options - Route options: knownOnly skips unexplored tiles, avoidExits skips hallway exits
+     * @returns {number} Step cost, Infinity if the tile cannot be entered
+     */
+    getTileCost(world, fromX, fromY, x, y, options = {}) {
+        if (!world.canStep(fromX, fromY, x, y)) return Infinity;
+
+        const tile = world.map[y][x];
+        if (options.knownOnly && !tile.explored) return Infinity;
+        if (options.avoidExits && tile.type === 'hallway_exit') return Infinity;
+
+        let cost = fromX !== x && fromY !== y ? this.diagonalCost : 1;
+
+        if (tile.type === 'door' && !tile.open) {
+            cost += this.doorCost;
+        }
+        cost += this.hazardCosts[tile.type] || 0;
+
+        return cost;
+    }
+
+    /**
+     * Check if something that blocks movement stands on a tile
+     * @param {World} world - Game world
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Array} ignore - Entities that don't count (the mover and its target)
+     * @returns {boolean} True if occupied
+     */
+    isOccupied(world, x, y, ignore = []) {
+        return world.getEntitiesAt(x, y).some(entity =>
+            entity.active && !ignore.includes(entity) && EntityUtils.blocksMovement(entity)
+        );
+    }
+
+    /**
+     * Find the cheapest route between two tiles (A*)
+     * @param {World} world - Game world
+     * @param {number} startX - Start X coordinate
+     * @param {number} startY - Start Y coordinate
+     * @param {number} goalX - Goal X coordinate
+     * @param {number} goalY - Goal Y coordinate
+     * @param {Object} options - { entity, target } - the mover and the entity at the goal, neither counted
+     *                            as an obstacle - plus the route options
+     * @returns {Array|null} Steps from the first move to the goal as { x, y }, or null if there is no route
+     */
+    findPath(world, startX, startY, goalX, goalY, options = {}) {
+        const { entity = null, target = null } = options;
+        const ignore = [entity, target].filter(Boolean);
+
+        const width = world.width;
+        const startKey = startY * width + startX;
+        const goalKey = goalY * width + goalX;
+        if (startKey === goalKey) return [];
+        if (!world.isPassable(goalX, goalY)) return null;
+
+        const costs = new Map([[startKey, 0]]);
+        const cameFrom = new Map();
+        const handles = new Map();
+        const closed = new Set();
+        const open = new PriorityQueue();
+        handles.set(startKey, open.push(startKey, this.heuristic(startX, startY, goalX, goalY)));
+
+        while (!open.isEmpty()) {
+            const key = open.pop();
+            handles.delete(key);
+            if (key === goalKey) {
+                return this.reconstructPath(cameFrom, goalKey, width);
+            }
+            closed.add(key);
+
+            const x = key % width;
+            const y = Math.floor(key / width);
+
+            for (const step of this.steps) {
+                const nx = x + step.x;
+                const ny = y + step.y;
+                const nextKey = ny * width + nx;
+                if (closed.has(nextKey)) continue;
+
+                let stepCost = this.getTileCost(world, x, y, nx, ny, options);
+                if (stepCost === Infinity) continue;
+                if (nextKey !== goalKey && this.isOccupied(world, nx, ny, ignore)) {
+                    stepCost += this.occupiedCost;
+                }
+
+                const cost = costs.get(key) + stepCost;
+                if (costs.has(nextKey) && cost >= costs.get(nextKey)) continue;
+
+                costs.set(nextKey, cost);
+                cameFrom.set(nextKey, key);
+
+                const priority = cost + this.heuristic(nx, ny, goalX, goalY);
+                const handle = handles.get(nextKey);
+                if (handle) {
+                    open.update(handle, priority);
+                } else {
+                    handles.set(nextKey, open.push(nextKey, priority));
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Estimate the cost between two tiles (Chebyshev distance - never more than the real cost)
+     * @param {number} x1 - First X coordinate
+     * @param {number} y1 - First Y coordinate
+     * @param {number} x2 - Second X coordinate
+     * @param {number} y2 - Second Y coordinate
+     * @returns {number} Estimated cost
+     */
+    heuristic(x1, y1, x2, y2) {
+        return Math.max(Math.abs(x2 - x1), Math.abs(y2 - y1));
+    }
+
+    /**
+     * Walk A*'s parent links back from the goal
+     * @param {Map} cameFrom - Tile key -> key of the tile it was reached from
+     * @param {number} goalKey - Tile key of the goal
+     * @param {number} width - Map width
+     * @returns {Array} Steps from the first move to the goal as { x, y }
+     */
+    reconstructPath(cameFrom, goalKey, width) {
+        const path = [];
+        let key = goalKey;
+
+        while (cameFrom.has(key)) {
+            path.push({ x: key % width, y: Math.floor(key / width) });
+            key = cameFrom.get(key);
+        }
+
+        return path.reverse();
+    }
+
+    /**
+     * Build a Dijkstra map: the cost from every tile to the nearest goal
+     * @param {World} world - Game world
+     * @param {Array} goals - Goal tiles as { x, y }
+     * @param {Object} options - Route options, plus entity to make the field for one mover (others' tiles cost extra)
+     * @returns {Float64Array} Cost per tile (index y * width + x), Infinity where no goal can be reached
+     */
+    createDijkstraMap(world, goals, options = {}) {
+        const field = new Float64Array(world.width * world.height).fill(Infinity);
+
+        for (const goal of goals) {
+            if (world.isPassable(goal.x, goal.y)) {
+                field[goal.y * world.width + goal.x] = 0;
+            }
+        }
+
+        return this.scanDijkstraMap(world, field, options);
+    }
+
+    /**
+     * Build a flee map from an approach map: stepping downhill on it leads away from the goals,
+     * preferring open ground over corners the goals would trap you in
+     * @param {World} world - Game world
+     * @param {Float64Array} approachMap - Dijkstra map toward what to flee from
+     * @returns {Float64Array} Flee map
+     */
+    createFleeMap(world, approachMap) {
+        const field = approachMap.map(cost => cost === Infinity ? Infinity : cost * this.fleeFactor);
+        return this.scanDijkstraMap(world, field);
+    }
+
+    /**
+     * Relax a field in place until no tile can be reached more cheaply from a neighbor
+     * @param {World} world - Game world
+     * @param {Float64Array} field - Starting costs (Infinity for unknown)
+     * @param {Object} options - Route options
+     * @returns {Float64Array} The same field, scanned
+     */
+    scanDijkstraMap(world, field, options = {}) {
+        const width = world.width;
+        const ignore = options.entity ? [options.entity] : null; // Fields made for one mover charge for what stands in its way
+        const handles = new Map();
+        const open = new PriorityQueue();
+
+        field.forEach((cost, key) => {
+            if (cost !== Infinity) {
+                handles.set(key, open.push(key, cost));
+            }
+        });
+
+        while (!open.isEmpty()) {
+            const key = open.pop();
+            handles.delete(key);
+
+            const x = key % width;
+            const y = Math.floor(key / width);
+
+            for (const step of this.steps) {
+                const nx = x + step.x;
+                const ny = y + step.y;
+
+                // Cost of moving from the neighbor onto this tile (the neighbor itself must be enterable too)
+                let stepCost = this.getTileCost(world, nx, ny, x, y, options);
+                if (stepCost === Infinity || this.getTileCost(world, x, y, nx, ny, options) === Infinity) continue;
+                if (ignore && field[key] > 0 && this.isOccupied(world, x, y, ignore)) {
+                    stepCost += this.occupiedCost;
+                }
+
+                const nextKey = ny * width + nx;
+                const cost = field[key] + stepCost;
+                if (cost >= field[nextKey]) continue;
+
+                field[nextKey] = cost;
+                const handle = handles.get(nextKey);
+                if (handle) {
+                    open.update(handle, cost);
+                } else {
+                    handles.set(nextKey, open.push(nextKey, cost));
+                }
+            }
+        }
+
+        return field;
+    }
+
+    /**
+     * Pick the neighboring tile that goes furthest downhill on a Dijkstra map
+     * @param {World} world - Game world
+     * @param {Float64Array} field - Dijkstra map
+     * @param {number} x - Current X coordinate
+     * @param {number} y - Current Y coordinate
+     * @param {Function} canEnter - (x, y) => boolean, false for tiles the mover cannot step onto now
+     * @returns {Object|null} { x, y } of the step, or null if no free neighbor is lower
+     */
+    getDownhillStep(world, field, x, y, canEnter) {
+        let best = null;
+        let bestCost = field[y * world.width + x];
+
+        for (const step of this.steps) {
+            const nx = x + step.x;
+            const ny = y + step.y;
+            if (nx < 0 || nx >= world.width || ny < 0 || ny >= world.height) continue;
+
+            const cost = field[ny * world.width + nx];
+            if (cost < bestCost && canEnter(nx, ny)) {
+                best = { x: nx, y: ny };
+                bestCost = cost;
+            }
+        }
+
+        return best;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Pathfinder;
+}
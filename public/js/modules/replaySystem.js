@@ -0,0 +1,184 @@
+/**
+ * Replay System for recording player commands and feeding them back deterministically
+ * A replay is the run seed (or a start snapshot after a load) plus every command stamped
+ * with the turn it happened before and the scheduler time at that point.
+ */
+class ReplaySystem {
+    constructor() {
+        this.version = 1; // Current replay file format version
+        this.recording = null; // Replay being recorded for the current run
+        this.playback = null; // { replay, index, desynced } while a replay is fed back
+    }
+
+    /**
+     * Start recording a new replay, discarding the previous one
+     * @param {Object} start - { seed, width, height, snapshot } - snapshot is set when the run began from a save
+     */
+    startRecording(start) {
+        this.recording = {
+            version: this.version,
+            recordedAt: new Date().toISOString(),
+            seed: start.seed,
+            width: start.width,
+            height: start.height,
+            snapshot: start.snapshot || null,
+            commands: []
+        };
+    }
+
+    /**
+     * Record a command
+     * @param {Object} command - Command object ({ type, ...args })
+     * @param {number} turn - Number of turns processed before the command
+     * @param {number} time - Scheduler time when the command was given
+     */
+    record(command, turn, time) {
+        if (!this.recording) return;
+
+        // Compact form: [turn, time, type, args] - args omitted when the command has none
+        const { type, ...args } = command;
+        const entry = [turn, time, type];
+        if (Object.keys(args).length > 0) {
+            entry.push(args);
+        }
+        this.recording.commands.push(entry);
+    }
+
+    /**
+     * Get the replay recorded so far
+     * @param {number} turns - Turns processed so far (the replay runs exactly this far)
+     * @returns {Object|null} Replay data
+     */
+    getRecording(turns) {
+        if (!this.recording) return null;
+
+        return { ...this.recording, turns: turns };
+    }
+
+    /**
+     * Export the current recording as replay file text
+     * @param {number} turns - Turns processed so far
+     * @returns {string|null} Replay JSON or null if nothing is being recorded
+     */
+    export(turns) {
+        const replay = this.getRecording(turns);
+        return replay ? JSON.stringify(replay) : null;
+    }
+
+    /**
+     * Parse and validate replay file text or data
+     * @param {string|Object} data - Replay JSON text or already-parsed replay
+     * @returns {Object} Replay data
+     */
+    parse(data) {
+        const replay = typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!replay || !Array.isArray(replay.commands) || replay.seed === undefined) {
+            throw new Error('Not a replay file');
+        }
+        if ((replay.version || 1) > this.version) {
+            throw new Error(`Replay version ${replay.version} is newer than supported version ${this.version}`);
+        }
+
+        return replay;
+    }
+
+    /**
+     * Begin feeding a replay back
+     * @param {Object} replay - Parsed replay data
+     */
+    startPlayback(replay) {
+        this.playback = {
+            replay: replay,
+            index: 0,
+            desynced: false
+        };
+    }
+
+    /**
+     * Stop feeding the replay back
+     */
+    stopPlayback() {
+        this.playback = null;
+    }
+
+    /**
+     * Check if a replay is being played
+     * @returns {boolean} True while replaying
+     */
+    isReplaying() {
+        return this.playback !== null;
+    }
+
+    /**
+     * Check if the replay has been fed back in full
+     * @param {number} turn - Number of turns processed so far
+     * @returns {boolean} True once every command is applied and the recorded turn count is reached
+     */
+    isPlaybackFinished(turn) {
+        if (!this.playback) return true;
+
+        const replay = this.playback.replay;
+        return this.playback.index >= replay.commands.length && turn >= (replay.turns || 0);
+    }
+
+    /**
+     * Take the commands recorded before the given turn
+     * @param {number} turn - Number of turns processed so far
+     * @param {number} time - Current scheduler time (checked against the recording)
+     * @returns {Array} Command objects to apply before processing the turn
+     */
+    takeDueCommands(turn, time) {
+        if (!this.playback) return [];
+
+        const commands = this.playback.replay.commands;
+        const due = [];
+
+        while (this.playback.index < commands.length && commands[this.playback.index][0] <= turn) {
+            const [, recordedTime, type, args] = commands[this.playback.index];
+
+            if (recordedTime !== time && !this.playback.desynced) {
+                this.playback.desynced = true;
+                console.warn(`Replay desync at turn ${turn}: recorded time ${recordedTime}, engine time ${time}`);
+            }
+
+            due.push({ type, ...(args || {}) });
+            this.playback.index++;
+        }
+
+        return due;
+    }
+
+    /**
+     * Take the next command early, because the engine is waiting on input the recording gives later
+     * @returns {Object|null} Command object, or null if the replay has no commands left
+     */
+    takeNextCommand() {
+        if (!this.playback) return null;
+
+        const commands = this.playback.replay.commands;
+        if (this.playback.index >= commands.length) return null;
+
+        const [turn, , type, args] = commands[this.playback.index];
+        if (!this.playback.desynced) {
+            this.playback.desynced = true;
+            console.warn(`Replay desync: engine is waiting for input that was recorded for turn ${turn}`);
+        }
+
+        this.playback.index++;
+        return { type, ...(args || {}) };
+    }
+
+    /**
+     * Check if playback has drifted from the recording
+     * @returns {boolean} True if a command came due at a different scheduler time
+     */
+    isDesynced() {
+        return this.playback ? this.playback.desynced : false;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplaySystem;
+}
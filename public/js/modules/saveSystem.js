@@ -0,0 +1,356 @@
+/**
+ * Save System for persisting whole runs to storage slots
+ * Snapshots carry a format version; older snapshots are migrated step by step on load.
+ */
+class SaveSystem {
+    constructor() {
+        this.version = 3; // Current snapshot format version
+        this.keyPrefix = 'tinyrpg_save_';
+        this.slots = ['auto', '1', '2', '3']; // 'auto' is written on every area change
+        this.storage = null; // Will be injected (localStorage in the browser)
+
+        // Migrations keyed by the version they upgrade FROM. Each receives a snapshot
+        // of that version and must return it in the next version's format, e.g.
+        // 1: (snapshot) => { ...rename fields...; return snapshot; }
+        this.migrations = {
+            // Version 1 held a single area - it becomes the origin of the dungeon graph
+            1: (snapshot) => {
+                snapshot.dungeon = {
+                    currentKey: '0,0',
+                    areas: [{ x: 0, y: 0, depth: snapshot.currentLevel, rooms: snapshot.rooms || [], pending: {}, world: null }]
+                };
+                return snapshot;
+            },
+            // Version 2 kept whole effect definitions counting down turns - version 3 keeps only
+            // each effect's state, timed in game time (a turn becomes a second)
+            2: (snapshot) => {
+                const now = snapshot.scheduler ? snapshot.scheduler.currentTime || 0 : 0;
+                const effects = {};
+                for (const [entityId, list] of Object.entries(snapshot.effects || {})) {
+                    effects[entityId] = list.map(effect => ({
+                        name: String(effect.name).toLowerCase(),
+                        stacks: 1,
+                        magnitude: effect.damage || effect.heal || effect.speedModifier || effect.damageReduction,
+                        expiresAt: now + effect.remaining * 1000,
+                        nextTick: effect.damage || effect.heal ? now + 1000 : null,
+                        sourceId: null
+                    }));
+                }
+                snapshot.effects = effects;
+                return snapshot;
+            }
+        };
+    }
+
+    /**
+     * Set the storage backend
+     * @param {Storage} storage - Object with getItem/setItem/removeItem (localStorage or a stub)
+     */
+    setStorage(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Save the current run to a slot
+     * @param {GameEngine} engine - Game engine to save
+     * @param {string} slot - Slot name ('auto', '1', '2', '3')
+     * @returns {boolean} True if saved
+     */
+    save(engine, slot = 'auto') {
+        if (!this.storage || !this.isValidSlot(slot)) return false;
+
+        try {
+            const snapshot = this.createSnapshot(engine);
+            this.storage.setItem(this.getKey(slot), JSON.stringify(snapshot));
+            console.log(`Game saved to slot ${slot}`);
+            return true;
+        } catch (error) {
+            console.error(`Failed to save to slot ${slot}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Load a run from a slot into the engine
+     * @param {GameEngine} engine - Game engine to restore into
+     * @param {string} slot - Slot name
+     * @returns {boolean} True if loaded
+     */
+    load(engine, slot = 'auto') {
+        const snapshot = this.readSlot(slot);
+        if (!snapshot) return false;
+
+        try {
+            this.restoreSnapshot(engine, this.migrate(snapshot));
+            console.log(`Game loaded from slot ${slot}`);
+            return true;
+        } catch (error) {
+            console.error(`Failed to load slot ${slot}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Read and parse the raw snapshot stored in a slot
+     * @param {string} slot - Slot name
+     * @returns {Object|null} Snapshot or null if empty/unreadable
+     */
+    readSlot(slot) {
+        if (!this.storage || !this.isValidSlot(slot)) return null;
+
+        try {
+            const data = this.storage.getItem(this.getKey(slot));
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.error(`Failed to read slot ${slot}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a saved slot
+     * @param {string} slot - Slot name
+     * @returns {boolean} True if deleted
+     */
+    deleteSlot(slot) {
+        if (!this.storage || !this.isValidSlot(slot)) return false;
+
+        this.storage.removeItem(this.getKey(slot));
+        return true;
+    }
+
+    /**
+     * Get a summary of every slot for save/load menus
+     * @returns {Array} Array of { slot, empty, savedAt, currentLevel, playerLevel, seed }
+     */
+    listSlots() {
+        return this.slots.map(slot => {
+            const snapshot = this.readSlot(slot);
+            if (!snapshot) {
+                return { slot, empty: true };
+            }
+
+            return {
+                slot,
+                empty: false,
+                savedAt: snapshot.savedAt,
+                currentLevel: snapshot.currentLevel,
+                playerLevel: snapshot.summary ? snapshot.summary.playerLevel : null,
+                seed: snapshot.seed
+            };
+        });
+    }
+
+    /**
+     * Check if a slot name is valid
+     * @param {string} slot - Slot name
+     * @returns {boolean} True if valid
+     */
+    isValidSlot(slot) {
+        return this.slots.includes(String(slot));
+    }
+
+    /**
+     * Get the storage key for a slot
+     * @param {string} slot - Slot name
+     * @returns {string} Storage key
+     */
+    getKey(slot) {
+        return `${this.keyPrefix}${slot}`;
+    }
+
+    /**
+     * Build a versioned snapshot of the whole run
+     * @param {GameEngine} engine - Game engine to snapshot
+     * @returns {Object} Plain-data snapshot
+     */
+    createSnapshot(engine) {
+        const world = engine.world;
+        const level = engine.player ? engine.player.getComponent('level') : null;
+
+        const snapshot = {
+            version: this.version,
+            savedAt: new Date().toISOString(),
+            seed: engine.rng.getSeed(),
+            rngState: engine.rng.getState(),
+            currentLevel: engine.currentLevel,
+            combatQueueEnabled: engine.combatQueueEnabled,
+            playerActions: engine.playerActions.map(command => ({ ...command })),
+            spawnCounter: engine.characterGenerator.spawnCounter,
+            rooms: engine.mapGenerator.getRooms(),
+            world: this.serializeWorld(world),
+            dungeon: {
+                currentKey: engine.dungeonGraph.currentKey,
+                // The current area's world is the one above; the others are stored with their own
+                areas: engine.dungeonGraph.getAreas().map(area => ({
+                    x: area.x,
+                    y: area.y,
+                    depth: area.depth,
+                    rooms: area.rooms,
+                    pending: area.pending,
+                    pendingEffects: area.pendingEffects,
+                    world: area.world === world ? null : this.serializeWorld(area.world)
+                }))
+            },
+            scheduler: engine.scheduler.toJSON(),
+            effects: engine.effectSystem.toJSON(),
+            statistics: engine.statisticsSystem.toJSON(),
+            messages: {
+                messages: engine.messages,
+                combatMessages: engine.combatMessages,
+                moveMessages: engine.moveMessages,
+                xpLootMessages: engine.xpLootMessages
+            },
+            summary: {
+                playerLevel: level ? level.value : null
+            }
+        };
+
+        // Round-trip through JSON so the snapshot shares no references with live state
+        return JSON.parse(JSON.stringify(snapshot));
+    }
+
+    /**
+     * Upgrade a snapshot to the current format version
+     * @param {Object} snapshot - Snapshot of any supported version
+     * @returns {Object} Snapshot in the current format
+     */
+    migrate(snapshot) {
+        let migrated = snapshot;
+        let version = migrated.version || 1;
+
+        if (version > this.version) {
+            throw new Error(`Save version ${version} is newer than supported version ${this.version}`);
+        }
+
+        while (version < this.version) {
+            const migration = this.migrations[version];
+            if (!migration) {
+                throw new Error(`No migration from save version ${version}`);
+            }
+
+            migrated = migration(migrated);
+            version++;
+            migrated.version = version;
+        }
+
+        return migrated;
+    }
+
+    /**
+     * Restore a current-format snapshot into the engine
+     * @param {GameEngine} engine - Game engine to restore into
+     * @param {Object} snapshot - Migrated snapshot
+     */
+    restoreSnapshot(engine, snapshot) {
+        // Rebuild the world and its entities
+        const world = this.deserializeWorld(snapshot.world);
+
+        engine.world = world;
+        engine.player = world.player;
+
+        // Rebuild the dungeon graph, with the visited areas the player is not in
+        engine.dungeonGraph.reset();
+        for (const data of snapshot.dungeon.areas) {
+            const areaWorld = data.world ? this.deserializeWorld(data.world) : world;
+            const area = engine.dungeonGraph.addArea(data.x, data.y, data.depth, areaWorld, data.rooms);
+            area.pending = data.pending || {};
+            area.pendingEffects = data.pendingEffects || {};
+        }
+        engine.dungeonGraph.currentKey = snapshot.dungeon.currentKey;
+
+        // Rebuild the turn queue
+        engine.scheduler = new Scheduler();
+        engine.scheduler.setSpeedSystem(engine.speedSystem);
+        engine.scheduler.restoreFromJSON(snapshot.scheduler, world);
+        engine.unscheduleRemovedEntities();
+        if (engine.isRunning) {
+            engine.scheduler.start();
+        }
+
+        // Restore effects, RNG and run state
+        engine.effectSystem.restoreFromJSON(snapshot.effects);
+        engine.statisticsSystem.restoreFromJSON(snapshot.statistics);
+        engine.rng.setSeed(snapshot.seed);
+        engine.rng.setState(snapshot.rngState);
+        engine.currentLevel = snapshot.currentLevel;
+        engine.combatQueueEnabled = snapshot.combatQueueEnabled;
+        engine.playerActions = snapshot.playerActions || [];
+        engine.characterGenerator.spawnCounter = snapshot.spawnCounter;
+        engine.mapGenerator.rooms = snapshot.rooms || [];
+        engine.gameOver = false;
+
+        engine.messages = snapshot.messages.messages;
+        engine.combatMessages = snapshot.messages.combatMessages;
+        engine.moveMessages = snapshot.messages.moveMessages;
+        engine.xpLootMessages = snapshot.messages.xpLootMessages;
+
+        if (engine.player) {
+            // Fill in slots, skills and spells added since the save was made
+            engine.inventorySystem.initializeEntity(engine.player);
+            engine.skillsSystem.initializeEntity(engine.player);
+            if (!engine.player.hasComponent('mana')) {
+                engine.spells.initializeCaster(engine.player);
+            }
+        }
+    }
+
+    /**
+     * Serialize a world's map and active entities
+     * @param {World} world - World to serialize
+     * @returns {Object} World data
+     */
+    serializeWorld(world) {
+        return {
+            width: world.width,
+            height: world.height,
+            currentTime: world.getCurrentTime(),
+            map: world.map,
+            entities: Array.from(world.getAllEntities().values())
+                .filter(entity => entity.active)
+                .map(entity => entity.toJSON())
+        };
+    }
+
+    /**
+     * Rebuild a world from serialized data
+     * @param {Object} data - Data from serializeWorld()
+     * @returns {World} Restored world
+     */
+    deserializeWorld(data) {
+        const world = new World(data.width, data.height);
+        world.map = data.map;
+        world.setCurrentTime(data.currentTime);
+
+        const deferred = [];
+        for (const entityData of data.entities) {
+            if (entityData.type === 'swing_animation') {
+                deferred.push(entityData); // Needs its attacker and target restored first
+                continue;
+            }
+            world.addEntity(this.deserializeEntity(entityData));
+        }
+        for (const entityData of deferred) {
+            world.addEntity(SwingAnimation.fromJSON(entityData, id => world.getEntity(id)));
+        }
+
+        return world;
+    }
+
+    /**
+     * Create the right entity class for serialized data
+     * @param {Object} data - Serialized entity
+     * @returns {Entity} Restored entity
+     */
+    deserializeEntity(data) {
+        if (data.type === 'monster' && data.monsterType) {
+            return Monster.fromJSON(data);
+        }
+        return Entity.fromJSON(data);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveSystem;
+}
@@ -8,8 +8,8 @@ class SkillsSystem {
                 '1h_slash', '2h_slash', '1h_blunt', '2h_blunt',
                 '1h_pierce', '2h_pierce', 'hand_to_hand'
             ],
-            defensive: ['dodge', 'block'],
-            combat: ['offense', 'defense']
+            defensive: ['dodge', 'block', 'stealth'],
+            combat: ['offense', 'defense', 'accuracy']
         };
         
         // Weapon type to skill mapping
@@ -20,30 +20,99 @@ class SkillsSystem {
             'warhammer': '2h_blunt',
             'dagger': '1h_pierce',
             'spear': '2h_pierce',
+            'bow': '2h_pierce',
+            'crossbow': '2h_pierce',
             'unarmed': 'hand_to_hand'
         };
+        
+        this.eventBus = null; // Will be injected - skill experience comes from combat events
     }
 
     /**
-     * Initialize skills for an entity
-     * @param {Entity} entity - Entity to initialize skills for
+     * Set the event bus, gaining skill experience from resolved attacks and publishing skill-ups
+     * @param {EventBus} eventBus - Event bus instance
      */
-    initializeEntity(entity) {
-        const skills = {};
+    setEventBus(eventBus) {
+        this.eventBus = eventBus;
+        eventBus.on('attackResolved', event => this.handleAttackResolved(event));
+    }
+
+    /**
+     * Award skill experience for a resolved attack
+     * @param {Object} event - attackResolved payload
+     */
+    handleAttackResolved(event) {
+        const { attacker, target, hit, blocked, dodged, ranged, spell } = event;
         
-        // Initialize all weapon skills (10% skillup chance)
-        for (const skill of this.skillCategories.weapon) {
-            skills[skill] = { level: 0, experience: 0, maxExperience: 20 };
+        if (blocked) {
+            this.gainSkillExperience(target, 'block', 5);
+        }
+        if (dodged) {
+            this.gainSkillExperience(target, 'dodge', 3);
         }
         
-        // Initialize defensive skills (10% skillup chance)
-        for (const skill of this.skillCategories.defensive) {
-            skills[skill] = { level: 0, experience: 0, maxExperience: 20 };
+        // Spells don't train weapon skills
+        if (spell) return;
+        
+        if (ranged) {
+            this.gainRangedSkillExperience(attacker, hit);
+        } else if (hit) {
+            this.gainWeaponSkillExperience(attacker);
         }
+    }
+
+    /**
+     * Gain ranged skill experience for a shot that reached its target
+     * @param {Entity} attacker - Shooting entity (null if it is gone)
+     * @param {boolean} hit - True if the shot hit
+     */
+    gainRangedSkillExperience(attacker, hit) {
+        const equipment = attacker ? attacker.getComponent('equipment') : null;
+        const launcher = equipment ? equipment.range : null;
+        if (!launcher || !attacker.getComponent('skills')) return;
         
-        // Initialize combat skills (10% skillup chance)
-        for (const skill of this.skillCategories.combat) {
-            skills[skill] = { level: 0, experience: 0, maxExperience: 20 };
+        // Every shot trains accuracy; hits also train the launcher's pierce skill
+        this.gainSkillExperience(attacker, 'accuracy', 1);
+        if (hit) {
+            this.gainSkillExperience(attacker, this.weaponSkillMapping[launcher.type] || '2h_pierce', 2);
+        }
+    }
+
+    /**
+     * Gain weapon skill experience for a successful hit
+     * @param {Entity} attacker - Attacking entity
+     */
+    gainWeaponSkillExperience(attacker) {
+        const equipment = attacker.getComponent('equipment');
+        const weapon = equipment ? (equipment.weapon || equipment.primary) : null;
+        if (!weapon) return;
+        
+        // Determine weapon skill based on weapon type
+        const weaponType = weapon.type || 'sword';
+        const skillName = this.weaponSkillMapping[weaponType] || '1h_slash';
+        
+        this.gainSkillExperience(attacker, skillName, 2);
+        this.gainSkillExperience(attacker, 'offense', 1); // Every hit also trains offense
+    }
+
+    /**
+     * Initialize skills for an entity
+     * @param {Entity} entity - Entity to initialize skills for
+     */
+    initializeEntity(entity) {
+        // Keep existing progress (e.g. from a save) and only add missing skills
+        const skills = entity.getComponent('skills') || {};
+        const allSkills = [
+            ...this.skillCategories.weapon,
+            ...this.skillCategories.defensive,
+            ...this.skillCategories.combat
+        ];
+        
+        // Every skill starts at level 0 (10% skillup chance)
+        for (const skill of allSkills) {
+            if (!skills[skill]) {
+                skills[skill] = { level: 0, experience: 0, maxExperience: 20 };
+            }
         }
         
         entity.addComponent('skills', skills);
@@ -129,21 +198,9 @@ class SkillsSystem {
             console.log(`SKILL LEVEL UP! ${skillName} is now level ${skill.level}`);
         }
         
-        // Add combat log message and play sound if skill leveled up
-        if (leveledUp && entity.type === 'player') {
-            const skillDisplayName = this.getSkillDisplayName(skillName);
-            const message = `Your ${skillDisplayName} skill increased to ${skill.level}!`;
-            
-            console.log(`Adding skillup message: ${message}`);
-            
-            if (window.game && window.game.addCombatMessage) {
-                window.game.addCombatMessage(message, 'skillup', '#98FB98'); // Pastel green for skill ups
-            }
-            
-            // Play skillup sound effect
-            if (window.game && window.game.audioSystem) {
-                window.game.audioSystem.playSkillupSound();
-            }
+        // Messages and the skill-up sound subscribe to this
+        if (leveledUp && this.eventBus) {
+            this.eventBus.emit('skillUp', { entity, skill: skillName, level: skill.level });
         }
         
         return leveledUp;
@@ -165,13 +222,30 @@ class SkillsSystem {
             'hand_to_hand': 'Hand to Hand',
             'dodge': 'Dodge',
             'block': 'Block',
+            'stealth': 'Stealth',
             'offense': 'Offense',
-            'defense': 'Defense'
+            'defense': 'Defense',
+            'accuracy': 'Accuracy'
         };
         
         return displayNames[skillName] || skillName;
     }
 
+    /**
+     * Get how much quieter an entity moves - trained stealth plus agility
+     * @param {Entity} entity - Entity
+     * @returns {number} Fraction taken off footstep noise (0 to 0.6)
+     */
+    getStealthBonus(entity) {
+        const skills = entity.getComponent('skills');
+        const stats = entity.getComponent('stats');
+        const stealthLevel = skills && skills.stealth ? skills.stealth.level : 0;
+        const agility = stats && stats.agility ? stats.agility : 10;
+        
+        // +2% per stealth level, +1% per agility point over 10
+        return Math.min(0.6, stealthLevel * 0.02 + Math.max(0, agility - 10) * 0.01);
+    }
+
     /**
      * Apply skill bonuses to combat calculations
      * @param {Entity} entity - Entity
@@ -224,6 +298,31 @@ class SkillsSystem {
         return bonuses;
     }
 
+    /**
+     * Get skill bonuses for a shot from a bow or crossbow
+     * @param {Entity} entity - Entity
+     * @param {Object} launcher - Bow or crossbow being used
+     * @returns {Object} { damage, hitChance }
+     */
+    getRangedSkillBonuses(entity, launcher) {
+        const bonuses = { damage: 0, hitChance: 0 };
+        
+        const skills = entity.getComponent('skills');
+        if (!skills) return bonuses;
+        
+        // Pierce skill affects damage and hit chance like a melee weapon skill
+        const pierceSkill = this.weaponSkillMapping[launcher.type] || '2h_pierce';
+        const pierceLevel = skills[pierceSkill] ? skills[pierceSkill].level : 0;
+        bonuses.damage += pierceLevel * 0.5; // +0.5 damage per skill level
+        bonuses.hitChance += pierceLevel * 1; // +1% hit chance per skill level
+        
+        // Accuracy skill only affects hit chance
+        const accuracyLevel = skills.accuracy ? skills.accuracy.level : 0;
+        bonuses.hitChance += accuracyLevel * 2; // +2% hit chance per accuracy level
+        
+        return bonuses;
+    }
+
     /**
      * Get all skills for display
      * @param {Entity} entity - Entity
@@ -256,8 +355,10 @@ class SkillsSystem {
             'hand_to_hand': 'Hand-to-Hand',
             'dodge': 'Dodge',
             'block': 'Block',
+            'stealth': 'Stealth',
             'offense': 'Offense',
-            'defense': 'Defense'
+            'defense': 'Defense',
+            'accuracy': 'Accuracy'
         };
         
         return displayNames[skillName] || skillName;
@@ -1,15 +1,64 @@
 /**
  * Spells module for data-driven spell/attack system
+ * Casters carry a mana component and a spellbook of learned spells. Casting checks the spellbook,
+ * mana, range and target; projectile spells fly through ProjectileSystem, damage goes through
+ * CombatSystem so it counts like any other hit, and status effects are handed to EffectSystem.
  */
 class Spells {
     constructor() {
         this.spellDatabase = this.initializeSpellDatabase();
-        this.effectDatabase = this.initializeEffectDatabase();
-        this.activeEffects = new Map(); // entityId -> effects array
+        this.combatSystem = null; // Will be injected - spell damage is dealt like any other hit
+        this.effectSystem = null; // Will be injected - status effects live there
+        this.projectileSystem = null; // Will be injected - projectile spells fly on the scheduler
+        this.characterProgress = null; // Will be injected - sizes the mana pool
+        this.messageCallback = null; // Will be injected
+        this.manaRegenInterval = 2000; // Game time per point of mana regained
     }
 
     /**
-     * Initialize spell database
+     * Set the combat system that deals spell damage
+     * @param {CombatSystem} combatSystem - Combat system instance
+     */
+    setCombatSystem(combatSystem) {
+        this.combatSystem = combatSystem;
+    }
+
+    /**
+     * Set the effect system that keeps track of status effects
+     * @param {EffectSystem} effectSystem - Effect system instance
+     */
+    setEffectSystem(effectSystem) {
+        this.effectSystem = effectSystem;
+    }
+
+    /**
+     * Set the projectile system that launches projectile spells
+     * @param {ProjectileSystem} projectileSystem - Projectile system instance
+     */
+    setProjectileSystem(projectileSystem) {
+        this.projectileSystem = projectileSystem;
+    }
+
+    /**
+     * Set the character progress module that sizes mana pools
+     * @param {CharacterProgress} characterProgress - Character progress instance
+     */
+    setCharacterProgress(characterProgress) {
+        this.characterProgress = characterProgress;
+    }
+
+    /**
+     * Set message callback for spell messages
+     * @param {Function} callback - Called with (message, type, color)
+     */
+    setMessageCallback(callback) {
+        this.messageCallback = callback;
+    }
+
+    /**
+     * Initialize spell database. castTime is game time spent casting, level is the character level
+     * the spell is learned at, and target is 'self', 'creature' (someone on the tile) or 'tile'.
+     * applyEffect entries name an EffectSystem effect and may give a duration to override its own.
      * @returns {Object} Spell database
      */
     initializeSpellDatabase() {
@@ -18,6 +67,9 @@ class Spells {
                 name: "Firebolt",
                 type: "projectile",
                 manaCost: 5,
+                castTime: 1000,
+                level: 2,
+                target: 'tile',
                 damage: 8,
                 speed: 12,
                 range: 8,
@@ -25,7 +77,7 @@ class Spells {
                 color: '#FF4500',
                 onHit: [
                     { type: 'damage', value: 8 },
-                    { type: 'applyEffect', effect: 'burn', duration: 3 }
+                    { type: 'applyEffect', effect: 'burn' }
                 ],
                 description: "A fiery projectile that burns enemies"
             },
@@ -33,6 +85,9 @@ class Spells {
                 name: "Ice Shard",
                 type: "projectile",
                 manaCost: 4,
+                castTime: 1000,
+                level: 3,
+                target: 'tile',
                 damage: 6,
                 speed: 10,
                 range: 6,
@@ -40,7 +95,7 @@ class Spells {
                 color: '#00BFFF',
                 onHit: [
                     { type: 'damage', value: 6 },
-                    { type: 'applyEffect', effect: 'slow', duration: 2 }
+                    { type: 'applyEffect', effect: 'slow' }
                 ],
                 description: "A freezing projectile that slows enemies"
             },
@@ -48,12 +103,15 @@ class Spells {
                 name: "Heal",
                 type: "instant",
                 manaCost: 8,
+                castTime: 1500,
+                level: 1,
+                target: 'self',
                 range: 0,
                 char: '+',
                 color: '#00FF00',
                 onCast: [
                     { type: 'heal', value: 15 },
-                    { type: 'applyEffect', effect: 'regeneration', duration: 5 }
+                    { type: 'applyEffect', effect: 'regeneration' }
                 ],
                 description: "Restores health and provides regeneration"
             },
@@ -61,13 +119,16 @@ class Spells {
                 name: "Lightning",
                 type: "instant",
                 manaCost: 12,
+                castTime: 1500,
+                level: 5,
+                target: 'creature',
                 damage: 15,
                 range: 5,
                 char: '~',
                 color: '#FFFF00',
                 onCast: [
                     { type: 'damage', value: 15 },
-                    { type: 'applyEffect', effect: 'stun', duration: 1 }
+                    { type: 'applyEffect', effect: 'stun' }
                 ],
                 description: "A powerful lightning bolt that stuns enemies"
             },
@@ -75,6 +136,9 @@ class Spells {
                 name: "Teleport",
                 type: "instant",
                 manaCost: 10,
+                castTime: 1200,
+                level: 4,
+                target: 'tile',
                 range: 10,
                 char: 'T',
                 color: '#800080',
@@ -87,6 +151,9 @@ class Spells {
                 name: "Magic Missile",
                 type: "projectile",
                 manaCost: 3,
+                castTime: 600,
+                level: 1,
+                target: 'tile',
                 damage: 4,
                 speed: 15,
                 range: 6,
@@ -101,14 +168,17 @@ class Spells {
                 name: "Poison Cloud",
                 type: "area",
                 manaCost: 15,
+                castTime: 2000,
+                level: 6,
+                target: 'tile',
                 damage: 3,
                 range: 4,
                 radius: 2,
                 char: 'P',
                 color: '#32CD32',
                 onCast: [
-                    { type: 'areaDamage', value: 3, radius: 2 },
-                    { type: 'applyEffect', effect: 'poison', duration: 5 }
+                    { type: 'damage', value: 3 },
+                    { type: 'applyEffect', effect: 'poison' }
                 ],
                 description: "Creates a poisonous cloud that damages and poisons enemies"
             },
@@ -116,11 +186,14 @@ class Spells {
                 name: "Shield",
                 type: "buff",
                 manaCost: 6,
+                castTime: 800,
+                level: 3,
+                target: 'self',
                 range: 0,
                 char: 'S',
                 color: '#C0C0C0',
                 onCast: [
-                    { type: 'applyEffect', effect: 'shield', duration: 10 }
+                    { type: 'applyEffect', effect: 'shield' }
                 ],
                 description: "Creates a protective shield that reduces incoming damage"
             }
@@ -128,96 +201,169 @@ class Spells {
     }
 
     /**
-     * Initialize effect database
-     * @returns {Object} Effect database
+     * Give an entity a mana pool sized from its stats and a spellbook with the spells of its level
+     * @param {Entity} entity - Caster entity
      */
-    initializeEffectDatabase() {
-        return {
-            burn: {
-                name: "Burn",
-                type: "damage",
-                damage: 2,
-                duration: 3,
-                char: 'B',
-                color: '#FF4500',
-                description: "Takes fire damage each turn"
-            },
-            poison: {
-                name: "Poison",
-                type: "damage",
-                damage: 1,
-                duration: 5,
-                char: 'P',
-                color: '#32CD32',
-                description: "Takes poison damage each turn"
-            },
-            slow: {
-                name: "Slow",
-                type: "debuff",
-                speedModifier: 0.5,
-                duration: 2,
-                char: 'S',
-                color: '#00BFFF',
-                description: "Movement and action speed reduced"
-            },
-            stun: {
-                name: "Stun",
-                type: "debuff",
-                canAct: false,
-                duration: 1,
-                char: '!',
-                color: '#FFFF00',
-                description: "Cannot act for one turn"
-            },
-            regeneration: {
-                name: "Regeneration",
-                type: "heal",
-                heal: 3,
-                duration: 5,
-                char: 'R',
-                color: '#00FF00',
-                description: "Heals health each turn"
-            },
-            shield: {
-                name: "Shield",
-                type: "buff",
-                damageReduction: 0.3,
-                duration: 10,
-                char: 'S',
-                color: '#C0C0C0',
-                description: "Reduces incoming damage by 30%"
+    initializeCaster(entity) {
+        const maxMana = this.characterProgress ? this.characterProgress.calculateMaxMana(entity) : 50;
+        entity.addComponent('mana', {
+            current: maxMana,
+            max: maxMana,
+            regenTimer: 0,
+            updatedAt: 0 // Game time mana regeneration was last counted up to
+        });
+        entity.addComponent('spellbook', { known: [] });
+
+        const level = entity.getComponent('level');
+        this.learnSpellsForLevel(entity, level ? level.value : 1);
+    }
+
+    /**
+     * Regain mana for the game time that passed since the last call
+     * @param {Entity} entity - Caster entity
+     * @param {number} now - Current game time
+     */
+    regenerateMana(entity, now) {
+        const mana = entity.getComponent('mana');
+        if (!mana) return;
+
+        mana.regenTimer += Math.max(0, now - mana.updatedAt);
+        mana.updatedAt = now;
+
+        while (mana.regenTimer >= this.manaRegenInterval) {
+            mana.regenTimer -= this.manaRegenInterval;
+            mana.current = Math.min(mana.max, mana.current + 1);
+        }
+    }
+
+    /**
+     * Get the spells an entity has learned, in the order it learned them
+     * @param {Entity} entity - Caster entity
+     * @returns {Array} Spell names
+     */
+    getKnownSpells(entity) {
+        const spellbook = entity.getComponent('spellbook');
+        return spellbook ? spellbook.known : [];
+    }
+
+    /**
+     * Check if an entity has learned a spell
+     * @param {Entity} entity - Caster entity
+     * @param {string} spellName - Name of the spell
+     * @returns {boolean} True if the spell is in its spellbook
+     */
+    knowsSpell(entity, spellName) {
+        return this.getKnownSpells(entity).includes(spellName);
+    }
+
+    /**
+     * Write a spell into an entity's spellbook
+     * @param {Entity} entity - Caster entity
+     * @param {string} spellName - Name of the spell
+     * @returns {boolean} True if the spell was new to it
+     */
+    learnSpell(entity, spellName) {
+        const spellbook = entity.getComponent('spellbook');
+        if (!spellbook || !this.spellDatabase[spellName] || spellbook.known.includes(spellName)) {
+            return false;
+        }
+
+        spellbook.known.push(spellName);
+        return true;
+    }
+
+    /**
+     * Learn every spell up to a character level the entity doesn't know yet
+     * @param {Entity} entity - Caster entity
+     * @param {number} level - Character level reached
+     * @returns {Array} Names of the newly learned spells
+     */
+    learnSpellsForLevel(entity, level) {
+        return Object.keys(this.spellDatabase)
+            .filter(spellName => this.spellDatabase[spellName].level <= level)
+            .filter(spellName => this.learnSpell(entity, spellName));
+    }
+
+    /**
+     * Find out why an entity can't cast a spell at all, wherever it is aimed
+     * @param {Entity} caster - Entity casting the spell
+     * @param {string} spellName - Name of the spell
+     * @returns {string|null} Reason to show the player, or null if it knows the spell and has the mana
+     */
+    getCasterProblem(caster, spellName) {
+        const spell = this.spellDatabase[spellName];
+        if (!spell || !this.knowsSpell(caster, spellName)) {
+            return 'You don\'t know that spell.';
+        }
+
+        const mana = caster.getComponent('mana');
+        if (!mana || mana.current < spell.manaCost) {
+            return `Not enough mana for ${spell.name} (${spell.manaCost} MP).`;
+        }
+        return null;
+    }
+
+    /**
+     * Find out why a spell can't be cast at a tile
+     * @param {Entity} caster - Entity casting the spell
+     * @param {string} spellName - Name of the spell
+     * @param {number} targetX - Target X coordinate
+     * @param {number} targetY - Target Y coordinate
+     * @param {World} world - Game world
+     * @returns {string|null} Reason to show the player, or null if the spell can be cast
+     */
+    getCastProblem(caster, spellName, targetX, targetY, world) {
+        const casterProblem = this.getCasterProblem(caster, spellName);
+        if (casterProblem) return casterProblem;
+
+        const spell = this.spellDatabase[spellName];
+        if (spell.target === 'self') return null;
+
+        if (targetX === caster.x && targetY === caster.y) {
+            return `Pick a target for ${spell.name} first.`;
+        }
+        if (this.getDistance(caster.x, caster.y, targetX, targetY) > spell.range) {
+            return `That is out of range for ${spell.name}.`;
+        }
+
+        if (spell.target === 'creature') {
+            if (!this.getCreatureAt(world, targetX, targetY)) {
+                return `There is nothing there to cast ${spell.name} on.`;
             }
-        };
+            if (this.projectileSystem && !this.hasLineOfEffect(caster, targetX, targetY, world)) {
+                return `You can't reach that with ${spell.name}.`;
+            }
+        }
+
+        if (spell.onCast && spell.onCast.some(effect => effect.type === 'teleport') &&
+            !this.canTeleportTo(caster, targetX, targetY, world)) {
+            return 'You can\'t teleport there.';
+        }
+
+        return null;
     }
 
     /**
-     * Cast a spell
+     * Cast a spell: spend the mana and let it take effect. Check getCastProblem() first.
      * @param {Entity} caster - Entity casting the spell
      * @param {string} spellName - Name of the spell
      * @param {number} targetX - Target X coordinate
      * @param {number} targetY - Target Y coordinate
      * @param {World} world - Game world
-     * @returns {boolean} True if spell was cast successfully
+     * @returns {Object|null} { spell, projectile } - schedule the projectile, if any, to make it fly -
+     *     or null if the spell could not be cast
      */
     castSpell(caster, spellName, targetX, targetY, world) {
         const spell = this.spellDatabase[spellName];
         if (!spell) {
             console.warn(`Unknown spell: ${spellName}`);
-            return false;
+            return null;
         }
 
         // Check mana cost
         const manaComponent = caster.getComponent('mana');
         if (manaComponent && manaComponent.current < spell.manaCost) {
-            console.log(`${caster.id} doesn't have enough mana to cast ${spellName}`);
-            return false;
-        }
-
-        // Check range
-        const distance = this.getDistance(caster.x, caster.y, targetX, targetY);
-        if (spell.range > 0 && distance > spell.range) {
-            console.log(`${spellName} is out of range`);
-            return false;
+            return null;
         }
 
         // Consume mana
@@ -225,10 +371,12 @@ class Spells {
             manaComponent.current -= spell.manaCost;
         }
 
+        let projectile = null;
+
         // Execute spell based on type
         switch (spell.type) {
             case 'projectile':
-                this.createProjectile(caster, spell, targetX, targetY, world);
+                projectile = this.createProjectile(caster, spellName, targetX, targetY, world);
                 break;
             case 'instant':
                 this.executeInstantSpell(caster, spell, targetX, targetY, world);
@@ -241,42 +389,53 @@ class Spells {
                 break;
         }
 
-        console.log(`${caster.id} cast ${spellName}`);
-        return true;
+        return { spell, projectile };
     }
 
     /**
-     * Create a projectile spell
+     * Launch a projectile spell through the projectile system
      * @param {Entity} caster - Entity casting the spell
-     * @param {Object} spell - Spell data
+     * @param {string} spellName - Name of the spell
      * @param {number} targetX - Target X coordinate
      * @param {number} targetY - Target Y coordinate
      * @param {World} world - Game world
+     * @returns {Entity|null} Projectile entity, or null without a projectile system
      */
-    createProjectile(caster, spell, targetX, targetY, world) {
-        const projectileId = `projectile_${Date.now()}_${Math.random()}`;
-        const projectile = new Entity(projectileId, 'projectile', caster.x, caster.y);
-        
-        projectile.addComponent('projectile', {
-            spell: spell,
-            targetX,
-            targetY,
-            ownerId: caster.id,
+    createProjectile(caster, spellName, targetX, targetY, world) {
+        if (!this.projectileSystem) return null;
+
+        const spell = this.spellDatabase[spellName];
+        const projectile = this.projectileSystem.launch(caster, spellName, targetX, targetY, world, {
+            spell: spellName,
+            damage: spell.damage,
             speed: spell.speed,
-            range: spell.range,
-            distanceTraveled: 0
+            range: spell.range
         });
 
-        projectile.addComponent('appearance', {
-            char: spell.char,
-            color: spell.color
-        });
+        const appearance = projectile.getComponent('appearance');
+        appearance.char = spell.char;
+        appearance.color = spell.color;
+        return projectile;
+    }
+
+    /**
+     * Apply a projectile spell to the creature it flew into
+     * @param {Entity} caster - Entity that cast the spell
+     * @param {Entity} target - Creature that was hit
+     * @param {string} spellName - Name of the spell
+     * @param {World} world - Game world
+     * @returns {boolean} True if the projectile hit and stopped
+     */
+    resolveProjectileHit(caster, target, spellName, world) {
+        const spell = this.spellDatabase[spellName];
+        if (!spell || !target.active) return false;
 
-        world.addEntity(projectile);
+        this.executeSpellEffects(caster, target, spell, spell.onHit || [], target.x, target.y, world);
+        return true;
     }
 
     /**
-     * Execute an instant spell
+     * Execute an instant spell on its target - the caster itself or the creature on the tile
      * @param {Entity} caster - Entity casting the spell
      * @param {Object} spell - Spell data
      * @param {number} targetX - Target X coordinate
@@ -284,13 +443,14 @@ class Spells {
      * @param {World} world - Game world
      */
     executeInstantSpell(caster, spell, targetX, targetY, world) {
-        if (spell.onCast) {
-            this.executeSpellEffects(caster, spell.onCast, targetX, targetY, world);
+        const target = spell.target === 'creature' ? this.getCreatureAt(world, targetX, targetY) : caster;
+        if (target && spell.onCast) {
+            this.executeSpellEffects(caster, target, spell, spell.onCast, targetX, targetY, world);
         }
     }
 
     /**
-     * Execute an area spell
+     * Execute an area spell on every creature within its radius except the caster
      * @param {Entity} caster - Entity casting the spell
      * @param {Object} spell - Spell data
      * @param {number} targetX - Target X coordinate
@@ -299,12 +459,11 @@ class Spells {
      */
     executeAreaSpell(caster, spell, targetX, targetY, world) {
         const radius = spell.radius || 1;
-        const affectedEntities = this.getEntitiesInRadius(world, targetX, targetY, radius);
-        
+        const affectedEntities = this.getEntitiesInRadius(world, targetX, targetY, radius)
+            .filter(entity => entity.id !== caster.id && this.isCreature(entity));
+
         for (const entity of affectedEntities) {
-            if (entity.id !== caster.id) {
-                this.executeSpellEffects(entity, spell.onCast, targetX, targetY, world);
-            }
+            this.executeSpellEffects(caster, entity, spell, spell.onCast, targetX, targetY, world);
         }
     }
 
@@ -318,50 +477,63 @@ class Spells {
      */
     executeBuffSpell(caster, spell, targetX, targetY, world) {
         if (spell.onCast) {
-            this.executeSpellEffects(caster, spell.onCast, targetX, targetY, world);
+            this.executeSpellEffects(caster, caster, spell, spell.onCast, targetX, targetY, world);
         }
     }
 
     /**
      * Execute spell effects
+     * @param {Entity} caster - Entity that cast the spell
      * @param {Entity} target - Target entity
+     * @param {Object} spell - Spell data
      * @param {Array} effects - Array of effects to apply
      * @param {number} targetX - Target X coordinate
      * @param {number} targetY - Target Y coordinate
      * @param {World} world - Game world
      */
-    executeSpellEffects(target, effects, targetX, targetY, world) {
+    executeSpellEffects(caster, target, spell, effects, targetX, targetY, world) {
         for (const effect of effects) {
+            // A spell that killed its target has nothing left to apply
+            if (!target.active) return;
+
             switch (effect.type) {
                 case 'damage':
-                    this.applyDamage(target, effect.value);
+                    this.applyDamage(caster, target, spell, effect.value, world);
                     break;
                 case 'heal':
                     this.applyHeal(target, effect.value);
                     break;
                 case 'applyEffect':
-                    this.applyStatusEffect(target, effect.effect, effect.duration);
+                    this.applyStatusEffect(caster, target, effect.effect, effect.duration, world);
                     break;
                 case 'teleport':
                     this.teleportEntity(target, targetX, targetY, world);
                     break;
                 case 'areaDamage':
-                    this.applyAreaDamage(world, targetX, targetY, effect.value, effect.radius);
+                    this.applyAreaDamage(caster, spell, world, targetX, targetY, effect.value, effect.radius);
                     break;
             }
         }
     }
 
     /**
-     * Apply damage to an entity
+     * Apply spell damage to an entity - through the combat system when there is one, so the hit
+     * is logged, heard and rewarded like any other
+     * @param {Entity} caster - Entity that cast the spell
      * @param {Entity} entity - Target entity
+     * @param {Object} spell - Spell data
      * @param {number} damage - Damage amount
+     * @param {World} world - Game world
      */
-    applyDamage(entity, damage) {
+    applyDamage(caster, entity, spell, damage, world) {
+        if (this.combatSystem) {
+            this.combatSystem.resolveSpellHit(caster, entity, spell.name, damage, world);
+            return;
+        }
+
         const healthComponent = entity.getComponent('health');
         if (healthComponent) {
             healthComponent.current = Math.max(0, healthComponent.current - damage);
-            console.log(`${entity.id} takes ${damage} damage`);
         }
     }
 
@@ -373,36 +545,26 @@ class Spells {
     applyHeal(entity, heal) {
         const healthComponent = entity.getComponent('health');
         if (healthComponent) {
-            healthComponent.current = Math.min(healthComponent.max, healthComponent.current + heal);
-            console.log(`${entity.id} heals for ${heal} health`);
+            const healed = Math.min(heal, healthComponent.max - healthComponent.current);
+            healthComponent.current += healed;
+            if (entity.type === 'player') {
+                this.addMessage(`You feel better (+${healed} HP).`, 'heal', '#98FB98');
+            }
         }
     }
 
     /**
-     * Apply a status effect to an entity
+     * Hand a status effect to the effect system, which decides how it stacks and when it ticks
+     * @param {Entity} caster - Entity that cast the spell
      * @param {Entity} entity - Target entity
      * @param {string} effectName - Effect name
-     * @param {number} duration - Effect duration
+     * @param {number|undefined} duration - Game time the effect lasts (the effect's own duration if undefined)
+     * @param {World} world - Game world
      */
-    applyStatusEffect(entity, effectName, duration) {
-        const effect = this.effectDatabase[effectName];
-        if (!effect) {
-            console.warn(`Unknown effect: ${effectName}`);
-            return;
-        }
-
-        if (!this.activeEffects.has(entity.id)) {
-            this.activeEffects.set(entity.id, []);
-        }
+    applyStatusEffect(caster, entity, effectName, duration, world) {
+        if (!this.effectSystem) return;
 
-        const effects = this.activeEffects.get(entity.id);
-        effects.push({
-            ...effect,
-            duration: duration,
-            remaining: duration
-        });
-
-        console.log(`${entity.id} is affected by ${effectName} for ${duration} turns`);
+        this.effectSystem.applyEffect(entity, effectName, world, { duration, source: caster });
     }
 
     /**
@@ -413,24 +575,94 @@ class Spells {
      * @param {World} world - Game world
      */
     teleportEntity(entity, x, y, world) {
-        if (world.isPassable(x, y) && !world.isOccupied(x, y, entity.id)) {
+        if (this.canTeleportTo(entity, x, y, world)) {
             entity.setPosition(x, y);
-            console.log(`${entity.id} teleported to (${x}, ${y})`);
+            if (entity.type === 'player') {
+                this.addMessage('You blink across the room.', 'spell', '#DDA0DD');
+            }
         }
     }
 
+    /**
+     * Check if an entity could teleport onto a tile: open floor nobody is standing on
+     * @param {Entity} entity - Entity to teleport
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {World} world - Game world
+     * @returns {boolean} True if the tile is free
+     */
+    canTeleportTo(entity, x, y, world) {
+        if (!world.isPassable(x, y)) return false;
+
+        const tile = world.map[y][x];
+        if (tile.type === 'door' && !tile.open) return false;
+
+        return !world.getEntitiesAt(x, y).some(other =>
+            other.active && other.id !== entity.id && EntityUtils.blocksMovement(other)
+        );
+    }
+
+    /**
+     * Check if a spell cast from the caster reaches a tile without a wall or closed door in between
+     * @param {Entity} caster - Entity casting the spell
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {World} world - Game world
+     * @returns {boolean} True if nothing is in the way
+     */
+    hasLineOfEffect(caster, x, y, world) {
+        const distance = Math.max(Math.abs(x - caster.x), Math.abs(y - caster.y));
+        const path = this.projectileSystem.getPath(world, caster.x, caster.y, x, y, distance);
+        return path.some(tile => tile.x === x && tile.y === y);
+    }
+
     /**
      * Apply area damage
+     * @param {Entity} caster - Entity that cast the spell
+     * @param {Object} spell - Spell data
      * @param {World} world - Game world
      * @param {number} x - Center X coordinate
      * @param {number} y - Center Y coordinate
      * @param {number} damage - Damage amount
      * @param {number} radius - Damage radius
      */
-    applyAreaDamage(world, x, y, damage, radius) {
-        const entities = this.getEntitiesInRadius(world, x, y, radius);
+    applyAreaDamage(caster, spell, world, x, y, damage, radius) {
+        const entities = this.getEntitiesInRadius(world, x, y, radius)
+            .filter(entity => entity.id !== caster.id && this.isCreature(entity));
         for (const entity of entities) {
-            this.applyDamage(entity, damage);
+            this.applyDamage(caster, entity, spell, damage, world);
+        }
+    }
+
+    /**
+     * Find the living creature standing on a tile
+     * @param {World} world - Game world
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Entity|null} Monster or player on the tile
+     */
+    getCreatureAt(world, x, y) {
+        return world.getEntitiesAt(x, y).find(entity => entity.active && this.isCreature(entity)) || null;
+    }
+
+    /**
+     * Check if an entity is a creature spells can hurt or help
+     * @param {Entity} entity - Entity to check
+     * @returns {boolean} True for monsters and the player
+     */
+    isCreature(entity) {
+        return entity.type === 'monster' || entity.type === 'player';
+    }
+
+    /**
+     * Send a message to the game log
+     * @param {string} message - Message text
+     * @param {string} type - Message type
+     * @param {string} color - Message color
+     */
+    addMessage(message, type = 'spell', color = '#ffffff') {
+        if (this.messageCallback) {
+            this.messageCallback(message, type, color);
         }
     }
 
@@ -455,64 +687,6 @@ class Spells {
         return entities;
     }
 
-    /**
-     * Process all active effects for an entity
-     * @param {Entity} entity - Entity to process effects for
-     * @param {World} world - Game world
-     */
-    processEffects(entity, world) {
-        if (!this.activeEffects.has(entity.id)) return;
-
-        const effects = this.activeEffects.get(entity.id);
-        const effectsToRemove = [];
-
-        for (let i = 0; i < effects.length; i++) {
-            const effect = effects[i];
-            effect.remaining--;
-
-            // Apply effect
-            this.applyEffectTick(entity, effect, world);
-
-            // Remove expired effects
-            if (effect.remaining <= 0) {
-                effectsToRemove.push(i);
-            }
-        }
-
-        // Remove expired effects
-        for (let i = effectsToRemove.length - 1; i >= 0; i--) {
-            effects.splice(effectsToRemove[i], 1);
-        }
-
-        // Clean up empty effect arrays
-        if (effects.length === 0) {
-            this.activeEffects.delete(entity.id);
-        }
-    }
-
-    /**
-     * Apply effect for one tick
-     * @param {Entity} entity - Target entity
-     * @param {Object} effect - Effect data
-     * @param {World} world - Game world
-     */
-    applyEffectTick(entity, effect, world) {
-        switch (effect.type) {
-            case 'damage':
-                this.applyDamage(entity, effect.damage);
-                break;
-            case 'heal':
-                this.applyHeal(entity, effect.heal);
-                break;
-            case 'debuff':
-                // Handle debuff effects (slow, stun, etc.)
-                break;
-            case 'buff':
-                // Handle buff effects (shield, etc.)
-                break;
-        }
-    }
-
     /**
      * Get distance between two points
      * @param {number} x1 - First X coordinate
@@ -544,40 +718,6 @@ class Spells {
         return this.spellDatabase[spellName] || null;
     }
 
-    /**
-     * Get all available effects
-     * @returns {Array} Array of effect names
-     */
-    getAvailableEffects() {
-        return Object.keys(this.effectDatabase);
-    }
-
-    /**
-     * Get effect data by name
-     * @param {string} effectName - Effect name
-     * @returns {Object|null} Effect data or null
-     */
-    getEffect(effectName) {
-        return this.effectDatabase[effectName] || null;
-    }
-
-    /**
-     * Get active effects for an entity
-     * @param {string} entityId - Entity ID
-     * @returns {Array} Array of active effects
-     */
-    getActiveEffects(entityId) {
-        return this.activeEffects.get(entityId) || [];
-    }
-
-    /**
-     * Clear all effects for an entity
-     * @param {string} entityId - Entity ID
-     */
-    clearEffects(entityId) {
-        this.activeEffects.delete(entityId);
-    }
-
     /**
      * Add a new spell to the database
      * @param {string} name - Spell name
@@ -587,12 +727,9 @@ class Spells {
         this.spellDatabase[name] = spell;
     }
 
-    /**
-     * Add a new effect to the database
-     * @param {string} name - Effect name
-     * @param {Object} effect - Effect data
-     */
-    addEffect(name, effect) {
-        this.effectDatabase[name] = effect;
-    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Spells;
 }
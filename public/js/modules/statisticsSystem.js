@@ -0,0 +1,114 @@
+/**
+ * Statistics System for tallying a run from gameplay events
+ * Purely a subscriber - nothing in combat or movement knows it exists.
+ */
+class StatisticsSystem {
+    constructor() {
+        this.stats = this.createEmptyStats();
+    }
+
+    /**
+     * Create a zeroed statistics record
+     * @returns {Object} Statistics
+     */
+    createEmptyStats() {
+        return {
+            attacks: 0,
+            hits: 0,
+            damageDealt: 0,
+            damageTaken: 0,
+            kills: {}, // Monster type -> count
+            goldLooted: 0,
+            experienceGained: 0,
+            levelUps: 0,
+            skillUps: 0,
+            timesNoticed: 0,
+            areasEntered: 0,
+            areasDiscovered: 0
+        };
+    }
+
+    /**
+     * Subscribe to the gameplay events that feed the statistics
+     * @param {EventBus} eventBus - Event bus instance
+     */
+    setEventBus(eventBus) {
+        eventBus.on('attackResolved', ({ attacker, hit }) => {
+            if (attacker.type !== 'player') return;
+            this.stats.attacks++;
+            if (hit) this.stats.hits++;
+        });
+        eventBus.on('entityDamaged', ({ entity, amount, source }) => {
+            if (entity.type === 'player') {
+                this.stats.damageTaken += amount;
+            } else if (source && source.type === 'player') {
+                this.stats.damageDealt += amount;
+            }
+        });
+        eventBus.on('entityDied', ({ entity }) => {
+            if (entity.type !== 'monster') return;
+            const monsterType = entity.monsterType || 'monster';
+            this.stats.kills[monsterType] = (this.stats.kills[monsterType] || 0) + 1;
+        });
+        eventBus.on('itemLooted', ({ gold }) => {
+            this.stats.goldLooted += gold;
+        });
+        eventBus.on('experienceGained', ({ amount }) => {
+            this.stats.experienceGained += amount;
+        });
+        eventBus.on('levelUp', () => {
+            this.stats.levelUps++;
+        });
+        eventBus.on('skillUp', ({ entity }) => {
+            if (entity.type === 'player') this.stats.skillUps++;
+        });
+        eventBus.on('monsterNoticed', () => {
+            this.stats.timesNoticed++;
+        });
+        eventBus.on('areaEntered', ({ firstVisit }) => {
+            this.stats.areasEntered++;
+            if (firstVisit) this.stats.areasDiscovered++;
+        });
+    }
+
+    /**
+     * Get the statistics with derived totals
+     * @returns {Object} Statistics summary
+     */
+    getSummary() {
+        const totalKills = Object.values(this.stats.kills).reduce((sum, count) => sum + count, 0);
+        return {
+            ...this.stats,
+            totalKills: totalKills,
+            hitRate: this.stats.attacks > 0 ? Math.round((this.stats.hits / this.stats.attacks) * 100) : 0
+        };
+    }
+
+    /**
+     * Reset for a new run
+     */
+    reset() {
+        this.stats = this.createEmptyStats();
+    }
+
+    /**
+     * Serialize the statistics for saving
+     * @returns {Object} Statistics data
+     */
+    toJSON() {
+        return { ...this.stats, kills: { ...this.stats.kills } };
+    }
+
+    /**
+     * Restore statistics from saved data (saves made before statistics existed start from zero)
+     * @param {Object} data - Data from toJSON()
+     */
+    restoreFromJSON(data) {
+        this.stats = { ...this.createEmptyStats(), ...(data || {}) };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatisticsSystem;
+}
@@ -1,6 +1,7 @@
 /**
  * Priority Queue implementation for turn-based scheduling
  * Lower values have higher priority (earlier execution)
+ * push() returns a handle that can later cancel the entry or change its priority.
  */
 class PriorityQueue {
     constructor() {
@@ -11,11 +12,13 @@ class PriorityQueue {
      * Add an item to the priority queue
      * @param {Object} item - The item to add
      * @param {number} priority - The priority value (lower = higher priority)
+     * @returns {Object} Handle for remove() and update() - { item, priority } while queued
      */
     push(item, priority) {
-        const node = { item, priority };
+        const node = { item, priority, index: this.heap.length };
         this.heap.push(node);
-        this._bubbleUp(this.heap.length - 1);
+        this._bubbleUp(node.index);
+        return node;
     }
 
     /**
@@ -24,12 +27,46 @@ class PriorityQueue {
      */
     pop() {
         if (this.heap.length === 0) return null;
-        if (this.heap.length === 1) return this.heap.pop().item;
 
-        const min = this.heap[0].item;
-        this.heap[0] = this.heap.pop();
-        this._bubbleDown(0);
-        return min;
+        const min = this.heap[0];
+        this._removeAt(0);
+        return min.item;
+    }
+
+    /**
+     * Remove an entry before it is popped
+     * @param {Object} handle - Handle returned by push()
+     * @returns {boolean} True if the entry was still queued
+     */
+    remove(handle) {
+        if (!this.contains(handle)) return false;
+
+        this._removeAt(handle.index);
+        return true;
+    }
+
+    /**
+     * Change the priority of a queued entry (earlier or later)
+     * @param {Object} handle - Handle returned by push()
+     * @param {number} priority - New priority value
+     * @returns {boolean} True if the entry was still queued
+     */
+    update(handle, priority) {
+        if (!this.contains(handle)) return false;
+
+        handle.priority = priority;
+        this._bubbleUp(handle.index);
+        this._bubbleDown(handle.index);
+        return true;
+    }
+
+    /**
+     * Check if a handle's entry is still queued
+     * @param {Object} handle - Handle returned by push()
+     * @returns {boolean} True if queued
+     */
+    contains(handle) {
+        return !!handle && this.heap[handle.index] === handle;
     }
 
     /**
@@ -56,13 +93,54 @@ class PriorityQueue {
         return this.heap.length;
     }
 
+    /**
+     * Get all entries in heap order (pushing them back in this order rebuilds the same heap)
+     * @returns {Array} Array of { item, priority } entries
+     */
+    entries() {
+        return this.heap.map(node => ({ item: node.item, priority: node.priority }));
+    }
+
     /**
      * Clear all items from the queue
      */
     clear() {
+        for (const node of this.heap) {
+            node.index = -1;
+        }
         this.heap = [];
     }
 
+    /**
+     * Remove the node at a heap index, filling the gap with the last node
+     * @param {number} index - Heap index to remove
+     * @private
+     */
+    _removeAt(index) {
+        const removed = this.heap[index];
+        const last = this.heap.pop();
+        removed.index = -1;
+
+        if (last !== removed) {
+            this.heap[index] = last;
+            last.index = index;
+            this._bubbleUp(index);
+            this._bubbleDown(last.index);
+        }
+    }
+
+    /**
+     * Swap two heap nodes, keeping their handles' indexes current
+     * @param {number} a - First index
+     * @param {number} b - Second index
+     * @private
+     */
+    _swap(a, b) {
+        [this.heap[a], this.heap[b]] = [this.heap[b], this.heap[a]];
+        this.heap[a].index = a;
+        this.heap[b].index = b;
+    }
+
     /**
      * Move an item up the heap to maintain heap property
      * @param {number} index - The index to bubble up
@@ -73,7 +151,7 @@ class PriorityQueue {
 
         const parentIndex = Math.floor((index - 1) / 2);
         if (this.heap[index].priority < this.heap[parentIndex].priority) {
-            [this.heap[index], this.heap[parentIndex]] = [this.heap[parentIndex], this.heap[index]];
+            this._swap(index, parentIndex);
             this._bubbleUp(parentIndex);
         }
     }
@@ -99,7 +177,7 @@ class PriorityQueue {
         }
 
         if (smallest !== index) {
-            [this.heap[index], this.heap[smallest]] = [this.heap[smallest], this.heap[index]];
+            this._swap(index, smallest);
             this._bubbleDown(smallest);
         }
     }
@@ -0,0 +1,788 @@
+/**
+ * AI System for monster decisions
+ * Each monster's ai component names a behavior (ai.type) and carries that behavior's options and
+ * state, so templates pick and tune behaviors without code changes. Behaviors are looked up in a
+ * registry; new ones are added with registerBehavior() and only use the movement and combat
+ * primitives, never the other way round.
+ *
+ * Every turn a monster first perceives (notice builds up while it can see the player), then may
+ * flee if hurt below ai.fleeAt, then runs its behavior. Behaviors return the delay until the
+ * monster's next turn, or null for its normal speed.
+ *
+ * Monsters act whether or not the player can see them. A hostile monster remembers where it last
+ * saw its target (ai.lastKnown) and walks there when it loses sight, so it follows the player
+ * around corners and down corridors. Off-screen monsters with nothing to do take longer, cheaper
+ * turns; only what happens in view is reported in the log.
+ */
+class AISystem {
+    constructor() {
+        this.rng = new RNG(); // Replaced by the game's seeded RNG
+        this.messageCallback = null; // Will be injected for notice and behavior messages
+        this.eventBus = null; // Will be injected for monsterNoticed events
+        this.movementSystem = null; // Will be injected for steps, routes and line of sight
+        this.combatSystem = null; // Will be injected for melee and ranged attacks
+        this.speedSystem = null; // Will be injected for the length of off-screen turns
+
+        this.wanderChance = 0.05; // Idle monsters are very sedentary - they only move now and then
+        this.offscreenSlowdown = 3; // Idle monsters out of view act this many times less often
+        this.wakeLoudness = 3; // Noise at least this loud wakes sleeping monsters
+        this.flankRange = 6; // Pack members this close to the target spread out around it instead of charging
+        this.behaviors = {};
+        this.registerDefaultBehaviors();
+    }
+
+    /**
+     * Set the random number generator used for wandering, waking and patrol routes
+     * @param {RNG} rng - Seeded RNG instance
+     */
+    setRng(rng) {
+        this.rng = rng;
+    }
+
+    /**
+     * Set message callback for notice and behavior messages
+     * @param {Function} callback - Function to call with (message, type)
+     */
+    setMessageCallback(callback) {
+        this.messageCallback = callback;
+    }
+
+    /**
+     * Set the event bus monster notice is published on; damage wakes monsters and turns them on the attacker
+     * @param {EventBus} eventBus - Event bus instance
+     */
+    setEventBus(eventBus) {
+        this.eventBus = eventBus;
+        eventBus.on('entityDamaged', ({ entity, source }) => {
+            if (entity.type === 'monster') this.retaliate(entity, source);
+        });
+    }
+
+    /**
+     * Set the movement system
+     * @param {MovementSystem} movementSystem - Movement system instance
+     */
+    setMovementSystem(movementSystem) {
+        this.movementSystem = movementSystem;
+    }
+
+    /**
+     * Set the combat system
+     * @param {CombatSystem} combatSystem - Combat system instance
+     */
+    setCombatSystem(combatSystem) {
+        this.combatSystem = combatSystem;
+    }
+
+    /**
+     * Set the speed system
+     * @param {SpeedSystem} speedSystem - Speed system instance
+     */
+    setSpeedSystem(speedSystem) {
+        this.speedSystem = speedSystem;
+    }
+
+    /**
+     * Register the built-in behaviors
+     */
+    registerDefaultBehaviors() {
+        this.registerBehavior('aggressive', (monster, context) => this.actAggressive(monster, context));
+        this.registerBehavior('ranged', (monster, context) => this.actRanged(monster, context));
+        this.registerBehavior('pack', (monster, context) => this.actPack(monster, context));
+        this.registerBehavior('patrol', (monster, context) => this.actPatrol(monster, context));
+        this.registerBehavior('guard', (monster, context) => this.actGuard(monster, context));
+        this.registerBehavior('sleeper', (monster, context) => this.actSleeper(monster, context));
+        this.registerBehavior('coward', (monster, context) => this.actCoward(monster, context));
+    }
+
+    /**
+     * Register a behavior under an ai.type name, replacing any behavior already registered there
+     * @param {string} type - Behavior name templates use as ai.type
+     * @param {Function} behavior - (monster, context) => delay or null; context is
+     *                              { world, target, ai, notice, distance, canSee, onScreen, system }
+     */
+    registerBehavior(type, behavior) {
+        this.behaviors[type] = behavior;
+    }
+
+    /**
+     * Get the behavior for an ai.type, falling back to aggressive for unknown types
+     * @param {string} type - Behavior name
+     * @returns {Function} Behavior
+     */
+    getBehavior(type) {
+        return this.behaviors[type] || this.behaviors.aggressive;
+    }
+
+    /**
+     * Take one monster turn
+     * @param {Entity} monster - Monster entity
+     * @param {World} world - Game world
+     * @returns {number|null} Delay until the monster's next action, or null for its normal speed
+     */
+    processEntity(monster, world) {
+        const ai = monster.getComponent('ai');
+        const notice = monster.getComponent('notice');
+        const visibility = monster.getComponent('visibility');
+        if (!ai || !notice || !visibility) return null;
+
+        const target = world.player;
+        if (!target || !target.active) return null;
+
+        const context = {
+            world: world,
+            target: target,
+            ai: ai,
+            notice: notice,
+            distance: monster.distanceTo(target),
+            canSee: false,
+            onScreen: visibility.isVisible,
+            system: this
+        };
+
+        this.updateNotice(monster, context);
+
+        if (notice.hasNoticed && this.isHurt(monster, ai.fleeAt)) {
+            return this.flee(monster, context);
+        }
+
+        const delay = this.getBehavior(ai.type)(monster, context);
+
+        // Nothing going on out of view - check back less often
+        if (delay === null && !visibility.isVisible && this.isIdle(monster) && this.speedSystem) {
+            return this.speedSystem.getActionDelay(monster) * this.offscreenSlowdown;
+        }
+        return delay;
+    }
+
+    /**
+     * Check if a monster has nothing to do: not hostile, fleeing or heading anywhere in particular
+     * @param {Entity} monster - Monster entity
+     * @returns {boolean} True if idle
+     */
+    isIdle(monster) {
+        const ai = monster.getComponent('ai');
+        return !monster.getComponent('notice').hasNoticed && !ai.investigate && !ai.fleeing;
+    }
+
+    /**
+     * Look for the target: notice builds up while it is within alert range and in sight, and a
+     * hostile monster that sees it (within the larger of alert range and ai.range) remembers where
+     * @param {Entity} monster - Monster entity
+     * @param {Object} context - Behavior context - canSee is filled in here
+     */
+    updateNotice(monster, context) {
+        const { world, target, ai, notice } = context;
+        if (ai.asleep) return;
+
+        context.canSee = this.canSee(monster, target, world);
+        if (!context.canSee) return;
+
+        ai.lastKnown = { x: target.x, y: target.y };
+        if (!notice.hasNoticed) {
+            notice.noticeTimer++;
+            if (notice.noticeTimer >= notice.noticeDelay) {
+                this.notice(monster, target);
+            } else if (notice.noticeTimer === 1) {
+                this.announce(monster, 'begins to notice you...');
+            }
+        }
+    }
+
+    /**
+     * Check if a monster can see a target: in line of sight and within its alert range, or within
+     * ai.range once it is hostile
+     * @param {Entity} monster - Monster entity
+     * @param {Entity} target - Target entity
+     * @param {World} world - Game world
+     * @returns {boolean} True if the target can be seen
+     */
+    canSee(monster, target, world) {
+        const notice = monster.getComponent('notice');
+        const alertRange = notice.alertRange || 5;
+        const range = notice.hasNoticed ? Math.max(alertRange, monster.getComponent('ai').range || 0) : alertRange;
+        return monster.distanceTo(target) <= range && this.movementSystem.hasLineOfSight(monster, target, world);
+    }
+
+    /**
+     * Make a monster notice a target right away
+     * @param {Entity} monster - Monster entity
+     * @param {Entity} target - Target entity
+     */
+    notice(monster, target) {
+        const notice = monster.getComponent('notice');
+        if (notice.hasNoticed) return;
+
+        notice.hasNoticed = true;
+        notice.noticeTimer = notice.noticeDelay;
+        delete monster.getComponent('ai').investigate;
+
+        this.announce(monster, 'becomes hostile!');
+        if (this.eventBus) {
+            this.eventBus.emit('monsterNoticed', { monster, target });
+        }
+    }
+
+    /**
+     * Forget the target and any per-fight state
+     * @param {Entity} monster - Monster entity
+     * @param {Object} context - Behavior context
+     */
+    loseInterest(monster, context) {
+        const { ai, notice } = context;
+        notice.hasNoticed = false;
+        notice.noticeTimer = 0;
+        ai.fleeing = false;
+        ai.calledForHelp = false;
+        ai.alertedPack = false;
+        delete ai.lastKnown;
+
+        this.announce(monster, 'loses interest.');
+    }
+
+    /**
+     * Go after the target: straight at it while it is in sight, otherwise to where it was last
+     * seen. A monster that gets there (or can't) without finding it loses interest.
+     * @param {Entity} monster - Monster entity
+     * @param {Object} context - Behavior context
+     * @returns {boolean} True if the monster is still after the target
+     */
+    chase(monster, context) {
+        const { world, target, ai } = context;
+
+        if (context.canSee) {
+            this.movementSystem.moveTowardsTarget(monster, target, world);
+            return true;
+        }
+
+        const last = ai.lastKnown;
+        if (!last || (monster.x === last.x && monster.y === last.y) ||
+            !this.movementSystem.moveTowardsPosition(monster, last.x, last.y, world)) {
+            this.loseInterest(monster, context);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * React to a noise: sleepers woken by a loud enough one get up and look, unaware monsters grow
+     * suspicious (enough noise and they go and look), hostile ones that lost sight of their target
+     * head for the noise. Noise alone never makes a monster hostile - it still has to see you.
+     * @param {Entity} monster - Monster that heard the noise
+     * @param {Object} position - { x, y } of the noise
+     * @param {number} loudness - Volume left when the noise reached the monster
+     * @param {World} world - Game world
+     */
+    hearNoise(monster, position, loudness, world) {
+        const ai = monster.getComponent('ai');
+        const notice = monster.getComponent('notice');
+        if (!ai || !notice) return;
+
+        if (ai.asleep) {
+            if (loudness < this.wakeLoudness) return;
+            this.wake(monster, null);
+            ai.investigate = { x: position.x, y: position.y };
+        }
+
+        if (notice.hasNoticed) {
+            if (world.player && !this.canSee(monster, world.player, world)) {
+                ai.lastKnown = { x: position.x, y: position.y };
+            }
+            return;
+        }
+
+        // Whole steps, so the timer still counts in turns
+        notice.noticeTimer = Math.min(notice.noticeDelay - 1, notice.noticeTimer + Math.ceil(loudness));
+        if (notice.noticeTimer >= notice.noticeDelay / 2) {
+            if (!ai.investigate) this.announce(monster, 'hears something...');
+            ai.investigate = { x: position.x, y: position.y };
+        }
+    }
+
+    /**
+     * Alert another monster to a target: it notices at once if it can see the target,
+     * otherwise it heads for the target's position and notices as soon as it sees it
+     * @param {Entity} monster - Monster being alerted
+     * @param {Entity} target - Target entity
+     * @param {World} world - Game world
+     */
+    alert(monster, target, world) {
+        const ai = monster.getComponent('ai');
+        const notice = monster.getComponent('notice');
+        if (!ai || !notice || notice.hasNoticed) return;
+
+        ai.asleep = false;
+        if (this.canSee(monster, target, world)) {
+            this.notice(monster, target);
+        } else {
+            ai.investigate = { x: target.x, y: target.y };
+            notice.noticeTimer = Math.max(notice.noticeTimer, notice.noticeDelay - 1);
+        }
+    }
+
+    /**
+     * Find other active monsters near a monster
+     * @param {Entity} monster - Monster entity
+     * @param {World} world - Game world
+     * @param {number} range - Search radius
+     * @param {Function} filter - Optional (ally) => boolean
+     * @returns {Array} Monsters within range
+     */
+    findAllies(monster, world, range, filter = null) {
+        return world.getEntitiesByType('monster').filter(ally =>
+            ally !== monster && ally.active && monster.distanceTo(ally) <= range && (!filter || filter(ally))
+        );
+    }
+
+    /**
+     * Check if a monster's health has dropped below a fraction of its maximum
+     * @param {Entity} monster - Monster entity
+     * @param {number} fraction - Health fraction (0-1); falsy never counts as hurt
+     * @returns {boolean} True if hurt below the fraction
+     */
+    isHurt(monster, fraction) {
+        const health = monster.getComponent('health');
+        return Boolean(fraction && health && health.current < health.max * fraction);
+    }
+
+    /**
+     * Run from the target; a cornered monster fights back instead
+     * @param {Entity} monster - Monster entity
+     * @param {Object} context - Behavior context
+     * @returns {number|null} Delay until the next action
+     */
+    flee(monster, context) {
+        const { world, target, ai } = context;
+
+        if (!this.movementSystem.moveAwayFromTarget(monster, target, world)) {
+            return this.meleeAttack(monster, context);
+        }
+
+        if (!ai.fleeing) {
+            ai.fleeing = true;
+            this.announce(monster, 'turns to flee!');
+        }
+        return null;
+    }
+
+    /**
+     * Attack the target if it is adjacent and the monster's weapon is ready
+     * @param {Entity} monster - Monster entity
+     * @param {Object} context - Behavior context
+     * @returns {number|null} Attack recovery if the monster attacked, otherwise null
+     */
+    meleeAttack(monster, context) {
+        if (this.combatSystem.processEntity(monster, context.world)) {
+            return this.combatSystem.getAttackCooldownRemaining(monster, context.world);
+        }
+        return null;
+    }
+
+    /**
+     * What a monster does while it hasn't noticed anyone: head for whatever it was alerted to,
+     * or wander now and then
+     * @param {Entity} monster - Monster entity
+     * @param {Object} context - Behavior context
+     */
+    idle(monster, context) {
+        const { world, ai } = context;
+        const wanderChance = context.onScreen ? this.wanderChance : this.wanderChance * this.offscreenSlowdown;
+
+        if (ai.investigate) {
+            const moved = this.movementSystem.moveTowardsPosition(monster, ai.investigate.x, ai.investigate.y, world);
+            if (!moved || (monster.x === ai.investigate.x && monster.y === ai.investigate.y)) {
+                delete ai.investigate;
+            }
+        } else if (this.rng.chance(wanderChance)) {
+            this.movementSystem.randomMovement(monster, world);
+        }
+    }
+
+    /**
+     * Aggressive: charge the target once noticed and attack whatever is adjacent
+     * @param {Entity} monster - Monster entity
+     * @param {Object} context - Behavior context
+     * @returns {number|null} Delay until the next action
+     */
+    actAggressive(monster, context) {
+        if (context.notice.hasNoticed) {
+            this.chase(monster, context);
+        } else {
+            this.idle(monster, context);
+        }
+        return this.meleeAttack(monster, context);
+    }
+
+    /**
+     * Ranged: shoot from a distance whenever the weapon is ready, and back off while reloading
+     * if the target gets closer than ai.keepDistance. Options: attackRange (5), keepDistance (3).
+     * @param {Entity} monster - Monster entity
+     * @param {Object} context - Behavior context
+     * @returns {number|null} Delay until the next action
+     */
+    actRanged(monster, context) {
+        const { world, target, ai, notice, distance } = context;
+        if (!notice.hasNoticed) {
+            this.idle(monster, context);
+            return null;
+        }
+
+        const attackRange = ai.attackRange || 5;
+        const keepDistance = ai.keepDistance || 3;
+        const inSight = this.movementSystem.hasLineOfSight(monster, target, world);
+        const ready = this.combatSystem.getAttackCooldownRemaining(monster, world) === 0;
+
+        if (distance > 1.5 && distance <= attackRange && context.canSee && inSight && ready) {
+            this.combatSystem.rangedAttack(monster, target, world);
+            return this.combatSystem.getAttackCooldownRemaining(monster, world);
+        }
+
+        if (distance < keepDistance) {
+            if (this.movementSystem.moveAwayFromTarget(monster, target, world)) return null;
+        } else if (distance > attackRange || !context.canSee || !inSight) {
+            this.chase(monster, context);
+            return null;
+        }
+
+        return this.meleeAttack(monster, context);
+    }
+
+    /**
+     * Pack: on noticing, alert packmates of the same kind (ai.packRange, 8), then close in on a
+     * side of the target the rest of the pack isn't already covering
+     * @param {Entity} monster - Monster entity
+     * @param {Object} context - Behavior context
+     * @returns {number|null} Delay until the next action
+     */
+    actPack(monster, context) {
+        const { world, target, ai, notice } = context;
+        if (!notice.hasNoticed) {
+            this.idle(monster, context);
+            return this.meleeAttack(monster, context);
+        }
+
+        if (!ai.alertedPack) {
+            ai.alertedPack = true;
+            const packmates = this.findAllies(monster, world, ai.packRange || 8,
+                ally => ally.monsterType === monster.monsterType);
+            for (const packmate of packmates) {
+                this.alert(packmate, target, world);
+            }
+        }
+
+        const flank = context.canSee ? this.findFlankingTile(monster, context) : null;
+        if (!flank || !this.moveToFlank(monster, flank, context)) {
+            this.chase(monster, context);
+        }
+        return this.meleeAttack(monster, context);
+    }
+
+    /**
+     * Pick the free tile next to the target that is furthest from the packmates closing in on it,
+     * slightly preferring tiles close to the monster
+     * @param {Entity} monster - Monster entity
+     * @param {Object} context - Behavior context
+     * @returns {Object|null} { x, y } to head for, or null to simply charge
+     */
+    findFlankingTile(monster, context) {
+        const { world, target, ai, distance } = context;
+        if (distance <= 1.5 || distance > this.flankRange) return null;
+
+        const packmates = this.findAllies(monster, world, ai.packRange || 8,
+            ally => ally.monsterType === monster.monsterType && ally.distanceTo(target) <= this.flankRange);
+        if (packmates.length === 0) return null;
+
+        let best = null;
+        let bestScore = -Infinity;
+        for (const step of Object.values(this.movementSystem.directions)) {
+            const x = target.x + step.x;
+            const y = target.y + step.y;
+            if (!world.isPassable(x, y) || !world.canStep(x, y, target.x, target.y)) continue;
+            if (world.getEntitiesAt(x, y).some(entity => entity.active && entity !== monster && entity.type === 'monster')) continue;
+
+            const spread = Math.min(...packmates.map(ally => ally.distanceTo({ x, y })));
+            const score = spread - 0.5 * monster.distanceTo({ x, y });
+            if (score > bestScore) {
+                best = { x, y };
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Step towards a flanking tile without stopping next to the target on the way - the monster
+     * circles around at a distance. Gives up (returns false) where walls leave no such step.
+     * @param {Entity} monster - Monster entity
+     * @param {Object} flank - { x, y } of the flanking tile
+     * @param {Object} context - Behavior context
+     * @returns {boolean} True if the monster moved
+     */
+    moveToFlank(monster, flank, context) {
+        const { world, target } = context;
+        const chebyshev = (a, b) => Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+
+        let best = null;
+        let bestCost = chebyshev(monster, flank);
+        for (const move of this.movementSystem.getValidMoves(monster, world)) {
+            const isFlank = move.x === flank.x && move.y === flank.y;
+            if (!isFlank && chebyshev(move, target) <= 1) continue;
+
+            const cost = chebyshev(move, flank);
+            if (cost < bestCost) {
+                best = move;
+                bestCost = cost;
+            }
+        }
+
+        if (!best) return false;
+        monster.setPosition(best.x, best.y);
+        return true;
+    }
+
+    /**
+     * Patrol: walk a loop of waypoints around the spawn point until something is noticed, then
+     * fight like an aggressive monster. Options: route ([{ x, y }], made on first use),
+     * patrolRadius (10), waypoints (3).
+     * @param {Entity} monster - Monster entity
+     * @param {Object} context - Behavior context
+     * @returns {number|null} Delay until the next action
+     */
+    actPatrol(monster, context) {
+        const { world, ai, notice } = context;
+        if (notice.hasNoticed) return this.actAggressive(monster, context);
+        if (ai.investigate) {
+            this.idle(monster, context);
+            return null;
+        }
+
+        if (!ai.route) {
+            ai.route = this.createPatrolRoute(monster, world, ai.patrolRadius || 10, ai.waypoints || 3);
+            ai.routeIndex = 0;
+        }
+
+        const waypoint = ai.route[ai.routeIndex];
+        if (!waypoint) return null;
+
+        const arrived = monster.x === waypoint.x && monster.y === waypoint.y;
+        if (arrived || !this.movementSystem.moveTowardsPosition(monster, waypoint.x, waypoint.y, world)) {
+            ai.routeIndex = (ai.routeIndex + 1) % ai.route.length;
+        }
+        return null;
+    }
+
+    /**
+     * Make a patrol route: the spawn point plus random floor tiles within a radius
+     * @param {Entity} monster - Monster entity
+     * @param {World} world - Game world
+     * @param {number} radius - Furthest a waypoint may be from the spawn point
+     * @param {number} count - Number of waypoints including the spawn point
+     * @returns {Array} Waypoints as { x, y }
+     */
+    createPatrolRoute(monster, world, radius, count) {
+        const candidates = [];
+        for (let y = Math.max(0, monster.y - radius); y <= Math.min(world.height - 1, monster.y + radius); y++) {
+            for (let x = Math.max(0, monster.x - radius); x <= Math.min(world.width - 1, monster.x + radius); x++) {
+                if (world.map[y][x].type === 'floor' && monster.distanceTo({ x, y }) >= radius / 2) {
+                    candidates.push({ x, y });
+                }
+            }
+        }
+
+        const route = [{ x: monster.x, y: monster.y }];
+        while (route.length < count && candidates.length > 0) {
+            const index = this.rng.int(0, candidates.length);
+            const [waypoint] = candidates.splice(index, 1);
+            if (this.movementSystem.pathfinder.findPath(world, monster.x, monster.y, waypoint.x, waypoint.y)) {
+                route.push(waypoint);
+            }
+        }
+        return route;
+    }
+
+    /**
+     * Guard: stay by a post - the nearest chest within the guard radius, or the spawn point - and
+     * only fight targets that come close to it. Options: home ({ x, y }, set on first use),
+     * guardRadius (6).
+     * @param {Entity} monster - Monster entity
+     * @param {Object} context - Behavior context
+     * @returns {number|null} Delay until the next action
+     */
+    actGuard(monster, context) {
+        const { world, target, ai, notice, distance } = context;
+        const radius = ai.guardRadius || 6;
+
+        if (!ai.home) {
+            ai.home = this.findGuardPost(monster, world, radius);
+        }
+
+        const home = ai.home;
+        const intruding = target.distanceTo(home) <= radius;
+
+        if (notice.hasNoticed && context.canSee && (intruding || distance <= 1.5)) {
+            if (intruding) this.movementSystem.moveTowardsTarget(monster, target, world);
+            return this.meleeAttack(monster, context);
+        }
+
+        // Guards never give chase - out of sight is out of mind
+        if (notice.hasNoticed && !context.canSee) {
+            this.loseInterest(monster, context);
+        }
+
+        if (monster.distanceTo(home) > 1.5) {
+            this.movementSystem.moveTowardsPosition(monster, home.x, home.y, world);
+        }
+        return null;
+    }
+
+    /**
+     * Find what a guard watches over: the nearest chest within its radius, or where it stands
+     * @param {Entity} monster - Monster entity
+     * @param {World} world - Game world
+     * @param {number} radius - Guard radius
+     * @returns {Object} { x, y } of the post
+     */
+    findGuardPost(monster, world, radius) {
+        let post = { x: monster.x, y: monster.y };
+        let closest = radius;
+
+        for (const chest of world.getEntitiesByType('chest')) {
+            const distance = monster.distanceTo(chest);
+            if (chest.active && distance <= closest) {
+                post = { x: chest.x, y: chest.y };
+                closest = distance;
+            }
+        }
+        return post;
+    }
+
+    /**
+     * Sleeper: asleep (ai.asleep) until hurt, called, or the target comes within ai.wakeRange (3)
+     * and ai.wakeChance (0.25) comes up; awake, it fights like an aggressive monster
+     * @param {Entity} monster - Monster entity
+     * @param {Object} context - Behavior context
+     * @returns {number|null} Delay until the next action
+     */
+    actSleeper(monster, context) {
+        const { target, ai, distance } = context;
+
+        if (ai.asleep) {
+            if (distance <= (ai.wakeRange || 3) && this.rng.chance(ai.wakeChance || 0.25)) {
+                this.wake(monster, target);
+            }
+            return null;
+        }
+
+        return this.actAggressive(monster, context);
+    }
+
+    /**
+     * Wake a sleeping monster; it notices whoever woke it at once
+     * @param {Entity} monster - Monster entity
+     * @param {Entity} target - Entity that woke it
+     */
+    wake(monster, target) {
+        const ai = monster.getComponent('ai');
+        if (!ai || !ai.asleep) return;
+
+        ai.asleep = false;
+        this.announce(monster, 'wakes up!');
+        if (target) this.notice(monster, target);
+    }
+
+    /**
+     * React to being hurt: wake up, notice the attacker and remember where it stood, so a monster
+     * shot from beyond its sight range comes after the shooter
+     * @param {Entity} monster - Monster that was hurt
+     * @param {Entity} source - Entity that dealt the damage (may be null)
+     */
+    retaliate(monster, source) {
+        const ai = monster.getComponent('ai');
+        if (!ai) return;
+
+        this.wake(monster, source);
+        if (!source || !monster.getComponent('notice')) return;
+
+        this.notice(monster, source);
+        ai.lastKnown = { x: source.x, y: source.y };
+    }
+
+    /**
+     * Coward: shriek for help once on noticing - alerting every monster within ai.callRange (10) -
+     * then keep away from the target, fighting only when cornered
+     * @param {Entity} monster - Monster entity
+     * @param {Object} context - Behavior context
+     * @returns {number|null} Delay until the next action
+     */
+    actCoward(monster, context) {
+        const { world, target, ai, notice } = context;
+        if (!notice.hasNoticed) {
+            this.idle(monster, context);
+            return this.meleeAttack(monster, context);
+        }
+
+        if (!ai.calledForHelp) {
+            ai.calledForHelp = true;
+            this.callForHelp(monster, target, world, ai.callRange || 10);
+            return null;
+        }
+
+        // Once out of sight the coward counts itself safe
+        if (!context.canSee) {
+            this.loseInterest(monster, context);
+            return null;
+        }
+        return this.flee(monster, context);
+    }
+
+    /**
+     * Alert every monster within range to a target
+     * @param {Entity} monster - Monster calling
+     * @param {Entity} target - Target entity
+     * @param {World} world - Game world
+     * @param {number} range - How far the call carries
+     */
+    callForHelp(monster, target, world, range) {
+        this.announce(monster, 'shrieks for help!');
+        for (const ally of this.findAllies(monster, world, range)) {
+            this.alert(ally, target, world);
+        }
+    }
+
+    /**
+     * Log what a monster does, if the player can see it
+     * @param {Entity} monster - Monster entity
+     * @param {string} text - What it does, following its name
+     */
+    announce(monster, text) {
+        const visibility = monster.getComponent('visibility');
+        if (visibility && visibility.isVisible) {
+            this.addMessage(`${this.getEntityName(monster)} ${text}`);
+        }
+    }
+
+    /**
+     * Add message to combat log
+     * @param {string} message - Message text
+     * @param {string} type - Message type
+     */
+    addMessage(message, type = 'notice') {
+        if (this.messageCallback) {
+            this.messageCallback(message, type);
+        }
+    }
+
+    /**
+     * Get entity name for logging
+     * @param {Entity} entity - Entity
+     * @returns {string} Entity name
+     */
+    getEntityName(entity) {
+        return EntityUtils.getEntityName(entity);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AISystem;
+}
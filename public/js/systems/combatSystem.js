@@ -7,6 +7,22 @@ class CombatSystem {
         this.equipmentSystem = new EquipmentSystem();
         this.messageCallback = null; // Will be injected for colored messages
         this.renderer = null; // Will be injected for monster name resolution
+        this.game = null; // Will be injected for skill bonuses
+        this.spawnCounter = 0; // Only used standalone - the game's shared spawn counter is used once injected
+        this.eventBus = null; // Will be injected for attack, damage, death and loot events
+        this.speedSystem = null; // Will be injected so haste, slow and encumbrance change swing recovery
+        this.effectSystem = null; // Will be injected so shield effects soak up damage
+        this.rng = new RNG(); // Replaced by the game's seeded RNG
+        this.baseAttackRecovery = 6400; // Base 6.4 seconds of game time per swing (20% faster)
+    }
+
+    /**
+     * Set the random number generator used for combat rolls
+     * @param {RNG} rng - Seeded RNG instance
+     */
+    setRng(rng) {
+        this.rng = rng;
+        this.equipmentSystem.setRng(rng);
     }
 
     /**
@@ -25,6 +41,22 @@ class CombatSystem {
         this.messageCallback = callback;
     }
 
+    /**
+     * Set speed system
+     * @param {SpeedSystem} speedSystem - Speed system instance
+     */
+    setSpeedSystem(speedSystem) {
+        this.speedSystem = speedSystem;
+    }
+
+    /**
+     * Set the effect system whose shield effects reduce incoming damage
+     * @param {EffectSystem} effectSystem - Effect system instance
+     */
+    setEffectSystem(effectSystem) {
+        this.effectSystem = effectSystem;
+    }
+
     /**
      * Set renderer for monster name resolution
      * @param {ASCIIRenderer} renderer - ASCII renderer instance
@@ -33,38 +65,91 @@ class CombatSystem {
         this.renderer = renderer;
     }
 
+    /**
+     * Set the game engine that provides skill bonuses
+     * @param {GameEngine} game - Game engine instance
+     */
+    setGame(game) {
+        this.game = game;
+        this.equipmentSystem.setGame(game);
+    }
+
+    /**
+     * Set the event bus combat results are published on
+     * @param {EventBus} eventBus - Event bus instance
+     */
+    setEventBus(eventBus) {
+        this.eventBus = eventBus;
+    }
+
+    /**
+     * Publish an event if an event bus is connected
+     * @param {string} type - Event type
+     * @param {Object} payload - Event payload
+     */
+    emit(type, payload) {
+        if (this.eventBus) {
+            this.eventBus.emit(type, payload);
+        }
+    }
+
     /**
      * Process combat for an entity
      * @param {Entity} entity - Entity to process
      * @param {World} world - Game world
+     * @returns {boolean} True if the entity swung this turn
      */
     processEntity(entity, world) {
         if (entity.type === 'monster') {
-            this.processMonsterCombat(entity, world);
+            return this.processMonsterCombat(entity, world);
         }
+        return false;
     }
 
     /**
      * Process monster combat
      * @param {Entity} entity - Monster entity
      * @param {World} world - Game world
+     * @returns {boolean} True if the monster swung this turn
      */
     processMonsterCombat(entity, world) {
-        const visibilityComponent = entity.getComponent('visibility');
-        if (!visibilityComponent) return;
-
-        // Only process monsters that are visible to the player
-        if (!visibilityComponent.isVisible) return;
-
         const player = world.player;
-        if (!player) return;
+        if (!player) return false;
 
         const distance = entity.distanceTo(player);
         
         // Check if monster is adjacent to player
-        if (distance <= 1.5) { // Adjacent or diagonal
+        if (distance <= 1.5 && this.canAttack(entity, player) &&
+            this.getAttackCooldownRemaining(entity, world) === 0) { // Adjacent or diagonal, weapon ready
             this.attackTarget(entity, player, world);
+            return true;
         }
+        return false;
+    }
+
+    /**
+     * Get how long a swing takes to recover, in scheduler time
+     * @param {Entity} attacker - Attacking entity
+     * @returns {number} Recovery time in milliseconds of game time
+     */
+    getAttackRecovery(attacker) {
+        const swingSpeed = this.speedSystem
+            ? this.speedSystem.getSwingSpeed(attacker)
+            : this.equipmentSystem.calculateDamage(attacker).swingSpeed;
+        return this.baseAttackRecovery / swingSpeed; // Faster weapons = shorter recovery
+    }
+
+    /**
+     * Get the game time left before an entity can swing again
+     * @param {Entity} attacker - Attacking entity
+     * @param {World} world - Game world (provides the current scheduler time)
+     * @returns {number} Remaining recovery in milliseconds of game time (0 when ready)
+     */
+    getAttackCooldownRemaining(attacker, world) {
+        const cooldown = attacker.getComponent('attackCooldown');
+        if (!cooldown) return 0;
+        
+        return Math.max(0, cooldown.readyAt - world.getCurrentTime());
     }
 
     /**
@@ -79,21 +164,18 @@ class CombatSystem {
             return false;
         }
 
-        // Check attack cooldown (EverQuest 1 style - slow attacks)
-        const now = Date.now();
-        const lastAttack = attacker.getComponent('lastAttack') || { time: 0 };
-        
-        // Calculate attack speed based on equipment and stats
-        const damageResult = this.equipmentSystem.calculateDamage(attacker);
-        const baseAttackSpeed = 6400; // Base 6.4 seconds (20% faster)
-        const attackSpeed = baseAttackSpeed / damageResult.swingSpeed; // Faster weapons = shorter cooldown
-        
-        if (now - lastAttack.time < attackSpeed) {
-            return false; // Still on cooldown
+        // Check attack recovery (EverQuest 1 style - slow attacks) against scheduler time
+        if (this.getAttackCooldownRemaining(attacker, world) > 0) {
+            return false; // Still recovering from the last swing
         }
 
-        // Update last attack time
-        attacker.addComponent('lastAttack', { time: now });
+        // Start recovery; the scheduler holds the attacker's next turn until it is ready
+        const ranged = attacker.distanceTo(target) > 1.5;
+        const recovery = this.getAttackRecovery(attacker);
+        attacker.addComponent('attackCooldown', {
+            readyAt: world.getCurrentTime() + recovery,
+            recovery: recovery
+        });
 
         const damage = this.calculateDamage(attacker, target);
         const hit = this.rollToHit(attacker, target);
@@ -106,14 +188,10 @@ class CombatSystem {
             if (blocked) {
                 finalDamage = Math.floor(damage * 0.5); // Block reduces damage by 50%
                 this.logBlock(target);
-                
-                // Gain block skill experience
-                if (window.game && window.game.skillsSystem) {
-                    window.game.skillsSystem.gainSkillExperience(target, 'block', 5);
-                }
             }
+            finalDamage = this.reduceDamage(target, finalDamage);
             
-            this.applyDamage(target, finalDamage);
+            this.applyDamage(target, finalDamage, attacker);
             
             if (blocked) {
                 this.logAttack(attacker, target, finalDamage, true);
@@ -121,44 +199,216 @@ class CombatSystem {
                 this.logAttack(attacker, target, finalDamage);
             }
             
-            // Create swing animation
-            this.createSwingAnimation(attacker, target, world);
-            
-            // Interrupt player's rest if player is being attacked
-            if (target.type === 'player' && window.game && window.game.interruptResting) {
-                window.game.interruptResting();
-            }
+            // Create swing animation (shots from a distance have none)
+            if (!ranged) this.createSwingAnimation(attacker, target, world);
             
             // Check if target is dead
             if (this.isDead(target)) {
-                this.handleDeath(target, world);
+                this.handleDeath(target, world, attacker);
             }
             
-            // Gain weapon skill experience for attacker
-            this.gainWeaponSkillExperience(attacker);
+            // Skill experience and hit sounds hang off this event
+            this.emit('attackResolved', {
+                attacker, target, hit: true, damage: finalDamage, blocked, dodged: false, ranged, spell: null
+            });
             
             return true;
         } else {
             this.logMiss(attacker, target);
             
             // Create swing animation even for misses
-            this.createSwingAnimation(attacker, target, world);
+            if (!ranged) this.createSwingAnimation(attacker, target, world);
             
-            // Check if target dodged and gain dodge experience
+            // Check if target dodged
             const dodgeChance = this.calculateDodge(target);
-            if (Math.random() * 100 < dodgeChance) {
+            const dodged = this.rng.next() * 100 < dodgeChance;
+            if (dodged) {
                 this.logDodge(target);
-                
-                // Gain dodge skill experience
-                if (window.game && window.game.skillsSystem) {
-                    window.game.skillsSystem.gainSkillExperience(target, 'dodge', 3);
-                }
             }
             
+            this.emit('attackResolved', {
+                attacker, target, hit: false, damage: 0, blocked: false, dodged, ranged, spell: null
+            });
+            
             return false;
         }
     }
 
+    /**
+     * Explain why an entity can't shoot right now
+     * @param {Entity} entity - Entity that wants to shoot
+     * @returns {string|null} Message to show, or null if it has a launcher and matching ammo
+     */
+    getShotProblem(entity) {
+        const equipment = entity.getComponent('equipment');
+        const launcher = equipment ? equipment.range : null;
+        if (!launcher) {
+            return 'You have no bow or crossbow equipped.';
+        }
+
+        const ammo = equipment.ammo;
+        if (!ammo || !ammo.quantity) {
+            return `You have no ${launcher.ammoType} for your ${launcher.name}.`;
+        }
+        if (ammo.type !== launcher.ammoType) {
+            return `Your ${launcher.name} can't shoot ${ammo.name.toLowerCase()}.`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get how long a shot takes to recover, in scheduler time
+     * @param {Entity} attacker - Shooting entity
+     * @returns {number} Recovery time in milliseconds of game time
+     */
+    getShotRecovery(attacker) {
+        const shotSpeed = this.speedSystem
+            ? this.speedSystem.getShotSpeed(attacker)
+            : this.equipmentSystem.calculateRangedDamage(attacker).swingSpeed;
+        return this.baseAttackRecovery / shotSpeed;
+    }
+
+    /**
+     * Start a bow or crossbow shot: roll nothing yet, but put the shooter into recovery and work out
+     * what the projectile carries. The hit is rolled when the projectile reaches something.
+     * @param {Entity} attacker - Shooting entity
+     * @param {World} world - Game world
+     * @returns {Object|null} { damage, hitChance, range } or null if the shooter has no launcher
+     */
+    prepareShot(attacker, world) {
+        const shot = this.equipmentSystem.calculateRangedDamage(attacker);
+        if (!shot) return null;
+
+        const recovery = this.getShotRecovery(attacker);
+        attacker.addComponent('attackCooldown', {
+            readyAt: world.getCurrentTime() + recovery,
+            recovery: recovery
+        });
+
+        return { damage: shot.damage, hitChance: shot.hitChance, range: shot.range };
+    }
+
+    /**
+     * Resolve a projectile reaching a creature. Shots roll against the target's dodge like melee
+     * swings; blocks and armor still apply.
+     * @param {Entity} attacker - Entity that launched the projectile
+     * @param {Entity} target - Creature the projectile reached
+     * @param {Object} shot - Projectile component (damage, hitChance, type)
+     * @param {World} world - Game world
+     * @returns {boolean} True if the projectile hit
+     */
+    resolveShot(attacker, target, shot, world) {
+        if (!target.active || this.isDead(target)) return false;
+
+        const dodge = this.calculateDodge(target);
+        const hit = shot.hitChance === undefined ||
+            this.rng.next() * 100 < Math.max(5, Math.min(95, shot.hitChance - dodge));
+
+        if (!hit) {
+            this.addCombatLog(`The ${shot.type} misses ${this.getEntityName(target).toLowerCase()}!`, 'combat', '#cccccc');
+            this.emit('attackResolved', {
+                attacker, target, hit: false, damage: 0, blocked: false, dodged: false, ranged: true, spell: null
+            });
+            return false;
+        }
+
+        const blocked = this.checkBlock(target);
+        let damage = Math.max(1, shot.damage - this.calculateDefense(target));
+        if (blocked) {
+            damage = Math.floor(damage * 0.5); // Block reduces damage by 50%
+            this.logBlock(target);
+        }
+        damage = this.reduceDamage(target, damage);
+
+        this.applyDamage(target, damage, attacker);
+        this.logAttack(attacker, target, damage);
+
+        if (this.isDead(target)) {
+            this.handleDeath(target, world, attacker);
+        }
+
+        this.emit('attackResolved', {
+            attacker, target, hit: true, damage, blocked, dodged: false, ranged: true, spell: null
+        });
+        return true;
+    }
+
+    /**
+     * Deal a spell's damage. Magic always lands and ignores armor and shields (though not shield
+     * spells), but otherwise counts like any other hit: it is logged, makes noise, angers the target and can kill it.
+     * @param {Entity} caster - Entity that cast the spell
+     * @param {Entity} target - Entity hit
+     * @param {string} spellName - Display name of the spell
+     * @param {number} damage - Damage dealt
+     * @param {World} world - Game world
+     * @returns {boolean} True if the target was hurt
+     */
+    resolveSpellHit(caster, target, spellName, damage, world) {
+        if (!target.active || this.isDead(target)) return false;
+
+        damage = this.reduceDamage(target, damage);
+        this.applyDamage(target, damage, caster);
+
+        const color = caster.type === 'player' ? '#51cf66' : '#ff6b6b';
+        this.addCombatLog(`${spellName} hits ${this.getEntityName(target).toLowerCase()} for ${damage} damage!`, 'combat', color);
+
+        if (this.isDead(target)) {
+            this.handleDeath(target, world, caster);
+        }
+
+        this.emit('attackResolved', {
+            attacker: caster, target, hit: true, damage, blocked: false, dodged: false,
+            ranged: caster.distanceTo(target) > 1.5, spell: spellName
+        });
+        return true;
+    }
+
+    /**
+     * Deal a tick of damage from a status effect such as burn or poison. It is not an attack -
+     * nothing is rolled and no skills are trained - but it hurts, interrupts and kills like one.
+     * @param {Entity} target - Entity suffering the effect
+     * @param {number} damage - Damage dealt
+     * @param {string} effectName - Display name of the effect
+     * @param {Entity|null} source - Entity that caused the effect, credited with a kill
+     * @param {World} world - Game world
+     * @returns {boolean} True if the target was hurt
+     */
+    resolveEffectDamage(target, damage, effectName, source, world) {
+        if (!target.active || this.isDead(target)) return false;
+
+        damage = this.reduceDamage(target, damage);
+        this.applyDamage(target, damage, source);
+
+        const visibility = target.getComponent('visibility');
+        if (target.type === 'player' || (visibility && visibility.isVisible)) {
+            const verb = target.type === 'player' ? 'take' : 'takes';
+            const color = target.type === 'player' ? '#ff6b6b' : '#ffa07a';
+            this.addCombatLog(`${this.getEntityName(target)} ${verb} ${damage} ${effectName.toLowerCase()} damage!`, 'combat', color);
+        }
+
+        if (this.isDead(target)) {
+            this.handleDeath(target, world, source);
+        }
+        return true;
+    }
+
+    /**
+     * Shoot at a target from a distance - an attack like any other, minus the swing
+     * @param {Entity} attacker - Attacking entity
+     * @param {Entity} target - Target entity
+     * @param {World} world - Game world
+     * @returns {boolean} True if the shot hit
+     */
+    rangedAttack(attacker, target, world) {
+        if (!this.canAttack(attacker, target) || this.getAttackCooldownRemaining(attacker, world) > 0) {
+            return false;
+        }
+
+        this.addCombatLog(`${this.getEntityName(attacker)} shoots at ${this.getEntityName(target).toLowerCase()}!`, 'combat', '#ffa07a');
+        return this.attackTarget(attacker, target, world);
+    }
+
     /**
      * Check if attacker can attack target
      * @param {Entity} attacker - Attacking entity
@@ -217,7 +467,7 @@ class CombatSystem {
         const targetStats = target.getComponent('stats');
         
         if (!attackerStats || !targetStats) {
-            return Math.random() < 0.5; // 50% default
+            return this.rng.chance(0.5); // 50% default
         }
         
         // Base hit chance calculation
@@ -232,7 +482,7 @@ class CombatSystem {
         // Calculate final hit chance
         const finalHitChance = Math.max(5, Math.min(95, baseHitChance + dexBonus - dodge));
         
-        const roll = Math.random() * 100;
+        const roll = this.rng.next() * 100;
         return roll < finalHitChance;
     }
 
@@ -267,8 +517,8 @@ class CombatSystem {
         let totalDodge = Math.max(0, baseDodge + agilityBonus);
         
         // Apply dodge skill bonus
-        if (window.game && window.game.skillsSystem) {
-            const skillBonuses = window.game.skillsSystem.getSkillBonuses(entity, null);
+        if (this.game && this.game.skillsSystem) {
+            const skillBonuses = this.game.skillsSystem.getSkillBonuses(entity, null);
             totalDodge += skillBonuses.dodgeChance;
         }
         
@@ -288,54 +538,34 @@ class CombatSystem {
         
         // Get block skill bonus
         let blockChance = 0;
-        if (window.game && window.game.skillsSystem) {
-            const skillBonuses = window.game.skillsSystem.getSkillBonuses(target, null);
+        if (this.game && this.game.skillsSystem) {
+            const skillBonuses = this.game.skillsSystem.getSkillBonuses(target, null);
             blockChance = skillBonuses.blockChance;
         }
         
         // Base block chance is 10% + skill bonus
         const totalBlockChance = 10 + blockChance;
-        return Math.random() * 100 < totalBlockChance;
+        return this.rng.next() * 100 < totalBlockChance;
     }
 
     /**
-     * Gain weapon skill experience for attacker
-     * @param {Entity} attacker - Attacking entity
+     * Reduce incoming damage by the target's damage-reducing effects (shield spells)
+     * @param {Entity} target - Entity being hurt
+     * @param {number} damage - Damage before reduction
+     * @returns {number} Damage after reduction
      */
-    gainWeaponSkillExperience(attacker) {
-        if (!window.game || !window.game.skillsSystem) {
-            console.log('Skills system not available');
-            return;
-        }
-        
-        const equipment = attacker.getComponent('equipment');
-        const weapon = equipment ? (equipment.weapon || equipment.primary) : null;
-        
-        if (weapon) {
-            // Determine weapon skill based on weapon type
-            const weaponType = weapon.type || 'sword';
-            const skillName = window.game.skillsSystem.weaponSkillMapping[weaponType] || '1h_slash';
-            
-            console.log(`Gaining weapon skill experience: ${skillName} for weapon type: ${weaponType}`);
-            
-            // Gain experience (more for successful hits)
-            const leveledUp = window.game.skillsSystem.gainSkillExperience(attacker, skillName, 2);
-            console.log(`Weapon skill ${skillName} leveled up: ${leveledUp}`);
-            
-            // Also gain offense skill experience
-            const offenseLeveledUp = window.game.skillsSystem.gainSkillExperience(attacker, 'offense', 1);
-            console.log(`Offense skill leveled up: ${offenseLeveledUp}`);
-        } else {
-            console.log('No weapon found for skill experience');
-        }
+    reduceDamage(target, damage) {
+        const reduction = this.effectSystem ? this.effectSystem.getDamageReduction(target) : 0;
+        return reduction > 0 ? Math.floor(damage * (1 - reduction)) : damage;
     }
 
     /**
      * Apply damage to an entity
      * @param {Entity} entity - Target entity
      * @param {number} damage - Damage amount
+     * @param {Entity} source - Entity that dealt the damage (optional)
      */
-    applyDamage(entity, damage) {
+    applyDamage(entity, damage, source = null) {
         const health = entity.getComponent('health');
         if (health) {
             const oldHealth = health.current;
@@ -346,6 +576,8 @@ class CombatSystem {
             
             // Add visual hit feedback
             this.addHitEffect(entity);
+            
+            this.emit('entityDamaged', { entity, amount: actualDamage, source });
         }
     }
 
@@ -373,7 +605,7 @@ class CombatSystem {
             const weaponType = SwingAnimation.getWeaponTypeFromAttacker(attacker);
             
             // Create unique ID for the swing animation
-            const swingId = `swing_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            const swingId = this.nextSpawnId('swing');
             
             // Create the swing animation entity
             const swingAnimation = new SwingAnimation(swingId, attacker, target, weaponType);
@@ -385,6 +617,17 @@ class CombatSystem {
         }
     }
 
+    /**
+     * Build an ID for something spawned mid-fight from the run's spawn counter, so the same seed
+     * (or a loaded save) gives it the same ID
+     * @param {string} prefix - Kind of entity, e.g. 'swing' or 'gold'
+     * @returns {string} Unique entity ID
+     */
+    nextSpawnId(prefix) {
+        const counter = this.game ? this.game.characterGenerator : this;
+        return `${prefix}_${counter.spawnCounter++}`;
+    }
+
     /**
      * Check if entity is dead
      * @param {Entity} entity - Entity to check
@@ -399,14 +642,10 @@ class CombatSystem {
      * Handle entity death
      * @param {Entity} entity - Dead entity
      * @param {World} world - Game world
+     * @param {Entity} killer - Entity that landed the killing blow (optional)
      */
-    handleDeath(entity, world) {
-        // Play death sound effect
-        if (window.game && window.game.audioSystem) {
-            window.game.audioSystem.playDeathSound();
-        }
-        
-        // Entity death handled
+    handleDeath(entity, world, killer = null) {
+        this.emit('entityDied', { entity, killer });
         
         // Give experience if player killed monster
         if (entity.type === 'monster' && world.player) {
@@ -473,10 +712,11 @@ class CombatSystem {
         }
         
         let looted = false;
+        let goldAmount = 0;
         
         // Give gold to player
         if (loot.gold) {
-            const goldAmount = Math.floor(Math.random() * (loot.gold.max - loot.gold.min + 1)) + loot.gold.min;
+            goldAmount = this.rng.int(loot.gold.min, loot.gold.max + 1);
             if (goldAmount > 0) {
                 // Add gold to player inventory (simplified - just add to a gold component)
                 let playerGold = player.getComponent('gold');
@@ -485,11 +725,6 @@ class CombatSystem {
                     playerGold = player.getComponent('gold');
                 }
                 playerGold.amount += goldAmount;
-                
-                // Add to XP/Loot tracking for Actions GUI only
-                if (window.game && window.game.addXpLootMessage) {
-                    window.game.addXpLootMessage(`+${goldAmount} gold`, '#ffd700');
-                }
                 looted = true;
             }
         }
@@ -497,14 +732,10 @@ class CombatSystem {
         // Mark corpse as looted
         corpseComponent.looted = true;
         
-        // Play loot sound effect if something was looted
-        if (looted && window.game && window.game.audioSystem) {
-            window.game.audioSystem.playLootSound();
-        }
-        
         // Remove corpse if looted
         if (looted) {
             world.removeEntity(corpse.id);
+            this.emit('itemLooted', { looter: player, source: corpse, gold: goldAmount, items: [] });
         }
         
         return looted;
@@ -521,10 +752,10 @@ class CombatSystem {
         
         // Drop gold
         if (loot.gold) {
-            const goldAmount = Math.floor(Math.random() * (loot.gold.max - loot.gold.min + 1)) + loot.gold.min;
+            const goldAmount = this.rng.int(loot.gold.min, loot.gold.max + 1);
             if (goldAmount > 0) {
                 // Create gold item
-                const goldId = `gold_${Date.now()}_${Math.random()}`;
+                const goldId = this.nextSpawnId('gold');
                 const gold = new Entity(goldId, 'item', monster.x, monster.y);
                 gold.addComponent('item', {
                     type: 'gold',
@@ -541,8 +772,8 @@ class CombatSystem {
         // Drop items
         if (loot.items && loot.items.length > 0) {
             for (const itemType of loot.items) {
-                if (Math.random() < 0.3) { // 30% chance to drop each item
-                    const itemId = `item_${Date.now()}_${Math.random()}`;
+                if (this.rng.chance(0.3)) { // 30% chance to drop each item
+                    const itemId = this.nextSpawnId('item');
                     const item = new Entity(itemId, 'item', monster.x, monster.y);
                     item.addComponent('item', {
                         type: itemType
@@ -567,13 +798,10 @@ class CombatSystem {
         const experience = level.value * 10; // Base experience
         const result = this.characterProgress.addExperience(player, experience);
         
-        // Add to XP/Loot tracking for Actions GUI only
-        if (window.game && window.game.addXpLootMessage) {
-            window.game.addXpLootMessage(`+${experience} XP`, '#dda0dd');
-        }
+        this.emit('experienceGained', { entity: player, amount: experience });
         
         if (result.leveledUp) {
-            this.addCombatLog(`Level up! You are now level ${result.newLevel}!`, 'levelup');
+            this.emit('levelUp', { entity: player, level: result.newLevel });
             console.log(`${player.id} leveled up to level ${result.newLevel}!`);
         }
     }
@@ -602,11 +830,6 @@ class CombatSystem {
             message = `${attackerName} hit ${targetName} for ${damage} damage!`;
         }
         
-        // Play hit sound effect
-        if (window.game && window.game.audioSystem) {
-            window.game.audioSystem.playHitSound();
-        }
-        
         // Determine color based on attacker type
         let color;
         if (attacker.type === 'player') {
@@ -655,11 +878,6 @@ class CombatSystem {
         const attackerName = this.getEntityName(attacker);
         const targetName = this.getEntityName(target);
         
-        // Play miss sound effect
-        if (window.game && window.game.audioSystem) {
-            window.game.audioSystem.playMissSound();
-        }
-        
         // Make misses feel terrible with different messages
         const missMessages = [
             `${attackerName} swing wildly and miss ${targetName}!`,
@@ -669,7 +887,7 @@ class CombatSystem {
             `${attackerName} attempt to hit ${targetName} but MISS!`
         ];
         
-        const message = missMessages[Math.floor(Math.random() * missMessages.length)];
+        const message = this.rng.pick(missMessages);
         
         // Misses are always light grey for both player and monsters
         if (this.messageCallback) {
@@ -683,8 +901,8 @@ class CombatSystem {
      * @param {string} type - Message type
      */
     addCombatLog(message, type = 'combat', color = '#ffffff') {
-        if (window.game && window.game.addCombatMessage) {
-            window.game.addCombatMessage(message, type, color);
+        if (this.messageCallback) {
+            this.messageCallback(message, type, color);
         }
     }
 
@@ -705,18 +923,7 @@ class CombatSystem {
      * @returns {Array} Array of entities in range
      */
     getEntitiesInRange(attacker, world, range = 1) {
-        const entities = [];
-        
-        for (const entity of world.getAllEntities().values()) {
-            if (entity.active && entity.id !== attacker.id) {
-                const distance = attacker.distanceTo(entity);
-                if (distance <= range) {
-                    entities.push(entity);
-                }
-            }
-        }
-        
-        return entities;
+        return world.getEntitiesInRadius(attacker, range).filter(entity => entity.active);
     }
 
     /**
@@ -726,15 +933,9 @@ class CombatSystem {
      * @returns {Array} Array of enemy entities
      */
     getEnemies(entity, world) {
-        const enemies = [];
-        
-        for (const other of world.getAllEntities().values()) {
-            if (other.active && other.id !== entity.id && this.isEnemy(entity, other)) {
-                enemies.push(other);
-            }
-        }
-        
-        return enemies;
+        // Only players and monsters can be enemies, so skip items, corpses and animations
+        const candidates = [...world.getEntitiesByType('player'), ...world.getEntitiesByType('monster')];
+        return candidates.filter(other => other.id !== entity.id && this.isEnemy(entity, other));
     }
 
     /**
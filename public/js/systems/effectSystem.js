@@ -1,248 +1,386 @@
 /**
- * Effect System for handling status effects and buffs/debuffs
+ * Effect System - the one engine for status effects, buffs and debuffs
+ * Effects are defined in data: a type, a magnitude, a duration and tick interval in game time,
+ * and a stacking rule for when an effect lands on someone who already has it:
+ * - refresh: the duration starts over
+ * - intensity: another stack is added (up to maxStacks) and the duration starts over
+ * - duration: the new duration is added to what is left
+ * - unique: nothing happens until the first one wears off
+ *
+ * Each type registers onApply/onTick/onExpire hooks with registerEffectType(); a definition can add
+ * its own hooks, which run after its type's. Types without hooks (speed, stun, damageReduction) are
+ * read by the speed pipeline, the scheduler and combat while they last. Entities with an
+ * immunities component ({ effects: [...] } of effect names or types) shrug those effects off.
+ *
+ * Effects tick as game time passes, not per frame or per turn, so they last as long at any speed.
+ * Like the turn queue, they stop while their area is left behind and resume when the player returns.
  */
 class EffectSystem {
     constructor() {
-        this.spells = null; // Will be injected
+        this.combatSystem = null; // Will be injected - damage over time is dealt like any other damage
+        this.messageCallback = null; // Will be injected for effect messages
+        this.effectDatabase = this.initializeEffectDatabase();
         this.activeEffects = new Map(); // entityId -> effects array
+        this.effectTypes = {};
+        this.registerDefaultEffectTypes();
     }
 
     /**
-     * Set spells module
-     * @param {Spells} spells - Spells module
+     * Set the combat system that deals damage over time
+     * @param {CombatSystem} combatSystem - Combat system instance
      */
-    setSpells(spells) {
-        this.spells = spells;
+    setCombatSystem(combatSystem) {
+        this.combatSystem = combatSystem;
     }
 
     /**
-     * Process effects for an entity
-     * @param {Entity} entity - Entity to process effects for
-     * @param {World} world - Game world
+     * Set message callback for effect messages
+     * @param {Function} callback - Called with (message, type, color)
      */
-    processEntity(entity, world) {
-        if (!this.activeEffects.has(entity.id)) return;
-        
-        const effects = this.activeEffects.get(entity.id);
-        const effectsToRemove = [];
-        
-        for (let i = 0; i < effects.length; i++) {
-            const effect = effects[i];
-            effect.remaining--;
-            
-            // Apply effect for this tick
-            this.applyEffectTick(entity, effect, world);
-            
-            // Remove expired effects
-            if (effect.remaining <= 0) {
-                effectsToRemove.push(i);
+    setMessageCallback(callback) {
+        this.messageCallback = callback;
+    }
+
+    /**
+     * Initialize effect database. Durations and tick intervals are game time in milliseconds;
+     * magnitude is damage or healing per tick, a speed multiplier or the share of damage prevented.
+     * @returns {Object} Effect database
+     */
+    initializeEffectDatabase() {
+        return {
+            burn: {
+                name: "Burn",
+                type: "damageOverTime",
+                magnitude: 2,
+                duration: 3000,
+                tickInterval: 1000,
+                stacking: 'refresh',
+                char: 'B',
+                color: '#FF4500',
+                applyMessage: "You are burning!",
+                expireMessage: "The flames go out.",
+                description: "Takes fire damage every second"
+            },
+            poison: {
+                name: "Poison",
+                type: "damageOverTime",
+                magnitude: 1,
+                duration: 5000,
+                tickInterval: 1000,
+                stacking: 'intensity',
+                maxStacks: 3,
+                char: 'P',
+                color: '#32CD32',
+                applyMessage: "You are poisoned!",
+                expireMessage: "The poison wears off.",
+                description: "Takes poison damage every second - doses stack"
+            },
+            slow: {
+                name: "Slow",
+                type: "speed",
+                magnitude: 0.5,
+                duration: 4000,
+                stacking: 'refresh',
+                char: 'S',
+                color: '#00BFFF',
+                applyMessage: "You slow down.",
+                expireMessage: "You speed up again.",
+                description: "Movement and action speed reduced"
+            },
+            haste: {
+                name: "Haste",
+                type: "speed",
+                magnitude: 1.5,
+                duration: 10000,
+                stacking: 'refresh',
+                char: 'H',
+                color: '#FFD700',
+                applyMessage: "You feel quick.",
+                expireMessage: "You slow down again.",
+                description: "Movement and action speed increased"
+            },
+            stun: {
+                name: "Stun",
+                type: "stun",
+                duration: 1000,
+                stacking: 'unique',
+                char: '!',
+                color: '#FFFF00',
+                applyMessage: "You are stunned!",
+                expireMessage: "You can move again.",
+                description: "Cannot act for a second"
+            },
+            regeneration: {
+                name: "Regeneration",
+                type: "healOverTime",
+                magnitude: 3,
+                duration: 5000,
+                tickInterval: 1000,
+                stacking: 'duration',
+                char: 'R',
+                color: '#00FF00',
+                description: "Heals health every second"
+            },
+            shield: {
+                name: "Shield",
+                type: "damageReduction",
+                magnitude: 0.3,
+                duration: 20000,
+                stacking: 'refresh',
+                char: 'S',
+                color: '#C0C0C0',
+                applyMessage: "A shimmering shield surrounds you.",
+                expireMessage: "Your shield fades.",
+                description: "Reduces incoming damage by 30%"
             }
-        }
-        
-        // Remove expired effects
-        for (let i = effectsToRemove.length - 1; i >= 0; i--) {
-            effects.splice(effectsToRemove[i], 1);
-        }
-        
-        // Clean up empty effect arrays
-        if (effects.length === 0) {
-            this.activeEffects.delete(entity.id);
-        }
+        };
     }
 
     /**
-     * Apply effect for one tick
-     * @param {Entity} entity - Target entity
-     * @param {Object} effect - Effect data
-     * @param {World} world - Game world
+     * Register the built-in effect types
      */
-    applyEffectTick(entity, effect, world) {
-        switch (effect.type) {
-            case 'damage':
-                this.applyDamageEffect(entity, effect);
-                break;
-            case 'heal':
-                this.applyHealEffect(entity, effect);
-                break;
-            case 'debuff':
-                this.applyDebuffEffect(entity, effect);
-                break;
-            case 'buff':
-                this.applyBuffEffect(entity, effect);
-                break;
-        }
+    registerDefaultEffectTypes() {
+        this.registerEffectType('damageOverTime', {
+            onTick: (entity, effect, world) => this.dealEffectDamage(entity, effect, world)
+        });
+        this.registerEffectType('healOverTime', {
+            onTick: (entity, effect) => this.healEntity(entity, effect.magnitude * effect.stacks)
+        });
+        this.registerEffectType('speed', {}); // Read by getSpeedMultiplier()
+        this.registerEffectType('stun', {}); // Read by canAct()
+        this.registerEffectType('damageReduction', {}); // Read by getDamageReduction()
     }
 
     /**
-     * Apply damage effect
-     * @param {Entity} entity - Target entity
-     * @param {Object} effect - Effect data
+     * Register an effect type or replace an existing one
+     * @param {string} type - Type name used by effect definitions
+     * @param {Object} hooks - Optional onApply, onTick and onExpire, each called with (entity, effect, world)
      */
-    applyDamageEffect(entity, effect) {
-        const health = entity.getComponent('health');
-        if (health) {
-            health.current = Math.max(0, health.current - effect.damage);
-            console.log(`${entity.id} takes ${effect.damage} damage from ${effect.name}`);
-        }
+    registerEffectType(type, hooks) {
+        this.effectTypes[type] = hooks;
     }
 
     /**
-     * Apply heal effect
-     * @param {Entity} entity - Target entity
-     * @param {Object} effect - Effect data
+     * Add a new effect to the database
+     * @param {string} name - Effect name
+     * @param {Object} effect - Effect definition
      */
-    applyHealEffect(entity, effect) {
-        const health = entity.getComponent('health');
-        if (health) {
-            health.current = Math.min(health.max, health.current + effect.heal);
-            console.log(`${entity.id} heals for ${effect.heal} health from ${effect.name}`);
-        }
+    addEffect(name, effect) {
+        this.effectDatabase[name] = effect;
     }
 
     /**
-     * Apply debuff effect
-     * @param {Entity} entity - Target entity
-     * @param {Object} effect - Effect data
-     */
-    applyDebuffEffect(entity, effect) {
-        // Handle different debuff types
-        switch (effect.name) {
-            case 'slow':
-                this.applySlowEffect(entity, effect);
-                break;
-            case 'stun':
-                this.applyStunEffect(entity, effect);
-                break;
-            case 'poison':
-                this.applyPoisonEffect(entity, effect);
-                break;
-        }
+     * Get an effect definition by name
+     * @param {string} effectName - Effect name
+     * @returns {Object|null} Effect definition or null
+     */
+    getEffectDefinition(effectName) {
+        return this.effectDatabase[effectName] || null;
+    }
+
+    /**
+     * Get all available effects
+     * @returns {Array} Array of effect names
+     */
+    getAvailableEffects() {
+        return Object.keys(this.effectDatabase);
     }
 
     /**
-     * Apply buff effect
+     * Check if an entity is immune to an effect, by the effect's name or its type
      * @param {Entity} entity - Target entity
-     * @param {Object} effect - Effect data
-     */
-    applyBuffEffect(entity, effect) {
-        // Handle different buff types
-        switch (effect.name) {
-            case 'shield':
-                this.applyShieldEffect(entity, effect);
-                break;
-            case 'regeneration':
-                this.applyRegenerationEffect(entity, effect);
-                break;
-        }
+     * @param {string} effectName - Effect name
+     * @returns {boolean} True if the effect can't take hold
+     */
+    isImmune(entity, effectName) {
+        const immunities = entity.getComponent('immunities');
+        if (!immunities || !immunities.effects) return false;
+
+        const definition = this.getEffectDefinition(effectName);
+        return immunities.effects.includes(effectName) ||
+            (definition !== null && immunities.effects.includes(definition.type));
     }
 
     /**
-     * Apply slow effect
+     * Apply a status effect to an entity, following the effect's stacking rule if it already has it
      * @param {Entity} entity - Target entity
-     * @param {Object} effect - Effect data
-     */
-    applySlowEffect(entity, effect) {
-        const speed = entity.getComponent('speed');
-        if (speed) {
-            // Reduce speed by modifier
-            const originalSpeed = speed.originalValue || speed.value;
-            speed.value = Math.max(1, originalSpeed * (effect.speedModifier || 0.5));
+     * @param {string} effectName - Effect name
+     * @param {World} world - Game world (its current time starts the effect)
+     * @param {Object} options - Optional duration and magnitude overrides, and the source entity
+     * @returns {boolean} True if the effect took hold or was extended
+     */
+    applyEffect(entity, effectName, world, options = {}) {
+        const definition = this.getEffectDefinition(effectName);
+        if (!definition) {
+            console.warn(`Unknown effect: ${effectName}`);
+            return false;
+        }
+
+        if (this.isImmune(entity, effectName)) {
+            if (this.isWatched(entity)) {
+                const name = EntityUtils.getEntityName(entity);
+                this.addMessage(`${name} ${entity.type === 'player' ? 'are' : 'is'} unaffected by ${definition.name.toLowerCase()}.`, 'combat', '#cccccc');
+            }
+            return false;
+        }
+
+        const now = world.getCurrentTime();
+        const duration = options.duration !== undefined ? options.duration : definition.duration;
+        const existing = this.getEffect(entity, effectName);
+
+        if (existing) {
+            switch (definition.stacking) {
+                case 'unique':
+                    return false;
+                case 'intensity':
+                    existing.stacks = Math.min(definition.maxStacks || Infinity, existing.stacks + 1);
+                    existing.expiresAt = now + duration;
+                    break;
+                case 'duration':
+                    existing.expiresAt += duration;
+                    break;
+                default: // refresh
+                    existing.expiresAt = now + duration;
+                    break;
+            }
+            return true;
         }
+
+        if (!this.activeEffects.has(entity.id)) {
+            this.activeEffects.set(entity.id, []);
+        }
+
+        const effect = {
+            name: effectName,
+            stacks: 1,
+            magnitude: options.magnitude !== undefined ? options.magnitude : definition.magnitude,
+            expiresAt: now + duration,
+            nextTick: definition.tickInterval ? now + definition.tickInterval : null,
+            sourceId: options.source ? options.source.id : null
+        };
+        this.activeEffects.get(entity.id).push(effect);
+
+        if (entity.type === 'player' && definition.applyMessage) {
+            this.addMessage(definition.applyMessage, 'spell', definition.color);
+        }
+        this.runHook('onApply', entity, effect, world);
+        return true;
     }
 
     /**
-     * Apply stun effect
-     * @param {Entity} entity - Target entity
-     * @param {Object} effect - Effect data
+     * Run an effect's hook: its type's first, then its definition's own
+     * @param {string} hookName - onApply, onTick or onExpire
+     * @param {Entity} entity - Affected entity
+     * @param {Object} effect - Active effect
+     * @param {World} world - Game world
      */
-    applyStunEffect(entity, effect) {
-        // Stun prevents action - this is handled by the scheduler
-        // This is just for logging
-        console.log(`${entity.id} is stunned and cannot act`);
+    runHook(hookName, entity, effect, world) {
+        const definition = this.getEffectDefinition(effect.name);
+        const typeHooks = this.effectTypes[definition.type] || {};
+
+        if (typeHooks[hookName]) {
+            typeHooks[hookName](entity, effect, world);
+        }
+        if (definition[hookName]) {
+            definition[hookName](entity, effect, world, this);
+        }
     }
 
     /**
-     * Apply poison effect
-     * @param {Entity} entity - Target entity
-     * @param {Object} effect - Effect data
+     * Catch an entity's effects up to the current game time: tick every interval that has passed
+     * and let expired effects wear off
+     * @param {Entity} entity - Entity to process effects for
+     * @param {World} world - Game world
      */
-    applyPoisonEffect(entity, effect) {
-        const health = entity.getComponent('health');
-        if (health) {
-            health.current = Math.max(0, health.current - effect.damage);
-            console.log(`${entity.id} takes ${effect.damage} poison damage`);
+    processEntity(entity, world) {
+        if (!this.activeEffects.has(entity.id)) return;
+
+        const now = world.getCurrentTime();
+
+        for (const effect of [...this.activeEffects.get(entity.id)]) {
+            const definition = this.getEffectDefinition(effect.name);
+
+            while (effect.nextTick !== null && effect.nextTick <= now && effect.nextTick <= effect.expiresAt) {
+                effect.nextTick += definition.tickInterval;
+                this.runHook('onTick', entity, effect, world);
+
+                // An effect that killed its target is gone with the rest of them
+                if (!entity.active) return;
+            }
+
+            if (effect.expiresAt <= now) {
+                this.expireEffect(entity, effect, world);
+            }
         }
     }
 
     /**
-     * Apply shield effect
-     * @param {Entity} entity - Target entity
-     * @param {Object} effect - Effect data
+     * Remove an effect that has run its course and run its onExpire hook
+     * @param {Entity} entity - Affected entity
+     * @param {Object} effect - Active effect
+     * @param {World} world - Game world
      */
-    applyShieldEffect(entity, effect) {
-        // Shield reduces incoming damage
-        // This is handled by the combat system when calculating damage
-        console.log(`${entity.id} is protected by a shield`);
+    expireEffect(entity, effect, world) {
+        this.removeEffect(entity, effect.name);
+
+        const definition = this.getEffectDefinition(effect.name);
+        if (entity.type === 'player' && definition.expireMessage) {
+            this.addMessage(definition.expireMessage, 'spell', '#cccccc');
+        }
+        this.runHook('onExpire', entity, effect, world);
     }
 
     /**
-     * Apply regeneration effect
-     * @param {Entity} entity - Target entity
-     * @param {Object} effect - Effect data
+     * Deal one tick of damage over time - through the combat system when there is one, so a
+     * killing tick is a death like any other
+     * @param {Entity} entity - Affected entity
+     * @param {Object} effect - Active effect
+     * @param {World} world - Game world
      */
-    applyRegenerationEffect(entity, effect) {
+    dealEffectDamage(entity, effect, world) {
+        const damage = effect.magnitude * effect.stacks;
+        const definition = this.getEffectDefinition(effect.name);
+
+        if (this.combatSystem) {
+            const source = effect.sourceId ? world.getEntity(effect.sourceId) || null : null;
+            this.combatSystem.resolveEffectDamage(entity, damage, definition.name, source, world);
+            return;
+        }
+
         const health = entity.getComponent('health');
         if (health) {
-            health.current = Math.min(health.max, health.current + effect.heal);
-            console.log(`${entity.id} regenerates ${effect.heal} health`);
+            health.current = Math.max(0, health.current - damage);
         }
     }
 
     /**
-     * Apply a status effect to an entity
+     * Heal an entity, never past its maximum health
      * @param {Entity} entity - Target entity
-     * @param {string} effectName - Effect name
-     * @param {number} duration - Effect duration
-     * @param {Object} customData - Custom effect data
-     */
-    applyEffect(entity, effectName, duration, customData = {}) {
-        if (!this.spells) return;
-        
-        const effect = this.spells.getEffect(effectName);
-        if (!effect) {
-            console.warn(`Unknown effect: ${effectName}`);
-            return;
-        }
-        
-        if (!this.activeEffects.has(entity.id)) {
-            this.activeEffects.set(entity.id, []);
+     * @param {number} amount - Health to restore
+     */
+    healEntity(entity, amount) {
+        const health = entity.getComponent('health');
+        if (health) {
+            health.current = Math.min(health.max, health.current + amount);
         }
-        
-        const effects = this.activeEffects.get(entity.id);
-        effects.push({
-            ...effect,
-            ...customData,
-            duration: duration,
-            remaining: duration
-        });
-        
-        console.log(`${entity.id} is affected by ${effectName} for ${duration} turns`);
     }
 
     /**
-     * Remove a specific effect from an entity
+     * Remove a specific effect from an entity, without running its onExpire hook
      * @param {Entity} entity - Target entity
      * @param {string} effectName - Effect name to remove
      */
     removeEffect(entity, effectName) {
         if (!this.activeEffects.has(entity.id)) return;
-        
+
         const effects = this.activeEffects.get(entity.id);
         const index = effects.findIndex(effect => effect.name === effectName);
-        
         if (index !== -1) {
             effects.splice(index, 1);
-            console.log(`${effectName} removed from ${entity.id}`);
+        }
+
+        if (effects.length === 0) {
+            this.activeEffects.delete(entity.id);
         }
     }
 
@@ -252,7 +390,6 @@ class EffectSystem {
      */
     removeAllEffects(entity) {
         this.activeEffects.delete(entity.id);
-        console.log(`All effects removed from ${entity.id}`);
     }
 
     /**
@@ -271,8 +408,20 @@ class EffectSystem {
      * @returns {boolean} True if entity has the effect
      */
     hasEffect(entity, effectName) {
-        const effects = this.getActiveEffects(entity);
-        return effects.some(effect => effect.name === effectName);
+        return this.getEffect(entity, effectName) !== null;
+    }
+
+    /**
+     * Get the active effects of one type on an entity
+     * @param {Entity} entity - Target entity
+     * @param {string} type - Effect type
+     * @returns {Array} Matching active effects
+     */
+    getEffectsOfType(entity, type) {
+        return this.getActiveEffects(entity).filter(effect => {
+            const definition = this.getEffectDefinition(effect.name);
+            return definition && definition.type === type;
+        });
     }
 
     /**
@@ -281,31 +430,22 @@ class EffectSystem {
      * @returns {boolean} True if entity can act
      */
     canAct(entity) {
-        const effects = this.getActiveEffects(entity);
-        const stunEffect = effects.find(effect => effect.name === 'stun');
-        return !stunEffect;
+        return this.getEffectsOfType(entity, 'stun').length === 0;
     }
 
     /**
-     * Get modified speed for an entity
+     * Get the combined speed multiplier of an entity's effects (slow < 1, haste > 1)
      * @param {Entity} entity - Target entity
-     * @returns {number} Modified speed
+     * @returns {number} Speed multiplier (1 = unaffected)
      */
-    getModifiedSpeed(entity) {
-        const speed = entity.getComponent('speed');
-        if (!speed) return 10;
-        
-        const effects = this.getActiveEffects(entity);
-        let modifiedSpeed = speed.value;
-        
-        // Apply slow effects
-        for (const effect of effects) {
-            if (effect.name === 'slow' && effect.speedModifier) {
-                modifiedSpeed *= effect.speedModifier;
-            }
+    getSpeedMultiplier(entity) {
+        let multiplier = 1;
+
+        for (const effect of this.getEffectsOfType(entity, 'speed')) {
+            multiplier *= Math.pow(effect.magnitude, effect.stacks);
         }
-        
-        return Math.max(1, modifiedSpeed);
+
+        return multiplier;
     }
 
     /**
@@ -314,21 +454,28 @@ class EffectSystem {
      * @returns {number} Damage reduction (0-1)
      */
     getDamageReduction(entity) {
-        const effects = this.getActiveEffects(entity);
         let reduction = 0;
-        
-        // Apply shield effects
-        for (const effect of effects) {
-            if (effect.name === 'shield' && effect.damageReduction) {
-                reduction += effect.damageReduction;
-            }
+
+        for (const effect of this.getEffectsOfType(entity, 'damageReduction')) {
+            reduction += effect.magnitude * effect.stacks;
         }
-        
+
         return Math.min(1, reduction);
     }
 
     /**
-     * Process all effects for all entities
+     * Describe an active effect for the UI, e.g. "Poison x2"
+     * @param {Object} effect - Active effect
+     * @returns {string} Display name with its stacks
+     */
+    getEffectLabel(effect) {
+        const definition = this.getEffectDefinition(effect.name);
+        const name = definition ? definition.name : effect.name;
+        return effect.stacks > 1 ? `${name} x${effect.stacks}` : name;
+    }
+
+    /**
+     * Process all effects for all entities in the world up to its current time
      * @param {World} world - Game world
      */
     processAllEffects(world) {
@@ -365,4 +512,87 @@ class EffectSystem {
         const effects = this.getActiveEffects(entity);
         return effects.find(effect => effect.name === effectName) || null;
     }
+
+    /**
+     * Check if the player would notice something happening to an entity
+     * @param {Entity} entity - Entity to check
+     * @returns {boolean} True for the player and monsters in view
+     */
+    isWatched(entity) {
+        const visibility = entity.getComponent('visibility');
+        return entity.type === 'player' || Boolean(visibility && visibility.isVisible);
+    }
+
+    /**
+     * Add a message to the log
+     * @param {string} message - Message text
+     * @param {string} type - Message type
+     * @param {string} color - Message color
+     */
+    addMessage(message, type, color) {
+        if (this.messageCallback) {
+            this.messageCallback(message, type, color);
+        }
+    }
+
+    /**
+     * Take an entity's effects off the clock while the area it is in is left behind
+     * @param {Entity} entity - Entity in the area being left
+     * @param {number} now - Current game time
+     * @returns {Array} Its effects with expiresAt and nextTick relative to now (empty if it has none)
+     */
+    suspendEffects(entity, now) {
+        const effects = this.getActiveEffects(entity).map(effect => ({
+            ...effect,
+            expiresAt: effect.expiresAt - now,
+            nextTick: effect.nextTick === null ? null : effect.nextTick - now
+        }));
+
+        this.removeAllEffects(entity);
+        return effects;
+    }
+
+    /**
+     * Put suspended effects back on the clock with the time they had left
+     * @param {Entity} entity - Entity whose area the player came back to
+     * @param {Array} effects - Effects from suspendEffects()
+     * @param {number} now - Current game time
+     */
+    resumeEffects(entity, effects, now) {
+        if (effects.length === 0) return;
+
+        this.activeEffects.set(entity.id, effects.map(effect => ({
+            ...effect,
+            expiresAt: effect.expiresAt + now,
+            nextTick: effect.nextTick === null ? null : effect.nextTick + now
+        })));
+    }
+
+    /**
+     * Serialize active effects for saving - only their state, definitions come from the database
+     * @returns {Object} Effects keyed by entity ID
+     */
+    toJSON() {
+        return Object.fromEntries(this.activeEffects);
+    }
+
+    /**
+     * Restore active effects from saved data, dropping any whose definition no longer exists
+     * @param {Object} data - Data from toJSON()
+     */
+    restoreFromJSON(data) {
+        this.activeEffects = new Map();
+
+        for (const [entityId, effects] of Object.entries(data || {})) {
+            const known = effects.filter(effect => this.getEffectDefinition(effect.name));
+            if (known.length > 0) {
+                this.activeEffects.set(entityId, known);
+            }
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EffectSystem;
 }
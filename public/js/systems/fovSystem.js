@@ -0,0 +1,151 @@
+/**
+ * FOV System for the player's field of view (recursive shadowcasting)
+ * Walls and closed doors block sight. The result is kept on the map itself: tile.visible is
+ * what the player sees right now, tile.explored is everything they have ever seen. The renderer,
+ * monster visibility and targeting all read these flags instead of measuring distances.
+ */
+class FOVSystem {
+    constructor() {
+        this.radius = 8; // Sight radius in tiles
+
+        // Multipliers mapping the first octant onto each of the eight: [xx, xy, yx, yy]
+        this.octants = [
+            [1, 0, 0, 1], [0, 1, 1, 0], [0, -1, 1, 0], [-1, 0, 0, 1],
+            [-1, 0, 0, -1], [0, -1, -1, 0], [0, 1, -1, 0], [1, 0, 0, -1]
+        ];
+    }
+
+    /**
+     * Recompute what can be seen from a position, updating the map's visible and explored flags
+     * @param {Array} map - 2D map array
+     * @param {number} originX - Viewer X coordinate
+     * @param {number} originY - Viewer Y coordinate
+     * @param {number} radius - Sight radius in tiles
+     */
+    computeFOV(map, originX, originY, radius = this.radius) {
+        for (const row of map) {
+            for (const tile of row) {
+                tile.visible = false;
+            }
+        }
+
+        this.markVisible(map, originX, originY);
+        for (const octant of this.octants) {
+            this.castLight(map, originX, originY, radius, 1, 1.0, 0.0, octant);
+        }
+    }
+
+    /**
+     * Scan one octant row by row, recursing around every run of opaque tiles
+     * @param {Array} map - 2D map array
+     * @param {number} originX - Viewer X coordinate
+     * @param {number} originY - Viewer Y coordinate
+     * @param {number} radius - Sight radius in tiles
+     * @param {number} row - First row (distance from the viewer) to scan
+     * @param {number} startSlope - Slope where the lit area of this scan begins
+     * @param {number} endSlope - Slope where it ends
+     * @param {Array} octant - Octant multipliers [xx, xy, yx, yy]
+     */
+    castLight(map, originX, originY, radius, row, startSlope, endSlope, octant) {
+        if (startSlope < endSlope) return;
+
+        const [xx, xy, yx, yy] = octant;
+        const radiusSquared = radius * radius;
+        let start = startSlope;
+        let nextStart = start;
+
+        for (let j = row; j <= radius; j++) {
+            const dy = -j;
+            let blocked = false;
+
+            for (let dx = -j; dx <= 0; dx++) {
+                const leftSlope = (dx - 0.5) / (dy + 0.5);
+                const rightSlope = (dx + 0.5) / (dy - 0.5);
+
+                if (start < rightSlope) continue;
+                if (endSlope > leftSlope) break;
+
+                const x = originX + dx * xx + dy * xy;
+                const y = originY + dx * yx + dy * yy;
+                if (dx * dx + dy * dy <= radiusSquared) {
+                    this.markVisible(map, x, y);
+                }
+
+                const opaque = this.blocksSight(map, x, y);
+                if (blocked) {
+                    if (opaque) {
+                        // Still in shadow - the lit area resumes past this tile
+                        nextStart = rightSlope;
+                    } else {
+                        blocked = false;
+                        start = nextStart;
+                    }
+                } else if (opaque && j < radius) {
+                    // Start of a shadow: scan the lit part above it, then continue past it
+                    blocked = true;
+                    this.castLight(map, originX, originY, radius, j + 1, start, leftSlope, octant);
+                    nextStart = rightSlope;
+                }
+            }
+
+            if (blocked) break;
+        }
+    }
+
+    /**
+     * Mark a tile as seen now and remembered from now on
+     * @param {Array} map - 2D map array
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    markVisible(map, x, y) {
+        const tile = map[y] && map[y][x];
+        if (tile) {
+            tile.visible = true;
+            tile.explored = true;
+        }
+    }
+
+    /**
+     * Check if a tile stops sight (walls, closed doors and anything off the map)
+     * @param {Array} map - 2D map array
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if the tile blocks sight
+     */
+    blocksSight(map, x, y) {
+        const tile = map[y] && map[y][x];
+        if (!tile) return true;
+
+        return tile.type === 'wall' || (tile.type === 'door' && !tile.open);
+    }
+
+    /**
+     * Check if a tile is in view right now
+     * @param {Array} map - 2D map array
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if visible
+     */
+    isVisible(map, x, y) {
+        const tile = map[Math.floor(y)] && map[Math.floor(y)][Math.floor(x)];
+        return !!tile && !!tile.visible;
+    }
+
+    /**
+     * Check if a tile has ever been seen
+     * @param {Array} map - 2D map array
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} True if explored
+     */
+    isExplored(map, x, y) {
+        const tile = map[y] && map[y][x];
+        return !!tile && !!tile.explored;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FOVSystem;
+}
@@ -1,5 +1,6 @@
 /**
- * Movement System for handling entity movement and AI
+ * Movement System for handling entity movement
+ * Monsters decide where to go in AISystem; this system supplies the steps, routes and line of sight.
  */
 class MovementSystem {
     constructor() {
@@ -13,6 +14,34 @@ class MovementSystem {
             'southeast': { x: 1, y: 1 },
             'southwest': { x: -1, y: 1 }
         };
+        this.rng = new RNG(); // Replaced by the game's seeded RNG
+        this.pathfinder = null; // Will be injected for routes and approach/flee fields
+        this.fovSystem = null; // Will be injected so monsters see through the same tiles the player does
+        this.fieldCache = null; // { world, x, y, approach, flee } - fields around the last target, rebuilt when it moves
+    }
+
+    /**
+     * Set the random number generator used for wandering
+     * @param {RNG} rng - Seeded RNG instance
+     */
+    setRng(rng) {
+        this.rng = rng;
+    }
+
+    /**
+     * Set the pathfinder
+     * @param {Pathfinder} pathfinder - Pathfinder instance
+     */
+    setPathfinder(pathfinder) {
+        this.pathfinder = pathfinder;
+    }
+
+    /**
+     * Set the FOV system whose opacity rules line of sight follows
+     * @param {FOVSystem} fovSystem - FOV system instance
+     */
+    setFOVSystem(fovSystem) {
+        this.fovSystem = fovSystem;
     }
 
     /**
@@ -24,161 +53,96 @@ class MovementSystem {
         if (entity.type === 'player') {
             // Player movement is handled by input system
             return;
-        } else if (entity.type === 'monster') {
-            this.processMonsterMovement(entity, world);
         } else if (entity.type === 'projectile') {
             this.processProjectileMovement(entity, world);
         }
     }
 
     /**
-     * Process monster movement and AI
-     * @param {Entity} entity - Monster entity
+     * Move entity one step towards a target along the cheapest route
+     * @param {Entity} entity - Entity to move
+     * @param {Entity} target - Target entity
      * @param {World} world - Game world
+     * @returns {boolean} True if the entity moved
      */
-    processMonsterMovement(entity, world) {
-        const aiComponent = entity.getComponent('ai');
-        const noticeComponent = entity.getComponent('notice');
-        const visibilityComponent = entity.getComponent('visibility');
-        if (!aiComponent || !noticeComponent || !visibilityComponent) return;
-
-        // Only process monsters that are visible to the player
-        if (!visibilityComponent.isVisible) return;
-
-        const player = world.player;
-        if (!player) return;
+    moveTowardsTarget(entity, target, world) {
+        // Already adjacent - nothing to gain by moving
+        if (entity.distanceTo(target) <= 1.5) return false;
 
-        const distance = entity.distanceTo(player);
-        const alertRange = noticeComponent.alertRange || 5;
-        const aiRange = aiComponent.range || 5;
+        // Everyone chasing the same target walks downhill on one shared field
+        const fields = this.getTargetFields(target, world);
+        const canEnter = (x, y) => this.canMoveTo(entity, x, y, world);
+        let step = this.pathfinder.getDownhillStep(world, fields.approach, entity.x, entity.y, canEnter);
 
-        // Check if player is in alert range and has line of sight
-        // Note: Visibility check ensures monster is within player's FOV
-        
-        // Debug logging removed
-        
-        if (distance <= alertRange && this.hasLineOfSight(entity, player, world)) {
-            if (!noticeComponent.hasNoticed) {
-                // Start notice countdown
-                noticeComponent.noticeTimer++;
-                if (noticeComponent.noticeTimer >= noticeComponent.noticeDelay) {
-                    noticeComponent.hasNoticed = true;
-                    this.addCombatLog(`${this.getEntityName(entity)} becomes hostile!`, 'notice');
-                } else if (noticeComponent.noticeTimer === 1) {
-                    this.addCombatLog(`${this.getEntityName(entity)} begins to notice you...`, 'notice');
-                }
-            }
-        } else {
-            // Reset notice if player moves away, loses line of sight, or moves out of FOV
-            if (noticeComponent.hasNoticed) {
-                noticeComponent.hasNoticed = false;
-                noticeComponent.noticeTimer = 0;
-                this.addCombatLog(`${this.getEntityName(entity)} loses interest.`, 'notice');
+        // The field ignores other creatures - when they block the way down, route around them
+        if (!step) {
+            const path = this.pathfinder.findPath(world, entity.x, entity.y, target.x, target.y, { entity, target });
+            if (path && path.length > 1 && canEnter(path[0].x, path[0].y)) {
+                step = path[0];
             }
         }
 
-        // Handle movement based on notice state
-        if (noticeComponent.hasNoticed) {
-            // Monster has noticed player - stand still during notice countdown, then charge
-            if (noticeComponent.noticeTimer < noticeComponent.noticeDelay) {
-                // Stand still while noticing
-                return;
-            } else {
-                // Charge towards player using shortest path
-                this.moveTowardsTarget(entity, player, world);
-            }
-        } else {
-            // Very sedentary behavior when player is not noticed - only move occasionally
-            if (Math.random() < 0.05) { // Only 5% chance to move each turn
-                this.randomMovement(entity, world);
-            }
-        }
+        if (!step) return false;
+
+        entity.setPosition(step.x, step.y);
+        return true;
     }
 
     /**
-     * Move entity towards a target using diagonal movement when appropriate
+     * Move entity one step towards a position along the cheapest route
      * @param {Entity} entity - Entity to move
+     * @param {number} x - X coordinate to head for
+     * @param {number} y - Y coordinate to head for
+     * @param {World} world - Game world
+     * @returns {boolean} True if the entity moved
+     */
+    moveTowardsPosition(entity, x, y, world) {
+        const path = this.pathfinder.findPath(world, entity.x, entity.y, x, y, { entity });
+        if (!path || path.length === 0 || !this.canMoveTo(entity, path[0].x, path[0].y, world)) return false;
+
+        entity.setPosition(path[0].x, path[0].y);
+        return true;
+    }
+
+    /**
+     * Move entity one step away from a target, heading for open ground rather than dead ends
+     * @param {Entity} entity - Entity to move
+     * @param {Entity} target - Entity to flee from
+     * @param {World} world - Game world
+     * @returns {boolean} True if the entity moved
+     */
+    moveAwayFromTarget(entity, target, world) {
+        const fields = this.getTargetFields(target, world);
+        if (!fields.flee) {
+            fields.flee = this.pathfinder.createFleeMap(world, fields.approach);
+        }
+
+        const step = this.pathfinder.getDownhillStep(world, fields.flee, entity.x, entity.y,
+            (x, y) => this.canMoveTo(entity, x, y, world));
+        if (!step) return false;
+
+        entity.setPosition(step.x, step.y);
+        return true;
+    }
+
+    /**
+     * Get the approach field (and lazily the flee field) around a target, rebuilt only when it moves
      * @param {Entity} target - Target entity
      * @param {World} world - Game world
+     * @returns {Object} { world, x, y, approach, flee } - flee is null until first needed
      */
-    moveTowardsTarget(entity, target, world) {
-        const dx = target.x - entity.x;
-        const dy = target.y - entity.y;
-        
-        // Calculate distance for diagonal movement decision
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        // If close enough, try to move directly towards target
-        if (distance <= 1.5) {
-            // Try diagonal movement first if both dx and dy are non-zero
-            if (dx !== 0 && dy !== 0) {
-                const diagonalX = entity.x + (dx > 0 ? 1 : -1);
-                const diagonalY = entity.y + (dy > 0 ? 1 : -1);
-                
-                if (this.canMoveTo(entity, diagonalX, diagonalY, world)) {
-                    entity.setPosition(diagonalX, diagonalY);
-                    return;
-                }
-            }
-            
-            // Fall back to cardinal movement
-            const moveX = dx === 0 ? 0 : (dx > 0 ? 1 : -1);
-            const moveY = dy === 0 ? 0 : (dy > 0 ? 1 : -1);
-            
-            const newX = entity.x + moveX;
-            const newY = entity.y + moveY;
-            
-            if (this.canMoveTo(entity, newX, newY, world)) {
-                entity.setPosition(newX, newY);
-            }
-        } else {
-            // For longer distances, use more sophisticated pathfinding
-            // Try diagonal movement if both directions are needed
-            if (Math.abs(dx) > Math.abs(dy)) {
-                // Move horizontally first
-                const moveX = dx > 0 ? 1 : -1;
-                const newX = entity.x + moveX;
-                const newY = entity.y;
-                
-                if (this.canMoveTo(entity, newX, newY, world)) {
-                    entity.setPosition(newX, newY);
-                }
-            } else if (Math.abs(dy) > Math.abs(dx)) {
-                // Move vertically first
-                const moveY = dy > 0 ? 1 : -1;
-                const newX = entity.x;
-                const newY = entity.y + moveY;
-                
-                if (this.canMoveTo(entity, newX, newY, world)) {
-                    entity.setPosition(newX, newY);
-                }
-            } else {
-                // Equal distance - try diagonal movement
-                const moveX = dx > 0 ? 1 : -1;
-                const moveY = dy > 0 ? 1 : -1;
-                const newX = entity.x + moveX;
-                const newY = entity.y + moveY;
-                
-                if (this.canMoveTo(entity, newX, newY, world)) {
-                    entity.setPosition(newX, newY);
-                } else {
-                    // Fall back to cardinal movement
-                    const cardinalX = entity.x + moveX;
-                    const cardinalY = entity.y;
-                    
-                    if (this.canMoveTo(entity, cardinalX, cardinalY, world)) {
-                        entity.setPosition(cardinalX, cardinalY);
-                    } else {
-                        const fallbackX = entity.x;
-                        const fallbackY = entity.y + moveY;
-                        
-                        if (this.canMoveTo(entity, fallbackX, fallbackY, world)) {
-                            entity.setPosition(fallbackX, fallbackY);
-                        }
-                    }
-                }
-            }
+    getTargetFields(target, world) {
+        const cache = this.fieldCache;
+        if (!cache || cache.world !== world || cache.x !== target.x || cache.y !== target.y) {
+            this.fieldCache = {
+                world: world,
+                x: target.x,
+                y: target.y,
+                approach: this.pathfinder.createDijkstraMap(world, [{ x: target.x, y: target.y }]),
+                flee: null
+            };
         }
+        return this.fieldCache;
     }
 
     /**
@@ -188,7 +152,7 @@ class MovementSystem {
      */
     randomMovement(entity, world) {
         const directions = Object.values(this.directions);
-        const randomDir = directions[Math.floor(Math.random() * directions.length)];
+        const randomDir = this.rng.pick(directions);
         
         const newX = entity.x + randomDir.x;
         const newY = entity.y + randomDir.y;
@@ -286,15 +250,15 @@ class MovementSystem {
             return false;
         }
         
-        // Check if position is passable
-        if (!world.isPassable(x, y)) {
+        // Check if position is passable (and, for a diagonal step, that it doesn't cut a corner)
+        if (!world.canStep(entity.x, entity.y, x, y)) {
             return false;
         }
         
-        // Check if position is occupied by another entity (except corpses)
+        // Check if position is occupied by another entity that blocks movement
         const entitiesAtPosition = world.getEntitiesAt(x, y);
         const blockingEntity = entitiesAtPosition.find(e => 
-            e.active && e.id !== entity.id && e.type !== 'corpse'
+            e.active && e.id !== entity.id && EntityUtils.blocksMovement(e)
         );
         
         if (blockingEntity) {
@@ -361,10 +325,10 @@ class MovementSystem {
      * @param {number} endX - End X coordinate
      * @param {number} endY - End Y coordinate
      * @param {World} world - Game world
-     * @returns {Array} Array of path positions
+     * @returns {Array} Steps from the first move to the end as { x, y } (empty if there is no route)
      */
     getPath(startX, startY, endX, endY, world) {
-        return world.findPath(startX, startY, endX, endY);
+        return this.pathfinder.findPath(world, startX, startY, endX, endY) || [];
     }
 
     /**
@@ -415,18 +379,8 @@ class MovementSystem {
     }
 
     /**
-     * Add message to combat log
-     * @param {string} message - Message text
-     * @param {string} type - Message type
-     */
-    addCombatLog(message, type = 'combat') {
-        if (window.game && window.game.addCombatMessage) {
-            window.game.addCombatMessage(message, type);
-        }
-    }
-
-    /**
-     * Check if there's line of sight between two entities
+     * Check if there's line of sight between two entities - walls and closed doors block it, as
+     * they block the player's field of view
      * @param {Entity} from - Starting entity
      * @param {Entity} to - Target entity
      * @param {World} world - Game world
@@ -449,21 +403,13 @@ class MovementSystem {
             const checkX = Math.floor(from.x + stepX * i + 0.5);
             const checkY = Math.floor(from.y + stepY * i + 0.5);
             
-            // If we hit a wall, no line of sight
-            if (!world.isPassable(checkX, checkY)) {
+            // If we hit a wall or closed door, no line of sight
+            const opaque = this.fovSystem ? this.fovSystem.blocksSight(world.map, checkX, checkY) : !world.isPassable(checkX, checkY);
+            if (opaque) {
                 return false;
             }
         }
         
         return true;
     }
-
-    /**
-     * Get entity name for logging
-     * @param {Entity} entity - Entity
-     * @returns {string} Entity name
-     */
-    getEntityName(entity) {
-        return EntityUtils.getEntityName(entity);
-    }
 }
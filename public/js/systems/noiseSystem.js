@@ -0,0 +1,193 @@
+/**
+ * Noise System for sounds that carry through the dungeon
+ * A noise has a volume in tiles. It spreads out from where it was made along open ground - walls
+ * stop it, closed doors muffle it - and every monster it reaches hears it at the volume left over.
+ * What a monster does about a noise (wake up, grow suspicious, go and look) is up to AISystem.
+ *
+ * The player's footsteps are the one noise with a variable volume: armor weight makes them louder;
+ * sneaking and the stealth skill make them quieter.
+ */
+class NoiseSystem {
+    constructor() {
+        this.aiSystem = null; // Will be injected - monsters react to what they hear
+        this.equipmentSystem = null; // Will be injected for armor weight
+        this.skillsSystem = null; // Will be injected for the stealth skill
+
+        // Volume of each kind of noise, in tiles of open ground it carries across
+        this.volumes = {
+            footstep: 4,
+            door: 5,
+            chest: 6,
+            combat: 8
+        };
+        this.sneakFactor = 0.4; // Sneaking footsteps carry this fraction as far
+        this.armorNoisePerWeight = 0.05; // Extra footstep volume per point of armor weight (chain mail: +0.75)
+        this.doorDamping = 3; // A closed door takes this much off a noise passing through it
+
+        // Noise spreads eight ways, like movement
+        this.steps = [
+            { x: 0, y: -1 }, { x: 0, y: 1 }, { x: 1, y: 0 }, { x: -1, y: 0 },
+            { x: 1, y: -1 }, { x: -1, y: -1 }, { x: 1, y: 1 }, { x: -1, y: 1 }
+        ];
+    }
+
+    /**
+     * Set the AI system that hears noises
+     * @param {AISystem} aiSystem - AI system instance
+     */
+    setAISystem(aiSystem) {
+        this.aiSystem = aiSystem;
+    }
+
+    /**
+     * Set the equipment system
+     * @param {EquipmentSystem} equipmentSystem - Equipment system instance
+     */
+    setEquipmentSystem(equipmentSystem) {
+        this.equipmentSystem = equipmentSystem;
+    }
+
+    /**
+     * Set the skills system
+     * @param {SkillsSystem} skillsSystem - Skills system instance
+     */
+    setSkillsSystem(skillsSystem) {
+        this.skillsSystem = skillsSystem;
+    }
+
+    /**
+     * Check if an entity is sneaking
+     * @param {Entity} entity - Entity to check
+     * @returns {boolean} True if sneaking
+     */
+    isSneaking(entity) {
+        const stealth = entity.getComponent('stealth');
+        return Boolean(stealth && stealth.sneaking);
+    }
+
+    /**
+     * Start or stop sneaking
+     * @param {Entity} entity - Entity to toggle
+     * @returns {boolean} True if the entity is now sneaking
+     */
+    toggleSneak(entity) {
+        const sneaking = !this.isSneaking(entity);
+        entity.addComponent('stealth', { sneaking: sneaking });
+        return sneaking;
+    }
+
+    /**
+     * Get how far an entity's footsteps carry
+     * @param {Entity} entity - Entity walking
+     * @returns {number} Volume in tiles
+     */
+    getFootstepVolume(entity) {
+        const armorWeight = this.equipmentSystem ? this.equipmentSystem.getArmorWeight(entity) : 0;
+        let volume = this.volumes.footstep + armorWeight * this.armorNoisePerWeight;
+
+        if (this.isSneaking(entity)) {
+            volume *= this.sneakFactor;
+        }
+        if (this.skillsSystem) {
+            volume *= 1 - this.skillsSystem.getStealthBonus(entity);
+        }
+        return volume;
+    }
+
+    /**
+     * Make the noise of an entity taking a step. Sneaking past monsters that haven't noticed
+     * the entity trains its stealth skill.
+     * @param {World} world - Game world
+     * @param {Entity} entity - Entity that stepped
+     */
+    makeFootsteps(world, entity) {
+        this.makeNoise(world, entity.x, entity.y, this.getFootstepVolume(entity), entity);
+
+        if (this.skillsSystem && this.isSneaking(entity) && this.hasUnawareMonsterNearby(world, entity)) {
+            this.skillsSystem.gainSkillExperience(entity, 'stealth', 1);
+        }
+    }
+
+    /**
+     * Check if a monster that hasn't noticed an entity is within its alert range of it
+     * @param {World} world - Game world
+     * @param {Entity} entity - Entity to check around
+     * @returns {boolean} True if such a monster is near
+     */
+    hasUnawareMonsterNearby(world, entity) {
+        return world.getEntitiesByType('monster').some(monster => {
+            const notice = monster.getComponent('notice');
+            return monster.active && notice && !notice.hasNoticed && monster.distanceTo(entity) <= (notice.alertRange || 5);
+        });
+    }
+
+    /**
+     * Make a noise and let every monster within earshot hear it
+     * @param {World} world - Game world
+     * @param {number} x - X coordinate of the noise
+     * @param {number} y - Y coordinate of the noise
+     * @param {number} volume - Volume in tiles
+     * @param {Entity} source - Entity that made the noise (it doesn't hear itself), or null
+     */
+    makeNoise(world, x, y, volume, source = null) {
+        if (!this.aiSystem || volume <= 0) return;
+
+        const heard = this.spreadNoise(world, x, y, volume);
+        for (const monster of world.getEntitiesByType('monster')) {
+            if (!monster.active || monster === source) continue;
+
+            const loudness = heard.get(monster.y * world.width + monster.x);
+            if (loudness > 0) {
+                this.aiSystem.hearNoise(monster, { x, y }, loudness, world);
+            }
+        }
+    }
+
+    /**
+     * Spread a noise over the map
+     * @param {World} world - Game world
+     * @param {number} x - X coordinate of the noise
+     * @param {number} y - Y coordinate of the noise
+     * @param {number} volume - Volume in tiles
+     * @returns {Map} Tile key (y * width + x) -> loudness left when the noise gets there
+     */
+    spreadNoise(world, x, y, volume) {
+        const width = world.width;
+        const startKey = y * width + x;
+        const costs = new Map([[startKey, 0]]);
+        const open = new PriorityQueue();
+        open.push(startKey, 0);
+
+        while (!open.isEmpty()) {
+            const key = open.pop();
+            const cost = costs.get(key);
+            const cx = key % width;
+            const cy = Math.floor(key / width);
+
+            for (const step of this.steps) {
+                const nx = cx + step.x;
+                const ny = cy + step.y;
+                if (!world.isPassable(nx, ny)) continue;
+
+                const tile = world.map[ny][nx];
+                const nextCost = cost + 1 + (tile.type === 'door' && !tile.open ? this.doorDamping : 0);
+                const nextKey = ny * width + nx;
+                if (nextCost >= volume || (costs.has(nextKey) && costs.get(nextKey) <= nextCost)) continue;
+
+                costs.set(nextKey, nextCost);
+                open.push(nextKey, nextCost);
+            }
+        }
+
+        const heard = new Map();
+        for (const [key, cost] of costs) {
+            heard.set(key, volume - cost);
+        }
+        return heard;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoiseSystem;
+}
@@ -1,9 +1,16 @@
 /**
- * Projectile System for handling projectile movement and effects
+ * Projectile System for arrows, bolts and spell projectiles in flight
+ * A projectile is an entity on the scheduler. Each of its turns moves it one tile along the line it
+ * was launched on; the first creature in the way is attacked through CombatSystem, and a wall, a
+ * closed door or the end of its range stops it. Spent ammo may survive and land to be picked up again.
  */
 class ProjectileSystem {
     constructor() {
         this.spells = null; // Will be injected
+        this.combatSystem = null; // Will be injected - hits are resolved like any other attack
+        this.characterGenerator = null; // Will be injected for projectile entities and reproducible IDs
+        this.rng = new RNG(); // Replaced by the game's seeded RNG
+        this.defaultSpeed = 15; // Tiles per second of game time
     }
 
     /**
@@ -15,283 +22,237 @@ class ProjectileSystem {
     }
 
     /**
-     * Process projectile movement and effects
-     * @param {Entity} entity - Projectile entity
-     * @param {World} world - Game world
+     * Set the combat system that resolves hits
+     * @param {CombatSystem} combatSystem - Combat system instance
      */
-    processEntity(entity, world) {
-        if (entity.type !== 'projectile') return;
-        
-        const projectile = entity.getComponent('projectile');
-        if (!projectile) return;
-        
-        // Move projectile towards target
-        this.moveProjectile(entity, world);
-        
-        // Check for collisions
-        this.checkCollisions(entity, world);
-        
-        // Check if projectile should be removed
-        this.checkProjectileLifetime(entity, world);
+    setCombatSystem(combatSystem) {
+        this.combatSystem = combatSystem;
     }
 
     /**
-     * Move projectile towards its target
-     * @param {Entity} entity - Projectile entity
-     * @param {World} world - Game world
+     * Set the character generator that creates projectile entities
+     * @param {CharacterGenerator} characterGenerator - Character generator instance
      */
-    moveProjectile(entity, world) {
-        const projectile = entity.getComponent('projectile');
-        if (!projectile) return;
-        
-        const targetX = projectile.targetX;
-        const targetY = projectile.targetY;
-        
-        // Calculate direction
-        const dx = targetX - entity.x;
-        const dy = targetY - entity.y;
-        
-        if (dx === 0 && dy === 0) {
-            // Reached target
-            this.handleProjectileHit(entity, world);
-            return;
-        }
-        
-        // Normalize direction
-        const moveX = dx === 0 ? 0 : (dx > 0 ? 1 : -1);
-        const moveY = dy === 0 ? 0 : (dy > 0 ? 1 : -1);
-        
-        const newX = entity.x + moveX;
-        const newY = entity.y + moveY;
-        
-        // Check if new position is valid
-        if (this.isValidPosition(newX, newY, world)) {
-            entity.setPosition(newX, newY);
-            projectile.distanceTraveled++;
-        } else {
-            // Hit something, handle collision
-            this.handleProjectileHit(entity, world);
-        }
+    setCharacterGenerator(characterGenerator) {
+        this.characterGenerator = characterGenerator;
     }
 
     /**
-     * Check for projectile collisions
-     * @param {Entity} entity - Projectile entity
-     * @param {World} world - Game world
+     * Set the random number generator used for ammo recovery
+     * @param {RNG} rng - Seeded RNG instance
      */
-    checkCollisions(entity, world) {
-        const projectile = entity.getComponent('projectile');
-        if (!projectile) return;
-        
-        // Check for entity collisions
-        const entitiesAtPosition = world.getEntitiesAt(entity.x, entity.y);
-        for (const target of entitiesAtPosition) {
-            if (target.id !== projectile.ownerId && target.active) {
-                this.handleProjectileHit(entity, world, target);
-                return;
-            }
-        }
+    setRng(rng) {
+        this.rng = rng;
     }
 
     /**
-     * Check if projectile should be removed due to lifetime
-     * @param {Entity} entity - Projectile entity
+     * Launch a projectile from an entity toward a tile. It keeps going past the tile until its range
+     * runs out, so a missed shot can still hit whatever stands behind.
+     * @param {Entity} owner - Entity shooting or casting
+     * @param {string} projectileType - Projectile template ('arrow', 'bolt', 'firebolt')
+     * @param {number} targetX - X coordinate aimed at
+     * @param {number} targetY - Y coordinate aimed at
      * @param {World} world - Game world
+     * @param {Object} stats - Overrides for the template: damage, hitChance, range, speed, ammo (item to
+     *     recover) or spell (name of the spell it carries)
+     * @returns {Entity} Projectile entity - schedule it to make it fly
      */
-    checkProjectileLifetime(entity, world) {
+    launch(owner, projectileType, targetX, targetY, world, stats = {}) {
+        const id = `projectile_${this.characterGenerator.spawnCounter++}`;
+        const entity = this.characterGenerator.createProjectile(id, projectileType, owner.x, owner.y, targetX, targetY, owner.id);
         const projectile = entity.getComponent('projectile');
-        if (!projectile) return;
-        
-        // Check if projectile has traveled too far
-        if (projectile.distanceTraveled >= projectile.range) {
-            this.handleProjectileHit(entity, world);
+
+        Object.assign(projectile, stats);
+        projectile.path = this.getPath(world, owner.x, owner.y, targetX, targetY, projectile.range);
+
+        // Arrows and bolts point the way they fly
+        if (projectile.ammo) {
+            entity.getComponent('appearance').char = this.getFlightChar(targetX - owner.x, targetY - owner.y);
         }
+
+        world.addEntity(entity);
+        return entity;
     }
 
     /**
-     * Handle projectile hit
-     * @param {Entity} entity - Projectile entity
+     * Trace the tiles a projectile crosses: a straight line through the target tile, continued to
+     * the projectile's range and cut short where something stops it
      * @param {World} world - Game world
-     * @param {Entity} target - Target entity (optional)
+     * @param {number} fromX - Start X coordinate
+     * @param {number} fromY - Start Y coordinate
+     * @param {number} toX - X coordinate aimed at
+     * @param {number} toY - Y coordinate aimed at
+     * @param {number} range - Most tiles to cross
+     * @returns {Array} Tiles as { x, y }, not including the start
      */
-    handleProjectileHit(entity, world, target = null) {
-        const projectile = entity.getComponent('projectile');
-        if (!projectile) return;
-        
-        // Apply damage if there's a target
-        if (target) {
-            this.applyProjectileDamage(entity, target, world);
-        }
-        
-        // Apply spell effects if it's a spell projectile
-        if (projectile.spell && this.spells) {
-            this.applySpellEffects(entity, target, world);
+    getPath(world, fromX, fromY, toX, toY, range) {
+        const path = [];
+        const dx = Math.abs(toX - fromX);
+        const dy = Math.abs(toY - fromY);
+        if (dx === 0 && dy === 0) return path;
+
+        const sx = fromX < toX ? 1 : -1;
+        const sy = fromY < toY ? 1 : -1;
+        let err = dx - dy;
+        let x = fromX;
+        let y = fromY;
+
+        while (path.length < range) {
+            const e2 = 2 * err;
+            let nx = x;
+            let ny = y;
+            if (e2 > -dy) {
+                err -= dy;
+                nx += sx;
+            }
+            if (e2 < dx) {
+                err += dx;
+                ny += sy;
+            }
+
+            if (this.isBlocked(world, x, y, nx, ny)) break;
+            path.push({ x: nx, y: ny });
+            x = nx;
+            y = ny;
         }
-        
-        // Remove projectile
-        world.removeEntity(entity.id);
+
+        return path;
     }
 
     /**
-     * Apply projectile damage to target
-     * @param {Entity} projectile - Projectile entity
-     * @param {Entity} target - Target entity
+     * Check if a projectile cannot fly from one tile to the next: walls (including wall corners it
+     * would have to squeeze past) and closed doors stop it
      * @param {World} world - Game world
+     * @param {number} fromX - X coordinate flown from
+     * @param {number} fromY - Y coordinate flown from
+     * @param {number} x - X coordinate flown into
+     * @param {number} y - Y coordinate flown into
+     * @returns {boolean} True if blocked
      */
-    applyProjectileDamage(projectile, target, world) {
-        const projectileComponent = projectile.getComponent('projectile');
-        if (!projectileComponent) return;
-        
-        const damage = projectileComponent.damage || 1;
-        const health = target.getComponent('health');
-        
-        if (health) {
-            health.current = Math.max(0, health.current - damage);
-            console.log(`${target.id} takes ${damage} damage from projectile`);
-            
-            // Check if target is dead
-            if (health.current <= 0) {
-                this.handleTargetDeath(target, world);
-            }
-        }
+    isBlocked(world, fromX, fromY, x, y) {
+        if (!world.canStep(fromX, fromY, x, y)) return true;
+
+        const tile = world.map[y][x];
+        return tile.type === 'door' && !tile.open;
     }
 
     /**
-     * Apply spell effects from projectile
-     * @param {Entity} projectile - Projectile entity
-     * @param {Entity} target - Target entity
-     * @param {World} world - Game world
+     * Get the glyph of an arrow or bolt flying in a direction
+     * @param {number} dx - X direction
+     * @param {number} dy - Y direction
+     * @returns {string} '-', '|', '/' or '\'
      */
-    applySpellEffects(projectile, target, world) {
-        const projectileComponent = projectile.getComponent('projectile');
-        if (!projectileComponent || !projectileComponent.spell) return;
-        
-        const spell = projectileComponent.spell;
-        if (spell.onHit) {
-            this.spells.executeSpellEffects(target, spell.onHit, target.x, target.y, world);
-        }
+    getFlightChar(dx, dy) {
+        if (Math.abs(dx) >= 2 * Math.abs(dy)) return '-';
+        if (Math.abs(dy) >= 2 * Math.abs(dx)) return '|';
+        return (dx > 0) === (dy > 0) ? '\\' : '/';
     }
 
     /**
-     * Handle target death
-     * @param {Entity} target - Dead target
+     * Move a projectile one tile and attack anything it flies into
+     * @param {Entity} entity - Projectile entity
      * @param {World} world - Game world
+     * @returns {number|null} Delay until the next tile, or null once the projectile is gone
      */
-    handleTargetDeath(target, world) {
-        console.log(`${target.id} has died!`);
-        
-        // Play death sound effect
-        if (window.game && window.game.audioSystem) {
-            window.game.audioSystem.playDeathSound();
+    processEntity(entity, world) {
+        const projectile = entity.getComponent('projectile');
+        if (!projectile) return null;
+
+        const next = projectile.path[projectile.distanceTraveled];
+        if (!next) {
+            this.land(entity, world);
+            return null;
         }
-        
-        // Give experience if player killed the target
-        if (target.type === 'monster' && world.player) {
-            this.giveExperience(world.player, target);
+
+        entity.setPosition(next.x, next.y);
+        projectile.distanceTraveled++;
+
+        const target = this.findTarget(entity, world);
+        if (target && this.hitTarget(entity, target, world)) {
+            return null;
         }
-        
-        // Drop loot if monster
-        if (target.type === 'monster') {
-            this.dropLoot(target, world);
+
+        if (projectile.distanceTraveled >= projectile.path.length) {
+            this.land(entity, world);
+            return null;
         }
-        
-        // Remove target from world
-        world.removeEntity(target.id);
+
+        return 1000 / (projectile.speed || this.defaultSpeed);
     }
 
     /**
-     * Give experience to player
-     * @param {Entity} player - Player entity
-     * @param {Entity} target - Dead target
+     * Find a creature on the projectile's tile other than the one that launched it
+     * @param {Entity} entity - Projectile entity
+     * @param {World} world - Game world
+     * @returns {Entity|null} Creature in the way
      */
-    giveExperience(player, target) {
-        const level = target.getComponent('level');
-        if (!level) return;
-        
-        const experience = level.value * 10;
-        console.log(`Player gains ${experience} experience!`);
-        
-        // Note: Experience handling would be done by the combat system
-        // This is just for logging
+    findTarget(entity, world) {
+        const projectile = entity.getComponent('projectile');
+        return world.getEntitiesAt(entity.x, entity.y).find(other =>
+            other.active && other.id !== projectile.ownerId && (other.type === 'monster' || other.type === 'player')
+        ) || null;
     }
 
     /**
-     * Drop loot from target
-     * @param {Entity} target - Dead target
+     * Attack a creature the projectile flew into
+     * @param {Entity} entity - Projectile entity
+     * @param {Entity} target - Creature in the way
      * @param {World} world - Game world
+     * @returns {boolean} True if it hit and stopped; a miss flies on
      */
-    dropLoot(target, world) {
-        const loot = target.getComponent('loot');
-        if (!loot) return;
-        
-        // Drop gold
-        if (loot.gold) {
-            const goldAmount = Math.floor(Math.random() * (loot.gold.max - loot.gold.min + 1)) + loot.gold.min;
-            if (goldAmount > 0) {
-                const goldId = `gold_${Date.now()}_${Math.random()}`;
-                const gold = new Entity(goldId, 'item', target.x, target.y);
-                gold.addComponent('item', {
-                    type: 'gold',
-                    value: goldAmount
-                });
-                gold.addComponent('appearance', {
-                    char: '$',
-                    color: '#FFD700'
-                });
-                world.addEntity(gold);
-            }
-        }
+    hitTarget(entity, target, world) {
+        const projectile = entity.getComponent('projectile');
+        const owner = world.getEntity(projectile.ownerId);
+        if (!owner || !this.combatSystem) return false;
+
+        // Spells carry their own effects; arrows and bolts are shots like any other attack
+        const hit = projectile.spell && this.spells
+            ? this.spells.resolveProjectileHit(owner, target, projectile.spell, world)
+            : this.combatSystem.resolveShot(owner, target, projectile, world);
+        if (!hit) return false;
+
+        this.land(entity, world);
+        return true;
     }
 
     /**
-     * Check if position is valid for projectile
-     * @param {number} x - X coordinate
-     * @param {number} y - Y coordinate
+     * Stop a projectile where it is. Ammo that doesn't break drops to the floor.
+     * @param {Entity} entity - Projectile entity
      * @param {World} world - Game world
-     * @returns {boolean} True if position is valid
      */
-    isValidPosition(x, y, world) {
-        // Check bounds
-        if (x < 0 || x >= world.width || y < 0 || y >= world.height) {
-            return false;
-        }
-        
-        // Check if position is passable
-        if (!world.isPassable(x, y)) {
-            return false;
+    land(entity, world) {
+        const projectile = entity.getComponent('projectile');
+        if (projectile && projectile.ammo && this.rng.chance(projectile.ammo.recoverChance || 0)) {
+            this.dropAmmo(projectile.ammo, entity.x, entity.y, world);
         }
-        
-        return true;
+
+        world.removeEntity(entity.id);
     }
 
     /**
-     * Create a projectile
-     * @param {Entity} caster - Entity creating the projectile
-     * @param {Object} projectileData - Projectile data
-     * @param {number} targetX - Target X coordinate
-     * @param {number} targetY - Target Y coordinate
+     * Drop one piece of ammo on a tile, adding to a pile of the same ammo already there
+     * @param {Object} ammo - Ammo item the projectile was shot from
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
      * @param {World} world - Game world
-     * @returns {Entity} Created projectile entity
      */
-    createProjectile(caster, projectileData, targetX, targetY, world) {
-        const projectileId = `projectile_${Date.now()}_${Math.random()}`;
-        const projectile = new Entity(projectileId, 'projectile', caster.x, caster.y);
-        
-        projectile.addComponent('projectile', {
-            ...projectileData,
-            targetX,
-            targetY,
-            ownerId: caster.id,
-            distanceTraveled: 0
+    dropAmmo(ammo, x, y, world) {
+        const pile = world.getEntitiesAt(x, y).find(other => {
+            const item = other.getComponent('item');
+            return other.type === 'item' && item && item.type === ammo.type && item.name === ammo.name;
         });
-        
-        projectile.addComponent('appearance', {
-            char: projectileData.char || '*',
-            color: projectileData.color || '#ffffff'
+        if (pile) {
+            pile.getComponent('item').quantity++;
+            return;
+        }
+
+        const item = new Entity(`${ammo.type}_${this.characterGenerator.spawnCounter++}`, 'item', x, y);
+        item.addComponent('item', { ...ammo, quantity: 1 });
+        item.addComponent('appearance', {
+            char: ')',
+            color: '#D2B48C'
         });
-        
-        world.addEntity(projectile);
-        return projectile;
+        world.addEntity(item);
     }
 
     /**
@@ -328,3 +289,8 @@ class ProjectileSystem {
         });
     }
 }
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectileSystem;
+}
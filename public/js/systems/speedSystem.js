@@ -0,0 +1,193 @@
+/**
+ * Speed System - the one speed pipeline for scheduling and display
+ * Effective speed = (speed component + equipment bonuses) x status effects x encumbrance.
+ * Move/wait delays (steps are slower while sneaking), attack recovery, the character sheet and the enemies panel all read it from here.
+ */
+class SpeedSystem {
+    constructor() {
+        this.effectSystem = null; // Will be injected for haste and slow
+        this.equipmentSystem = null; // Will be injected for weapon swing speed
+        this.characterProgress = null; // Will be injected for strength-based carry capacity
+        this.baseCarryCapacity = 20; // Weight anyone can carry before strength is added
+        this.minEncumbranceMultiplier = 0.5; // Even badly overloaded, speed never drops below half
+        this.minActionDelay = 100; // Fastest possible action, in milliseconds of game time
+        this.sneakMoveMultiplier = 1.5; // Sneaking steps take this much longer
+    }
+
+    /**
+     * Set effect system
+     * @param {EffectSystem} effectSystem - Effect system instance
+     */
+    setEffectSystem(effectSystem) {
+        this.effectSystem = effectSystem;
+    }
+
+    /**
+     * Set equipment system
+     * @param {EquipmentSystem} equipmentSystem - Equipment system instance
+     */
+    setEquipmentSystem(equipmentSystem) {
+        this.equipmentSystem = equipmentSystem;
+    }
+
+    /**
+     * Set character progress module
+     * @param {CharacterProgress} characterProgress - Character progress instance
+     */
+    setCharacterProgress(characterProgress) {
+        this.characterProgress = characterProgress;
+    }
+
+    /**
+     * Break an entity's speed down into the pipeline's stages
+     * @param {Entity} entity - Entity to inspect
+     * @returns {Object} { base, equipment, effects, encumbrance, speed } - effects and encumbrance are multipliers
+     */
+    getSpeedBreakdown(entity) {
+        const speedComponent = entity.getComponent('speed');
+        const base = speedComponent ? speedComponent.value : 1;
+        const equipment = this.getEquipmentSpeedBonus(entity);
+        const effects = this.effectSystem ? this.effectSystem.getSpeedMultiplier(entity) : 1;
+        const encumbrance = this.getEncumbranceMultiplier(entity);
+
+        return {
+            base: base,
+            equipment: equipment,
+            effects: effects,
+            encumbrance: encumbrance,
+            speed: Math.max(0.1, (base + equipment) * effects * encumbrance)
+        };
+    }
+
+    /**
+     * Get an entity's effective speed (actions per second of game time)
+     * @param {Entity} entity - Entity to inspect
+     * @returns {number} Effective speed
+     */
+    getSpeed(entity) {
+        return this.getSpeedBreakdown(entity).speed;
+    }
+
+    /**
+     * Get the delay of a normal action (move, wait, loot) at the entity's effective speed
+     * @param {Entity} entity - Entity acting
+     * @returns {number} Delay in milliseconds of game time
+     */
+    getActionDelay(entity) {
+        return Math.max(this.minActionDelay, 1000 / this.getSpeed(entity));
+    }
+
+    /**
+     * Get the delay of a step - a normal action, slower while sneaking
+     * @param {Entity} entity - Entity moving
+     * @returns {number} Delay in milliseconds of game time
+     */
+    getMoveDelay(entity) {
+        const stealth = entity.getComponent('stealth');
+        const delay = this.getActionDelay(entity);
+        return stealth && stealth.sneaking ? delay * this.sneakMoveMultiplier : delay;
+    }
+
+    /**
+     * Get the multiplier haste, slow and encumbrance apply to everything an entity does
+     * @param {Entity} entity - Entity to inspect
+     * @returns {number} Multiplier (1 = unaffected)
+     */
+    getActionMultiplier(entity) {
+        const effects = this.effectSystem ? this.effectSystem.getSpeedMultiplier(entity) : 1;
+        return effects * this.getEncumbranceMultiplier(entity);
+    }
+
+    /**
+     * Get an entity's effective weapon swing speed
+     * @param {Entity} entity - Entity to inspect
+     * @returns {number} Swing speed (higher = shorter attack recovery)
+     */
+    getSwingSpeed(entity) {
+        const swingSpeed = this.equipmentSystem ? this.equipmentSystem.calculateDamage(entity).swingSpeed : 1.0;
+        return swingSpeed * this.getActionMultiplier(entity);
+    }
+
+    /**
+     * Get an entity's effective bow or crossbow shot speed
+     * @param {Entity} entity - Entity to inspect
+     * @returns {number} Shot speed (higher = shorter recovery between shots)
+     */
+    getShotSpeed(entity) {
+        const shot = this.equipmentSystem ? this.equipmentSystem.calculateRangedDamage(entity) : null;
+        return (shot ? shot.swingSpeed : 1.0) * this.getActionMultiplier(entity);
+    }
+
+    /**
+     * Get how long casting a spell takes - haste, slow and encumbrance stretch it like any action
+     * @param {Entity} entity - Entity casting
+     * @param {Object} spell - Spell data with its base castTime
+     * @returns {number} Delay in milliseconds of game time
+     */
+    getCastDelay(entity, spell) {
+        return Math.max(this.minActionDelay, spell.castTime / this.getActionMultiplier(entity));
+    }
+
+    /**
+     * Sum flat speed bonuses from equipped items (boots, rings) - a weapon's own speed is its swing speed
+     * @param {Entity} entity - Entity to inspect
+     * @returns {number} Speed bonus
+     */
+    getEquipmentSpeedBonus(entity) {
+        const equipment = entity.getComponent('equipment');
+        if (!equipment) return 0;
+
+        let bonus = 0;
+        for (const item of Object.values(equipment)) {
+            if (item && item.stats && item.stats.speed) {
+                bonus += item.stats.speed;
+            }
+        }
+        return bonus;
+    }
+
+    /**
+     * Get the total weight of everything an entity carries, equipped or in its pack
+     * @param {Entity} entity - Entity to inspect
+     * @returns {number} Carried weight
+     */
+    getCarriedWeight(entity) {
+        const equipment = entity.getComponent('equipment');
+        const inventory = entity.getComponent('inventory');
+        const items = [
+            ...(equipment ? Object.values(equipment) : []),
+            ...(inventory ? inventory.items : [])
+        ];
+
+        return items.reduce((total, item) => total + (item && item.weight ? item.weight : 0), 0);
+    }
+
+    /**
+     * Get how much an entity can carry before it slows down
+     * @param {Entity} entity - Entity to inspect
+     * @returns {number} Carry capacity
+     */
+    getCarryCapacity(entity) {
+        const stats = entity.getComponent('stats');
+        const perStrength = this.characterProgress ? this.characterProgress.statBonuses.strength.carryWeight : 2;
+        return this.baseCarryCapacity + (stats ? (stats.strength || 0) * perStrength : 0);
+    }
+
+    /**
+     * Get the speed multiplier from carrying more than the entity's capacity
+     * @param {Entity} entity - Entity to inspect
+     * @returns {number} Multiplier (1 when within capacity)
+     */
+    getEncumbranceMultiplier(entity) {
+        const weight = this.getCarriedWeight(entity);
+        const capacity = this.getCarryCapacity(entity);
+        if (weight <= capacity) return 1;
+
+        return Math.max(this.minEncumbranceMultiplier, capacity / weight);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpeedSystem;
+}
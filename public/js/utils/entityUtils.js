@@ -15,6 +15,7 @@ class EntityUtils {
         if (entity.id) {
             if (entity.id.includes('goblin')) monsterType = 'goblin';
             else if (entity.id.includes('orc')) monsterType = 'orc';
+            else if (entity.id.includes('kobold')) monsterType = 'kobold';
             else if (entity.id.includes('troll')) monsterType = 'troll';
             else if (entity.id.includes('skeleton')) monsterType = 'skeleton';
             else if (entity.id.includes('dragon')) monsterType = 'dragon';
@@ -43,6 +44,7 @@ class EntityUtils {
         if (entity.id) {
             if (entity.id.includes('goblin')) monsterType = 'goblin';
             else if (entity.id.includes('orc')) monsterType = 'orc';
+            else if (entity.id.includes('kobold')) monsterType = 'kobold';
             else if (entity.id.includes('troll')) monsterType = 'troll';
             else if (entity.id.includes('skeleton')) monsterType = 'skeleton';
             else if (entity.id.includes('dragon')) monsterType = 'dragon';
@@ -96,4 +98,14 @@ class EntityUtils {
     static isPlayer(entity) {
         return entity.type === 'player';
     }
+
+    /**
+     * Check if an entity keeps others from stepping onto its tile. Corpses, dropped items,
+     * projectiles in flight and purely visual swings don't.
+     * @param {Entity} entity - Entity to check
+     * @returns {boolean} True if entity blocks movement
+     */
+    static blocksMovement(entity) {
+        return !['corpse', 'swing_animation', 'item', 'projectile'].includes(entity.type);
+    }
 }